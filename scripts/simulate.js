@@ -0,0 +1,118 @@
+import { parseArgs } from 'node:util';
+import { DEFAULT_CAMPAIGN, getCampaign, levelCount, listCampaigns } from '../src/game/levels.js';
+import { BOT_KINDS } from '../src/game/bots.js';
+import { parseSeed } from '../src/game/rng.js';
+import { DEFAULT_FADE_PRESET, FADE_PRESET_IDS, FADE_PRESET_LABELS } from '../src/game/fade.js';
+import { simulateLevel, tuneCampaign } from '../src/game/simulate.js';
+
+// Level balancing from the command line, e.g.
+//   npm run simulate -- --level 5 --runs 10000 --bot greedy --seed 1
+//   npm run simulate -- --campaign mazes --level all --hazard-chance 0.2 --json
+
+const USAGE = `Usage: npm run simulate -- [options]
+
+  --campaign <id>         campaign to play (${listCampaigns()
+    .map((c) => c.id)
+    .join(', ')}; default ${DEFAULT_CAMPAIGN.id})
+  --level <n|all>         level number, or every level of the campaign (default 1)
+  --runs <n>              runs per level (default 200)
+  --bot <kind>            ${BOT_KINDS.join(' | ')} (default greedy)
+  --fade <preset>         tail fade the bot plays with: ${FADE_PRESET_IDS.join(' | ')} (default ${DEFAULT_FADE_PRESET})
+  --seed <seed>           seed of the first run; run i uses seed + i (default 1)
+  --max-turns <n>         turns before a run counts as a timeout (default 5000)
+  --powerup-chance <p>    override powerUpChance on every level
+  --hazard-chance <p>     override hazardChance on every level
+  --win-threshold <p>     override winThreshold on every level
+  --json                  print JSON instead of a table
+  --help                  show this message`;
+
+const fail = (message) => {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(1);
+};
+
+const number = (name, value, { min = 0, max = Infinity, int = false } = {}) => {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max || (int && !Number.isInteger(n))) fail(`Invalid --${name}: ${value}`);
+  return n;
+};
+
+let args;
+try {
+  ({ values: args } = parseArgs({
+    options: {
+      campaign: { type: 'string', default: DEFAULT_CAMPAIGN.id },
+      level: { type: 'string', default: '1' },
+      runs: { type: 'string', default: '200' },
+      bot: { type: 'string', default: 'greedy' },
+      fade: { type: 'string', default: DEFAULT_FADE_PRESET },
+      seed: { type: 'string', default: '1' },
+      'max-turns': { type: 'string' },
+      'powerup-chance': { type: 'string' },
+      'hazard-chance': { type: 'string' },
+      'win-threshold': { type: 'string' },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  }));
+} catch (err) {
+  fail(err.message);
+}
+
+if (args.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+const base = getCampaign(args.campaign);
+if (!base) fail(`Unknown campaign "${args.campaign}"`);
+if (!BOT_KINDS.includes(args.bot)) fail(`Unknown bot "${args.bot}"`);
+if (!FADE_PRESET_IDS.includes(args.fade)) fail(`Unknown fade preset "${args.fade}"`);
+
+const campaign = tuneCampaign(base, {
+  powerUpChance: number('powerup-chance', args['powerup-chance'], { max: 1 }),
+  hazardChance: number('hazard-chance', args['hazard-chance'], { max: 1 }),
+  winThreshold: number('win-threshold', args['win-threshold'], { max: 1 })
+});
+const levels =
+  args.level === 'all'
+    ? Array.from({ length: levelCount(campaign) }, (_, i) => i + 1)
+    : [number('level', args.level, { min: 1, max: levelCount(campaign), int: true })];
+const runs = number('runs', args.runs, { min: 1, int: true });
+const maxTurns = number('max-turns', args['max-turns'], { min: 1, int: true });
+const seed = parseSeed(args.seed) ?? 1;
+
+const reports = levels.map((level) => simulateLevel({ campaign, level, bot: args.bot, fadePreset: args.fade, runs, seed, maxTurns }));
+
+if (args.json) {
+  console.log(JSON.stringify(reports, null, 2));
+  process.exit(0);
+}
+
+// ===== Table =====
+const pct = (rate) => `${(rate * 100).toFixed(1)}%`;
+const COLUMNS = [
+  ['Level', (r) => r.level],
+  ['Clear', (r) => pct(r.clearRate)],
+  ['Turns', (r) => r.avgTurns.toFixed(1)],
+  ['To clear', (r) => r.avgTurnsToClear.toFixed(1)],
+  ['Score', (r) => r.avgScore.toFixed(1)],
+  ['Self', (r) => r.deaths.self],
+  ['Hazard', (r) => r.deaths.hazard],
+  ['Wall', (r) => r.deaths.wall],
+  ['Stuck', (r) => r.stuck],
+  ['Timeout', (r) => r.timeouts],
+  ['Power-ups', (r) => `${r.powerUps.picked}/${r.powerUps.spawned}`],
+  ['Pickup', (r) => pct(r.powerUps.pickupRate)],
+  ['Unreachable', (r) => `${r.fruitUnreachable.runs} runs / ${r.fruitUnreachable.turns} turns`]
+];
+
+const rows = [COLUMNS.map(([title]) => title), ...reports.map((r) => COLUMNS.map(([, cell]) => String(cell(r))))];
+const widths = COLUMNS.map((_, i) => Math.max(...rows.map((row) => row[i].length)));
+const line = (row) => row.map((cell, i) => cell.padStart(widths[i])).join('  ');
+
+console.log(`${campaign.name} • bot ${args.bot} • ${FADE_PRESET_LABELS[args.fade]} fade • ${runs} runs per level • seeds ${seed}…${(seed + runs - 1) >>> 0}`);
+console.log(line(rows[0]));
+console.log(widths.map((w) => '-'.repeat(w)).join('  '));
+rows.slice(1).forEach((row) => console.log(line(row)));
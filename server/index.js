@@ -0,0 +1,6 @@
+import { startRelay } from './relay.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+
+startRelay(PORT);
+console.log(`Invisisnake relay listening on ws://localhost:${PORT}`);
@@ -0,0 +1,117 @@
+import { WebSocketServer } from 'ws';
+import { continueRoom, createRoom, expireTurn, joinRoom, leaveRoom, roomSnapshot, submitDir } from './rooms.js';
+
+// Invisisnake relay: a small WebSocket server that hosts two-player rooms and runs the
+// authoritative game step (../src/game/multi.js). index.js starts it (`npm run server`).
+//
+// Messages are JSON objects with a `type`:
+//   client -> server  join { room, token?, campaign?, level?, variant? }
+//                     dir { code: 'U' | 'D' | 'L' | 'R' }
+//                     continue
+//   server -> client  joined { room, player, token }
+//                     state { room, game, events, seated, connected, ready, deadline }
+//                     error { message }
+// Every change is broadcast as a full `state`, so a reconnecting client is in sync as soon
+// as it has rejoined with its token.
+
+const ROOM_NAME = /^[\w-]{1,32}$/;
+const ROOM_IDLE_MS = 5 * 60 * 1000; // empty rooms are kept this long for reconnects
+const MAX_PAYLOAD = 4 * 1024; // bytes; the largest real message is a join of about 150
+
+const rooms = new Map(); // id -> room
+const sockets = new Map(); // id -> Set of { ws, player }
+const timers = new Map(); // id -> turn timeout
+const idle = new Map(); // id -> cleanup timeout for empty rooms
+
+const send = (ws, msg) => {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg));
+};
+
+function broadcast(id) {
+  const snapshot = { type: 'state', ...roomSnapshot(rooms.get(id)) };
+  sockets.get(id)?.forEach(({ ws }) => send(ws, snapshot));
+}
+
+// Stores the new room state, re-arms the turn timer and tells everyone
+function update(id, room) {
+  rooms.set(id, room);
+  clearTimeout(timers.get(id));
+  timers.delete(id);
+  if (room.deadline !== null) {
+    timers.set(
+      id,
+      setTimeout(() => update(id, expireTurn(rooms.get(id))), Math.max(0, room.deadline - Date.now()))
+    );
+  }
+  broadcast(id);
+}
+
+function handleJoin(ws, client, msg) {
+  if (client.room) return send(ws, { type: 'error', message: 'Already in a room' });
+  const id = String(msg.room ?? '');
+  if (!ROOM_NAME.test(id)) return send(ws, { type: 'error', message: 'Room names use letters, digits, - and _' });
+  const room = rooms.get(id) ?? createRoom(id, msg);
+  let joined;
+  try {
+    joined = joinRoom(room, msg.token);
+  } catch (err) {
+    return send(ws, { type: 'error', message: err.message });
+  }
+  clearTimeout(idle.get(id));
+  idle.delete(id);
+  client.room = id;
+  client.player = joined.player;
+  if (!sockets.has(id)) sockets.set(id, new Set());
+  sockets.get(id).add(client);
+  send(ws, { type: 'joined', room: id, player: joined.player, token: joined.token });
+  return update(id, joined.room);
+}
+
+function handleClose(client) {
+  const id = client.room;
+  if (!id) return;
+  sockets.get(id).delete(client);
+  update(id, leaveRoom(rooms.get(id), client.player));
+  if (sockets.get(id).size) return;
+  // Last one out: keep the room for a while so players can reconnect, then forget it
+  idle.set(
+    id,
+    setTimeout(() => {
+      clearTimeout(timers.get(id));
+      timers.delete(id);
+      idle.delete(id);
+      sockets.delete(id);
+      rooms.delete(id);
+    }, ROOM_IDLE_MS)
+  );
+}
+
+// Starts the relay on `port` (0 picks a free one) and returns the WebSocketServer
+export function startRelay(port) {
+  const wss = new WebSocketServer({ port, maxPayload: MAX_PAYLOAD });
+  wss.on('connection', (ws) => {
+    const client = { ws, room: null, player: null };
+    ws.on('message', (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data);
+      } catch {
+        return send(ws, { type: 'error', message: 'Messages must be JSON' });
+      }
+      if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+        return send(ws, { type: 'error', message: 'Messages must be JSON objects' });
+      }
+      if (msg.type === 'join') return handleJoin(ws, client, msg);
+      if (!client.room) return send(ws, { type: 'error', message: 'Join a room first' });
+      const room = rooms.get(client.room);
+      if (msg.type === 'dir') return update(client.room, submitDir(room, client.player, msg.code));
+      if (msg.type === 'continue') return update(client.room, continueRoom(room));
+      return send(ws, { type: 'error', message: `Unknown message type "${msg.type}"` });
+    });
+    ws.on('close', () => handleClose(client));
+    // A bad frame or an oversized message only drops this socket; 'close' follows and
+    // frees the seat. Without a listener, ws would rethrow and take every room down.
+    ws.on('error', () => ws.terminate());
+  });
+  return wss;
+}
@@ -0,0 +1,88 @@
+import { connect } from 'node:net';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import WebSocket from 'ws';
+import { startRelay } from './relay.js';
+
+let relay;
+let url;
+
+beforeAll(async () => {
+  relay = startRelay(0);
+  await new Promise((resolve) => relay.once('listening', resolve));
+  url = `ws://localhost:${relay.address().port}`;
+});
+
+afterAll(async () => {
+  relay.clients.forEach((ws) => ws.terminate());
+  await new Promise((resolve) => relay.close(resolve));
+});
+
+// Resolves with the next message of the given type on a socket
+const nextMessage = (ws, type) =>
+  new Promise((resolve) => {
+    const onMessage = (data) => {
+      const msg = JSON.parse(data);
+      if (msg.type !== type) return;
+      ws.off('message', onMessage);
+      resolve(msg);
+    };
+    ws.on('message', onMessage);
+  });
+
+// A client seated in `room`
+async function seated(room) {
+  const ws = new WebSocket(url);
+  await new Promise((resolve) => ws.once('open', resolve));
+  const joined = nextMessage(ws, 'joined');
+  ws.send(JSON.stringify({ type: 'join', room }));
+  await joined;
+  return ws;
+}
+
+// Completes the upgrade by hand over a raw TCP socket, then writes `frame` as it is
+const rawFrame = (frame) =>
+  new Promise((resolve) => {
+    const socket = connect(relay.address().port, 'localhost');
+    socket.once('data', () => socket.write(frame));
+    socket.once('close', resolve);
+    socket.on('error', () => {});
+    socket.write(
+      [
+        'GET / HTTP/1.1',
+        'Host: localhost',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+        'Sec-WebSocket-Version: 13',
+        '',
+        ''
+      ].join('\r\n')
+    );
+  });
+
+// The relay still answers in a room it already had
+async function stillServes(ws) {
+  const state = nextMessage(ws, 'state');
+  ws.send(JSON.stringify({ type: 'continue' }));
+  expect((await state).room).toBe('calm');
+}
+
+describe('relay', () => {
+  it('drops a socket that sends a bad frame and keeps the other rooms', async () => {
+    const ws = await seated('calm');
+    // FIN with the reserved opcode 0x3, masked, empty payload
+    await rawFrame(Buffer.from([0x83, 0x80, 0, 0, 0, 0]));
+    await stillServes(ws);
+    ws.close();
+  });
+
+  it('closes a socket that sends an oversized message', async () => {
+    const calm = await seated('calm');
+    const noisy = await seated('noisy');
+    const closed = new Promise((resolve) => noisy.once('close', resolve));
+    noisy.send(JSON.stringify({ type: 'join', room: 'x'.repeat(64 * 1024) }));
+    expect(await closed).toBe(1009);
+    await stillServes(calm);
+    calm.close();
+  });
+});
@@ -0,0 +1,98 @@
+import { randomBytes } from 'node:crypto';
+import { createMultiGame, matchResult, nextMultiLevel, retryRound, stepMulti, PLAYERS, VARIANTS } from '../src/game/multi.js';
+import { DEFAULT_CAMPAIGN, getCampaign } from '../src/game/levels.js';
+import { codeDir } from '../src/game/replay.js';
+
+// Room bookkeeping for the relay server, kept apart from the sockets so the rules of a
+// networked match can be followed (and driven) without a network.
+// A room holds one two-player match. Seats are claimed with a random token; sending the
+// same token again (e.g. after a reload or a dropped connection) takes the seat back.
+// Turns resolve once every seated player has sent a direction, or TURN_TIMEOUT_MS after
+// the first one arrived; a player who has not moved keeps their heading.
+
+export const TURN_TIMEOUT_MS = 5000;
+
+const newToken = () => randomBytes(12).toString('hex');
+
+export function createRoom(id, { campaign = DEFAULT_CAMPAIGN.id, level = 1, variant = 'versus' } = {}) {
+  const camp = getCampaign(campaign) ?? DEFAULT_CAMPAIGN;
+  const settings = { campaign: camp, level: Number(level) || 1, variant: VARIANTS.includes(variant) ? variant : 'versus' };
+  return {
+    id,
+    settings, // what a new match in this room starts from
+    game: createMultiGame(settings),
+    tokens: Array(PLAYERS).fill(null),
+    connected: Array(PLAYERS).fill(false),
+    pending: Array(PLAYERS).fill(null),
+    events: [], // from the last resolved turn
+    deadline: null // ms timestamp the current turn resolves at, once someone has moved
+  };
+}
+
+export const isFull = (room) => room.tokens.every(Boolean);
+
+// Returns { room, player, token } or throws when the room has no free seat.
+export function joinRoom(room, token) {
+  let player = token ? room.tokens.indexOf(token) : -1;
+  if (player === -1) {
+    player = room.tokens.indexOf(null);
+    if (player === -1) throw new Error('Room is full');
+    token = newToken();
+  }
+  const tokens = [...room.tokens];
+  const connected = [...room.connected];
+  tokens[player] = token;
+  connected[player] = true;
+  return { room: { ...room, tokens, connected }, player, token };
+}
+
+export function leaveRoom(room, player) {
+  const connected = [...room.connected];
+  connected[player] = false;
+  return { ...room, connected };
+}
+
+function resolve(room) {
+  const { state, events } = stepMulti(room.game, room.pending);
+  return { ...room, game: state, events, pending: Array(PLAYERS).fill(null), deadline: null };
+}
+
+// Records a direction ('U' | 'D' | 'L' | 'R') for the current turn and resolves the turn
+// once everyone has moved. Anything else from the wire, moves from outside a seat, moves
+// before both seats are taken and moves after the round ended are ignored.
+export function submitDir(room, player, code, now = Date.now()) {
+  const dir = codeDir(code);
+  if (!dir || !(player >= 0 && player < PLAYERS) || !isFull(room) || room.game.status !== 'playing') return room;
+  const pending = [...room.pending];
+  pending[player] = dir;
+  const next = { ...room, pending, deadline: room.deadline ?? now + TURN_TIMEOUT_MS };
+  return pending.every(Boolean) ? resolve(next) : next;
+}
+
+// Resolves an overdue turn; call it when the timer set for `deadline` fires.
+export function expireTurn(room, now = Date.now()) {
+  if (room.deadline === null || now < room.deadline || room.game.status !== 'playing') return room;
+  return resolve(room);
+}
+
+// After a round or board ends: either player may start the next one.
+export function continueRoom(room) {
+  const { game } = room;
+  let next;
+  if (game.status === 'won') next = nextMultiLevel(game);
+  else if (game.status !== 'lost') return room;
+  else if (matchResult(game)) next = createMultiGame(room.settings);
+  else next = retryRound(game);
+  return { ...room, game: next, events: [], pending: Array(PLAYERS).fill(null), deadline: null };
+}
+
+// What a client sees: the full match state plus who is seated, online and ready.
+export const roomSnapshot = (room) => ({
+  room: room.id,
+  game: room.game,
+  events: room.events,
+  seated: room.tokens.map(Boolean),
+  connected: room.connected,
+  ready: room.pending.map(Boolean),
+  deadline: room.deadline
+});
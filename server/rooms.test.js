@@ -0,0 +1,110 @@
+import { describe, expect, it } from 'vitest';
+import { DIRS } from '../src/game/grid.js';
+import { TURN_TIMEOUT_MS, continueRoom, createRoom, expireTurn, joinRoom, leaveRoom, submitDir } from './rooms.js';
+
+// A room with both seats taken
+const fullRoom = () => {
+  const first = joinRoom(createRoom('test'), null);
+  return joinRoom(first.room, null).room;
+};
+
+// Puts both heads next to each other so the next step crashes them head-on
+const headOn = (room) => ({
+  ...room,
+  game: {
+    ...room.game,
+    players: room.game.players.map((p, i) => ({
+      ...p,
+      snake: [{ x: 2 + 2 * i, y: 2 }],
+      dir: i ? DIRS.LEFT : DIRS.RIGHT
+    }))
+  }
+});
+
+describe('joinRoom', () => {
+  it('hands out seats in order and takes a seat back by token', () => {
+    const first = joinRoom(createRoom('test'), null);
+    expect(first.player).toBe(0);
+    const second = joinRoom(leaveRoom(first.room, 0), null);
+    expect(second.player).toBe(1);
+    expect(second.token).not.toBe(first.token);
+
+    const back = joinRoom(second.room, first.token);
+    expect(back.player).toBe(0);
+    expect(back.token).toBe(first.token);
+    expect(back.room.connected).toEqual([true, true]);
+  });
+
+  it('turns away a third player', () => {
+    expect(() => joinRoom(fullRoom(), 'someone-else')).toThrow('Room is full');
+  });
+});
+
+describe('submitDir', () => {
+  it('waits for both players, then resolves the turn', () => {
+    const room = fullRoom();
+    const waiting = submitDir(room, 0, 'D', 1000);
+    expect(waiting.game.turn).toBe(0);
+    expect(waiting.deadline).toBe(1000 + TURN_TIMEOUT_MS);
+
+    const done = submitDir(waiting, 1, 'U', 2000);
+    expect(done.game.turn).toBe(1);
+    expect(done.pending).toEqual([null, null]);
+    expect(done.deadline).toBeNull();
+  });
+
+  it('ignores moves before the room is full', () => {
+    const { room } = joinRoom(createRoom('test'), null);
+    expect(submitDir(room, 0, 'U')).toBe(room);
+  });
+
+  it('ignores codes that are not directions', () => {
+    const room = fullRoom();
+    ['constructor', 'toString', '__proto__', 'X', '', null, 7, { code: 'U' }].forEach((code) => {
+      expect(submitDir(room, 0, code)).toBe(room);
+    });
+    expect(submitDir(room, 2, 'U')).toBe(room);
+  });
+});
+
+describe('expireTurn', () => {
+  it('resolves an overdue turn with the missing player keeping their heading', () => {
+    const room = submitDir(fullRoom(), 0, 'D', 0);
+    expect(expireTurn(room, TURN_TIMEOUT_MS - 1)).toBe(room);
+    const next = expireTurn(room, TURN_TIMEOUT_MS);
+    expect(next.game.turn).toBe(1);
+    expect(next.game.players[1].dir).toEqual(room.game.players[1].dir);
+  });
+
+  it('does nothing without a pending turn', () => {
+    const room = fullRoom();
+    expect(expireTurn(room, Number.MAX_SAFE_INTEGER)).toBe(room);
+  });
+});
+
+describe('continueRoom', () => {
+  it('does nothing while the round is in play', () => {
+    const room = fullRoom();
+    expect(continueRoom(room)).toBe(room);
+  });
+
+  it('starts another round after a crash', () => {
+    const crashed = submitDir(submitDir(headOn(fullRoom()), 0, 'R'), 1, 'L');
+    expect(crashed.game.status).toBe('lost');
+    const next = continueRoom(crashed);
+    expect(next.game.status).toBe('playing');
+    expect(next.game.players.map((p) => p.lives)).toEqual([2, 2]);
+    expect(next.events).toEqual([]);
+  });
+
+  it('starts a new match once it has been decided', () => {
+    const room = fullRoom();
+    const decided = {
+      ...room,
+      game: { ...room.game, status: 'lost', players: room.game.players.map((p, i) => ({ ...p, lives: i ? 1 : 0 })) }
+    };
+    const next = continueRoom(decided);
+    expect(next.game.status).toBe('playing');
+    expect(next.game.players.map((p) => p.lives)).toEqual([3, 3]);
+  });
+});
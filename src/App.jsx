@@ -1,6 +1,36 @@
+import { useState } from 'react';
 import Invisisnake from './components/Invisisnake.jsx';
+import LevelEditor from './components/LevelEditor.jsx';
+import TwoPlayer from './components/TwoPlayer.jsx';
+import OnlinePlay from './components/OnlinePlay.jsx';
+import AudioControls from './components/AudioControls.jsx';
+import SoundDesigner from './components/SoundDesigner.jsx';
+import ControlsPanel from './components/ControlsPanel.jsx';
+import StatsPanel from './components/StatsPanel.jsx';
+import { decodeLevel } from './game/levelCodec.js';
+
+// ?level=<share code> opens the editor with a shared level loaded
+const sharedLevel = () => {
+  const code = new URLSearchParams(window.location.search).get('level');
+  if (!code) return null;
+  try {
+    return decodeLevel(code);
+  } catch {
+    return null;
+  }
+};
+
+// Dev tools (the sound designer) show in dev builds, or anywhere with ?dev
+const devTools = import.meta.env.DEV || new URLSearchParams(window.location.search).has('dev');
+
+const tab = (active) =>
+  `px-4 py-2 rounded-2xl text-sm shadow-sm ${active ? 'bg-slate-700 text-slate-100' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'}`;
 
 export default function App() {
+  const [initialLevel] = useState(sharedLevel);
+  const [screen, setScreen] = useState(initialLevel ? 'editor' : 'game');
+  const [playtest, setPlaytest] = useState(null); // { campaign } from the editor
+
   return (
     <main className="min-h-screen flex flex-col items-center justify-start">
       <header className="w-full max-w-5xl px-6 pt-10 pb-6">
@@ -8,12 +38,61 @@ export default function App() {
         <p className="mt-2 text-sm text-slate-300">
           A turn-based snake roguelite with fading tail, power-ups, hazards, and crunchy chiptune FX.
         </p>
+        <nav className="mt-4 flex gap-2">
+          <button type="button" className={tab(screen === 'game')} onClick={() => setScreen('game')}>
+            Play
+          </button>
+          <button type="button" className={tab(screen === 'versus')} onClick={() => setScreen('versus')}>
+            Two Player
+          </button>
+          <button type="button" className={tab(screen === 'online')} onClick={() => setScreen('online')}>
+            Online
+          </button>
+          <button type="button" className={tab(screen === 'editor')} onClick={() => setScreen('editor')}>
+            Level Editor
+          </button>
+          <button type="button" className={tab(screen === 'stats')} onClick={() => setScreen('stats')}>
+            Stats
+          </button>
+          <button type="button" className={tab(screen === 'controls')} onClick={() => setScreen('controls')}>
+            Controls
+          </button>
+          {devTools && (
+            <button type="button" className={tab(screen === 'sounds')} onClick={() => setScreen('sounds')}>
+              Sounds
+            </button>
+          )}
+        </nav>
+        <div className="mt-3">
+          <AudioControls />
+        </div>
       </header>
       <section className="w-full max-w-5xl px-6 pb-20">
-        <Invisisnake />
+        {/* All screens stay mounted so switching keeps the run, the match and the editor board */}
+        <div className={screen === 'game' ? '' : 'hidden'}>
+          <Invisisnake active={screen === 'game'} playtest={playtest} />
+        </div>
+        <div className={screen === 'versus' ? '' : 'hidden'}>
+          <TwoPlayer active={screen === 'versus'} />
+        </div>
+        <div className={screen === 'online' ? '' : 'hidden'}>
+          <OnlinePlay active={screen === 'online'} />
+        </div>
+        <div className={screen === 'editor' ? '' : 'hidden'}>
+          <LevelEditor
+            initialLevel={initialLevel}
+            onPlaytest={(campaign) => {
+              setPlaytest({ campaign });
+              setScreen('game');
+            }}
+          />
+        </div>
+        {screen === 'stats' && <StatsPanel />}
+        {screen === 'controls' && <ControlsPanel />}
+        {devTools && screen === 'sounds' && <SoundDesigner />}
       </section>
       <footer className="w-full max-w-5xl px-6 pb-10 text-xs text-slate-500">
-        Crafted with React + Vite. Use arrow keys or the on-screen D-pad to survive the invisible serpent.
+        Crafted with React + Vite. Use arrow keys, swipes, a gamepad or the on-screen D-pad to survive the invisible serpent.
       </footer>
     </main>
   );
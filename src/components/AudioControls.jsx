@@ -0,0 +1,41 @@
+import React, { useEffect, useState } from 'react';
+import { VOLUME_CHANNELS, VOLUME_LABELS, getAudio } from '../lib/audio.js';
+
+// Mute toggle and per-bus volume sliders for the shared audio engine. Changes are saved by
+// the engine and apply on every screen.
+export default function AudioControls() {
+  const audio = getAudio();
+  const [settings, setSettings] = useState(audio.getSettings);
+
+  useEffect(() => audio.subscribe(setSettings), [audio]);
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-xs text-slate-300">
+      <button
+        type="button"
+        onClick={audio.toggleMute}
+        aria-pressed={settings.muted}
+        className={`px-3 py-1 rounded-xl shadow-sm ${
+          settings.muted ? 'bg-rose-800 hover:bg-rose-700' : 'bg-slate-800 hover:bg-slate-700'
+        }`}
+      >
+        Sound: {settings.muted ? 'Off' : 'On'}
+      </button>
+      {VOLUME_CHANNELS.map((ch) => (
+        <label key={ch} className="flex items-center gap-1">
+          {VOLUME_LABELS[ch]}
+          <input
+            type="range"
+            min={0}
+            max={100}
+            aria-label={`${VOLUME_LABELS[ch]} volume`}
+            value={Math.round(settings.volume[ch] * 100)}
+            onChange={(e) => audio.setVolume(ch, Number(e.target.value) / 100)}
+            disabled={settings.muted}
+            className="w-20 accent-emerald-500 disabled:opacity-40"
+          />
+        </label>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+import React, { useEffect, useState } from 'react';
+import { useControlSettings } from './useControls.js';
+import {
+  ACTIONS,
+  ACTION_LABELS,
+  DEFAULT_CONTROLS,
+  DIR_ACTIONS,
+  PAD_BUTTONS,
+  PAD_BUTTON_LABELS,
+  STICK_LIMITS,
+  SWIPE_LIMITS,
+  bindKey,
+  keyLabel,
+  setControls
+} from '../lib/input.js';
+import { PLAYER_NAMES } from './boardCanvas.js';
+
+// Controls screen: rebind keys (two per action, one per direction for each two-player
+// snake), pick gamepad buttons and tune swipe and stick sensitivity. Every change is saved
+// straight away and the game screens read the new bindings on the next input.
+
+const inputClass =
+  'px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-slate-100 text-sm focus:outline-none focus:ring-1 focus:ring-slate-500';
+const buttonClass = 'px-3 py-1 rounded-xl bg-slate-800 hover:bg-slate-700 shadow-sm text-sm';
+
+const LIMIT_LABELS = {
+  threshold: 'Swipe distance (px)',
+  deadZone: 'Diagonal dead zone (px)',
+  on: 'Stick press',
+  off: 'Stick release'
+};
+
+export default function ControlsPanel() {
+  const controls = useControlSettings();
+  // The key slot waiting for a key press: { map: 'keys' | player index, action, slot }
+  const [listening, setListening] = useState(null);
+
+  useEffect(() => {
+    if (!listening) return undefined;
+    const onKeyDown = (e) => {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (e.repeat) return;
+      const { map, action, slot } = listening;
+      if (map === 'keys') {
+        setControls({ ...controls, keys: bindKey(controls.keys, action, slot, e.key) });
+      } else {
+        const versus = controls.versus.map((keys, i) => (i === map ? bindKey(keys, action, slot, e.key) : keys));
+        setControls({ ...controls, versus });
+      }
+      setListening(null);
+    };
+    // Capture, so the key binds here rather than reaching a game screen
+    window.addEventListener('keydown', onKeyDown, true);
+    return () => window.removeEventListener('keydown', onKeyDown, true);
+  }, [listening, controls]);
+
+  const keyButton = (map, keys, action, slot, label) => {
+    const waiting = listening?.map === map && listening.action === action && listening.slot === slot;
+    const key = keys[action][slot];
+    return (
+      <button
+        type="button"
+        aria-label={label}
+        aria-pressed={waiting}
+        onClick={() => setListening(waiting ? null : { map, action, slot })}
+        className={`min-w-[6rem] px-3 py-1 rounded-lg text-sm font-mono ${
+          waiting ? 'bg-emerald-700 text-slate-100' : 'bg-slate-800 hover:bg-slate-700'
+        }`}
+      >
+        {waiting ? 'Press a key…' : key ? keyLabel(key) : '—'}
+      </button>
+    );
+  };
+
+  const setPad = (action, name) => {
+    const pad = name ? bindKey(controls.pad, action, 0, name) : { ...controls.pad, [action]: [] };
+    setControls({ ...controls, pad });
+  };
+
+  const numberInput = (group, key, [min, max], step) => (
+    <label key={key} className="flex flex-col gap-1 text-xs opacity-90">
+      {LIMIT_LABELS[key]}
+      <input
+        type="number"
+        min={min}
+        max={max}
+        step={step}
+        value={controls[group][key]}
+        onChange={(e) => {
+          const v = Number(e.target.value);
+          if (e.target.value !== '' && Number.isFinite(v)) setControls({ ...controls, [group]: { ...controls[group], [key]: v } });
+        }}
+        className={`${inputClass} w-28`}
+      />
+    </label>
+  );
+
+  return (
+    <div className="w-full flex flex-col gap-6 p-4 bg-slate-900 text-slate-100">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="font-semibold text-lg mr-2">Controls</div>
+        <button
+          type="button"
+          onClick={() => {
+            setListening(null);
+            setControls(DEFAULT_CONTROLS);
+          }}
+          className={buttonClass}
+        >
+          Reset to Default
+        </button>
+        <span className="text-xs opacity-70">Click a key, then press the one you want. Click it again to cancel.</span>
+      </div>
+
+      <div className="flex flex-col sm:flex-row flex-wrap gap-8">
+        <section className="flex flex-col gap-2">
+          <div className="font-semibold text-sm">Keyboard</div>
+          {ACTIONS.map((action) => (
+            <div key={action} className="flex items-center gap-2 text-sm">
+              <span className="w-20 opacity-90">{ACTION_LABELS[action]}</span>
+              {[0, 1].map((slot) => (
+                <React.Fragment key={slot}>
+                  {keyButton('keys', controls.keys, action, slot, `${ACTION_LABELS[action]} key ${slot + 1}`)}
+                </React.Fragment>
+              ))}
+            </div>
+          ))}
+        </section>
+
+        <section className="flex flex-col gap-2">
+          <div className="font-semibold text-sm">Two Player</div>
+          {DIR_ACTIONS.map((action) => (
+            <div key={action} className="flex items-center gap-2 text-sm">
+              <span className="w-20 opacity-90">{ACTION_LABELS[action]}</span>
+              {controls.versus.map((keys, i) => (
+                <React.Fragment key={PLAYER_NAMES[i]}>
+                  {keyButton(i, keys, action, 0, `${PLAYER_NAMES[i]} ${ACTION_LABELS[action]} key`)}
+                </React.Fragment>
+              ))}
+            </div>
+          ))}
+          <div className="text-xs opacity-70">
+            Columns are {PLAYER_NAMES.join(' and ')}. Gamepad 1 steers {PLAYER_NAMES[0]} and gamepad 2 {PLAYER_NAMES[1]}.
+          </div>
+        </section>
+
+        <section className="flex flex-col gap-2">
+          <div className="font-semibold text-sm">Gamepad</div>
+          {ACTIONS.map((action) => (
+            <label key={action} className="flex items-center gap-2 text-sm">
+              <span className="w-20 opacity-90">{ACTION_LABELS[action]}</span>
+              <select
+                aria-label={`${ACTION_LABELS[action]} button`}
+                value={controls.pad[action][0] ?? ''}
+                onChange={(e) => setPad(action, e.target.value)}
+                className={inputClass}
+              >
+                <option value="">None</option>
+                {Object.keys(PAD_BUTTONS).map((name) => (
+                  <option key={name} value={name}>
+                    {PAD_BUTTON_LABELS[name]}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+          <div className="text-xs opacity-70">The left stick always steers too.</div>
+        </section>
+      </div>
+
+      <section className="flex flex-col gap-2">
+        <div className="font-semibold text-sm">Sensitivity</div>
+        <div className="flex flex-wrap items-end gap-3">
+          {Object.entries(SWIPE_LIMITS).map(([key, range]) => numberInput('swipe', key, range, 1))}
+          {Object.entries(STICK_LIMITS).map(([key, range]) => numberInput('stick', key, range, 0.05))}
+        </div>
+        <div className="text-xs opacity-70">
+          A swipe turns once it travels the swipe distance, unless it is within the dead zone of a diagonal. The stick turns
+          past the press level and lets go below the release level.
+        </div>
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import React from 'react';
+import { afterEach, describe, expect, it } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import ControlsPanel from './ControlsPanel.jsx';
+import { DEFAULT_CONTROLS, getControls, setControls } from '../lib/input.js';
+
+describe('ControlsPanel', () => {
+  afterEach(() => {
+    setControls(DEFAULT_CONTROLS);
+  });
+
+  it('binds the next key pressed to the chosen slot', () => {
+    render(<ControlsPanel />);
+    fireEvent.click(screen.getByLabelText('Pause key 2'));
+    expect(screen.getByText('Press a key…')).toBeTruthy();
+    fireEvent.keyDown(window, { key: 'Q' });
+    expect(getControls().keys.pause).toEqual(['p', 'q']);
+    expect(screen.getByLabelText('Pause key 2').textContent).toBe('Q');
+  });
+
+  it('binds keys and gamepad buttons for each player', () => {
+    render(<ControlsPanel />);
+    fireEvent.click(screen.getByLabelText('Player 2 Up key'));
+    fireEvent.keyDown(window, { key: 'i' });
+    expect(getControls().versus[1].up).toEqual(['i']);
+    fireEvent.change(screen.getByLabelText('Confirm button'), { target: { value: 'x' } });
+    expect(getControls().pad.confirm).toEqual(['x']);
+    fireEvent.click(screen.getByText('Reset to Default'));
+    expect(getControls()).toEqual(DEFAULT_CONTROLS);
+  });
+});
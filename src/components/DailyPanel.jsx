@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { dailyKey, dailyStreak, dailySummary } from '../game/daily.js';
+
+// Daily challenge hub: today's attempt, streak, a month calendar of past results and a
+// copyable text summary (no server involved).
+
+const WEEKDAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+
+const statusStyle = {
+  cleared: 'bg-emerald-700',
+  failed: 'bg-rose-800',
+  playing: 'bg-amber-700'
+};
+
+export default function DailyPanel({ daily, onPlay, onClose }) {
+  const today = dailyKey();
+  const todayResult = daily.results[today];
+  const streak = dailyStreak(daily, today);
+  const [copied, setCopied] = useState(false);
+
+  const now = new Date();
+  const first = new Date(now.getFullYear(), now.getMonth(), 1);
+  const daysInMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+  const leading = (first.getDay() + 6) % 7; // Monday-first grid
+
+  const copySummary = () => {
+    if (!todayResult || !navigator.clipboard) return;
+    navigator.clipboard.writeText(dailySummary(todayResult, streak)).then(() => setCopied(true), () => {});
+  };
+
+  return (
+    <div className="w-full max-w-[900px] rounded-2xl border border-slate-700 bg-slate-800/60 p-4 text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <div className="font-semibold">Daily Challenge • {today}</div>
+        <button type="button" onClick={onClose} className="px-3 py-1 rounded-xl bg-slate-700 hover:bg-slate-600">
+          Close
+        </button>
+      </div>
+      <div className="grid gap-6 sm:grid-cols-2">
+        <div className="flex flex-col gap-2">
+          <div>
+            {todayResult
+              ? todayResult.status === 'playing'
+                ? "Today's scored attempt is in progress."
+                : `Today: ${todayResult.status} in ${todayResult.turns} turns, score ${todayResult.score}.`
+              : 'One scored attempt per day. Same board and spawns for everyone.'}
+          </div>
+          <div className="opacity-80">Streak: {streak} day{streak === 1 ? '' : 's'}</div>
+          <div className="flex flex-wrap gap-2">
+            <button
+              type="button"
+              onClick={onPlay}
+              className="px-4 py-2 rounded-2xl bg-emerald-700 text-slate-100 hover:bg-emerald-600 shadow-sm"
+            >
+              {todayResult ? 'Play again (unscored)' : "Play today's challenge"}
+            </button>
+            {todayResult && todayResult.status !== 'playing' && (
+              <button
+                type="button"
+                onClick={copySummary}
+                className="px-4 py-2 rounded-2xl bg-slate-700 text-slate-100 hover:bg-slate-600 shadow-sm"
+              >
+                {copied ? 'Copied!' : 'Copy summary'}
+              </button>
+            )}
+          </div>
+          {todayResult && todayResult.status !== 'playing' && (
+            <pre className="mt-1 p-2 rounded-md bg-slate-900 text-xs whitespace-pre-wrap">
+              {dailySummary(todayResult, streak)}
+            </pre>
+          )}
+        </div>
+        <div>
+          <div className="opacity-70 mb-1">
+            {now.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}
+          </div>
+          <div className="grid grid-cols-7 gap-1 text-center text-xs">
+            {WEEKDAYS.map((d) => (
+              <div key={d} className="opacity-50">
+                {d}
+              </div>
+            ))}
+            {Array.from({ length: leading }, (_, i) => (
+              <div key={`pad-${i}`} />
+            ))}
+            {Array.from({ length: daysInMonth }, (_, i) => {
+              const key = dailyKey(new Date(now.getFullYear(), now.getMonth(), i + 1));
+              const result = daily.results[key];
+              return (
+                <div
+                  key={key}
+                  title={result ? `${key}: ${result.status}` : key}
+                  className={`rounded py-1 ${result ? statusStyle[result.status] : 'bg-slate-900'} ${
+                    key === today ? 'ring-1 ring-slate-300' : ''
+                  }`}
+                >
+                  {i + 1}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
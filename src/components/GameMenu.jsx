@@ -0,0 +1,156 @@
+import React from 'react';
+import { FADE_PRESET_IDS, FADE_PRESET_LABELS } from '../game/fade.js';
+import { levelCount } from '../game/levels.js';
+import { PAUSE_ITEMS, PAUSE_LABELS } from '../lib/screens.js';
+import AudioControls from './AudioControls.jsx';
+import ControlsPanel from './ControlsPanel.jsx';
+import HowToPlay from './HowToPlay.jsx';
+import { PALETTE_IDS, PALETTE_LABELS } from './boardCanvas.js';
+
+// The menu screens drawn over the board: whichever of pause, settings, controls, help or
+// levelSelect is on top of the game screen's stack (../lib/screens.js). The game screen owns
+// the stack and keyboard / gamepad navigation; this only renders the top screen and reports
+// clicks. Clicks and drags stop here so they never reach the board underneath.
+
+const inputClass =
+  'px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-slate-100 text-sm focus:outline-none focus:ring-1 focus:ring-slate-500';
+const backClass = 'px-4 py-2 rounded-2xl bg-slate-700 text-slate-100 hover:bg-slate-600 shadow-sm text-sm';
+const itemClass = (highlighted) =>
+  `w-64 px-4 py-2 rounded-2xl shadow-sm ${highlighted ? 'bg-emerald-700 hover:bg-emerald-600' : 'bg-slate-800 hover:bg-slate-700'}`;
+
+const TITLES = {
+  pause: 'Paused',
+  settings: 'Settings',
+  controls: 'Controls',
+  help: 'How to Play',
+  levelSelect: 'Level Select'
+};
+
+export default function GameMenu({
+  screen,
+  campaign,
+  a11y,
+  fadePreset,
+  onChoose,
+  onUpdate,
+  onOpen,
+  onBack,
+  onPickLevel,
+  onA11yChange,
+  onFadeChange
+}) {
+  const back = (
+    <button type="button" onClick={onBack} className={backClass}>
+      Back
+    </button>
+  );
+
+  return (
+    <div
+      role="dialog"
+      aria-label={TITLES[screen.id]}
+      className="absolute inset-0 flex flex-col items-center bg-black/85 text-center p-4 gap-4 overflow-y-auto cursor-default"
+      onClick={(e) => e.stopPropagation()}
+      onPointerDown={(e) => e.stopPropagation()}
+    >
+      <div className="text-xl font-bold mt-auto">{TITLES[screen.id]}</div>
+
+      {screen.id === 'pause' && (
+        <div className="flex flex-col items-center gap-2">
+          {PAUSE_ITEMS.map((item, i) => (
+            <button
+              key={item}
+              type="button"
+              onClick={() => onChoose(item)}
+              onFocus={() => onUpdate({ index: i })}
+              className={itemClass(i === screen.index)}
+            >
+              {PAUSE_LABELS[item]}
+            </button>
+          ))}
+          <div className="text-xs opacity-60 mt-1">P or Esc resumes</div>
+        </div>
+      )}
+
+      {screen.id === 'settings' && (
+        <div className="flex flex-col items-center gap-4 text-sm">
+          <AudioControls />
+          <div className="flex flex-wrap justify-center items-center gap-3">
+            <label className="flex items-center gap-2">
+              Palette
+              <select value={a11y.palette} onChange={(e) => onA11yChange({ palette: e.target.value })} className={inputClass}>
+                {PALETTE_IDS.map((id) => (
+                  <option key={id} value={id}>
+                    {PALETTE_LABELS[id]}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={a11y.reducedMotion}
+                onChange={(e) => onA11yChange({ reducedMotion: e.target.checked })}
+                className="accent-emerald-500"
+              />
+              Reduced motion
+            </label>
+            <label className="flex items-center gap-2">
+              Fade preset
+              <select value={fadePreset} onChange={(e) => onFadeChange(e.target.value)} className={inputClass}>
+                {FADE_PRESET_IDS.map((f) => (
+                  <option key={f} value={f}>
+                    {FADE_PRESET_LABELS[f]}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <div className="text-xs opacity-60">The fade preset applies from the next run.</div>
+          <button type="button" onClick={() => onOpen({ id: 'controls' })} className={itemClass(false)}>
+            Controls…
+          </button>
+        </div>
+      )}
+
+      {screen.id === 'controls' && (
+        <div className="w-full text-left rounded-2xl overflow-hidden">
+          <ControlsPanel />
+        </div>
+      )}
+
+      {screen.id === 'help' && (
+        <HowToPlay
+          page={screen.page}
+          onPage={(page) => onUpdate({ page })}
+          palette={a11y.palette}
+          reducedMotion={a11y.reducedMotion}
+        />
+      )}
+
+      {screen.id === 'levelSelect' && (
+        <div className="flex flex-col items-center gap-3">
+          <div className="text-sm opacity-80">{campaign.name}</div>
+          <div className="grid grid-cols-5 gap-2">
+            {Array.from({ length: levelCount(campaign) }, (_, i) => (
+              <button
+                key={i}
+                type="button"
+                aria-label={`Level ${i + 1}`}
+                onClick={() => onPickLevel(i + 1)}
+                onFocus={() => onUpdate({ index: i })}
+                className={`w-12 h-12 rounded-xl font-mono shadow-sm ${
+                  i === screen.index ? 'bg-emerald-700 hover:bg-emerald-600' : 'bg-slate-800 hover:bg-slate-700'
+                }`}
+              >
+                {i + 1}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="mb-auto">{screen.id !== 'pause' && screen.id !== 'levelSelect' && back}</div>
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { POWERUP_KINDS, POWERUP_LABELS } from '../game/powerups.js';
+import { HELP_LABELS, HELP_PAGES, moveIndex } from '../lib/screens.js';
+import { POWERUP_STYLES, drawBackdrop, drawPowerUp, drawSnake, fitCanvas, getPalette } from './boardCanvas.js';
+
+// How to Play pages for the menu. The first two animate a demo snake on a small board: its
+// tail fading out behind it, then a Reveal pickup bringing the hidden part back as ghosts.
+// With reduced motion the demo holds one telling frame instead.
+
+const POWERUP_TEXT = {
+  reveal: 'Shows the whole tail as a ghost for as many turns as the snake is long.',
+  shrink: 'Drops the last 3 tail segments.',
+  phase: 'For 30 turns, the next bite of your own body passes through instead of costing a life.',
+  freeze: 'Hazards stop moving, pulsing, counting down and spawning for 15 turns.',
+  double: 'Fruit is worth 2 points for 20 turns.',
+  life: 'One more life, up to 9.'
+};
+
+const HAZARD_TEXT = [
+  ['Static', 'Red ◆ with !. Stays put for the rest of the board.'],
+  ['Timed', 'Orange ◆ with a number. Disappears once its counter runs out.'],
+  ['Pulse', 'Magenta block. On for 3 turns, off for 3, and safe to cross while off. Its outline flashes the turn before it switches on.'],
+  ['Patrol', 'Orange disc with an arrow. Moves a cell every turn and turns back when blocked.']
+];
+
+// ===== Demo board =====
+const DEMO_COLS = 8;
+const DEMO_ROWS = 6;
+const DEMO_LENGTH = 10;
+const DEMO_STEP_MS = 260;
+const DEMO_FADE = { visible: 2, length: 4, curve: 'linear', by: 'segments' };
+const REVEAL_AT = 6; // demo tick on which the head reaches the Reveal
+
+// A clockwise loop around the middle of the board
+const DEMO_PATH = [
+  ...[1, 2, 3, 4, 5, 6].map((x) => ({ x, y: 1 })),
+  ...[2, 3, 4].map((y) => ({ x: 6, y })),
+  ...[5, 4, 3, 2, 1].map((x) => ({ x, y: 4 })),
+  ...[3, 2].map((y) => ({ x: 1, y }))
+];
+const REVEAL_LOOP = 2 * DEMO_PATH.length;
+
+const pathAt = (i) => DEMO_PATH[((i % DEMO_PATH.length) + DEMO_PATH.length) % DEMO_PATH.length];
+
+// Snake, Reveal power-up and reveal flag for one tick of a page's demo
+function demoFrame(page, tick) {
+  const snake = Array.from({ length: DEMO_LENGTH }, (_, i) => pathAt(tick - i));
+  if (page !== 'reveal') return { snake, powerUp: null, reveal: false };
+  const t = tick % REVEAL_LOOP;
+  return {
+    snake,
+    powerUp: t < REVEAL_AT ? { ...pathAt(REVEAL_AT), kind: 'reveal', ttl: REVEAL_AT - t } : null,
+    reveal: t >= REVEAL_AT && t < REVEAL_AT + DEMO_LENGTH
+  };
+}
+
+function DemoBoard({ page, palette, reducedMotion }) {
+  const canvasRef = useRef(null);
+  const [tick, setTick] = useState(0);
+
+  useEffect(() => {
+    if (reducedMotion) return undefined;
+    const id = setInterval(() => setTick((t) => t + 1), DEMO_STEP_MS);
+    return () => clearInterval(id);
+  }, [reducedMotion]);
+
+  useEffect(() => {
+    const c = canvasRef.current;
+    if (!c) return;
+    const ctx = c.getContext('2d');
+    // The still frame for reduced motion is taken mid-reveal so the ghost tail shows
+    const t = reducedMotion ? REVEAL_AT + 2 : tick;
+    const { snake, powerUp, reveal } = demoFrame(page, t);
+    const pal = getPalette(palette);
+    const pulse = reducedMotion ? 0.5 : t % 2 ? 1 : 0.3;
+    const view = fitCanvas(c, ctx, DEMO_COLS, DEMO_ROWS);
+    drawBackdrop(ctx, view, DEMO_COLS, DEMO_ROWS, { palette: pal, scanlines: !reducedMotion });
+    if (powerUp) drawPowerUp(ctx, view, powerUp, pulse);
+    drawSnake(ctx, view, snake, DEMO_FADE, { reveal, pulse, colors: pal.snake, eye: pal.shapes });
+  }, [tick, page, palette, reducedMotion]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      aria-hidden="true"
+      style={{ width: 'min(60vmin, 320px)', height: 'min(45vmin, 240px)' }}
+      className="rounded-xl border border-slate-700"
+    />
+  );
+}
+
+// Props: `page` indexes HELP_PAGES, `onPage(index)` turns pages
+export default function HowToPlay({ page, onPage, palette, reducedMotion }) {
+  const id = HELP_PAGES[page];
+  return (
+    <div className="flex flex-col items-center gap-3 max-w-md text-sm">
+      <div className="text-lg font-bold">{HELP_LABELS[id]}</div>
+      {id === 'tail' && (
+        <>
+          <DemoBoard page={id} palette={palette} reducedMotion={reducedMotion} />
+          <p className="opacity-90">
+            Only the segments just behind the head are drawn. The rest of the tail is still there, and biting it costs a life
+            all the same, so remember where you have been. The fade preset in Settings sets how much shows for the next run.
+          </p>
+        </>
+      )}
+      {id === 'reveal' && (
+        <>
+          <DemoBoard page={id} palette={palette} reducedMotion={reducedMotion} />
+          <p className="opacity-90">
+            Pick up a Reveal ({POWERUP_STYLES.reveal.glyph}) and the hidden tail shows as pulsing ghosts for as many turns as
+            the snake is long. Use them to plan a way out before it fades again.
+          </p>
+        </>
+      )}
+      {id === 'powerups' && (
+        <ul className="flex flex-col gap-2 text-left">
+          {POWERUP_KINDS.map((kind) => (
+            <li key={kind}>
+              <span className="font-semibold">
+                {POWERUP_LABELS[kind]} {POWERUP_STYLES[kind].glyph}
+              </span>{' '}
+              <span className="opacity-90">{POWERUP_TEXT[kind]}</span>
+            </li>
+          ))}
+          <li className="opacity-70 text-xs">The number in a power-up's corner is how many turns it stays on the board.</li>
+        </ul>
+      )}
+      {id === 'hazards' && (
+        <ul className="flex flex-col gap-2 text-left">
+          {HAZARD_TEXT.map(([name, text]) => (
+            <li key={name}>
+              <span className="font-semibold">{name}</span> <span className="opacity-90">{text}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex items-center gap-3">
+        <button
+          type="button"
+          onClick={() => onPage(moveIndex(page, HELP_PAGES.length, -1))}
+          className="px-3 py-1 rounded-xl bg-slate-800 hover:bg-slate-700 shadow-sm"
+        >
+          ← Prev
+        </button>
+        <span className="text-xs opacity-70">
+          {page + 1} / {HELP_PAGES.length}
+        </span>
+        <button
+          type="button"
+          onClick={() => onPage(moveIndex(page, HELP_PAGES.length, 1))}
+          className="px-3 py-1 rounded-xl bg-slate-800 hover:bg-slate-700 shadow-sm"
+        >
+          Next →
+        </button>
+      </div>
+    </div>
+  );
+}
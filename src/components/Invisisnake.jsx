@@ -1,498 +1,745 @@
 import React, { useEffect, useRef, useState } from 'react';
+import { DIRS } from '../game/grid.js';
+import { createGame, nextLevel as advanceLevel, retryLevel, step } from '../game/engine.js';
+import { DEFAULT_CAMPAIGN, clampLevel, getCampaign, levelCount, listCampaigns } from '../game/levels.js';
+import { EFFECT_KINDS, POWERUP_LABELS } from '../game/powerups.js';
+import { MODES, MODE_LABELS, queueDir, takeDir, tickMs } from '../game/realtime.js';
+import { BOT_KINDS, BOT_LABELS, createBot, visibleState } from '../game/bots.js';
+import { DEFAULT_FADE_PRESET, FADE_PRESET_IDS, FADE_PRESET_LABELS, resolveFade } from '../game/fade.js';
+import { narrateTurn } from '../game/narrate.js';
+import { EDGES } from '../game/board.js';
+import { createRng, parseSeed, randomSeed } from '../game/rng.js';
+import { createHistory, popHistory, pushHistory } from '../game/history.js';
+import {
+  buildFrames,
+  createRecording,
+  parseReplay,
+  recordContinue,
+  recordMove,
+  serializeReplay
+} from '../game/replay.js';
+import { normalizeRecords, recordLevelClear, recordRun } from '../game/records.js';
+import { createSave, migrateSave } from '../game/save.js';
+import { STATS_KEY, emptyStats, mergeStats, normalizeStats, recordStep } from '../game/stats.js';
+import { dailyCampaign, dailyKey, dailyStreak, dailySummary, emptyDaily, recordDaily } from '../game/daily.js';
+import { loadJSON, removeKey, saveJSON } from '../lib/storage.js';
+import { getAudio } from '../lib/audio.js';
+import { createSequencer, musicMood, trackForLevel } from '../lib/music.js';
+import { ACTION_DIRS, actionForKey, getControls } from '../lib/input.js';
+import {
+  HELP_PAGES,
+  PAUSE_ITEMS,
+  findScreen,
+  isMenuOpen,
+  levelEndKind,
+  moveIndex,
+  popScreen,
+  pushScreen,
+  pushUnder,
+  removeScreen,
+  topScreen,
+  updateTop
+} from '../lib/screens.js';
+import ReplayControls from './ReplayControls.jsx';
+import RecordsPanel from './RecordsPanel.jsx';
+import DailyPanel from './DailyPanel.jsx';
+import GameMenu from './GameMenu.jsx';
+import useChiptune from './useChiptune.js';
+import { useGamepad, useSwipe } from './useControls.js';
+import { updateA11y, useA11y } from './useA11y.js';
+import {
+  POWERUP_STYLES,
+  drawBackdrop,
+  drawCrashRing,
+  drawFruit,
+  drawHazard,
+  drawParticles,
+  drawPowerUp,
+  drawSnake,
+  drawStatics,
+  fitCanvas,
+  getPalette,
+  spawnBurst
+} from './boardCanvas.js';
 
 // Invisisnake — Turn-based Snake with Fading Tail, Levels, Power-Ups, Hazards, Lives, Retro FX
+// Rules live in ../game/engine.js; this component renders engine state and turns step events
+// into sound and particles.
 // Full game with fixes:
 // - Fix: no undefined 'blip' usage. Replaced with playPickupSweep() from audio hook.
 // - Fix: power-up always moves head into the cell (logic order preserved) and never respawns on the same turn it is picked up.
-// - Fix: power-ups do not spawn while a reveal buff is active, including the same tick as pickup.
+// - Fix: power-ups do not spawn while a timed power-up effect is active, including the same tick as pickup.
 // - All previous features intact (overlays after 1s, win threshold, level picker, scaled FX, jingles, fruit SFX).
 
 // ===== Constants =====
 const OVERLAY_DELAY_MS = 1000;
-const POWERUP_MIN_LEVEL = 2;
-const POWERUP_CHANCE_PER_TURN = 0.25;
-const HAZARD_MIN_LEVEL = 3;
-const HAZARD_CHANCE_PER_TURN = 0.12;
-
-const DIRS = {
-  UP: { x: 0, y: -1, key: 'ArrowUp' },
-  DOWN: { x: 0, y: 1, key: 'ArrowDown' },
-  LEFT: { x: -1, y: 0, key: 'ArrowLeft' },
-  RIGHT: { x: 1, y: 0, key: 'ArrowRight' }
+const REPLAY_STEP_MS = 220; // 1x playback speed
+const REPLAY_TAIL_TURNS = 20; // "watch" starts this many inputs before the end
+const AUTOPILOT_STEP_MS = 120; // autopilot speed in turn-based mode
+const AUTOPILOT_CONTINUE_MS = 1500; // how long the autopilot leaves an overlay up
+const PRACTICE_HISTORY = 100; // turns Practice mode can rewind
+const RECORDS_KEY = 'invisisnake.records.v1';
+const SAVE_KEY = 'invisisnake.save';
+const DAILY_KEY = 'invisisnake.daily';
+
+// ?seed=<number|text> pins the run seed, e.g. to replay a bug report
+const urlSeedParam = () => {
+  if (typeof window === 'undefined') return '';
+  return new URLSearchParams(window.location.search).get('seed') ?? '';
 };
 
-const isOpposite = (a, b) => a.x + b.x === 0 && a.y + b.y === 0;
-const posEq = (a, b) => a.x === b.x && a.y === b.y;
-const sizeForLevel = (lvl) => Math.max(3, 2 + lvl);
-const wrapCoord = (v, max) => (v < 0 ? max - 1 : v >= max ? 0 : v);
-
-function placeFreeCell(excludedSet, cols, rows) {
-  const total = cols * rows;
-  if (excludedSet.size >= total) return null;
-  for (let i = 0; i < 128; i++) {
-    const x = Math.floor(Math.random() * cols);
-    const y = Math.floor(Math.random() * rows);
-    if (!excludedSet.has(`${x},${y}`)) return { x, y };
-  }
-  for (let y = 0; y < rows; y++) {
-    for (let x = 0; x < cols; x++) {
-      if (!excludedSet.has(`${x},${y}`)) return { x, y };
-    }
-  }
-  return null;
-}
+// ===== Component =====
+// Props: `active` is false while another screen (the level editor) is showing, so keys are
+// left alone; `playtest` ({ campaign }) starts that campaign whenever a new one arrives.
+export default function Invisisnake({ active = true, playtest = null }) {
+  const canvasRef = useRef(null);
+
+  // Level picker UI (blank seed = random per run)
+  const [campaignId, setCampaignId] = useState(DEFAULT_CAMPAIGN.id);
+  const campaign = getCampaign(campaignId) ?? DEFAULT_CAMPAIGN;
+  const [selectedLevel, setSelectedLevel] = useState(1);
+  const [selectedLevelInput, setSelectedLevelInput] = useState('1');
+  const [seedInput, setSeedInput] = useState(urlSeedParam);
+  const [practiceInput, setPracticeInput] = useState(false);
+  const [modeInput, setModeInput] = useState('turns');
+  const [fadeInput, setFadeInput] = useState(DEFAULT_FADE_PRESET);
+
+  // Accessibility: board palette and reduced motion, shared with the other boards (see
+  // useA11y.js). `narration` feeds the screen-reader live region under the board.
+  const a11y = useA11y();
+  const a11yRef = useRef(a11y);
+  a11yRef.current = a11y;
+  const [narration, setNarration] = useState('');
+
+  // Engine state (immutable snapshots from ../game/engine.js)
+  const [game, setGame] = useState(() => createGame({ seed: parseSeed(seedInput) ?? randomSeed() }));
+  const gameRef = useRef(game);
+
+  // Screen stack (../lib/screens.js): the resume offer, the level-end overlay and the pause
+  // menu with its pages. An autosaved run found on load opens on the resume screen. The ref
+  // is updated eagerly, like gameRef, so handlers never act on a stale stack.
+  const [screens, setScreens] = useState(() => {
+    const save = migrateSave(loadJSON(SAVE_KEY, null));
+    return save ? [{ id: 'resume', save }] : [];
+  });
+  const screensRef = useRef(screens);
+  const updateScreens = (fn) => {
+    const next = fn(screensRef.current);
+    screensRef.current = next;
+    setScreens(next);
+  };
+  const top = topScreen(screens);
+  const resumeOffer = findScreen(screens, 'resume')?.save ?? null;
+  // A menu holds real-time play and the autopilot still
+  const paused = isMenuOpen(screens);
+
+  // FX refs
+  const particlesRef = useRef([]); // {x,y,vx,vy,life,color,size}
+  const flashRef = useRef(0);
+  // Separate stream for cosmetic FX so particles never shift the game's spawn sequence
+  const fxRngRef = useRef(createRng(game.seed));
+
+  // Replay: the current run is being recorded (null for a run resumed from a save that lost
+  // its recording, see continueRun); `replay` is set while watching one
+  const recordingRef = useRef(createRecording({ seed: game.seed, level: game.level }));
+  const [replay, setReplay] = useState(null); // { rec, frames, index, playing, speed }
+  const replayRef = useRef(replay);
+  useEffect(() => {
+    replayRef.current = replay;
+  }, [replay]);
+  const [replayError, setReplayError] = useState('');
+
+  // Real-time mode: turns pressed between ticks wait here
+  const queueRef = useRef([]);
+
+  // Autopilot: a bot (../game/bots.js) steers instead of the player and moves on from the
+  // end-of-board overlays by itself. A run the bot has played is never ranked, and it is
+  // not available for the scored daily attempt.
+  const [autopilot, setAutopilot] = useState(false);
+  const [botKind, setBotKind] = useState('memory');
+  const botRef = useRef(createBot(botKind));
+  const botRunRef = useRef(false);
+
+  // Practice: snapshots of the current board ({ state, moves }) for Backspace rewinds
+  const historyRef = useRef(createHistory(PRACTICE_HISTORY));
+  const [rewinds, setRewinds] = useState(0); // per run
+
+  // Leaderboard (localStorage) + the "new record" callout for the current overlay
+  const [records, setRecords] = useState(() => normalizeRecords(loadJSON(RECORDS_KEY, null)));
+  const [showRecords, setShowRecords] = useState(false);
+  const [recordNote, setRecordNote] = useState('');
+
+  // Daily challenge results (localStorage); dailyDone is set when today's scored attempt ends
+  const [daily, setDaily] = useState(() => loadJSON(DAILY_KEY, null) ?? emptyDaily());
+  const dailyRef = useRef(daily);
+  const [showDaily, setShowDaily] = useState(false);
+  const [dailyDone, setDailyDone] = useState(null);
 
-// ===== Chiptune Audio =====
-function useChiptune() {
-  const ctxRef = useRef(null);
-  const ensure = () => {
-    if (!ctxRef.current) ctxRef.current = new (window.AudioContext || window.webkitAudioContext)();
-    return ctxRef.current;
-  };
-
-  const tone = (freq = 440, dur = 0.08, type = 'square', gainPeak = 0.24, when = 0) => {
-    const ctx = ensure();
-    const t0 = ctx.currentTime + when;
-    const osc = ctx.createOscillator();
-    const g = ctx.createGain();
-    osc.type = type;
-    osc.frequency.setValueAtTime(freq, t0);
-    g.gain.setValueAtTime(0.0001, t0);
-    g.gain.linearRampToValueAtTime(gainPeak, t0 + 0.01);
-    g.gain.exponentialRampToValueAtTime(0.0001, t0 + dur);
-    osc.connect(g).connect(ctx.destination);
-    osc.start(t0);
-    osc.stop(t0 + dur + 0.02);
-  };
-
-  const seq = (baseHz, steps, stepMs = 110) => {
-    let when = 0;
-    steps.forEach(([st, dur = 0.09, type = 'square', gain = 0.24]) => {
-      const freq = baseHz * Math.pow(2, st / 12);
-      tone(freq, dur, type, gain, when / 1000);
-      when += stepMs;
+  useEffect(() => {
+    // Unreadable or outdated saves are dropped rather than offered
+    if (!resumeOffer) removeKey(SAVE_KEY);
+  }, []);
+
+  // Audio
+  const { playMove, playFruit, playWin, playLifeLost, playGameOver, playPowerUp, playPhase } = useChiptune();
+
+  const { level, lives, snake, status } = game;
+  const solidEdges = EDGES.filter((edge) => !game.def.wrap[edge]);
+  const activeEffects = EFFECT_KINDS.filter((k) => game.effects[k] > 0);
+  // Every change to the recording comes with a new board, so the render sees it
+  const canReplay = !!recordingRef.current;
+
+  // Swap in a new engine state; the ref is updated eagerly so handlers never see a stale board
+  // Every committed state is autosaved; a finished run clears the save.
+  const commitGame = (next) => {
+    gameRef.current = next;
+    setGame(next);
+    if (next.status === 'lost' && next.lives === 0) removeKey(SAVE_KEY);
+    else saveJSON(SAVE_KEY, createSave(next, recordingRef.current));
+  };
+
+  // Reset helpers
+  const startBoard = (next) => {
+    commitGame(next);
+    updateScreens(() => []);
+    particlesRef.current = [];
+    flashRef.current = 0;
+    fxRngRef.current = createRng(next.rng);
+    setNarration(narrateTurn(next));
+    historyRef.current = createHistory(PRACTICE_HISTORY);
+    queueRef.current = [];
+    setRecordNote('');
+    setDailyDone(null);
+  };
+
+  const saveDaily = (next) => {
+    dailyRef.current = next;
+    setDaily(next);
+    saveJSON(DAILY_KEY, next);
+  };
+
+  // Lifetime stats for the Stats tab, tallied in memory and added to the stored ones when a
+  // board ends, the screen is left or the page is hidden. Autopilot boards are the bot's
+  // play, and Practice turns can be rewound and played again, so neither counts. Only the
+  // built-in campaigns get per-level clear rates.
+  const statsRef = useRef(emptyStats());
+  const saveStats = () => {
+    if (!statsRef.current.turns) return;
+    saveJSON(STATS_KEY, mergeStats(normalizeStats(loadJSON(STATS_KEY, null)), statsRef.current));
+    statsRef.current = emptyStats();
+  };
+  const noteStats = (prev, next, events) => {
+    if (botRunRef.current || prev.practice) return;
+    const levels = !!getCampaign(prev.campaign.id);
+    statsRef.current = recordStep(statsRef.current, { prev, next, events, levels });
+    if (next.status !== 'playing') saveStats();
+  };
+
+  // Only the day's scored attempt writes a result, and only once
+  const noteDailyEnd = (s, status) => {
+    const { campaign: camp } = s;
+    if (camp.id !== 'daily' || !camp.scored) return;
+    if (dailyRef.current.results[camp.date]?.status !== 'playing') return;
+    const result = { status, turns: s.runTurns, score: s.runScore, lives: s.lives };
+    const next = recordDaily(dailyRef.current, camp.date, result);
+    saveDaily(next);
+    setDailyDone(dailySummary(next.results[camp.date], dailyStreak(next, camp.date)));
+  };
+
+  const saveRecords = (next) => {
+    setRecords(next);
+    saveJSON(RECORDS_KEY, next);
+  };
+
+  // Practice runs, autopilot runs and unregistered campaigns (editor play-tests) never touch
+  // the leaderboard
+  const isRanked = (s) => !s.practice && !botRunRef.current && !!getCampaign(s.campaign.id);
+
+  const noteLevelClear = (s) => {
+    if (!isRanked(s)) return;
+    const res = recordLevelClear(records, {
+      campaign: s.campaign.id,
+      level: s.level,
+      score: s.score,
+      turns: s.turn,
+      lives: s.lives,
+      mode: s.mode
     });
+    saveRecords(res.records);
+    const labels = { score: 'best score', turns: 'fewest turns', lives: 'most lives' };
+    if (res.improved.length) setRecordNote(`New record: ${res.improved.map((k) => labels[k]).join(', ')}!`);
   };
 
-  // Movement tick
-  const playMove = () => tone(220, 0.045, 'square', 0.2, 0);
+  const noteRunOver = (s) => {
+    if (!isRanked(s)) return;
+    const run = {
+      date: new Date().toISOString(),
+      seed: s.seed,
+      campaign: s.campaign.id,
+      level: s.level,
+      score: s.runScore,
+      mode: s.mode,
+      fade: s.fadePreset
+    };
+    const res = recordRun(records, run);
+    saveRecords(res.records);
+    if (res.rank) setRecordNote(`New record: #${res.rank} campaign run!`);
+  };
 
-  // Fruit collection SFX — quick arpeggio
-  const playFruit = () => {
-    const base = 330;
-    [0, 4, 7].forEach((st, i) => tone(base * Math.pow(2, st / 12), 0.07, 'square', 0.22, i * 0.05));
+  // A campaign can pin its seed and fade preset (the daily challenge does); scored dailies
+  // are never practice
+  const applyLevel = (lvl, camp = campaign) => {
+    const next = createGame({
+      campaign: camp,
+      level: lvl,
+      seed: camp.seed ?? parseSeed(seedInput) ?? randomSeed(),
+      practice: camp.scored ? false : practiceInput,
+      mode: modeInput,
+      fadePreset: camp.fadePreset ?? fadeInput
+    });
+    recordingRef.current = createRecording({
+      seed: next.seed,
+      campaign: next.campaign,
+      level: next.level,
+      lives: next.lives,
+      practice: next.practice,
+      mode: next.mode,
+      fadePreset: next.fadePreset
+    });
+    setRewinds(0);
+    botRunRef.current = autopilot && !camp.scored;
+    startBoard(next);
   };
 
-  // 8-note happy jingle (C maj up & resolve)
-  const playWin = () => {
-    const C5 = 523.25;
-    const steps = [0, 4, 7, 11, 12, 16, 19, 24].map((st) => [st, 0.095, 'square', 0.28]);
-    seq(C5, steps, 95);
+  const resetLevelOne = () => applyLevel(1, gameRef.current.campaign);
+
+  const playDaily = () => {
+    const key = dailyKey();
+    const scored = !dailyRef.current.results[key];
+    if (scored) saveDaily(recordDaily(dailyRef.current, key, { status: 'playing', turns: 0, score: 0, lives: 0 }));
+    setShowDaily(false);
+    if (scored) setAutopilot(false);
+    applyLevel(1, dailyCampaign(key, scored));
   };
 
-  // 8-note sad jingle (descending minor)
-  const playLifeLost = () => {
-    const A4 = 440;
-    const steps = [0, -2, -3, -5, -7, -9, -11, -12].map((st) => [st, 0.11, 'triangle', 0.22]);
-    seq(A4, steps, 120);
+  const retry = () => {
+    if (recordingRef.current) recordingRef.current = recordContinue(recordingRef.current);
+    startBoard(retryLevel(gameRef.current));
   };
 
-  // 10-note sadder jingle (game over)
-  const playGameOver = () => {
-    const A4 = 440;
-    const pattern = [0, -3, -5, -7, -8, -10, -12, -15, -17, -19];
-    const steps = pattern.map((st) => [st, 0.14, 'triangle', 0.26]);
-    seq(A4, steps, 140);
+  const nextLevel = () => {
+    if (recordingRef.current) recordingRef.current = recordContinue(recordingRef.current);
+    startBoard(advanceLevel(gameRef.current));
   };
 
-  // Small celebratory sweep used on power-up pickup
-  const playPickupSweep = () => {
-    const base = 330;
-    [0, 5, 7, 12].forEach((st, i) => tone(base * Math.pow(2, st / 12), 0.07, 'square', 0.22, i * 0.06));
+  // Particle burst on a board cell (none with reduced motion)
+  const burstAtCell = (cellPos, color, intensity) => {
+    if (!canvasRef.current || a11yRef.current.reducedMotion) return;
+    spawnBurst(particlesRef.current, canvasRef.current, gameRef.current, cellPos, color, intensity, fxRngRef.current);
   };
 
-  return { playMove, playFruit, playWin, playLifeLost, playGameOver, playPickupSweep };
-}
+  // The level-end screen goes under any open menu, so it is waiting once the menu closes
+  const showLevelEnd = () => {
+    const kind = levelEndKind(gameRef.current);
+    if (kind) updateScreens((st) => pushUnder(st, { id: 'levelEnd', kind }));
+  };
 
-// ===== Component =====
-export default function Invisisnake() {
-  const canvasRef = useRef(null);
+  // Overlays appear after a short beat so the crash or final move can be seen
+  const showOverlayLater = () => {
+    updateScreens((st) => removeScreen(st, 'levelEnd'));
+    setTimeout(showLevelEnd, OVERLAY_DELAY_MS);
+  };
 
-  // Level + board
-  const [level, setLevel] = useState(1);
-  const [cols, setCols] = useState(sizeForLevel(1));
-  const [rows, setRows] = useState(sizeForLevel(1));
+  // Step events -> sound + FX
+  const handleEvents = (events) => {
+    events.forEach((ev) => {
+      switch (ev.type) {
+        case 'moved':
+          playMove();
+          break;
+        case 'fruitEaten':
+          playFruit();
+          burstAtCell(ev.pos, '#22c55e', 1.0);
+          break;
+        case 'powerUpPicked':
+          playPowerUp(ev.kind);
+          burstAtCell(ev.pos, POWERUP_STYLES[ev.kind]?.fill ?? '#f59e0b', 0.8);
+          break;
+        case 'hazardExpired':
+          burstAtCell(ev.pos, '#fb923c', 0.5);
+          break;
+        case 'phased':
+          playPhase();
+          burstAtCell(ev.pos, POWERUP_STYLES.phase.fill, 0.6);
+          break;
+        case 'lifeLost':
+          if (ev.livesLeft > 0) {
+            playLifeLost();
+          } else {
+            playGameOver();
+            setSelectedLevel(1);
+            setSelectedLevelInput('1');
+            noteRunOver(gameRef.current);
+            noteDailyEnd(gameRef.current, 'failed');
+          }
+          burstAtCell(ev.pos, '#f43f5e', 1.2);
+          showOverlayLater();
+          break;
+        case 'levelCleared':
+          playWin();
+          noteLevelClear(gameRef.current);
+          noteDailyEnd(gameRef.current, 'cleared');
+          showOverlayLater();
+          break;
+        default:
+          break;
+      }
+    });
+  };
 
-  // Level picker UI
-  const [selectedLevel, setSelectedLevel] = useState(1);
-  const [selectedLevelInput, setSelectedLevelInput] = useState('1');
+  // One move step
+  const doStep = (nextDir) => {
+    if (replayRef.current || findScreen(screensRef.current, 'resume')) return;
+    const prev = gameRef.current;
+    const { state: next, events } = step(prev, nextDir);
+    // Rejected inputs (a reverse into the neck, or any once the board is over) never happened
+    if (next === prev) return;
+    const prevMoves = recordingRef.current?.moves;
+    if (recordingRef.current) recordingRef.current = recordMove(recordingRef.current, nextDir);
+    if (prev.practice) historyRef.current = pushHistory(historyRef.current, { state: prev, moves: prevMoves });
+    commitGame(next);
+    noteStats(prev, next, events);
+    setNarration(narrateTurn(next, events));
+    handleEvents(events);
+  };
 
-  // Lives
-  const [lives, setLives] = useState(3);
+  // The tick loop outlives renders, so it calls the latest doStep through a ref
+  const doStepRef = useRef(doStep);
+  doStepRef.current = doStep;
+
+  // Direction input from keys or the D-pad. In real-time mode the first press starts the
+  // board moving; later presses are queued for the coming ticks.
+  const pressDir = (dir) => {
+    if (autopilot || isMenuOpen(screensRef.current)) return null;
+    const g = gameRef.current;
+    if (g.mode !== 'realtime') return doStep(dir);
+    if (g.status !== 'playing') return null;
+    if (g.turn === 0 && !queueRef.current.length) return doStep(dir);
+    queueRef.current = queueDir(queueRef.current, dir, g.dir, g.snake.length === 1);
+    return null;
+  };
 
-  // Core state
-  const centerCell = (c, r) => ({ x: Math.floor(c / 2), y: Math.floor(r / 2) });
-  const [snake, setSnake] = useState(() => [centerCell(cols, rows)]);
-  const [dir, setDir] = useState(DIRS.RIGHT);
-  const [fruit, setFruit] = useState(() => {
-    const occ = new Set([`${Math.floor(cols / 2)},${Math.floor(rows / 2)}`]);
-    return placeFreeCell(occ, cols, rows) ?? { x: 0, y: 0 };
-  });
-  const [score, setScore] = useState(0);
-  const [gameOver, setGameOver] = useState(false);
-  const [won, setWon] = useState(false);
-  const [crashPos, setCrashPos] = useState(null);
-  const [showOverlay, setShowOverlay] = useState(false);
-  const [overlayMode, setOverlayMode] = useState(null); // 'retry' | 'reset' | 'win'
+  const toggleAutopilot = () => {
+    if (!autopilot) {
+      botRef.current = createBot(botKind);
+      botRunRef.current = true;
+    }
+    queueRef.current = [];
+    setAutopilot(!autopilot);
+  };
 
-  // Power-up
-  const [powerUp, setPowerUp] = useState(null); // {x,y,ttl}
-  const [revealTurns, setRevealTurns] = useState(0);
+  const changeBot = (kind) => {
+    botRef.current = createBot(kind);
+    setBotKind(kind);
+  };
 
-  // Hazards
-  const [hazards, setHazards] = useState([]);
+  // ===== Menu =====
+  const openMenu = () => {
+    if (isMenuOpen(screensRef.current)) return;
+    queueRef.current = [];
+    updateScreens((st) => pushScreen(st, { id: 'pause', index: 0 }));
+  };
 
-  // FX refs
-  const particlesRef = useRef([]); // {x,y,vx,vy,life,color,size}
-  const flashRef = useRef(0);
+  const closeMenu = () => updateScreens((st) => st.filter((sc) => !isMenuOpen([sc])));
 
-  // Snapshots
-  const snakeRef = useRef(snake);
-  const fruitRef = useRef(fruit);
-  const gameOverRef = useRef(gameOver);
-  const wonRef = useRef(won);
-  const crashPosRef = useRef(crashPos);
-  const showOverlayRef = useRef(showOverlay);
-  const colsRef = useRef(cols);
-  const rowsRef = useRef(rows);
-  const powerUpRef = useRef(powerUp);
-  const revealTurnsRef = useRef(revealTurns);
-  const livesRef = useRef(lives);
-  const overlayModeRef = useRef(overlayMode);
-  const hazardsRef = useRef(hazards);
+  const openScreen = (screen) => updateScreens((st) => pushScreen(st, screen));
 
-  useEffect(() => {
-    snakeRef.current = snake;
-  }, [snake]);
-  useEffect(() => {
-    fruitRef.current = fruit;
-  }, [fruit]);
-  useEffect(() => {
-    gameOverRef.current = gameOver;
-  }, [gameOver]);
-  useEffect(() => {
-    wonRef.current = won;
-  }, [won]);
-  useEffect(() => {
-    crashPosRef.current = crashPos;
-  }, [crashPos]);
-  useEffect(() => {
-    showOverlayRef.current = showOverlay;
-  }, [showOverlay]);
-  useEffect(() => {
-    colsRef.current = cols;
-    rowsRef.current = rows;
-  }, [cols, rows]);
-  useEffect(() => {
-    powerUpRef.current = powerUp;
-  }, [powerUp]);
-  useEffect(() => {
-    revealTurnsRef.current = revealTurns;
-  }, [revealTurns]);
-  useEffect(() => {
-    livesRef.current = lives;
-  }, [lives]);
-  useEffect(() => {
-    overlayModeRef.current = overlayMode;
-  }, [overlayMode]);
-  useEffect(() => {
-    hazardsRef.current = hazards;
-  }, [hazards]);
+  const backScreen = () => updateScreens(popScreen);
 
-  // Audio
-  const { playMove, playFruit, playWin, playLifeLost, playGameOver, playPickupSweep } = useChiptune();
+  // Quitting drops the run and its autosave; the board stays frozen under the level list
+  // until a level is picked
+  const quitToLevelSelect = () => {
+    removeKey(SAVE_KEY);
+    setAutopilot(false);
+    updateScreens(() => [{ id: 'levelSelect', index: selectedLevel - 1 }]);
+  };
 
-  const baselineAlpha = (index1) => {
-    if (index1 <= 3) return 1;
-    if (index1 >= 10) return 0;
-    return 1 - (index1 - 3) / 7;
+  const pickLevel = (lvl) => {
+    setSelectedLevel(lvl);
+    setSelectedLevelInput(String(lvl));
+    applyLevel(lvl);
   };
 
-  // Reset helpers
-  const resetBoard = (c, r) => {
-    const start = centerCell(c, r);
-    const startSnake = [start];
-    setSnake(startSnake);
-    setDir(DIRS.RIGHT);
-    const occ = new Set([`${start.x},${start.y}`]);
-    setFruit(placeFreeCell(occ, c, r) ?? { x: 0, y: 0 });
-    setScore(0);
-    setGameOver(false);
-    setWon(false);
-    setCrashPos(null);
-    setShowOverlay(false);
-    setOverlayMode(null);
-    setPowerUp(null);
-    setRevealTurns(0);
-    setHazards([]);
-    particlesRef.current = [];
-    flashRef.current = 0;
+  const choosePauseItem = (item) => {
+    if (item === 'resume') return closeMenu();
+    if (item === 'quit') return quitToLevelSelect();
+    return openScreen(item === 'help' ? { id: 'help', page: 0 } : { id: item });
   };
 
-  const applyLevel = (lvl) => {
-    const clamped = Math.max(1, Math.min(10, Math.floor(Number(lvl) || 1)));
-    const s = sizeForLevel(clamped);
-    setLevel(clamped);
-    setCols(s);
-    setRows(s);
-    setSelectedLevel(clamped);
-    setSelectedLevelInput(String(clamped));
-    setLives(3);
-    setTimeout(() => resetBoard(s, s), 0);
+  // ===== Resume =====
+  // A save without its recording (dropped after a rules change) resumes without replays: a
+  // recording started here would replay from the start of the level, not from this board.
+  const continueRun = () => {
+    const save = findScreen(screensRef.current, 'resume')?.save;
+    if (!save) return;
+    recordingRef.current = save.recording ?? null;
+    setRewinds(0);
+    botRunRef.current = autopilot;
+    startBoard(save.game);
+    if (save.game.status !== 'playing') showLevelEnd();
+    else if (save.game.mode === 'realtime') openMenu();
   };
 
-  const resetLevelOne = () => applyLevel(1);
+  const declineResume = () => {
+    updateScreens((st) => removeScreen(st, 'resume'));
+    removeKey(SAVE_KEY);
+  };
 
-  const nextLevel = () => {
-    const next = Math.max(1, Math.min(10, level + 1));
-    const s = sizeForLevel(next);
-    setLevel(next);
-    setCols(s);
-    setRows(s);
-    setSelectedLevel(next);
-    setSelectedLevelInput(String(next));
-    setTimeout(() => resetBoard(s, s), 0);
-  };
-
-  // Particles (scaled)
-  const spawnBurst = (cx, cy, color, cellSize, intensity = 1) => {
-    const arr = particlesRef.current;
-    const baseCount = Math.max(10, Math.floor(cellSize * 0.6));
-    const count = Math.min(64, Math.floor(baseCount * intensity));
-    const speed = cellSize * (0.08 + 0.04 * Math.random()) * intensity;
-    for (let i = 0; i < count; i++) {
-      const a = Math.random() * Math.PI * 2;
-      const v = speed * (0.6 + Math.random() * 0.8);
-      arr.push({
-        x: cx,
-        y: cy,
-        vx: Math.cos(a) * v,
-        vy: Math.sin(a) * v,
-        life: 1,
-        color,
-        size: Math.max(2, Math.floor(cellSize * 0.14))
-      });
-    }
+  // Practice rewind: restores the whole snapshot, rng included, so later spawns match
+  const rewind = () => {
+    if (replayRef.current || !gameRef.current.practice) return;
+    const { history, entry } = popHistory(historyRef.current);
+    if (!entry) return;
+    historyRef.current = history;
+    if (recordingRef.current) recordingRef.current = { ...recordingRef.current, moves: entry.moves };
+    commitGame(entry.state);
+    setNarration(narrateTurn(entry.state));
+    updateScreens((st) => removeScreen(st, 'levelEnd'));
+    setRewinds((n) => n + 1);
+    // Give the player a moment to find the snake again before the clock restarts
+    if (entry.state.mode === 'realtime') openMenu();
   };
 
-  // Spawns (note: accepts block flag to suppress spawning on pickup frame)
-  const maybeSpawnPowerUp = (head, currentSnake, c, r, block = false) => {
-    if (block) return;
-    if (level < POWERUP_MIN_LEVEL) return;
-    if (powerUpRef.current) return;
-    if (revealTurnsRef.current > 0) return;
-    if (currentSnake.length < 10) return;
-    if (Math.random() > POWERUP_CHANCE_PER_TURN) return;
-    const occ = new Set(currentSnake.map((p) => `${p.x},${p.y}`));
-    if (fruitRef.current) occ.add(`${fruitRef.current.x},${fruitRef.current.y}`);
-    hazardsRef.current.forEach((h) => occ.add(`${h.x},${h.y}`));
-    const pos = placeFreeCell(occ, c, r);
-    if (!pos) return;
-    const ttl = Math.max(1, Math.ceil(Math.hypot(pos.x - head.x, pos.y - head.y)) + 3);
-    setPowerUp({ x: pos.x, y: pos.y, ttl });
-  };
-
-  const maybeSpawnHazard = (head, currentSnake, c, r) => {
-    if (level < HAZARD_MIN_LEVEL) return;
-    const maxHazards = Math.max(0, level - 2);
-    if (hazardsRef.current.length >= maxHazards) return;
-    if (Math.random() > HAZARD_CHANCE_PER_TURN) return;
-    const occ = new Set(currentSnake.map((p) => `${p.x},${p.y}`));
-    if (fruitRef.current) occ.add(`${fruitRef.current.x},${fruitRef.current.y}`);
-    if (powerUpRef.current) occ.add(`${powerUpRef.current.x},${powerUpRef.current.y}`);
-    hazardsRef.current.forEach((h) => occ.add(`${h.x},${h.y}`));
-    occ.add(`${head.x},${head.y}`);
-    const pos = placeFreeCell(occ, c, r);
-    if (!pos) return;
-    setHazards((hs) => [...hs, pos]);
-  };
-
-  // Life loss
-  const loseLifeAt = (cellPos) => {
-    setCrashPos(cellPos);
-    setGameOver(true);
-    setShowOverlay(false);
-    const remaining = Math.max(0, livesRef.current - 1);
-    setLives(remaining);
-    setOverlayMode(remaining > 0 ? 'retry' : 'reset');
-    if (remaining > 0) {
-      playLifeLost();
-    } else {
-      playGameOver();
-      setSelectedLevel(1);
-      setSelectedLevelInput('1');
-    }
-    // scaled crash burst
-    const cssCanvas = canvasRef.current;
-    if (cssCanvas) {
-      const cssW = cssCanvas.clientWidth;
-      const cssH = cssCanvas.clientHeight;
-      const cell = Math.min(cssW / colsRef.current, cssH / rowsRef.current);
-      const padX = Math.floor((cssW - cell * colsRef.current) / 2);
-      const padY = Math.floor((cssH - cell * rowsRef.current) / 2);
-      spawnBurst(
-        padX + cellPos.x * cell + cell / 2,
-        padY + cellPos.y * cell + cell / 2,
-        '#f43f5e',
-        cell,
-        1.2
-      );
-    }
-    setTimeout(() => {
-      if (gameOverRef.current) setShowOverlay(true);
-    }, OVERLAY_DELAY_MS);
+  // ===== Replay =====
+  const openReplay = (rec, fromEnd = false) => {
+    const frames = buildFrames(rec);
+    const index = fromEnd ? Math.max(0, frames.length - 1 - REPLAY_TAIL_TURNS) : 0;
+    setReplayError('');
+    updateScreens((st) => removeScreen(st, 'levelEnd'));
+    setReplay({ rec, frames, index, playing: true, speed: 1 });
   };
 
-  // Win
-  const triggerWin = () => {
-    if (wonRef.current) return;
-    setWon(true);
-    setShowOverlay(false);
-    setOverlayMode('win');
-    playWin();
-    setTimeout(() => {
-      if (wonRef.current) setShowOverlay(true);
-    }, OVERLAY_DELAY_MS);
+  const updateReplay = (patch) => setReplay((r) => (r ? { ...r, ...patch } : r));
+
+  const closeReplay = () => {
+    setReplay(null);
+    showLevelEnd();
   };
 
-  // One move step
-  const doStep = (nextDir) => {
-    if (gameOver || won) return;
-    if (snake.length > 1 && isOpposite(nextDir, dir)) return;
+  const downloadReplay = () => {
+    const rec = recordingRef.current;
+    const blob = new Blob([serializeReplay(rec)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `invisisnake-${rec.seed}.replay.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const loadReplayFile = async (file) => {
+    if (!file) return;
+    try {
+      openReplay(parseReplay(await file.text()));
+    } catch (err) {
+      setReplayError(err.message);
+    }
+  };
 
-    const head = snake[0];
-    const newHead = {
-      x: wrapCoord(head.x + nextDir.x, cols),
-      y: wrapCoord(head.y + nextDir.y, rows)
+  // Playback clock
+  useEffect(() => {
+    if (!replay || !replay.playing) return undefined;
+    if (replay.index >= replay.frames.length - 1) {
+      updateReplay({ playing: false });
+      return undefined;
+    }
+    // Real-time runs play back at the speed they were played
+    const frame = replay.frames[replay.index].state;
+    const stepMs = frame.mode === 'realtime' ? tickMs(frame.def, frame.level) : REPLAY_STEP_MS;
+    const id = setTimeout(() => updateReplay({ index: replay.index + 1 }), stepMs / replay.speed);
+    return () => clearTimeout(id);
+  }, [replay]);
+
+  // Real-time clock: one engine step per tick with the next queued turn. It only runs once
+  // the board has started and stops for pauses, overlays, replays and other screens.
+  const tickRunning =
+    game.mode === 'realtime' &&
+    status === 'playing' &&
+    game.turn > 0 &&
+    !screens.length &&
+    !replay &&
+    !autopilot &&
+    active;
+  const tickInterval = tickMs(game.def, level);
+  useEffect(() => {
+    if (!tickRunning) return undefined;
+    const id = setInterval(() => {
+      const { dir, queue } = takeDir(queueRef.current, gameRef.current.dir);
+      queueRef.current = queue;
+      doStepRef.current(dir);
+    }, tickInterval);
+    return () => clearInterval(id);
+  }, [tickRunning, tickInterval]);
+
+  // Autopilot clock: the bot moves at tick speed in real-time mode, at a fixed pace otherwise
+  const autopilotRunning = autopilot && !game.campaign.scored && !paused && !replay && !resumeOffer && active;
+  const levelEndUp = top?.id === 'levelEnd';
+  useEffect(() => {
+    if (!autopilotRunning) return undefined;
+    const id = setInterval(
+      () => {
+        const g = gameRef.current;
+        if (g.status === 'playing') doStepRef.current(botRef.current(visibleState(g)));
+      },
+      game.mode === 'realtime' ? tickInterval : AUTOPILOT_STEP_MS
+    );
+    return () => clearInterval(id);
+  }, [autopilotRunning, game.mode, tickInterval]);
+
+  // ...and carries on from the overlays once they have been up for a moment
+  useEffect(() => {
+    if (!autopilotRunning || !levelEndUp) return undefined;
+    const id = setTimeout(() => confirmOverlayRef.current(), AUTOPILOT_CONTINUE_MS);
+    return () => clearTimeout(id);
+  }, [autopilotRunning, levelEndUp]);
+
+  // Music: the level's track loops while the board is in play and stops for overlays, pauses,
+  // replays and other screens. It speeds up as the snake grows and changes key during a reveal.
+  const musicRef = useRef(createSequencer(getAudio()));
+  const musicOn = status === 'playing' && !screens.length && !replay && active;
+  useEffect(() => {
+    if (!musicOn) return undefined;
+    musicRef.current.play(trackForLevel(level));
+    return () => musicRef.current.stop();
+  }, [musicOn, level]);
+  const grown = snake.length - game.def.startLength;
+  const revealOn = game.effects.reveal > 0;
+  useEffect(() => {
+    musicRef.current.setMood(musicMood({ grown, reveal: revealOn }));
+  }, [grown, revealOn]);
+
+  // Unsaved stats are stored once this screen is left, hidden or closed
+  useEffect(() => {
+    if (!active) saveStats();
+  }, [active]);
+  useEffect(() => {
+    const onVisibility = () => {
+      if (document.hidden) saveStats();
+    };
+    document.addEventListener('visibilitychange', onVisibility);
+    window.addEventListener('pagehide', saveStats);
+    return () => {
+      document.removeEventListener('visibilitychange', onVisibility);
+      window.removeEventListener('pagehide', saveStats);
+      saveStats();
     };
+  }, []);
 
-    // Hazard first
-    if (hazardsRef.current.some((h) => posEq(h, newHead))) return loseLifeAt(newHead);
-    // Self
-    if (snake.some((s) => posEq(s, newHead))) return loseLifeAt(newHead);
-
-    // Always move head into the cell first
-    let newSnake = [newHead, ...snake];
-
-    // Fruit
-    const ateFruit = fruit && posEq(newHead, fruit);
-    let nextFruitPos = fruitRef.current;
-    if (!ateFruit) {
-      newSnake.pop();
-      playMove();
-    } else {
-      playFruit();
-      const occF = new Set(newSnake.map((p) => `${p.x},${p.y}`));
-      if (powerUpRef.current) occF.add(`${powerUpRef.current.x},${powerUpRef.current.y}`);
-      hazardsRef.current.forEach((h) => occF.add(`${h.x},${h.y}`));
-      const nf = placeFreeCell(occF, cols, rows);
-      if (!nf) {
-        triggerWin();
-        nextFruitPos = null;
-      } else {
-        setFruit(nf);
-        nextFruitPos = nf;
-      }
-      setScore((v) => v + 1);
-      // scaled eat burst
-      const cssCanvas = canvasRef.current;
-      if (cssCanvas) {
-        const cssW = cssCanvas.clientWidth;
-        const cssH = cssCanvas.clientHeight;
-        const cell = Math.min(cssW / colsRef.current, cssH / rowsRef.current);
-        const padX = Math.floor((cssW - cell * colsRef.current) / 2);
-        const padY = Math.floor((cssH - cell * rowsRef.current) / 2);
-        spawnBurst(
-          padX + newHead.x * cell + cell / 2,
-          padY + newHead.y * cell + cell / 2,
-          '#22c55e',
-          cell,
-          1.0
-        );
+  // Leaving the window or tab opens the menu over a real-time board
+  useEffect(() => {
+    const pause = () => {
+      const g = gameRef.current;
+      if (g.mode !== 'realtime' || g.status !== 'playing' || screensRef.current.length) return;
+      openMenu();
+    };
+    const onVisibility = () => {
+      if (document.hidden) pause();
+    };
+    window.addEventListener('blur', pause);
+    document.addEventListener('visibilitychange', onVisibility);
+    return () => {
+      window.removeEventListener('blur', pause);
+      document.removeEventListener('visibilitychange', onVisibility);
+    };
+  }, []);
+
+  // Enter / tap on an overlay
+  const confirmOverlay = () => {
+    const s = gameRef.current;
+    if (s.status === 'won') return nextLevel();
+    if (s.status === 'lost' && findScreen(screensRef.current, 'levelEnd')) {
+      if (s.lives > 0) return retry();
+      return resetLevelOne();
+    }
+    return null;
+  };
+  const confirmOverlayRef = useRef(confirmOverlay);
+  confirmOverlayRef.current = confirmOverlay;
+
+  // Actions while a menu screen is on top: directions move the highlight (or turn the help
+  // pages), confirm picks and pause goes back a screen. The level list has no way back.
+  const menuAction = (sc, action) => {
+    const delta = action === 'up' || action === 'left' ? -1 : action === 'down' || action === 'right' ? 1 : 0;
+    if (action === 'pause') return sc.id === 'levelSelect' ? null : backScreen();
+    if (sc.id === 'pause') {
+      if (action === 'confirm') return choosePauseItem(PAUSE_ITEMS[sc.index]);
+      if (action === 'up' || action === 'down') {
+        return updateScreens((st) => updateTop(st, { index: moveIndex(sc.index, PAUSE_ITEMS.length, delta) }));
       }
     }
-
-    // Power-up pickup — mark pickedUpThisStep to suppress same-turn respawn
-    let pickedUpThisStep = false;
-    if (powerUpRef.current && posEq(newHead, powerUpRef.current)) {
-      pickedUpThisStep = true;
-      setRevealTurns(newSnake.length);
-      setPowerUp(null);
-      // celebratory sweep
-      playPickupSweep();
+    if (sc.id === 'help' && (action === 'left' || action === 'right')) {
+      return updateScreens((st) => updateTop(st, { page: moveIndex(sc.page, HELP_PAGES.length, delta) }));
     }
+    if (sc.id === 'levelSelect') {
+      if (action === 'confirm') return pickLevel(sc.index + 1);
+      if (delta) return updateScreens((st) => updateTop(st, { index: moveIndex(sc.index, levelCount(campaign), delta) }));
+    }
+    return null;
+  };
 
-    // Countdown (safe even if powerUp was cleared; we gate via ref)
-    if (powerUpRef.current) {
-      const nextTTL = powerUpRef.current.ttl - 1;
-      if (nextTTL <= 0) setPowerUp(null);
-      else setPowerUp({ ...powerUpRef.current, ttl: nextTTL });
+  // Every input source ends up here as an action (../lib/input.js): bound keys, gamepad
+  // buttons and the left stick, and swipes on the board
+  const handleAction = (action) => {
+    const sc = topScreen(screensRef.current);
+    if (sc?.id === 'resume') {
+      if (action === 'confirm') return continueRun();
+      if (action === 'pause') return declineResume();
+      return null;
     }
-    if (revealTurnsRef.current > 0) setRevealTurns(revealTurnsRef.current - 1);
-
-    // Win check (empties < ceil(15%))
-    {
-      const total = cols * rows;
-      const occ = new Set(newSnake.map((p) => `${p.x},${p.y}`));
-      hazardsRef.current.forEach((h) => occ.add(`${h.x},${h.y}`));
-      if (nextFruitPos) occ.add(`${nextFruitPos.x},${nextFruitPos.y}`);
-      if (powerUpRef.current) occ.add(`${powerUpRef.current.x},${powerUpRef.current.y}`);
-      const empties = total - occ.size;
-      const threshold = Math.ceil(total * 0.15);
-      if (empties < threshold) triggerWin();
+    const r = replayRef.current;
+    if (r) {
+      const last = r.frames.length - 1;
+      if (action === 'confirm') return updateReplay({ playing: !r.playing });
+      if (action === 'left') return updateReplay({ playing: false, index: Math.max(0, r.index - 1) });
+      if (action === 'right') return updateReplay({ playing: false, index: Math.min(last, r.index + 1) });
+      if (action === 'pause') return closeReplay();
+      return null;
     }
-
-    // Spawns after move — pass block flag so no power-up spawns on pickup frame
-    maybeSpawnPowerUp(newHead, newSnake, cols, rows, pickedUpThisStep);
-    maybeSpawnHazard(newHead, newSnake, cols, rows);
-
-    setSnake(newSnake);
-    setDir(nextDir);
+    if (isMenuOpen(screensRef.current)) return menuAction(sc, action);
+    if (action === 'pause') return openMenu();
+    if (ACTION_DIRS[action]) return pressDir(DIRS[ACTION_DIRS[action]]);
+    if (action === 'rewind') return rewind();
+    if (action === 'confirm') return confirmOverlay();
+    return null;
   };
 
   // Keyboard controls
   useEffect(() => {
     const onKeyDown = (e) => {
-      if (e.repeat) return;
-      const k = e.key;
-      if (k === 'ArrowUp' || k === 'w' || k === 'W') {
-        e.preventDefault();
-        return doStep(DIRS.UP);
-      }
-      if (k === 'ArrowDown' || k === 's' || k === 'S') {
-        e.preventDefault();
-        return doStep(DIRS.DOWN);
-      }
-      if (k === 'ArrowLeft' || k === 'a' || k === 'A') {
-        e.preventDefault();
-        return doStep(DIRS.LEFT);
-      }
-      if (k === 'ArrowRight' || k === 'd' || k === 'D') {
-        e.preventDefault();
-        return doStep(DIRS.RIGHT);
-      }
-      if (k === 'Enter' || k === ' ') {
-        if (won) return nextLevel();
-        if (gameOver && showOverlayRef.current) {
-          if (overlayModeRef.current === 'retry') return resetBoard(colsRef.current, rowsRef.current);
-          if (overlayModeRef.current === 'reset') return resetLevelOne();
-        }
-      }
-      return null;
+      if (e.repeat || !active) return;
+      // Let the level/seed fields and the pickers receive their own keystrokes
+      if (e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement) return;
+      const action = actionForKey(getControls().keys, e.key);
+      if (!action) return;
+      // A focused menu button takes Enter and Space as its own click
+      if (action === 'confirm' && e.target instanceof HTMLButtonElement && isMenuOpen(screensRef.current)) return;
+      // Enter is left alone so a focused button still works
+      if (e.key !== 'Enter') e.preventDefault();
+      handleAction(action);
     };
     window.addEventListener('keydown', onKeyDown);
     return () => window.removeEventListener('keydown', onKeyDown);
-  }, [dir, snake, fruit, gameOver, won, level, cols, rows]);
+  }, [game, active]);
+
+  useGamepad(active, handleAction);
+  const swipe = useSwipe(handleAction);
+
+  // Editor play-test: start the level as soon as it is handed over
+  useEffect(() => {
+    if (!playtest) return;
+    setReplay(null);
+    applyLevel(1, playtest.campaign);
+  }, [playtest]);
 
   // Render loop (crisp DPR, scaled FX)
   useEffect(() => {
@@ -502,201 +749,38 @@ export default function Invisisnake() {
     const ctx = c.getContext('2d');
 
     const draw = () => {
-      const COLS = colsRef.current;
-      const ROWS = rowsRef.current;
-      const cssW = Math.max(1, c.clientWidth);
-      const cssH = Math.max(1, c.clientHeight);
-      const dpr = Math.max(1, window.devicePixelRatio || 1);
-      const pxW = Math.floor(cssW * dpr);
-      const pxH = Math.floor(cssH * dpr);
-      if (c.width !== pxW || c.height !== pxH) {
-        c.width = pxW;
-        c.height = pxH;
-        ctx.setTransform(1, 0, 0, 1, 0, 0);
-        ctx.scale(dpr, dpr);
-      }
-
-      const CELL = Math.floor(Math.min(cssW / COLS, cssH / ROWS));
-      const padX = Math.floor((cssW - CELL * COLS) / 2);
-      const padY = Math.floor((cssH - CELL * ROWS) / 2);
-
-      // Background
-      ctx.clearRect(0, 0, cssW, cssH);
-      const bgGrad = ctx.createLinearGradient(0, 0, 0, cssH);
-      bgGrad.addColorStop(0, '#0b1020');
-      bgGrad.addColorStop(1, '#0a0d16');
-      ctx.fillStyle = bgGrad;
-      ctx.fillRect(0, 0, cssW, cssH);
-
-      // scanlines
-      ctx.globalAlpha = 0.07;
-      for (let y = 0; y < cssH; y += 3) {
-        ctx.fillStyle = '#000';
-        ctx.fillRect(0, y, cssW, 1);
-      }
-      ctx.globalAlpha = 1;
-
-      // grid dots
-      ctx.globalAlpha = 0.15;
-      ctx.fillStyle = '#94a3b8';
-      const dotSize = Math.max(2, Math.floor(CELL * 0.08));
-      for (let gy = 0; gy < ROWS; gy++) {
-        for (let gx = 0; gx < COLS; gx++) {
-          ctx.fillRect(
-            padX + gx * CELL + Math.floor(CELL / 2) - Math.floor(dotSize / 2),
-            padY + gy * CELL + Math.floor(CELL / 2) - Math.floor(dotSize / 2),
-            dotSize,
-            dotSize
-          );
-        }
-      }
-      ctx.globalAlpha = 1;
-
-      const over = gameOverRef.current;
-      const win = wonRef.current;
+      // Replay frames render through the same path, with the whole tail shown
+      const rp = replayRef.current;
+      const g = rp ? rp.frames[rp.index].state : gameRef.current;
+      const view = fitCanvas(c, ctx, g.cols, g.rows);
+      const { cssW, cssH } = view;
+      const { reducedMotion } = a11yRef.current;
+      const palette = getPalette(a11yRef.current.palette);
+      drawBackdrop(ctx, view, g.cols, g.rows, { palette, scanlines: !reducedMotion });
+
+      const over = g.status === 'lost';
+      const win = g.status === 'won';
       const t = performance.now() / 1000;
       const pulse = 0.5 + 0.5 * Math.sin(t * 6);
 
-      // Fruit
-      const f = fruitRef.current;
-      if (f && !win && !over) {
-        ctx.fillStyle = '#ef4444';
-        ctx.beginPath();
-        ctx.arc(
-          padX + f.x * CELL + CELL / 2,
-          padY + f.y * CELL + CELL / 2,
-          Math.floor(CELL * 0.35),
-          0,
-          Math.PI * 2
-        );
-        ctx.fill();
-      }
-
-      // Hazards
-      const hs = hazardsRef.current;
-      if (hs.length) {
-        for (const h of hs) {
-          const x = padX + h.x * CELL;
-          const y = padY + h.y * CELL;
-          const inset = Math.max(1, Math.floor(CELL * 0.15));
-          const w = CELL - inset * 2;
-          const hgt = CELL - inset * 2;
-          ctx.save();
-          ctx.translate(x + CELL / 2, y + CELL / 2);
-          ctx.rotate(Math.PI / 4);
-          ctx.fillStyle = '#ef4444';
-          ctx.strokeStyle = '#7f1d1d';
-          ctx.lineWidth = Math.max(2, CELL * 0.08);
-          ctx.beginPath();
-          ctx.rect(-w / 2, -hgt / 2, w, hgt);
-          ctx.fill();
-          ctx.stroke();
-          ctx.restore();
-          ctx.fillStyle = '#111827';
-          ctx.fillRect(
-            x + CELL / 2 - Math.max(2, Math.floor(CELL * 0.06)),
-            y + inset + Math.floor(CELL * 0.1),
-            Math.max(4, Math.floor(CELL * 0.12)),
-            Math.max(6, Math.floor(CELL * 0.38))
-          );
-          ctx.beginPath();
-          ctx.arc(
-            x + CELL / 2,
-            y + CELL - inset - Math.floor(CELL * 0.16),
-            Math.max(2, Math.floor(CELL * 0.06)),
-            0,
-            Math.PI * 2
-          );
-          ctx.fill();
-        }
-      }
-
-      // Power-up
-      const pu = powerUpRef.current;
-      if (pu && !win && !over) {
-        const x = padX + pu.x * CELL;
-        const y = padY + pu.y * CELL;
-        const inset = Math.max(1, Math.floor(CELL * 0.24));
-        ctx.lineWidth = Math.max(2, CELL * 0.08);
-        ctx.strokeStyle = pulse > 0.5 ? '#fbbf24' : '#fde68a';
-        ctx.strokeRect(x + inset + 0.5, y + inset + 0.5, CELL - inset * 2 - 1, CELL - inset * 2 - 1);
-        ctx.globalAlpha = 0.45 + 0.35 * pulse;
-        ctx.fillStyle = '#f59e0b';
-        ctx.fillRect(
-          x + inset + Math.max(2, Math.floor(CELL * 0.08)),
-          y + inset + Math.max(2, Math.floor(CELL * 0.08)),
-          Math.max(2, CELL - inset * 2 - Math.max(4, Math.floor(CELL * 0.16))),
-          Math.max(2, CELL - inset * 2 - Math.max(4, Math.floor(CELL * 0.16)))
-        );
-        ctx.globalAlpha = 1;
-        ctx.fillStyle = '#0b1020';
-        ctx.font = `${Math.max(10, Math.floor(CELL * 0.42))}px ui-monospace, SFMono-Regular, Menlo, monospace`;
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText(String(pu.ttl), x + CELL / 2, y + CELL / 2);
-      }
-
-      // Snake
-      const sArr = snakeRef.current;
-      for (let i = 0; i < sArr.length; i++) {
-        const p = sArr[i];
-        const normA = baselineAlpha(i + 1);
-        let a = over ? 1 : normA;
-        let ghost = false;
-        if (!over && revealTurnsRef.current > 0 && normA <= 0) {
-          a = 0.22 + 0.38 * pulse;
-          ghost = true;
-        }
-        if (a <= 0) continue;
-        ctx.globalAlpha = a;
-        ctx.fillStyle = i === 0 ? (over ? '#34d399' : '#22c55e') : over ? '#6ee7b7' : '#10b981';
-        const x = padX + p.x * CELL;
-        const y = padY + p.y * CELL;
-        const inset = Math.max(1, Math.floor(CELL * 0.1));
-        ctx.fillRect(x + inset, y + inset, CELL - inset * 2, CELL - inset * 2);
-        if (over || ghost) {
-          ctx.strokeStyle = ghost ? (pulse > 0.5 ? '#a7f3d0' : '#99f6e4') : '#e5e7eb';
-          ctx.lineWidth = Math.max(2, CELL * 0.08);
-          ctx.strokeRect(x + inset + 0.5, y + inset + 0.5, CELL - inset * 2 - 1, CELL - inset * 2 - 1);
-        }
-      }
-      ctx.globalAlpha = 1;
-
-      // Particles
-      const ps = particlesRef.current;
-      for (let i = ps.length - 1; i >= 0; i--) {
-        const p = ps[i];
-        p.x += p.vx;
-        p.y += p.vy;
-        p.vx *= 0.98;
-        p.vy *= 0.98;
-        p.life -= 0.03;
-        if (p.life <= 0) {
-          ps.splice(i, 1);
-          continue;
-        }
-        ctx.globalAlpha = Math.max(0, p.life);
-        ctx.fillStyle = p.color;
-        ctx.fillRect(p.x - p.size / 2, p.y - p.size / 2, p.size, p.size);
-      }
-      ctx.globalAlpha = 1;
-
-      // Crash ring
-      if (over) {
-        const crash = crashPosRef.current;
-        if (crash) {
-          const cx = padX + crash.x * CELL + CELL / 2;
-          const cy = padY + crash.y * CELL + CELL / 2;
-          ctx.lineWidth = Math.max(3, CELL * 0.12);
-          ctx.strokeStyle = '#f43f5e';
-          ctx.beginPath();
-          ctx.arc(cx, cy, Math.floor(CELL * 0.45), 0, Math.PI * 2);
-          ctx.stroke();
-        }
-      }
+      drawStatics(ctx, view, g.def, pulse, palette);
+      if (g.fruit && !win && !over) drawFruit(ctx, view, g.fruit, palette);
+      g.hazards.forEach((h) => drawHazard(ctx, view, h, pulse, palette));
+      if (g.powerUp && !win && !over) drawPowerUp(ctx, view, g.powerUp, pulse);
+      drawSnake(ctx, view, g.snake, resolveFade(g.def, g.fadePreset), {
+        over,
+        reveal: g.effects.reveal > 0,
+        replay: !!rp,
+        pulse,
+        turn: g.turn,
+        colors: palette.snake,
+        eye: palette.shapes
+      });
+      drawParticles(ctx, particlesRef.current);
+      if (over && g.crashPos) drawCrashRing(ctx, view, g.crashPos, palette);
 
       // Flash
-      if (flashRef.current > 0.01) {
+      if (flashRef.current > 0.01 && !reducedMotion) {
         ctx.fillStyle = `rgba(255,255,255,${Math.min(0.45, flashRef.current * 0.5)})`;
         ctx.fillRect(0, 0, cssW, cssH);
         flashRef.current *= 0.9;
@@ -711,16 +795,6 @@ export default function Invisisnake() {
     return () => cancelAnimationFrame(raf);
   }, [level]);
 
-  // Overlay click == Enter
-  const onOverlayClick = () => {
-    if (won) return nextLevel();
-    if (gameOver && showOverlayRef.current) {
-      if (overlayModeRef.current === 'retry') return resetBoard(colsRef.current, rowsRef.current);
-      if (overlayModeRef.current === 'reset') return resetLevelOne();
-    }
-    return null;
-  };
-
   // Level picker sync
   useEffect(() => {
     setSelectedLevel(level);
@@ -728,7 +802,7 @@ export default function Invisisnake() {
   }, [level]);
   const commitLevelInput = () => {
     const num = Math.floor(Number(selectedLevelInput));
-    const clamped = Number.isNaN(num) ? 1 : Math.max(1, Math.min(10, num));
+    const clamped = Number.isNaN(num) ? 1 : clampLevel(num, campaign);
     setSelectedLevel(clamped);
     setSelectedLevelInput(String(clamped));
   };
@@ -738,11 +812,48 @@ export default function Invisisnake() {
       <div className="flex flex-col sm:flex-row sm:items-center gap-4 w-full max-w-[900px] justify-between">
         <div className="text-slate-100 text-sm tracking-wide">
           <div className="font-semibold text-lg">Invisisnake</div>
-          <div className="opacity-90">Edges wrap. Use arrow keys or on-screen buttons to move.</div>
+          <div className="opacity-90">
+            {solidEdges.length ? `Solid ${solidEdges.join('/')} border.` : 'Edges wrap.'} Use arrow keys, swipes, a
+            gamepad or the on-screen buttons to move.
+          </div>
           <div className="opacity-80">Eat all fruit on the board to win. Don't bite yourself.</div>
-          <div className="opacity-70">Level: {level} • Lives: {lives} • Length: {snake.length}</div>
+          <div className="opacity-70">
+            {game.campaign.name} • Level: {level}/{levelCount(game.campaign)} • Lives: {lives} • Length: {snake.length} • Score: {game.score} • Run: {game.runScore}
+          </div>
+          {activeEffects.length > 0 && (
+            <div className="text-xs text-amber-300">
+              {activeEffects.map((k) => `${POWERUP_LABELS[k]} ${game.effects[k]}`).join(' • ')}
+            </div>
+          )}
+          <div className="opacity-60 font-mono text-xs">
+            {MODE_LABELS[game.mode]}
+            {game.mode === 'realtime' && ` (${tickInterval} ms/tick)`} • Fade: {FADE_PRESET_LABELS[game.fadePreset]} •
+            Seed: {game.seed}
+            {game.practice && ` • Practice (not scored) • Rewinds: ${rewinds}`}
+            {autopilot && ` • Autopilot: ${BOT_LABELS[botKind]} (not scored)`}
+          </div>
         </div>
         <div className="flex items-center gap-2">
+          {listCampaigns().length > 1 && (
+            <select
+              aria-label="Campaign"
+              value={campaignId}
+              onChange={(e) => {
+                const next = getCampaign(e.target.value) ?? DEFAULT_CAMPAIGN;
+                const clamped = clampLevel(selectedLevel, next);
+                setCampaignId(next.id);
+                setSelectedLevel(clamped);
+                setSelectedLevelInput(String(clamped));
+              }}
+              className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-slate-100 text-sm focus:outline-none focus:ring-1 focus:ring-slate-500"
+            >
+              {listCampaigns().map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.name}
+                </option>
+              ))}
+            </select>
+          )}
           <label className="text-sm opacity-80" htmlFor="lvlPick">
             Level
           </label>
@@ -750,7 +861,7 @@ export default function Invisisnake() {
             id="lvlPick"
             type="number"
             min={1}
-            max={10}
+            max={levelCount(campaign)}
             value={selectedLevelInput}
             onChange={(e) => {
               const v = e.target.value;
@@ -759,6 +870,51 @@ export default function Invisisnake() {
             onBlur={commitLevelInput}
             className="w-16 px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-slate-100 text-sm focus:outline-none focus:ring-1 focus:ring-slate-500"
           />
+          <label className="text-sm opacity-80" htmlFor="seedPick">
+            Seed
+          </label>
+          <input
+            id="seedPick"
+            type="text"
+            placeholder="random"
+            value={seedInput}
+            onChange={(e) => setSeedInput(e.target.value)}
+            className="w-28 px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-slate-100 text-sm font-mono focus:outline-none focus:ring-1 focus:ring-slate-500"
+          />
+          <label className="flex items-center gap-1 text-sm opacity-80">
+            <input
+              type="checkbox"
+              checked={practiceInput}
+              onChange={(e) => setPracticeInput(e.target.checked)}
+              className="accent-emerald-500"
+            />
+            Practice
+          </label>
+          <select
+            aria-label="Mode"
+            value={modeInput}
+            onChange={(e) => setModeInput(e.target.value)}
+            className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-slate-100 text-sm focus:outline-none focus:ring-1 focus:ring-slate-500"
+          >
+            {MODES.map((m) => (
+              <option key={m} value={m}>
+                {MODE_LABELS[m]}
+              </option>
+            ))}
+          </select>
+          <select
+            aria-label="Fade"
+            title="Tail fade"
+            value={fadeInput}
+            onChange={(e) => setFadeInput(e.target.value)}
+            className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-slate-100 text-sm focus:outline-none focus:ring-1 focus:ring-slate-500"
+          >
+            {FADE_PRESET_IDS.map((f) => (
+              <option key={f} value={f}>
+                {FADE_PRESET_LABELS[f]}
+              </option>
+            ))}
+          </select>
           <button
             type="button"
             onClick={() => {
@@ -769,14 +925,94 @@ export default function Invisisnake() {
           >
             Start
           </button>
+          <button
+            type="button"
+            onClick={() => setShowRecords((v) => !v)}
+            className="px-4 py-2 rounded-2xl bg-slate-800 text-slate-100 hover:bg-slate-700 shadow-sm"
+          >
+            Records
+          </button>
+          <button
+            type="button"
+            onClick={() => setShowDaily((v) => !v)}
+            className="px-4 py-2 rounded-2xl bg-slate-800 text-slate-100 hover:bg-slate-700 shadow-sm"
+          >
+            Daily
+          </button>
+          <button
+            type="button"
+            onClick={openMenu}
+            className="px-4 py-2 rounded-2xl bg-slate-800 text-slate-100 hover:bg-slate-700 shadow-sm"
+          >
+            Menu
+          </button>
+        </div>
+      </div>
+
+      {showDaily && <DailyPanel daily={daily} onPlay={playDaily} onClose={() => setShowDaily(false)} />}
+
+      {showRecords && (
+        <RecordsPanel records={records} campaign={campaign} mode={game.mode} onClose={() => setShowRecords(false)} />
+      )}
+
+      {/* Replay files */}
+      <div className="flex flex-wrap items-center gap-2 w-full max-w-[900px] text-sm">
+        <button
+          type="button"
+          onClick={downloadReplay}
+          disabled={!canReplay}
+          title={canReplay ? undefined : 'No replay for a run resumed from an older save'}
+          className="px-3 py-1 rounded-xl bg-slate-800 hover:bg-slate-700 shadow-sm disabled:opacity-40"
+        >
+          Download Replay
+        </button>
+        <label className="px-3 py-1 rounded-xl bg-slate-800 hover:bg-slate-700 shadow-sm cursor-pointer">
+          Load Replay
+          <input
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(e) => {
+              loadReplayFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </label>
+        {replayError && <span className="text-rose-400">{replayError}</span>}
+        <div className="flex items-center gap-2 ml-auto">
+          <button
+            type="button"
+            onClick={toggleAutopilot}
+            disabled={game.campaign.scored}
+            aria-pressed={autopilot}
+            className={`px-3 py-1 rounded-xl shadow-sm disabled:opacity-40 ${
+              autopilot ? 'bg-emerald-700 hover:bg-emerald-600' : 'bg-slate-800 hover:bg-slate-700'
+            }`}
+          >
+            Autopilot: {autopilot ? 'On' : 'Off'}
+          </button>
+          <select
+            aria-label="Bot"
+            value={botKind}
+            onChange={(e) => changeBot(e.target.value)}
+            className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-slate-100 text-sm focus:outline-none focus:ring-1 focus:ring-slate-500"
+          >
+            {BOT_KINDS.map((k) => (
+              <option key={k} value={k}>
+                {BOT_LABELS[k]}
+              </option>
+            ))}
+          </select>
         </div>
       </div>
 
       {/* Canvas + overlay */}
       <div
         className="relative"
+        style={{ touchAction: 'none' }}
+        {...swipe}
         onClick={() => {
-          if (showOverlayRef.current) onOverlayClick();
+          if (topScreen(screensRef.current)?.id === 'levelEnd') confirmOverlay();
         }}
       >
         <canvas
@@ -784,36 +1020,123 @@ export default function Invisisnake() {
           style={{ width: 'min(90vmin, 820px)', height: 'min(90vmin, 820px)', imageRendering: 'pixelated' }}
           className="rounded-2xl shadow-lg border border-slate-700"
         />
-        {showOverlay && (
+        {resumeOffer && (
+          <div className="absolute inset-0 flex flex-col justify-center items-center bg-black/80 text-center p-4 gap-4">
+            <div className="text-xl font-bold">Run in progress</div>
+            <div className="text-sm opacity-90">
+              Level {resumeOffer.game.level} • Lives {resumeOffer.game.lives} • Length{' '}
+              {resumeOffer.game.snake.length} • Run score {resumeOffer.game.runScore ?? 0}
+            </div>
+            <div className="text-xs opacity-60">Saved {new Date(resumeOffer.savedAt).toLocaleString()}</div>
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={continueRun}
+                className="px-4 py-2 rounded-2xl bg-emerald-700 text-slate-100 hover:bg-emerald-600 shadow-sm"
+              >
+                Continue run
+              </button>
+              <button
+                type="button"
+                onClick={declineResume}
+                className="px-4 py-2 rounded-2xl bg-slate-700 text-slate-100 hover:bg-slate-600 shadow-sm"
+              >
+                New game
+              </button>
+            </div>
+          </div>
+        )}
+        {game.mode === 'realtime' && status === 'playing' && !replay && !screens.length && game.turn === 0 && !autopilot && (
+          <div className="absolute inset-0 flex flex-col justify-center items-center text-center p-4 bg-black/20 pointer-events-none">
+            <div className="text-xl font-bold">Ready</div>
+            <div className="text-sm mt-3 opacity-90">Press a direction to start • P or Esc opens the menu</div>
+          </div>
+        )}
+        {top?.id === 'levelEnd' && !replay && (
           <div
             className="absolute inset-0 flex flex-col justify-center items-center bg-black/70 text-center p-4 cursor-pointer"
-            onClick={onOverlayClick}
+            onClick={confirmOverlay}
           >
             <div className="text-xl font-bold break-words whitespace-pre-wrap max-w-[80%]">
-              {overlayMode === 'win'
+              {top.kind === 'win'
                 ? `Level ${level} Cleared`
-                : overlayMode === 'retry'
+                : top.kind === 'retry'
                 ? 'Life Lost'
                 : 'Game Over'}
             </div>
             <div className="text-sm mt-3 opacity-90 break-words whitespace-pre-wrap max-w-[80%]">
-              {overlayMode === 'win'
+              {top.kind === 'win'
                 ? 'Tap or press Enter for Next Level'
-                : overlayMode === 'retry'
+                : top.kind === 'retry'
                 ? `Tap or press Enter to Retry • Lives Left: ${lives}`
                 : 'Tap or press Enter to Restart Level 1'}
             </div>
+            {recordNote && <div className="text-sm mt-3 font-semibold text-amber-300">{recordNote}</div>}
+            {dailyDone && (
+              <>
+                <pre className="text-xs mt-3 opacity-90 whitespace-pre-wrap">{dailyDone}</pre>
+                <button
+                  type="button"
+                  className="mt-2 px-4 py-2 rounded-2xl bg-slate-700 text-slate-100 hover:bg-slate-600 shadow-sm text-sm"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    if (navigator.clipboard) navigator.clipboard.writeText(dailyDone);
+                  }}
+                >
+                  Copy daily summary
+                </button>
+              </>
+            )}
+            {game.practice && top.kind !== 'win' && (
+              <div className="text-xs mt-2 opacity-70">Practice: press Backspace to rewind</div>
+            )}
+            {top.kind !== 'win' && canReplay && (
+              <button
+                type="button"
+                className="mt-4 px-4 py-2 rounded-2xl bg-slate-700 text-slate-100 hover:bg-slate-600 shadow-sm text-sm"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  openReplay(recordingRef.current, true);
+                }}
+              >
+                Watch the last turns
+              </button>
+            )}
           </div>
         )}
+        {paused && !replay && (
+          <GameMenu
+            screen={top}
+            campaign={campaign}
+            a11y={a11y}
+            fadePreset={fadeInput}
+            onChoose={choosePauseItem}
+            onUpdate={(patch) => updateScreens((st) => updateTop(st, patch))}
+            onOpen={openScreen}
+            onBack={backScreen}
+            onPickLevel={pickLevel}
+            onA11yChange={updateA11y}
+            onFadeChange={setFadeInput}
+          />
+        )}
       </div>
 
+      {/* Screen-reader narration of each turn */}
+      <div aria-live="polite" role="status" className="sr-only">
+        {replay ? '' : narration}
+      </div>
+
+      {replay && <ReplayControls replay={replay} onChange={updateReplay} onClose={closeReplay} />}
+
       {/* D-pad */}
-      <div className="grid grid-cols-3 gap-3 select-none w-full max-w-[420px] place-items-center">
+      <div
+        className={`grid grid-cols-3 gap-3 select-none w-full max-w-[420px] place-items-center ${replay ? 'hidden' : ''}`}
+      >
         <div />
         <button
           type="button"
           className="min-w-[76px] min-h-[76px] text-3xl px-5 py-5 rounded-2xl bg-slate-800 hover:bg-slate-700 shadow-md"
-          onClick={() => doStep(DIRS.UP)}
+          onClick={() => pressDir(DIRS.UP)}
         >
           ↑
         </button>
@@ -821,7 +1144,7 @@ export default function Invisisnake() {
         <button
           type="button"
           className="min-w-[76px] min-h-[76px] text-3xl px-5 py-5 rounded-2xl bg-slate-800 hover:bg-slate-700 shadow-md"
-          onClick={() => doStep(DIRS.LEFT)}
+          onClick={() => pressDir(DIRS.LEFT)}
         >
           ←
         </button>
@@ -829,7 +1152,7 @@ export default function Invisisnake() {
         <button
           type="button"
           className="min-w-[76px] min-h-[76px] text-3xl px-5 py-5 rounded-2xl bg-slate-800 hover:bg-slate-700 shadow-md"
-          onClick={() => doStep(DIRS.RIGHT)}
+          onClick={() => pressDir(DIRS.RIGHT)}
         >
           →
         </button>
@@ -837,12 +1160,22 @@ export default function Invisisnake() {
         <button
           type="button"
           className="min-w-[76px] min-h-[76px] text-3xl px-5 py-5 rounded-2xl bg-slate-800 hover:bg-slate-700 shadow-md"
-          onClick={() => doStep(DIRS.DOWN)}
+          onClick={() => pressDir(DIRS.DOWN)}
         >
           ↓
         </button>
         <div />
       </div>
+
+      {game.practice && !replay && (
+        <button
+          type="button"
+          onClick={rewind}
+          className="px-4 py-2 rounded-2xl bg-slate-800 hover:bg-slate-700 shadow-md text-sm select-none"
+        >
+          ⟲ Rewind (Backspace)
+        </button>
+      )}
     </div>
   );
 }
@@ -0,0 +1,249 @@
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import Invisisnake from './Invisisnake.jsx';
+import { updateA11y } from './useA11y.js';
+import { DEFAULT_CONTROLS, setControls } from '../lib/input.js';
+import { createGame } from '../game/engine.js';
+import { createSave } from '../game/save.js';
+
+// The game screen against a play-test campaign: one cell from a solid right border, so
+// every press of → costs a life. The fixed seed keeps the fruit off the cells above and
+// below the head. Canvas and audio are stubbed in src/test/setup.js.
+const wallTest = {
+  campaign: {
+    id: 'wall-test',
+    name: 'Wall test',
+    seed: 1,
+    levels: [
+      {
+        width: 5,
+        height: 5,
+        wrap: { right: false },
+        start: { x: 4, y: 2 },
+        startDir: 'RIGHT',
+        powerUpChance: 0,
+        hazardChance: 0
+      }
+    ]
+  }
+};
+
+const press = (key) => act(() => fireEvent.keyDown(window, { key }));
+
+// Crash, then wait out the overlay delay
+const crash = () => {
+  press('ArrowRight');
+  act(() => vi.advanceTimersByTime(1100));
+};
+
+describe('Invisisnake', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    setControls(DEFAULT_CONTROLS);
+    updateA11y({ palette: 'classic', reducedMotion: false });
+  });
+
+  it('starts a play-test board with a full set of lives', () => {
+    render(<Invisisnake playtest={wallTest} />);
+    expect(screen.getByText(/Wall test • Level: 1\/1 • Lives: 3/)).toBeTruthy();
+  });
+
+  it('plays with the fade preset picked before the run', () => {
+    render(<Invisisnake />);
+    expect(screen.getByText(/Fade: Normal/)).toBeTruthy();
+    fireEvent.change(screen.getByLabelText('Fade'), { target: { value: 'blind' } });
+    fireEvent.click(screen.getByText('Start'));
+    expect(screen.getByText(/Fade: Blind/)).toBeTruthy();
+  });
+
+  it('offers a retry after a lost life', () => {
+    render(<Invisisnake playtest={wallTest} />);
+    crash();
+    expect(screen.getByText('Life Lost')).toBeTruthy();
+    expect(screen.getByText('Tap or press Enter to Retry • Lives Left: 2')).toBeTruthy();
+    press('Enter');
+    expect(screen.queryByText('Life Lost')).toBeNull();
+    expect(screen.getByText(/Lives: 2/)).toBeTruthy();
+  });
+
+  it('adds each board to the lifetime stats', () => {
+    render(<Invisisnake playtest={wallTest} />);
+    crash();
+    const stats = JSON.parse(localStorage.getItem('invisisnake.stats'));
+    expect(stats.deaths.wall).toBe(1);
+    expect(stats.turns).toBe(1);
+    // Play-test boards are not part of any campaign's clear rates
+    expect(stats.levels).toEqual({});
+  });
+
+  it('stores turns from a board in play once the screen is left', () => {
+    const { rerender } = render(<Invisisnake playtest={wallTest} />);
+    press('ArrowUp');
+    expect(localStorage.getItem('invisisnake.stats')).toBeNull();
+    rerender(<Invisisnake playtest={wallTest} active={false} />);
+    expect(JSON.parse(localStorage.getItem('invisisnake.stats')).turns).toBe(1);
+  });
+
+  it('leaves Practice runs out of the stats', () => {
+    const { rerender } = render(<Invisisnake />);
+    fireEvent.click(screen.getByLabelText('Practice'));
+    fireEvent.click(screen.getByText('Start'));
+    expect(screen.getByText(/Practice \(not scored\)/)).toBeTruthy();
+    press('ArrowUp');
+    press('Backspace');
+    press('ArrowUp');
+    rerender(<Invisisnake active={false} />);
+    expect(localStorage.getItem('invisisnake.stats')).toBeNull();
+  });
+
+  it('records only the moves the board took', () => {
+    const corridor = { ...wallTest.campaign.levels[0], start: { x: 2, y: 2 }, startLength: 3, wrap: {} };
+    render(<Invisisnake playtest={{ campaign: { ...wallTest.campaign, levels: [corridor] } }} />);
+    press('ArrowLeft'); // a reverse into the neck
+    press('ArrowUp');
+    const save = JSON.parse(localStorage.getItem('invisisnake.save'));
+    expect(save.game.turn).toBe(1);
+    expect(save.recording.moves).toBe('U');
+  });
+
+  it('resumes a save without its recording with replays turned off', () => {
+    const game = { ...createGame({ seed: 9, level: 2 }), turn: 12 };
+    localStorage.setItem('invisisnake.save', JSON.stringify(createSave(game, null)));
+    render(<Invisisnake />);
+    fireEvent.click(screen.getByText('Continue run'));
+    expect(screen.getByText(/Level: 2\//)).toBeTruthy();
+    expect(screen.getByText('Download Replay').disabled).toBe(true);
+  });
+
+  it('resets to level 1 once the last life is gone', () => {
+    render(<Invisisnake playtest={wallTest} />);
+    crash();
+    press('Enter');
+    crash();
+    press('Enter');
+    crash();
+    expect(screen.getByText('Game Over')).toBeTruthy();
+    expect(screen.getByText('Tap or press Enter to Restart Level 1')).toBeTruthy();
+    press('Enter');
+    expect(screen.queryByText('Game Over')).toBeNull();
+    expect(screen.getByText(/Lives: 3/)).toBeTruthy();
+  });
+
+  it('narrates each turn for screen readers', () => {
+    render(<Invisisnake playtest={wallTest} />);
+    const live = screen.getByRole('status');
+    expect(live.getAttribute('aria-live')).toBe('polite');
+    expect(live.textContent).toMatch(/^Turn 0\. Head at column 5, row 3, heading right\./);
+    press('ArrowUp');
+    expect(live.textContent).toMatch(/^Turn 1\. Head at column 5, row 2, heading up\./);
+    expect(live.textContent).toContain('3 lives.');
+  });
+
+  it('remembers the palette and reduced motion settings', () => {
+    const openSettings = () => {
+      fireEvent.click(screen.getByText('Menu'));
+      fireEvent.click(screen.getByText('Settings'));
+    };
+    const { unmount } = render(<Invisisnake />);
+    openSettings();
+    fireEvent.change(screen.getByLabelText('Palette'), { target: { value: 'deuteranopia' } });
+    fireEvent.click(screen.getByLabelText('Reduced motion'));
+    unmount();
+    render(<Invisisnake />);
+    openSettings();
+    expect(screen.getByLabelText('Palette').value).toBe('deuteranopia');
+    expect(screen.getByLabelText('Reduced motion').checked).toBe(true);
+  });
+
+  it('holds the overlay back until the crash has been seen', () => {
+    render(<Invisisnake playtest={wallTest} />);
+    press('ArrowRight');
+    expect(screen.queryByText('Life Lost')).toBeNull();
+    act(() => vi.advanceTimersByTime(1100));
+    expect(screen.getByText('Life Lost')).toBeTruthy();
+  });
+
+  it('steers with rebound keys', () => {
+    setControls({ ...DEFAULT_CONTROLS, keys: { ...DEFAULT_CONTROLS.keys, right: ['l'] } });
+    render(<Invisisnake playtest={wallTest} />);
+    press('ArrowRight');
+    expect(screen.getByText(/Lives: 3/)).toBeTruthy();
+    press('L');
+    act(() => vi.advanceTimersByTime(1100));
+    expect(screen.getByText('Life Lost')).toBeTruthy();
+  });
+
+  it('leaves arrow keys on a focused picker to the picker', () => {
+    render(<Invisisnake playtest={wallTest} />);
+    act(() => fireEvent.keyDown(screen.getByLabelText('Fade'), { key: 'ArrowRight' }));
+    act(() => vi.advanceTimersByTime(1100));
+    expect(screen.queryByText('Life Lost')).toBeNull();
+    expect(screen.getByText(/Lives: 3/)).toBeTruthy();
+  });
+
+  it('steers with a swipe across the board', () => {
+    const { container } = render(<Invisisnake playtest={wallTest} />);
+    const board = container.querySelector('canvas').parentElement;
+    const live = screen.getByRole('status');
+    // jsdom has no PointerEvent; a MouseEvent carries the coordinates just as well
+    const pointer = (type, x, y) => act(() => fireEvent(board, new MouseEvent(type, { bubbles: true, clientX: x, clientY: y })));
+    pointer('pointerdown', 100, 100);
+    pointer('pointermove', 104, 90);
+    expect(live.textContent).toMatch(/^Turn 0\./);
+    pointer('pointermove', 104, 60);
+    expect(live.textContent).toMatch(/^Turn 1\. Head at column 5, row 2, heading up\./);
+  });
+
+  it('pauses on Escape and holds the board until resumed', () => {
+    render(<Invisisnake playtest={wallTest} />);
+    press('Escape');
+    expect(screen.getByRole('dialog', { name: 'Paused' })).toBeTruthy();
+    press('ArrowRight');
+    expect(screen.getByText(/Lives: 3/)).toBeTruthy();
+    press('Enter');
+    expect(screen.queryByRole('dialog')).toBeNull();
+    press('ArrowUp');
+    expect(screen.getByRole('status').textContent).toMatch(/^Turn 1\./);
+  });
+
+  it('walks the menu with keys and backs out a screen at a time', () => {
+    render(<Invisisnake playtest={wallTest} />);
+    press('Escape');
+    press('ArrowDown');
+    press('ArrowDown');
+    press('Enter');
+    expect(screen.getByText('The fading tail')).toBeTruthy();
+    press('ArrowRight');
+    expect(screen.getByRole('dialog', { name: 'How to Play' }).textContent).toContain('Reveal');
+    press('Escape');
+    expect(screen.getByRole('dialog', { name: 'Paused' })).toBeTruthy();
+    press('Escape');
+    expect(screen.queryByRole('dialog')).toBeNull();
+  });
+
+  it('keeps the level-end overlay under the menu', () => {
+    render(<Invisisnake playtest={wallTest} />);
+    press('ArrowRight');
+    press('Escape');
+    act(() => vi.advanceTimersByTime(1100));
+    expect(screen.queryByText('Life Lost')).toBeNull();
+    fireEvent.click(screen.getByText('Resume'));
+    expect(screen.getByText('Life Lost')).toBeTruthy();
+  });
+
+  it('quits to the level list and starts the level picked there', () => {
+    render(<Invisisnake />);
+    press('Escape');
+    fireEvent.click(screen.getByText('Quit to Level Select'));
+    press('Escape');
+    expect(screen.getByRole('dialog', { name: 'Level Select' })).toBeTruthy();
+    fireEvent.click(screen.getByLabelText('Level 3'));
+    expect(screen.queryByRole('dialog')).toBeNull();
+    expect(screen.getByText(/Level: 3\//)).toBeTruthy();
+  });
+});
@@ -0,0 +1,378 @@
+import React, { useRef, useState } from 'react';
+import { LEVEL_DEFAULTS, resolveLevel } from '../game/levels.js';
+import { EDGES, WRAP_ALL } from '../game/board.js';
+import { DIRS } from '../game/grid.js';
+import {
+  decodeLevel,
+  encodeLevel,
+  exportLevel,
+  importLevel,
+  playtestCampaign,
+  validateLevel
+} from '../game/levelCodec.js';
+
+// Level Editor — paint walls, portals and the start cell, tune spawn rates, then play-test,
+// export/import JSON or share the level as a ?level= link. Boards are edited as the same
+// ASCII layout the level format uses (see game/board.js).
+
+const MIN_SIZE = 3;
+const MAX_SIZE = 30;
+const PORTAL_LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+
+const TOOLS = [
+  { id: 'wall', label: 'Wall' },
+  { id: 'erase', label: 'Erase' },
+  { id: 'portal', label: 'Portal' },
+  { id: 'start', label: 'Start' }
+];
+
+const blankTiles = (w, h) => {
+  const tiles = Array.from({ length: h }, () => Array(w).fill('.'));
+  tiles[Math.floor(h / 2)][Math.floor(w / 2)] = 'S';
+  return tiles;
+};
+
+const tilesFromLayout = (layout) => layout.map((row) => [...row].map((ch) => (ch === ' ' ? '.' : ch)));
+
+// Editor form state from a level definition (file import, share link)
+const formFromLevel = (level) => ({
+  name: level.name ?? '',
+  tiles: tilesFromLayout(level.layout),
+  startDir: level.startDir ?? LEVEL_DEFAULTS.startDir,
+  wrap: { ...WRAP_ALL, ...level.wrap },
+  startLength: level.startLength ?? LEVEL_DEFAULTS.startLength,
+  winThreshold: level.winThreshold ?? LEVEL_DEFAULTS.winThreshold,
+  powerUpChance: level.powerUpChance ?? LEVEL_DEFAULTS.powerUpChance,
+  hazardChance: level.hazardChance ?? LEVEL_DEFAULTS.hazardChance,
+  maxHazards: level.maxHazards ?? 0
+});
+
+const levelFromForm = (form) => ({
+  name: form.name.trim() || undefined,
+  layout: form.tiles.map((row) => row.join('')),
+  startDir: form.startDir,
+  wrap: form.wrap,
+  startLength: form.startLength,
+  winThreshold: form.winThreshold,
+  powerUpChance: form.powerUpChance,
+  hazardChance: form.hazardChance,
+  maxHazards: form.maxHazards
+});
+
+// Lowest portal letter that still needs an end
+const nextPortalLetter = (tiles) => {
+  const counts = {};
+  tiles.flat().forEach((ch) => {
+    counts[ch] = (counts[ch] ?? 0) + 1;
+  });
+  return [...PORTAL_LETTERS].find((ch) => (counts[ch] ?? 0) < 2) ?? null;
+};
+
+const tileStyle = (ch) => {
+  if (ch === '#') return 'bg-slate-500';
+  if (ch === 'S') return 'bg-emerald-600';
+  if (/[a-z]/.test(ch)) return 'bg-sky-700';
+  return 'bg-slate-800 hover:bg-slate-700';
+};
+
+const input =
+  'px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-slate-100 text-sm focus:outline-none focus:ring-1 focus:ring-slate-500';
+const btn = 'px-3 py-1 rounded-xl bg-slate-800 hover:bg-slate-700 shadow-sm text-sm';
+
+export default function LevelEditor({ initialLevel, onPlaytest }) {
+  const [form, setForm] = useState(() =>
+    initialLevel ? formFromLevel(initialLevel) : formFromLevel({ layout: blankTiles(10, 8).map((r) => r.join('')) })
+  );
+  const [tool, setTool] = useState('wall');
+  const [message, setMessage] = useState('');
+  const [shareCode, setShareCode] = useState('');
+  const [importText, setImportText] = useState('');
+  const paintingRef = useRef(false);
+
+  const width = form.tiles[0].length;
+  const height = form.tiles.length;
+  const update = (patch) => setForm((f) => ({ ...f, ...patch }));
+
+  // ===== Painting =====
+  const paint = (x, y) => {
+    setForm((f) => {
+      const tiles = f.tiles.map((row) => row.slice());
+      const current = tiles[y][x];
+      if (tool === 'start') {
+        tiles.forEach((row) =>
+          row.forEach((ch, i) => {
+            if (ch === 'S') row[i] = '.';
+          })
+        );
+        tiles[y][x] = 'S';
+      } else if (current === 'S') {
+        return f; // move the start with the Start tool instead
+      } else if (tool === 'wall') {
+        tiles[y][x] = '#';
+      } else if (tool === 'erase') {
+        tiles[y][x] = '.';
+      } else if (tool === 'portal') {
+        if (/[a-z]/.test(current)) return f;
+        const letter = nextPortalLetter(tiles);
+        if (!letter) return f;
+        tiles[y][x] = letter;
+      }
+      return { ...f, tiles };
+    });
+  };
+
+  const resize = (w, h) => {
+    const nw = Math.max(MIN_SIZE, Math.min(MAX_SIZE, Math.floor(Number(w) || MIN_SIZE)));
+    const nh = Math.max(MIN_SIZE, Math.min(MAX_SIZE, Math.floor(Number(h) || MIN_SIZE)));
+    setForm((f) => {
+      const tiles = Array.from({ length: nh }, (_, y) =>
+        Array.from({ length: nw }, (_, x) => f.tiles[y]?.[x] ?? '.')
+      );
+      if (!tiles.flat().includes('S')) tiles[Math.floor(nh / 2)][Math.floor(nw / 2)] = 'S';
+      return { ...f, tiles };
+    });
+  };
+
+  // ===== Validation / IO =====
+  // Returns the level, or null after showing why it is not playable yet
+  const buildLevel = () => {
+    try {
+      const level = validateLevel(levelFromForm(form));
+      resolveLevel(playtestCampaign(level), 1);
+      return level;
+    } catch (err) {
+      setMessage(err.message);
+      return null;
+    }
+  };
+
+  const playtest = () => {
+    const level = buildLevel();
+    if (!level) return;
+    setMessage('');
+    onPlaytest(playtestCampaign(level));
+  };
+
+  const downloadJson = () => {
+    const level = buildLevel();
+    if (!level) return;
+    const blob = new Blob([exportLevel(level)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${(level.name ?? 'level').replace(/[^\w-]+/g, '-').toLowerCase()}.level.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const loadLevel = (level) => {
+    setForm(formFromLevel(level));
+    setMessage(`Loaded ${level.name ?? 'level'}`);
+  };
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      loadLevel(importLevel(await file.text()));
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  const makeShareLink = () => {
+    const level = buildLevel();
+    if (!level) return;
+    const link = `${window.location.origin}${window.location.pathname}?level=${encodeLevel(level)}`;
+    setShareCode(link);
+    if (navigator.clipboard) navigator.clipboard.writeText(link).then(() => setMessage('Share link copied'), () => {});
+  };
+
+  // Accepts a bare share code or a full ?level= link
+  const importShared = () => {
+    try {
+      const text = importText.trim();
+      const code = text.includes('level=') ? new URL(text, window.location.href).searchParams.get('level') : text;
+      loadLevel(decodeLevel(code));
+      setImportText('');
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  const numberField = (key, label, { min, max, step, percent = false }) => (
+    <label className="flex items-center justify-between gap-2">
+      <span className="opacity-80">{label}</span>
+      <input
+        type="number"
+        min={min}
+        max={max}
+        step={step}
+        value={percent ? Math.round(form[key] * 100) : form[key]}
+        onChange={(e) => {
+          const v = Number(e.target.value);
+          if (!Number.isNaN(v)) update({ [key]: percent ? v / 100 : v });
+        }}
+        className={`${input} w-20`}
+      />
+    </label>
+  );
+
+  return (
+    <div className="w-full flex flex-col items-center gap-4 p-4 bg-slate-900 text-slate-100">
+      <div className="w-full max-w-[900px] flex flex-wrap items-center gap-2 text-sm">
+        <div className="font-semibold text-lg mr-2">Level Editor</div>
+        <input
+          type="text"
+          placeholder="Level name"
+          value={form.name}
+          onChange={(e) => update({ name: e.target.value })}
+          className={`${input} w-40`}
+        />
+        <label className="opacity-80" htmlFor="edW">
+          W
+        </label>
+        <input
+          id="edW"
+          type="number"
+          min={MIN_SIZE}
+          max={MAX_SIZE}
+          value={width}
+          onChange={(e) => resize(e.target.value, height)}
+          className={`${input} w-16`}
+        />
+        <label className="opacity-80" htmlFor="edH">
+          H
+        </label>
+        <input
+          id="edH"
+          type="number"
+          min={MIN_SIZE}
+          max={MAX_SIZE}
+          value={height}
+          onChange={(e) => resize(width, e.target.value)}
+          className={`${input} w-16`}
+        />
+        <div className="flex gap-1 ml-2">
+          {TOOLS.map((t) => (
+            <button
+              key={t.id}
+              type="button"
+              onClick={() => setTool(t.id)}
+              className={`${btn} ${tool === t.id ? 'ring-1 ring-emerald-400' : ''}`}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="w-full max-w-[900px] flex flex-col lg:flex-row gap-6">
+        {/* Board */}
+        <div
+          className="grid gap-px bg-slate-700 border border-slate-700 rounded-md overflow-hidden select-none w-full max-w-[560px] self-center"
+          style={{ gridTemplateColumns: `repeat(${width}, minmax(0, 1fr))` }}
+          onMouseLeave={() => {
+            paintingRef.current = false;
+          }}
+          onMouseUp={() => {
+            paintingRef.current = false;
+          }}
+        >
+          {form.tiles.map((row, y) =>
+            row.map((ch, x) => (
+              <button
+                key={`${x},${y}`}
+                type="button"
+                aria-label={`Cell ${x},${y}`}
+                className={`aspect-square text-xs font-mono ${tileStyle(ch)}`}
+                onMouseDown={() => {
+                  paintingRef.current = tool === 'wall' || tool === 'erase';
+                  paint(x, y);
+                }}
+                onMouseEnter={() => {
+                  if (paintingRef.current) paint(x, y);
+                }}
+              >
+                {ch === 'S' ? { UP: '↑', DOWN: '↓', LEFT: '←', RIGHT: '→' }[form.startDir] : /[a-z]/.test(ch) ? ch : ''}
+              </button>
+            ))
+          )}
+        </div>
+
+        {/* Settings */}
+        <div className="flex flex-col gap-2 text-sm min-w-[240px]">
+          <label className="flex items-center justify-between gap-2">
+            <span className="opacity-80">Start direction</span>
+            <select value={form.startDir} onChange={(e) => update({ startDir: e.target.value })} className={input}>
+              {Object.keys(DIRS).map((d) => (
+                <option key={d} value={d}>
+                  {d}
+                </option>
+              ))}
+            </select>
+          </label>
+          {numberField('startLength', 'Start length', { min: 1, max: 50, step: 1 })}
+          {numberField('winThreshold', 'Win threshold (% empty)', { min: 0, max: 90, step: 1, percent: true })}
+          {numberField('powerUpChance', 'Power-up chance (%)', { min: 0, max: 100, step: 1, percent: true })}
+          {numberField('hazardChance', 'Hazard chance (%)', { min: 0, max: 100, step: 1, percent: true })}
+          {numberField('maxHazards', 'Max hazards', { min: 0, max: 100, step: 1 })}
+          <div className="opacity-80 mt-2">Solid borders</div>
+          <div className="flex gap-3">
+            {EDGES.map((edge) => (
+              <label key={edge} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={!form.wrap[edge]}
+                  onChange={(e) => update({ wrap: { ...form.wrap, [edge]: !e.target.checked } })}
+                  className="accent-emerald-500"
+                />
+                {edge}
+              </label>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={playtest}
+            className="mt-3 px-4 py-2 rounded-2xl bg-emerald-700 text-slate-100 hover:bg-emerald-600 shadow-sm"
+          >
+            Play-test
+          </button>
+          <div className="flex flex-wrap gap-2">
+            <button type="button" onClick={downloadJson} className={btn}>
+              Export JSON
+            </button>
+            <label className={`${btn} cursor-pointer`}>
+              Import JSON
+              <input
+                type="file"
+                accept=".json,application/json"
+                className="hidden"
+                onChange={(e) => {
+                  importFile(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+            </label>
+            <button type="button" onClick={makeShareLink} className={btn}>
+              Share link
+            </button>
+          </div>
+          {shareCode && <input readOnly value={shareCode} className={`${input} font-mono text-xs`} />}
+          <div className="flex gap-2">
+            <input
+              type="text"
+              placeholder="Paste share link or code"
+              value={importText}
+              onChange={(e) => setImportText(e.target.value)}
+              className={`${input} flex-1 font-mono text-xs`}
+            />
+            <button type="button" onClick={importShared} className={btn} disabled={!importText.trim()}>
+              Load
+            </button>
+          </div>
+          {message && <div className="text-amber-300">{message}</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,303 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { DIRS } from '../game/grid.js';
+import { DEFAULT_CAMPAIGN, listCampaigns, levelCount } from '../game/levels.js';
+import { VARIANTS, VARIANT_LABELS, matchResult } from '../game/multi.js';
+import { dirCode } from '../game/replay.js';
+import { resolveFade } from '../game/fade.js';
+import { connectRelay, defaultRelayUrl } from '../lib/relayClient.js';
+import useChiptune from './useChiptune.js';
+import { useGamepad, useSwipe } from './useControls.js';
+import { useA11y } from './useA11y.js';
+import { ACTION_DIRS, actionForKey, getControls } from '../lib/input.js';
+import {
+  CAUSE_TEXT,
+  PLAYER_COLORS,
+  PLAYER_NAMES,
+  drawBackdrop,
+  drawCrashRing,
+  drawFruit,
+  drawHazard,
+  drawPowerUp,
+  drawSnake,
+  drawStatics,
+  fitCanvas,
+  getPalette
+} from './boardCanvas.js';
+
+// Online two-player screen. The relay server (npm run server) owns the match; this screen
+// sends directions and draws whatever state the server broadcasts. Open two tabs on the
+// same room to play on one machine.
+
+const STATUS_TEXT = {
+  offline: 'Not connected',
+  connecting: 'Connecting…',
+  online: 'Connected',
+  reconnecting: 'Connection lost, reconnecting…'
+};
+
+const inputClass =
+  'px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-slate-100 text-sm focus:outline-none focus:ring-1 focus:ring-slate-500';
+
+export default function OnlinePlay({ active = true }) {
+  const canvasRef = useRef(null);
+
+  const [url, setUrl] = useState(defaultRelayUrl);
+  const [room, setRoom] = useState('lobby');
+  const [campaignId, setCampaignId] = useState(DEFAULT_CAMPAIGN.id);
+  const [variant, setVariant] = useState('versus');
+
+  const connRef = useRef(null);
+  const [status, setStatus] = useState('offline');
+  const [error, setError] = useState('');
+  const [player, setPlayer] = useState(null);
+  const [snapshot, setSnapshot] = useState(null); // last `state` message from the server
+  const snapshotRef = useRef(snapshot);
+  const lastTurnRef = useRef(-1);
+  // Palette and reduced motion from the shared accessibility settings, read by the draw loop
+  const a11y = useA11y();
+  const a11yRef = useRef(a11y);
+  a11yRef.current = a11y;
+
+  const { playMove, playFruit, playWin, playLifeLost, playGameOver, playPowerUp } = useChiptune();
+
+  // Sounds only for turns this client has not heard yet (a resync resends the last events)
+  const handleSnapshot = (msg) => {
+    const fresh = msg.game.turn !== lastTurnRef.current || msg.game.status !== snapshotRef.current?.game.status;
+    lastTurnRef.current = msg.game.turn;
+    snapshotRef.current = msg;
+    setSnapshot(msg);
+    if (!fresh) return;
+    if (msg.events.some((ev) => ev.type === 'moved')) playMove();
+    msg.events.forEach((ev) => {
+      if (ev.type === 'fruitEaten') playFruit();
+      else if (ev.type === 'powerUpPicked') playPowerUp(ev.kind);
+      else if (ev.type === 'roundOver') (ev.result ? playGameOver : playLifeLost)();
+      else if (ev.type === 'levelCleared') playWin();
+    });
+  };
+
+  const disconnect = () => {
+    if (connRef.current) connRef.current.close();
+    connRef.current = null;
+    setStatus('offline');
+    setPlayer(null);
+    setSnapshot(null);
+    snapshotRef.current = null;
+  };
+
+  const connect = () => {
+    disconnect();
+    setError('');
+    lastTurnRef.current = -1;
+    connRef.current = connectRelay({
+      url,
+      room: room.trim(),
+      settings: { campaign: campaignId, variant },
+      onStatus: setStatus,
+      onJoined: (msg) => setPlayer(msg.player),
+      onState: handleSnapshot,
+      onError: setError
+    });
+  };
+
+  useEffect(() => () => connRef.current?.close(), []);
+
+  const send = (msg) => connRef.current?.send(msg);
+
+  // Directions steer your own snake; confirm moves on after a round. Returns whether the
+  // action was used. Pause and rewind mean nothing online, the server keeps the clock.
+  const handleAction = (action) => {
+    const snap = snapshotRef.current;
+    if (!connRef.current || !snap) return false;
+    if (ACTION_DIRS[action]) {
+      send({ type: 'dir', code: dirCode(DIRS[ACTION_DIRS[action]]) });
+      return true;
+    }
+    if (action === 'confirm' && snap.game.status !== 'playing') {
+      send({ type: 'continue' });
+      return true;
+    }
+    return false;
+  };
+
+  useGamepad(active, handleAction);
+  const swipe = useSwipe(handleAction);
+
+  // Keyboard, through the same bindings as the single-player screen
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.repeat || !active) return;
+      if (e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement) return;
+      if (handleAction(actionForKey(getControls().keys, e.key))) e.preventDefault();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [active]);
+
+  // Render loop
+  useEffect(() => {
+    let raf = 0;
+    const c = canvasRef.current;
+    if (!c) return undefined;
+    const ctx = c.getContext('2d');
+
+    const draw = () => {
+      const g = snapshotRef.current?.game;
+      const palette = getPalette(a11yRef.current.palette);
+      const backdrop = { palette, scanlines: !a11yRef.current.reducedMotion };
+      if (g) {
+        const view = fitCanvas(c, ctx, g.cols, g.rows);
+        drawBackdrop(ctx, view, g.cols, g.rows, backdrop);
+        const over = g.status === 'lost';
+        const win = g.status === 'won';
+        const pulse = 0.5 + 0.5 * Math.sin((performance.now() / 1000) * 6);
+        drawStatics(ctx, view, g.def, pulse, palette);
+        if (g.fruit && !win && !over) drawFruit(ctx, view, g.fruit, palette);
+        g.hazards.forEach((h) => drawHazard(ctx, view, h, pulse, palette));
+        if (g.powerUp && !win && !over) drawPowerUp(ctx, view, g.powerUp, pulse);
+        g.players.forEach((p, i) =>
+          drawSnake(ctx, view, p.snake, resolveFade(g.def), {
+            over,
+            reveal: p.effects.reveal > 0,
+            pulse,
+            colors: PLAYER_COLORS[i],
+            eye: palette.shapes
+          })
+        );
+        if (over) g.crashes.forEach((crash) => drawCrashRing(ctx, view, crash.pos, palette));
+      } else {
+        const view = fitCanvas(c, ctx, 1, 1);
+        drawBackdrop(ctx, view, 0, 0, backdrop);
+      }
+      raf = requestAnimationFrame(draw);
+    };
+
+    raf = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(raf);
+  }, []);
+
+  const game = snapshot?.game;
+  const result = game && game.status === 'lost' ? matchResult(game) : null;
+  const waitingForSeat = snapshot && !snapshot.seated.every(Boolean);
+
+  return (
+    <div className="w-full flex flex-col items-center gap-4 p-4 bg-slate-900 text-slate-100">
+      <div className="flex flex-col sm:flex-row sm:items-start gap-4 w-full max-w-[900px] justify-between">
+        <div className="text-slate-100 text-sm tracking-wide">
+          <div className="font-semibold text-lg">Online</div>
+          <div className="opacity-90">
+            {STATUS_TEXT[status]}
+            {player !== null && ` • You are ${PLAYER_NAMES[player]}`}
+          </div>
+          {error && <div className="text-rose-400">{error}</div>}
+          {game && (
+            <>
+              <div className="opacity-70">
+                Room {snapshot.room} • {VARIANT_LABELS[game.variant]} • {game.campaign.name} • Level {game.level}/
+                {levelCount(game.campaign)}
+              </div>
+              {game.players.map((p, i) => (
+                <div key={PLAYER_NAMES[i]} className="flex items-center gap-2 font-mono text-xs">
+                  <span className="inline-block w-3 h-3 rounded-sm" style={{ background: PLAYER_COLORS[i].head }} />
+                  <span>
+                    {PLAYER_NAMES[i]} {i === player && '(you)'} • Lives {p.lives} • Length {p.snake.length} • Score{' '}
+                    {p.score}
+                  </span>
+                  <span className={snapshot.connected[i] ? 'opacity-60' : 'text-rose-400'}>
+                    {!snapshot.seated[i] ? 'open seat' : snapshot.connected[i] ? (snapshot.ready[i] ? 'ready' : '') : 'offline'}
+                  </span>
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            aria-label="Server"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            className={`w-48 font-mono ${inputClass}`}
+          />
+          <input aria-label="Room" value={room} onChange={(e) => setRoom(e.target.value)} className={`w-28 ${inputClass}`} />
+          <select aria-label="Campaign" value={campaignId} onChange={(e) => setCampaignId(e.target.value)} className={inputClass}>
+            {listCampaigns().map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+          <select aria-label="Variant" value={variant} onChange={(e) => setVariant(e.target.value)} className={inputClass}>
+            {VARIANTS.map((v) => (
+              <option key={v} value={v}>
+                {VARIANT_LABELS[v]}
+              </option>
+            ))}
+          </select>
+          {status === 'offline' ? (
+            <button
+              type="button"
+              onClick={connect}
+              className="px-4 py-2 rounded-2xl bg-emerald-700 text-slate-100 hover:bg-emerald-600 shadow-sm"
+            >
+              Join room
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={disconnect}
+              className="px-4 py-2 rounded-2xl bg-slate-700 text-slate-100 hover:bg-slate-600 shadow-sm"
+            >
+              Leave
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Canvas + overlay */}
+      <div className="relative" style={{ touchAction: 'none' }} {...swipe}>
+        <canvas
+          ref={canvasRef}
+          style={{ width: 'min(90vmin, 820px)', height: 'min(90vmin, 820px)', imageRendering: 'pixelated' }}
+          className="rounded-2xl shadow-lg border border-slate-700"
+        />
+        {!game && (
+          <div className="absolute inset-0 flex flex-col justify-center items-center text-center p-4 text-sm opacity-80">
+            Start the relay with <code className="mx-1">npm run server</code>, then join the same room from two tabs.
+          </div>
+        )}
+        {waitingForSeat && (
+          <div className="absolute inset-0 flex flex-col justify-center items-center bg-black/60 text-center p-4">
+            <div className="text-xl font-bold">Waiting for a second player</div>
+            <div className="text-sm mt-3 opacity-90">Join room “{snapshot.room}” from another tab or browser</div>
+          </div>
+        )}
+        {game && game.status !== 'playing' && (
+          <div
+            className="absolute inset-0 flex flex-col justify-center items-center bg-black/70 text-center p-4 cursor-pointer"
+            onClick={() => send({ type: 'continue' })}
+          >
+            <div className="text-xl font-bold">
+              {game.status === 'won'
+                ? `Level ${game.level} Cleared`
+                : result
+                ? game.variant === 'coop'
+                  ? 'Game Over'
+                  : result.winner === null
+                  ? 'Draw'
+                  : result.winner === player
+                  ? 'You Win'
+                  : `${PLAYER_NAMES[result.winner]} Wins`
+                : 'Round Over'}
+            </div>
+            {game.crashes.map((c) => (
+              <div key={c.player} className="text-sm mt-2 opacity-90">
+                {PLAYER_NAMES[c.player]} {CAUSE_TEXT[c.cause]} • Lives left: {game.players[c.player].lives}
+              </div>
+            ))}
+            <div className="text-sm mt-3 opacity-90">Tap or press Enter to continue</div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { getCampaign, levelCount } from '../game/levels.js';
+import { levelRecord, runsForMode } from '../game/records.js';
+import { MODES, MODE_LABELS } from '../game/realtime.js';
+import { FADE_PRESET_LABELS } from '../game/fade.js';
+
+// Local leaderboard: per-level bests for the selected campaign and the top runs overall,
+// one board per mode (turn-based and real-time are ranked apart).
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString();
+
+const campaignName = (id) => getCampaign(id)?.name ?? id;
+
+export default function RecordsPanel({ records, campaign, mode: initialMode = 'turns', onClose }) {
+  const levels = Array.from({ length: levelCount(campaign) }, (_, i) => i + 1);
+  const [mode, setMode] = useState(initialMode);
+  const runs = runsForMode(records, mode);
+
+  return (
+    <div className="w-full max-w-[900px] rounded-2xl border border-slate-700 bg-slate-800/60 p-4 text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <div className="font-semibold">Records • {campaign.name}</div>
+        <div className="flex gap-1">
+          {MODES.map((m) => (
+            <button
+              key={m}
+              type="button"
+              onClick={() => setMode(m)}
+              className={`px-3 py-1 rounded-xl ${m === mode ? 'bg-slate-600' : 'bg-slate-800 hover:bg-slate-700'}`}
+            >
+              {MODE_LABELS[m]}
+            </button>
+          ))}
+        </div>
+        <button type="button" onClick={onClose} className="px-3 py-1 rounded-xl bg-slate-700 hover:bg-slate-600">
+          Close
+        </button>
+      </div>
+      <div className="grid gap-6 sm:grid-cols-2">
+        <table className="w-full text-left">
+          <thead className="opacity-70">
+            <tr>
+              <th className="font-normal">Level</th>
+              <th className="font-normal">Best score</th>
+              <th className="font-normal">Fewest turns</th>
+              <th className="font-normal">Most lives</th>
+            </tr>
+          </thead>
+          <tbody className="font-mono">
+            {levels.map((lvl) => {
+              const r = levelRecord(records, campaign.id, lvl, mode);
+              return (
+                <tr key={lvl} className={r ? '' : 'opacity-40'}>
+                  <td>{lvl}</td>
+                  <td>{r ? r.bestScore : '—'}</td>
+                  <td>{r ? r.fewestTurns : '—'}</td>
+                  <td>{r ? r.mostLives : '—'}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        <div>
+          <div className="opacity-70 mb-1">Top campaign runs</div>
+          {runs.length === 0 ? (
+            <div className="opacity-50">No finished runs yet.</div>
+          ) : (
+            <ol className="font-mono space-y-1">
+              {runs.map((run, i) => (
+                <li key={`${run.date}-${run.seed}`} className="flex justify-between gap-2">
+                  <span>
+                    {i + 1}. {run.score} pts • {campaignName(run.campaign)} L{run.level} •{' '}
+                    {FADE_PRESET_LABELS[run.fade] ?? run.fade}
+                  </span>
+                  <span className="opacity-60">
+                    {formatDate(run.date)} • seed {run.seed}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import React from 'react';
+
+// Transport for Replay mode: play/pause, single steps, speed and a turn scrubber.
+// `replay` is { frames, index, playing, speed }; changes go back through onChange(patch).
+
+const SPEEDS = [1, 2, 4];
+
+const btn = 'px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 shadow-md text-sm disabled:opacity-40';
+
+export default function ReplayControls({ replay, onChange, onClose }) {
+  const last = replay.frames.length - 1;
+  const frame = replay.frames[replay.index];
+  const atEnd = replay.index >= last;
+
+  const stepBy = (delta) =>
+    onChange({ playing: false, index: Math.max(0, Math.min(last, replay.index + delta)) });
+
+  return (
+    <div className="flex flex-col gap-3 w-full max-w-[820px] select-none">
+      <div className="flex items-center justify-between text-xs opacity-80 font-mono">
+        <span>
+          Replay • Input {replay.index}/{last} • Level {frame.state.level} • Turn {frame.state.turn}
+        </span>
+        <span>Seed {frame.state.seed}</span>
+      </div>
+      <input
+        type="range"
+        aria-label="Scrub to turn"
+        min={0}
+        max={last}
+        value={replay.index}
+        onChange={(e) => onChange({ playing: false, index: Number(e.target.value) })}
+        className="w-full accent-emerald-500"
+      />
+      <div className="flex flex-wrap items-center justify-center gap-2">
+        <button type="button" className={btn} onClick={() => stepBy(-1)} disabled={replay.index === 0}>
+          ◀ Step
+        </button>
+        <button
+          type="button"
+          className={btn}
+          onClick={() => onChange(atEnd ? { index: 0, playing: true } : { playing: !replay.playing })}
+        >
+          {replay.playing ? 'Pause' : atEnd ? 'Restart' : 'Play'}
+        </button>
+        <button type="button" className={btn} onClick={() => stepBy(1)} disabled={atEnd}>
+          Step ▶
+        </button>
+        {SPEEDS.map((s) => (
+          <button
+            key={s}
+            type="button"
+            className={`${btn} ${replay.speed === s ? 'ring-1 ring-emerald-400' : ''}`}
+            onClick={() => onChange({ speed: s })}
+          >
+            {s}x
+          </button>
+        ))}
+        <button type="button" className={btn} onClick={onClose}>
+          Exit Replay
+        </button>
+      </div>
+    </div>
+  );
+}
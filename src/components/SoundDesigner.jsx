@@ -0,0 +1,286 @@
+import React, { useState } from 'react';
+import { getAudio } from '../lib/audio.js';
+import {
+  DEFAULT_SOUNDS,
+  NOISE_FIELDS,
+  SOUND_FIELDS,
+  SOUND_IDS,
+  SOUND_LABELS,
+  WAVES,
+  formatNotes,
+  getSoundPack,
+  parseNotes,
+  parseSoundPack,
+  playSound,
+  resetSoundPack,
+  serializeSoundPack,
+  setSoundPack,
+  validateSound
+} from '../lib/sfx.js';
+
+// Dev panel for the sound pack: pick a sound, tweak it and hear it. Every valid edit goes
+// straight into the active pack, so the game plays it too; an invalid one is held here with
+// its error until fixed. Packs go in and out as JSON files.
+
+const FIELD_LABELS = {
+  root: 'Root (Hz)',
+  step: 'Step (s)',
+  gain: 'Gain',
+  attack: 'Attack (s)',
+  hold: 'Hold (s)',
+  release: 'Release (s)',
+  arpRate: 'Arp rate (s)',
+  length: 'Length (s)',
+  cutoff: 'Cutoff (Hz)'
+};
+const DEFAULT_NOISE = { hits: [0], gain: 0.2, length: 0.08, cutoff: 4000 };
+
+const inputClass =
+  'px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-slate-100 text-sm focus:outline-none focus:ring-1 focus:ring-slate-500';
+const buttonClass = 'px-3 py-1 rounded-xl bg-slate-800 hover:bg-slate-700 shadow-sm text-sm';
+
+// Text drafts for the list fields of one sound
+const drafts = (s) => ({
+  notes: formatNotes(s.notes),
+  arp: formatNotes(s.arp),
+  hits: s.noise ? s.noise.hits.join(' ') : ''
+});
+
+export default function SoundDesigner() {
+  const [pack, setPack] = useState(getSoundPack);
+  const [selected, setSelected] = useState(SOUND_IDS[0]);
+  const [text, setText] = useState(() => drafts(pack.sounds[SOUND_IDS[0]]));
+  const [error, setError] = useState('');
+  const [fileError, setFileError] = useState('');
+
+  const current = pack.sounds[selected];
+
+  const select = (id) => {
+    setSelected(id);
+    setText(drafts(pack.sounds[id]));
+    setError('');
+  };
+
+  // Replaces the pack here, and in the game when every sound in it is valid
+  const commitPack = (next) => {
+    setPack(next);
+    try {
+      SOUND_IDS.forEach((id) => validateSound(next.sounds[id], id));
+      setSoundPack(next);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const updateSound = (patch) => commitPack({ ...pack, sounds: { ...pack.sounds, [selected]: { ...current, ...patch } } });
+
+  const updateNoise = (patch) => updateSound({ noise: { ...current.noise, ...patch } });
+
+  // List fields are edited as text; nothing changes until the text parses
+  const editList = (field, value) => {
+    setText((t) => ({ ...t, [field]: value }));
+    try {
+      if (field === 'notes') updateSound({ notes: parseNotes(value) });
+      else if (field === 'arp') updateSound({ arp: parseNotes(value, false) });
+      else updateNoise({ hits: parseNotes(value, false) });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const preview = (id = selected) => {
+    const s = pack.sounds[id];
+    try {
+      validateSound(s, id);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    const audio = getAudio();
+    audio.unlock();
+    playSound(audio, s);
+  };
+
+  const exportPack = () => {
+    const blob = new Blob([serializeSoundPack(pack)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${pack.name.replace(/[^\w-]+/g, '-').toLowerCase() || 'sounds'}.soundpack.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importPack = async (file) => {
+    if (!file) return;
+    try {
+      const next = parseSoundPack(await file.text());
+      commitPack(next);
+      setText(drafts(next.sounds[selected]));
+      setFileError('');
+    } catch (err) {
+      setFileError(err.message);
+    }
+  };
+
+  const reset = () => {
+    const next = resetSoundPack();
+    setPack(next);
+    setText(drafts(next.sounds[selected]));
+    setError('');
+    setFileError('');
+  };
+
+  const numberInput = (label, value, onChange, [min, max]) => (
+    <label className="flex flex-col gap-1 text-xs opacity-90">
+      {label}
+      <input
+        type="number"
+        min={min}
+        max={max}
+        step="any"
+        value={value}
+        onChange={(e) => onChange(e.target.value === '' ? NaN : Number(e.target.value))}
+        className={`${inputClass} w-28`}
+      />
+    </label>
+  );
+
+  return (
+    <div className="w-full flex flex-col gap-4 p-4 bg-slate-900 text-slate-100">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="font-semibold text-lg mr-2">Sound Designer</div>
+        <input
+          aria-label="Pack name"
+          value={pack.name}
+          onChange={(e) => commitPack({ ...pack, name: e.target.value })}
+          className={`${inputClass} w-40`}
+        />
+        <button type="button" onClick={exportPack} className={buttonClass}>
+          Export Pack
+        </button>
+        <label className={`${buttonClass} cursor-pointer`}>
+          Import Pack
+          <input
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            aria-label="Import pack file"
+            onChange={(e) => {
+              importPack(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </label>
+        <button type="button" onClick={reset} className={buttonClass}>
+          Reset to Default
+        </button>
+        {fileError && <span className="text-rose-400 text-sm">{fileError}</span>}
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-4">
+        <ul className="flex sm:flex-col flex-wrap gap-1 sm:w-48">
+          {SOUND_IDS.map((id) => (
+            <li key={id} className="flex items-center gap-1">
+              <button
+                type="button"
+                onClick={() => select(id)}
+                aria-pressed={id === selected}
+                className={`flex-1 text-left px-3 py-1 rounded-lg text-sm ${
+                  id === selected ? 'bg-slate-700' : 'bg-slate-800 hover:bg-slate-700'
+                }`}
+              >
+                {SOUND_LABELS[id]}
+              </button>
+              <button
+                type="button"
+                aria-label={`Play ${SOUND_LABELS[id]}`}
+                onClick={() => preview(id)}
+                className="px-2 py-1 rounded-lg bg-slate-800 hover:bg-slate-700 text-sm"
+              >
+                ▶
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex-1 flex flex-col gap-3">
+          <div className="flex flex-wrap items-end gap-3">
+            <label className="flex flex-col gap-1 text-xs opacity-90">
+              Wave
+              <select value={current.wave} onChange={(e) => updateSound({ wave: e.target.value })} className={inputClass}>
+                {WAVES.map((w) => (
+                  <option key={w} value={w}>
+                    {w}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {Object.entries(SOUND_FIELDS).map(([key, range]) => (
+              <React.Fragment key={key}>
+                {numberInput(FIELD_LABELS[key], Number.isNaN(current[key]) ? '' : current[key], (v) => updateSound({ [key]: v }), range)}
+              </React.Fragment>
+            ))}
+          </div>
+          <label className="flex flex-col gap-1 text-xs opacity-90">
+            Notes (semitones from the root, - for a rest)
+            <input value={text.notes} onChange={(e) => editList('notes', e.target.value)} className={`${inputClass} font-mono`} />
+          </label>
+          <label className="flex flex-col gap-1 text-xs opacity-90">
+            Arpeggio (semitones cycled within each note, blank for none)
+            <input value={text.arp} onChange={(e) => editList('arp', e.target.value)} className={`${inputClass} font-mono`} />
+          </label>
+          <div className="flex flex-wrap items-end gap-3">
+            <label className="flex items-center gap-1 text-sm opacity-90">
+              <input
+                type="checkbox"
+                checked={!!current.noise}
+                onChange={(e) => {
+                  updateSound({ noise: e.target.checked ? DEFAULT_NOISE : null });
+                  setText((t) => ({ ...t, hits: e.target.checked ? DEFAULT_NOISE.hits.join(' ') : '' }));
+                }}
+                className="accent-emerald-500"
+              />
+              Noise channel
+            </label>
+            {current.noise && (
+              <>
+                <label className="flex flex-col gap-1 text-xs opacity-90">
+                  Hits (note indexes)
+                  <input value={text.hits} onChange={(e) => editList('hits', e.target.value)} className={`${inputClass} w-28 font-mono`} />
+                </label>
+                {Object.entries(NOISE_FIELDS).map(([key, range]) => (
+                  <React.Fragment key={key}>
+                    {numberInput(
+                      key === 'gain' ? 'Noise gain' : FIELD_LABELS[key],
+                      Number.isNaN(current.noise[key]) ? '' : current.noise[key],
+                      (v) => updateNoise({ [key]: v }),
+                      range
+                    )}
+                  </React.Fragment>
+                ))}
+              </>
+            )}
+          </div>
+          <div className="flex items-center gap-2">
+            <button type="button" onClick={() => preview()} className={buttonClass}>
+              ▶ Preview
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                updateSound(DEFAULT_SOUNDS[selected]);
+                setText(drafts(DEFAULT_SOUNDS[selected]));
+              }}
+              className={buttonClass}
+            >
+              Reset Sound
+            </button>
+            {error && <span className="text-rose-400 text-sm">{error}</span>}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+import React from 'react';
+import { afterEach, describe, expect, it } from 'vitest';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import SoundDesigner from './SoundDesigner.jsx';
+import { DEFAULT_SOUNDS, getSoundPack, resetSoundPack } from '../lib/sfx.js';
+
+// jsdom's File has no text(), which is all the import reads
+const importFile = (text) => {
+  const file = { name: 'pack.json', text: () => Promise.resolve(text) };
+  fireEvent.change(screen.getByLabelText('Import pack file'), { target: { files: [file] } });
+};
+
+describe('SoundDesigner', () => {
+  afterEach(() => {
+    resetSoundPack();
+  });
+
+  it('puts valid edits straight into the active pack', () => {
+    render(<SoundDesigner />);
+    fireEvent.click(screen.getByText('Fruit'));
+    fireEvent.change(screen.getByDisplayValue('0 4 7'), { target: { value: '0 7 12' } });
+    expect(getSoundPack().sounds.fruit.notes).toEqual([0, 7, 12]);
+  });
+
+  it('holds back an invalid edit and says why', () => {
+    render(<SoundDesigner />);
+    fireEvent.change(screen.getByLabelText('Gain'), { target: { value: '3' } });
+    expect(screen.getByText('Move: gain must be a number from 0 to 1')).toBeTruthy();
+    expect(getSoundPack().sounds.move.gain).toBe(DEFAULT_SOUNDS.move.gain);
+  });
+
+  it('imports a pack file and reports a broken one', async () => {
+    render(<SoundDesigner />);
+    importFile(JSON.stringify({ format: 1, name: 'Crunchy', sounds: { move: { wave: 'sawtooth' } } }));
+    await waitFor(() => expect(getSoundPack().name).toBe('Crunchy'));
+    expect(getSoundPack().sounds.move.wave).toBe('sawtooth');
+    importFile('{ broken');
+    expect(await screen.findByText('Sound pack is not valid JSON')).toBeTruthy();
+  });
+});
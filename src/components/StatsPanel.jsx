@@ -0,0 +1,229 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { DEFAULT_CAMPAIGN, getCampaign, levelCount, listCampaigns } from '../game/levels.js';
+import { POWERUP_KINDS, POWERUP_LABELS } from '../game/powerups.js';
+import {
+  DEATH_CAUSES,
+  DEATH_LABELS,
+  STATS_KEY,
+  biteHistogram,
+  clearRate,
+  emptyStats,
+  hiddenBiteShare,
+  levelKey,
+  normalizeStats,
+  totalDeaths
+} from '../game/stats.js';
+import { loadJSON, saveJSON } from '../lib/storage.js';
+
+// Stats screen: lifetime totals from every single-player board (../game/stats.js) with a
+// few canvas bar charts. Read from localStorage each time the tab opens.
+
+const inputClass =
+  'px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-slate-100 text-sm focus:outline-none focus:ring-1 focus:ring-slate-500';
+const buttonClass = 'px-3 py-1 rounded-xl bg-slate-800 hover:bg-slate-700 shadow-sm text-sm';
+
+const CHART_HEIGHT = 160;
+const AXIS_COLOR = '#475569';
+const TEXT_COLOR = '#cbd5e1';
+
+const percent = (v) => (v == null ? '—' : `${Math.round(v * 100)}%`);
+
+// Stacked bars: each bar is { label, values } with one value per series colour
+function drawBars(canvas, { bars, colors, max, format }) {
+  const ctx = canvas.getContext('2d');
+  const cssW = Math.max(1, canvas.clientWidth);
+  const cssH = CHART_HEIGHT;
+  const dpr = Math.max(1, window.devicePixelRatio || 1);
+  canvas.width = Math.floor(cssW * dpr);
+  canvas.height = Math.floor(cssH * dpr);
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, cssW, cssH);
+
+  const top = 16;
+  const bottom = cssH - 20;
+  const slot = cssW / Math.max(1, bars.length);
+  const width = Math.max(2, Math.min(48, slot * 0.7));
+  const scale = (bottom - top) / Math.max(1, max ?? Math.max(...bars.map((b) => b.values.reduce((n, v) => n + v, 0))));
+
+  ctx.fillStyle = AXIS_COLOR;
+  ctx.fillRect(0, bottom, cssW, 1);
+  ctx.font = '11px ui-monospace, SFMono-Regular, Menlo, monospace';
+  ctx.textAlign = 'center';
+  bars.forEach((bar, i) => {
+    const x = slot * i + (slot - width) / 2;
+    let y = bottom;
+    bar.values.forEach((v, j) => {
+      const h = v * scale;
+      ctx.fillStyle = colors[j];
+      ctx.fillRect(x, y - h, width, h);
+      y -= h;
+    });
+    ctx.fillStyle = TEXT_COLOR;
+    ctx.textBaseline = 'bottom';
+    const total = bar.values.reduce((n, v) => n + v, 0);
+    ctx.fillText(format ? format(total) : String(total), x + width / 2, y - 2);
+    ctx.textBaseline = 'top';
+    ctx.fillText(bar.label, x + width / 2, bottom + 4);
+  });
+}
+
+// One chart: a canvas for sight and the same numbers as text for screen readers
+function BarChart({ title, bars, series, colors, max, format, empty }) {
+  const canvasRef = useRef(null);
+  useEffect(() => {
+    if (canvasRef.current && bars.length) drawBars(canvasRef.current, { bars, colors, max, format });
+  });
+  const fmt = (v) => (format ? format(v) : v);
+  const value = (v, j) => (series.length > 1 ? `${series[j]} ${fmt(v)}` : fmt(v));
+  const describe = (bar) => `${bar.label}: ${bar.values.map(value).join(', ')}`;
+
+  return (
+    <figure className="flex flex-col gap-1">
+      <figcaption className="font-semibold text-sm">{title}</figcaption>
+      {bars.length ? (
+        <>
+          <canvas ref={canvasRef} aria-hidden="true" style={{ width: '100%', height: CHART_HEIGHT }} />
+          <p className="sr-only">{bars.map(describe).join('; ')}</p>
+          {series.length > 1 && (
+            <div className="flex gap-3 text-xs opacity-80">
+              {series.map((name, j) => (
+                <span key={name} className="flex items-center gap-1">
+                  <span className="inline-block w-3 h-3 rounded-sm" style={{ background: colors[j] }} />
+                  {name}
+                </span>
+              ))}
+            </div>
+          )}
+        </>
+      ) : (
+        <div className="text-sm opacity-50">{empty}</div>
+      )}
+    </figure>
+  );
+}
+
+export default function StatsPanel() {
+  const [stats, setStats] = useState(() => normalizeStats(loadJSON(STATS_KEY, null)));
+  // Read again once mounted: the game screen stores its unsaved turns as it is hidden, which
+  // happens after this screen's first render
+  useEffect(() => {
+    setStats(normalizeStats(loadJSON(STATS_KEY, null)));
+  }, []);
+  const [campaignId, setCampaignId] = useState(DEFAULT_CAMPAIGN.id);
+  const [confirmReset, setConfirmReset] = useState(false);
+  const campaign = getCampaign(campaignId) ?? DEFAULT_CAMPAIGN;
+
+  const deaths = totalDeaths(stats);
+  const bites = biteHistogram(stats);
+  const levels = Array.from({ length: levelCount(campaign) }, (_, i) => stats.levels[levelKey(campaign.id, i + 1)]);
+
+  const reset = () => {
+    const next = emptyStats();
+    saveJSON(STATS_KEY, next);
+    setStats(next);
+    setConfirmReset(false);
+  };
+
+  return (
+    <div className="w-full flex flex-col gap-6 p-4 bg-slate-900 text-slate-100">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="font-semibold text-lg mr-2">Stats</div>
+        {confirmReset ? (
+          <>
+            <span className="text-sm">Clear every stat?</span>
+            <button type="button" onClick={reset} className={`${buttonClass} bg-rose-800 hover:bg-rose-700`}>
+              Yes, reset
+            </button>
+            <button type="button" onClick={() => setConfirmReset(false)} className={buttonClass}>
+              Keep them
+            </button>
+          </>
+        ) : (
+          <button type="button" onClick={() => setConfirmReset(true)} className={buttonClass}>
+            Reset Stats
+          </button>
+        )}
+      </div>
+
+      <dl className="grid grid-cols-2 sm:grid-cols-5 gap-3 text-sm">
+        {[
+          ['Turns played', stats.turns],
+          ['Fruit eaten', stats.fruit],
+          ['Longest snake', stats.longest],
+          ['Lives lost', deaths],
+          ['Bites on hidden tail', percent(hiddenBiteShare(stats))]
+        ].map(([label, value]) => (
+          <div key={label} className="rounded-xl bg-slate-800/60 p-3">
+            <dt className="text-xs opacity-70">{label}</dt>
+            <dd className="text-xl font-mono">{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <div className="grid gap-6 sm:grid-cols-2">
+        <BarChart
+          title="Lives lost by cause"
+          bars={deaths ? DEATH_CAUSES.map((c) => ({ label: DEATH_LABELS[c], values: [stats.deaths[c]] })) : []}
+          series={['Lives lost']}
+          colors={['#f43f5e']}
+          empty="No lives lost yet."
+        />
+        <BarChart
+          title="Segment bitten (1 = head)"
+          bars={bites.map((b) => ({ label: String(b.segment), values: [b.seen, b.hidden] }))}
+          series={['Drawn', 'Hidden by the fade']}
+          colors={['#22c55e', '#64748b']}
+          empty="No bites yet."
+        />
+        <BarChart
+          title="Power-ups"
+          bars={
+            POWERUP_KINDS.some((k) => stats.powerUps[k].picked + stats.powerUps[k].expired)
+              ? POWERUP_KINDS.map((k) => ({
+                  label: POWERUP_LABELS[k],
+                  values: [stats.powerUps[k].picked, stats.powerUps[k].expired]
+                }))
+              : []
+          }
+          series={['Picked up', 'Expired']}
+          colors={['#f59e0b', '#475569']}
+          empty="No power-ups seen yet."
+        />
+        <div className="flex flex-col gap-2">
+          {listCampaigns().length > 1 && (
+            <select
+              aria-label="Stats campaign"
+              value={campaignId}
+              onChange={(e) => setCampaignId(e.target.value)}
+              className={`${inputClass} self-start`}
+            >
+              {listCampaigns().map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.name}
+                </option>
+              ))}
+            </select>
+          )}
+          <BarChart
+            title={`Clear rate • ${campaign.name}`}
+            bars={
+              levels.some(Boolean)
+                ? levels.map((l, i) => ({ label: `L${i + 1}`, values: [Math.round((clearRate(l) ?? 0) * 100)] }))
+                : []
+            }
+            series={['Cleared']}
+            colors={['#38bdf8']}
+            max={100}
+            format={(v) => `${v}%`}
+            empty="No boards finished in this campaign yet."
+          />
+          {levels.some(Boolean) && (
+            <div className="text-xs opacity-70 font-mono">
+              {levels.map((l, i) => `L${i + 1} ${l ? `${l.clears}/${l.attempts}` : '—'}`).join(' • ')}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import React from 'react';
+import { describe, expect, it } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import StatsPanel from './StatsPanel.jsx';
+
+const seed = (stats) => localStorage.setItem('invisisnake.stats', JSON.stringify(stats));
+
+describe('StatsPanel', () => {
+  it('shows empty charts before any play', () => {
+    render(<StatsPanel />);
+    expect(screen.getByText('No lives lost yet.')).toBeTruthy();
+    expect(screen.getByText('No bites yet.')).toBeTruthy();
+    expect(screen.getByText('Bites on hidden tail').nextSibling.textContent).toBe('—');
+  });
+
+  it('sums up the stored stats', () => {
+    seed({
+      turns: 120,
+      fruit: 9,
+      deaths: { self: 3, wall: 1 },
+      bites: { 2: { seen: 1, hidden: 0 }, 12: { seen: 0, hidden: 2 } },
+      levels: { 'classic:1': { attempts: 4, clears: 1 } }
+    });
+    render(<StatsPanel />);
+    expect(screen.getByText('Turns played').nextSibling.textContent).toBe('120');
+    expect(screen.getByText('Lives lost').nextSibling.textContent).toBe('4');
+    expect(screen.getByText('Bites on hidden tail').nextSibling.textContent).toBe('67%');
+    expect(screen.getByText(/12: Drawn 0, Hidden by the fade 2/)).toBeTruthy();
+  });
+
+  it('resets only once confirmed', () => {
+    seed({ turns: 5 });
+    render(<StatsPanel />);
+    fireEvent.click(screen.getByText('Reset Stats'));
+    fireEvent.click(screen.getByText('Keep them'));
+    expect(JSON.parse(localStorage.getItem('invisisnake.stats')).turns).toBe(5);
+    fireEvent.click(screen.getByText('Reset Stats'));
+    fireEvent.click(screen.getByText('Yes, reset'));
+    expect(JSON.parse(localStorage.getItem('invisisnake.stats')).turns).toBe(0);
+    expect(screen.getByText('Turns played').nextSibling.textContent).toBe('0');
+  });
+});
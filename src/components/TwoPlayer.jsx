@@ -0,0 +1,477 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { DIRS, isOpposite } from '../game/grid.js';
+import { DEFAULT_CAMPAIGN, clampLevel, getCampaign, levelCount, listCampaigns } from '../game/levels.js';
+import {
+  VARIANTS,
+  VARIANT_LABELS,
+  createMultiGame,
+  matchResult,
+  nextMultiLevel,
+  retryRound,
+  stepMulti
+} from '../game/multi.js';
+import { MODES, MODE_LABELS, queueDir, takeDir, tickMs } from '../game/realtime.js';
+import { EFFECT_KINDS, POWERUP_LABELS } from '../game/powerups.js';
+import { createRng, randomSeed } from '../game/rng.js';
+import { resolveFade } from '../game/fade.js';
+import useChiptune from './useChiptune.js';
+import { useControlSettings, useGamepad } from './useControls.js';
+import { useA11y } from './useA11y.js';
+import { ACTION_DIRS, DIR_ACTIONS, actionForKey, getControls, keyLabel } from '../lib/input.js';
+import {
+  CAUSE_TEXT,
+  PLAYER_COLORS,
+  PLAYER_NAMES,
+  POWERUP_STYLES,
+  drawBackdrop,
+  drawCrashRing,
+  drawFruit,
+  drawHazard,
+  drawParticles,
+  drawPowerUp,
+  drawSnake,
+  drawStatics,
+  fitCanvas,
+  getPalette,
+  spawnBurst
+} from './boardCanvas.js';
+
+// Local two-player screen: WASD drives player 1 and the arrow keys player 2 unless rebound
+// in Controls, and gamepads 1 and 2 drive players 1 and 2. In turn-based
+// play a turn resolves once both players have picked a direction; in real-time both snakes
+// step on a shared tick. Rules live in ../game/multi.js.
+
+// ===== Constants =====
+const OVERLAY_DELAY_MS = 1000;
+
+const selectClass =
+  'px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-slate-100 text-sm focus:outline-none focus:ring-1 focus:ring-slate-500';
+
+export default function TwoPlayer({ active = true }) {
+  const canvasRef = useRef(null);
+
+  // Match settings
+  const [campaignId, setCampaignId] = useState(DEFAULT_CAMPAIGN.id);
+  const campaign = getCampaign(campaignId) ?? DEFAULT_CAMPAIGN;
+  const [levelInput, setLevelInput] = useState('1');
+  const [variantInput, setVariantInput] = useState('versus');
+  const [modeInput, setModeInput] = useState('turns');
+
+  // Engine state (immutable snapshots from ../game/multi.js)
+  const [game, setGame] = useState(() => createMultiGame());
+  const gameRef = useRef(game);
+  const [showOverlay, setShowOverlay] = useState(false);
+  const showOverlayRef = useRef(showOverlay);
+  useEffect(() => {
+    showOverlayRef.current = showOverlay;
+  }, [showOverlay]);
+
+  // Turn-based: each player's locked-in direction for the coming turn
+  const [pending, setPending] = useState([null, null]);
+  const pendingRef = useRef(pending);
+  // Real-time: per-player input queues; the clock starts on the first key press
+  const queuesRef = useRef([[], []]);
+  const [started, setStarted] = useState(false);
+  const [paused, setPaused] = useState(false);
+  const pausedRef = useRef(paused);
+  useEffect(() => {
+    pausedRef.current = paused;
+  }, [paused]);
+
+  // FX, with the palette and reduced motion from the shared accessibility settings
+  const particlesRef = useRef([]);
+  const fxRngRef = useRef(createRng(game.seed));
+  const a11y = useA11y();
+  const a11yRef = useRef(a11y);
+  a11yRef.current = a11y;
+
+  const { playMove, playFruit, playWin, playLifeLost, playGameOver, playPowerUp, playPhase } = useChiptune();
+
+  const { status, players } = game;
+  const result = status === 'lost' ? matchResult(game) : null;
+  const tickInterval = tickMs(game.def, game.level);
+
+  const commitGame = (next) => {
+    gameRef.current = next;
+    setGame(next);
+  };
+
+  const setPicks = (next) => {
+    pendingRef.current = next;
+    setPending(next);
+  };
+
+  const startBoard = (next) => {
+    commitGame(next);
+    setShowOverlay(false);
+    setPicks([null, null]);
+    queuesRef.current = [[], []];
+    setStarted(false);
+    setPaused(false);
+    particlesRef.current = [];
+    fxRngRef.current = createRng(next.rng);
+  };
+
+  const startMatch = (camp = campaign, lvl = levelInput) =>
+    startBoard(
+      createMultiGame({
+        campaign: camp,
+        level: clampLevel(lvl, camp),
+        variant: variantInput,
+        mode: modeInput,
+        seed: randomSeed()
+      })
+    );
+
+  // Enter / tap on the overlay: next board, next round, or a fresh match
+  const confirmOverlay = () => {
+    const g = gameRef.current;
+    if (!showOverlayRef.current) return null;
+    if (g.status === 'won') return startBoard(nextMultiLevel(g));
+    if (g.status !== 'lost') return null;
+    if (!matchResult(g)) return startBoard(retryRound(g));
+    return startMatch(g.campaign, String(g.level));
+  };
+
+  // Particle burst on a board cell (none with reduced motion)
+  const burstAtCell = (cellPos, color, intensity) => {
+    if (!canvasRef.current || a11yRef.current.reducedMotion) return;
+    spawnBurst(particlesRef.current, canvasRef.current, gameRef.current, cellPos, color, intensity, fxRngRef.current);
+  };
+
+  const showOverlayLater = () => {
+    setShowOverlay(false);
+    setTimeout(() => {
+      if (gameRef.current.status !== 'playing') setShowOverlay(true);
+    }, OVERLAY_DELAY_MS);
+  };
+
+  // Step events -> sound + FX. Both snakes move each turn, so the move tick plays once.
+  const handleEvents = (events) => {
+    if (events.some((ev) => ev.type === 'moved')) playMove();
+    events.forEach((ev) => {
+      switch (ev.type) {
+        case 'fruitEaten':
+          playFruit();
+          burstAtCell(ev.pos, PLAYER_COLORS[ev.player].head, 1.0);
+          break;
+        case 'powerUpPicked':
+          playPowerUp(ev.kind);
+          burstAtCell(ev.pos, POWERUP_STYLES[ev.kind]?.fill ?? '#f59e0b', 0.8);
+          break;
+        case 'phased':
+          playPhase();
+          burstAtCell(ev.pos, POWERUP_STYLES.phase.fill, 0.6);
+          break;
+        case 'hazardExpired':
+          burstAtCell(ev.pos, '#fb923c', 0.5);
+          break;
+        case 'lifeLost':
+          burstAtCell(ev.pos, '#f43f5e', 1.2);
+          break;
+        case 'roundOver':
+          if (ev.result) playGameOver();
+          else playLifeLost();
+          showOverlayLater();
+          break;
+        case 'levelCleared':
+          playWin();
+          showOverlayLater();
+          break;
+        default:
+          break;
+      }
+    });
+  };
+
+  const resolveTurn = (dirs) => {
+    const prev = gameRef.current;
+    const { state: next, events } = stepMulti(prev, dirs);
+    if (next === prev) return;
+    commitGame(next);
+    handleEvents(events);
+  };
+
+  // Turn-based: lock in a direction; the turn runs once both players have one.
+  // Real-time: queue it for the coming ticks.
+  const pressDir = (player, dir) => {
+    const g = gameRef.current;
+    if (g.status !== 'playing' || pausedRef.current) return;
+    const p = g.players[player];
+    if (g.mode === 'realtime') {
+      const queues = [...queuesRef.current];
+      queues[player] = queueDir(queues[player], dir, p.dir, p.snake.length === 1);
+      queuesRef.current = queues;
+      setStarted(true);
+      return;
+    }
+    if (p.snake.length > 1 && isOpposite(dir, p.dir)) return;
+    const picks = [...pendingRef.current];
+    picks[player] = dir;
+    if (picks.every(Boolean)) {
+      setPicks([null, null]);
+      resolveTurn(picks);
+    } else {
+      setPicks(picks);
+    }
+  };
+
+  const togglePause = () => {
+    if (gameRef.current.mode !== 'realtime') return;
+    queuesRef.current = [[], []];
+    setPaused((p) => !p);
+  };
+
+  // Real-time clock; the latest resolveTurn is reached through a ref
+  const resolveRef = useRef(resolveTurn);
+  resolveRef.current = resolveTurn;
+  const tickRunning = game.mode === 'realtime' && status === 'playing' && started && !paused && active;
+  useEffect(() => {
+    if (!tickRunning) return undefined;
+    const id = setInterval(() => {
+      const g = gameRef.current;
+      const picks = queuesRef.current.map((q, i) => takeDir(q, g.players[i].dir));
+      queuesRef.current = picks.map((p) => p.queue);
+      resolveRef.current(picks.map((p) => p.dir));
+    }, tickInterval);
+    return () => clearInterval(id);
+  }, [tickRunning, tickInterval]);
+
+  // Leaving the window or tab pauses a real-time board
+  useEffect(() => {
+    const pause = () => {
+      const g = gameRef.current;
+      if (g.mode !== 'realtime' || g.status !== 'playing') return;
+      queuesRef.current = [[], []];
+      setPaused(true);
+    };
+    const onVisibility = () => {
+      if (document.hidden) pause();
+    };
+    window.addEventListener('blur', pause);
+    document.addEventListener('visibilitychange', onVisibility);
+    return () => {
+      window.removeEventListener('blur', pause);
+      document.removeEventListener('visibilitychange', onVisibility);
+    };
+  }, []);
+
+  // Keys and gamepads both end up here; `player` is the index of the snake to steer
+  const handleAction = (action, player) => {
+    const g = gameRef.current;
+    if (g.mode === 'realtime' && g.status === 'playing') {
+      if (action === 'pause') return togglePause();
+      if (pausedRef.current && action === 'confirm') return togglePause();
+    }
+    if (ACTION_DIRS[action] && player !== null && player < 2) return pressDir(player, DIRS[ACTION_DIRS[action]]);
+    if (action === 'confirm') return confirmOverlay();
+    return null;
+  };
+
+  // Gamepad 1 steers player 1, gamepad 2 player 2
+  useGamepad(active, handleAction);
+  const controls = useControlSettings();
+
+  // Keyboard controls
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.repeat || !active) return;
+      if (e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement) return;
+      const controls = getControls();
+      // Each player's own direction keys first, then the shared confirm and pause keys
+      const player = controls.versus.findIndex((keys) => actionForKey(keys, e.key));
+      if (player !== -1) {
+        e.preventDefault();
+        return handleAction(actionForKey(controls.versus[player], e.key), player);
+      }
+      const action = actionForKey(controls.keys, e.key);
+      if (action !== 'confirm' && action !== 'pause') return null;
+      e.preventDefault();
+      return handleAction(action, null);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [game, active, variantInput, modeInput, campaignId, levelInput]);
+
+  // Render loop
+  useEffect(() => {
+    let raf = 0;
+    const c = canvasRef.current;
+    if (!c) return undefined;
+    const ctx = c.getContext('2d');
+
+    const draw = () => {
+      const g = gameRef.current;
+      const view = fitCanvas(c, ctx, g.cols, g.rows);
+      const palette = getPalette(a11yRef.current.palette);
+      drawBackdrop(ctx, view, g.cols, g.rows, { palette, scanlines: !a11yRef.current.reducedMotion });
+
+      const over = g.status === 'lost';
+      const win = g.status === 'won';
+      const pulse = 0.5 + 0.5 * Math.sin((performance.now() / 1000) * 6);
+
+      drawStatics(ctx, view, g.def, pulse, palette);
+      if (g.fruit && !win && !over) drawFruit(ctx, view, g.fruit, palette);
+      g.hazards.forEach((h) => drawHazard(ctx, view, h, pulse, palette));
+      if (g.powerUp && !win && !over) drawPowerUp(ctx, view, g.powerUp, pulse);
+      // Each snake keeps its player colour; shape palettes still give the heads an eye
+      g.players.forEach((p, i) =>
+        drawSnake(ctx, view, p.snake, resolveFade(g.def), {
+          over,
+          reveal: p.effects.reveal > 0,
+          pulse,
+          colors: PLAYER_COLORS[i],
+          eye: palette.shapes
+        })
+      );
+      drawParticles(ctx, particlesRef.current);
+      if (over) g.crashes.forEach((crash) => drawCrashRing(ctx, view, crash.pos, palette));
+
+      raf = requestAnimationFrame(draw);
+    };
+
+    raf = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(raf);
+  }, []);
+
+  const overlayTitle =
+    status === 'won'
+      ? `Level ${game.level} Cleared`
+      : result
+      ? game.variant === 'coop'
+        ? 'Game Over'
+        : result.winner === null
+        ? 'Draw'
+        : `${PLAYER_NAMES[result.winner]} Wins`
+      : 'Round Over';
+
+  return (
+    <div className="w-full flex flex-col items-center gap-4 p-4 bg-slate-900 text-slate-100">
+      <div className="flex flex-col sm:flex-row sm:items-center gap-4 w-full max-w-[900px] justify-between">
+        <div className="text-slate-100 text-sm tracking-wide">
+          <div className="font-semibold text-lg">Two Player • {VARIANT_LABELS[game.variant]}</div>
+          <div className="opacity-90">
+            {controls.versus
+              .map((keys, i) => `${PLAYER_NAMES[i]}: ${DIR_ACTIONS.map((a) => keyLabel(keys[a][0] ?? '–')).join(' ')}`)
+              .join(' • ')}
+          </div>
+          <div className="opacity-70">
+            {game.campaign.name} • Level: {game.level}/{levelCount(game.campaign)} • {MODE_LABELS[game.mode]}
+            {game.mode === 'realtime' && ` (${tickInterval} ms/tick)`}
+          </div>
+          {players.map((p, i) => {
+            const effects = EFFECT_KINDS.filter((k) => p.effects[k] > 0);
+            return (
+              <div key={PLAYER_NAMES[i]} className="flex items-center gap-2 font-mono text-xs">
+                <span className="inline-block w-3 h-3 rounded-sm" style={{ background: PLAYER_COLORS[i].head }} />
+                <span>
+                  {PLAYER_NAMES[i]} • Lives {p.lives} • Length {p.snake.length} • Score {p.score} • Run {p.runScore}
+                  {effects.length > 0 && ` • ${effects.map((k) => `${POWERUP_LABELS[k]} ${p.effects[k]}`).join(', ')}`}
+                </span>
+                {game.mode === 'turns' && status === 'playing' && (
+                  <span className={pending[i] ? 'text-emerald-400' : 'opacity-40'}>
+                    {pending[i] ? 'ready' : 'choosing…'}
+                  </span>
+                )}
+              </div>
+            );
+          })}
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            aria-label="Campaign"
+            value={campaignId}
+            onChange={(e) => setCampaignId(e.target.value)}
+            className={selectClass}
+          >
+            {listCampaigns().map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+          <label className="text-sm opacity-80" htmlFor="mpLevel">
+            Level
+          </label>
+          <input
+            id="mpLevel"
+            type="number"
+            min={1}
+            max={levelCount(campaign)}
+            value={levelInput}
+            onChange={(e) => setLevelInput(e.target.value)}
+            className="w-16 px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-slate-100 text-sm focus:outline-none focus:ring-1 focus:ring-slate-500"
+          />
+          <select
+            aria-label="Variant"
+            value={variantInput}
+            onChange={(e) => setVariantInput(e.target.value)}
+            className={selectClass}
+          >
+            {VARIANTS.map((v) => (
+              <option key={v} value={v}>
+                {VARIANT_LABELS[v]}
+              </option>
+            ))}
+          </select>
+          <select aria-label="Mode" value={modeInput} onChange={(e) => setModeInput(e.target.value)} className={selectClass}>
+            {MODES.map((m) => (
+              <option key={m} value={m}>
+                {MODE_LABELS[m]}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => startMatch()}
+            className="px-4 py-2 rounded-2xl bg-slate-700 text-slate-100 hover:bg-slate-600 shadow-sm"
+          >
+            Start
+          </button>
+        </div>
+      </div>
+
+      {/* Canvas + overlay */}
+      <div className="relative">
+        <canvas
+          ref={canvasRef}
+          style={{ width: 'min(90vmin, 820px)', height: 'min(90vmin, 820px)', imageRendering: 'pixelated' }}
+          className="rounded-2xl shadow-lg border border-slate-700"
+        />
+        {game.mode === 'realtime' && status === 'playing' && (paused || !started) && (
+          <div
+            className={`absolute inset-0 flex flex-col justify-center items-center text-center p-4 ${
+              paused ? 'bg-black/60 cursor-pointer' : 'bg-black/20 pointer-events-none'
+            }`}
+            onClick={() => paused && togglePause()}
+          >
+            <div className="text-xl font-bold">{paused ? 'Paused' : 'Ready'}</div>
+            <div className="text-sm mt-3 opacity-90">
+              {paused ? 'Tap or press P / Enter to resume' : 'Press a direction to start • P pauses'}
+            </div>
+          </div>
+        )}
+        {showOverlay && status !== 'playing' && (
+          <div
+            className="absolute inset-0 flex flex-col justify-center items-center bg-black/70 text-center p-4 cursor-pointer"
+            onClick={confirmOverlay}
+          >
+            <div className="text-xl font-bold">{overlayTitle}</div>
+            {game.crashes.map((c) => (
+              <div key={c.player} className="text-sm mt-2 opacity-90">
+                {PLAYER_NAMES[c.player]} {CAUSE_TEXT[c.cause]} • Lives left: {players[c.player].lives}
+              </div>
+            ))}
+            <div className="text-sm mt-3 opacity-90">
+              {status === 'won'
+                ? 'Tap or press Enter for Next Level'
+                : result
+                ? 'Tap or press Enter for a New Match'
+                : 'Tap or press Enter for the Next Round'}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
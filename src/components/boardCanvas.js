@@ -0,0 +1,486 @@
+import { hazardPhase } from '../game/hazards.js';
+import { snakeAlphas } from '../game/fade.js';
+
+// Canvas drawing shared by the single-player and two-player boards. Everything takes a
+// `view` from fitCanvas() ({ cssW, cssH, CELL, padX, padY }) and draws in CSS pixels.
+
+export const PORTAL_COLORS = ['#38bdf8', '#c084fc', '#f472b6', '#facc15'];
+// Power-up look per kind: fill, outline and the glyph drawn on the tile
+export const POWERUP_STYLES = {
+  reveal: { fill: '#f59e0b', stroke: '#fde68a', glyph: '◉' },
+  shrink: { fill: '#a855f7', stroke: '#e9d5ff', glyph: '−' },
+  phase: { fill: '#06b6d4', stroke: '#a5f3fc', glyph: '◌' },
+  freeze: { fill: '#60a5fa', stroke: '#dbeafe', glyph: '❄' },
+  double: { fill: '#eab308', stroke: '#fef08a', glyph: '×2' },
+  life: { fill: '#f43f5e', stroke: '#fecdd3', glyph: '♥' }
+};
+// Snake colours: head/body while playing, then the brighter "over" pair for the crash view
+export const SNAKE_COLORS = {
+  head: '#22c55e',
+  body: '#10b981',
+  headOver: '#34d399',
+  bodyOver: '#6ee7b7',
+  ghost: ['#a7f3d0', '#99f6e4']
+};
+// Two-player boards: player 1 keeps the classic green, player 2 is blue
+export const PLAYER_NAMES = ['Player 1', 'Player 2'];
+export const PLAYER_COLORS = [
+  SNAKE_COLORS,
+  { head: '#3b82f6', body: '#2563eb', headOver: '#60a5fa', bodyOver: '#93c5fd', ghost: ['#bfdbfe', '#c7d2fe'] }
+];
+// Board palettes. Classic is the original look; the others are for low vision and red-green
+// colour blindness. Palettes with `shapes` add shape cues so nothing is told apart by colour
+// alone: fruit becomes a ring with a centre dot, patrols become arrowheads, a live pulse
+// hazard is crossed out, the snake's head gets an eye and the crash ring a cross.
+export const PALETTE_IDS = ['classic', 'contrast', 'deuteranopia', 'protanopia'];
+export const PALETTE_LABELS = {
+  classic: 'Classic',
+  contrast: 'High contrast',
+  deuteranopia: 'Deuteranopia',
+  protanopia: 'Protanopia'
+};
+export const DEFAULT_PALETTE = 'classic';
+export const PALETTES = {
+  classic: {
+    backdrop: ['#0b1020', '#0a0d16'],
+    dots: '#94a3b8',
+    wall: ['#334155', '#475569'],
+    border: '#64748b',
+    fruit: '#ef4444',
+    hazards: {
+      static: ['#ef4444', '#7f1d1d'],
+      timed: ['#fb923c', '#7c2d12'],
+      patrol: ['#f97316', '#7c2d12'],
+      pulse: ['#d946ef', '#701a75', '#f0abfc']
+    },
+    crash: '#f43f5e',
+    snake: SNAKE_COLORS,
+    shapes: false
+  },
+  contrast: {
+    backdrop: ['#000000', '#000000'],
+    dots: '#ffffff',
+    wall: ['#d4d4d4', '#000000'],
+    border: '#ffffff',
+    fruit: '#ffff00',
+    hazards: {
+      static: ['#ff3b30', '#ffffff'],
+      timed: ['#ff9500', '#ffffff'],
+      patrol: ['#ff9500', '#ffffff'],
+      pulse: ['#ff00ff', '#ffffff', '#ffffff']
+    },
+    crash: '#ffffff',
+    snake: { head: '#00ff00', body: '#00d000', headOver: '#66ff66', bodyOver: '#a3ffa3', ghost: ['#ccffcc', '#ffffff'] },
+    shapes: true
+  },
+  // Okabe-Ito colours: blue snake, yellow fruit, vermillion and orange hazards
+  deuteranopia: {
+    backdrop: ['#0b1020', '#0a0d16'],
+    dots: '#94a3b8',
+    wall: ['#334155', '#475569'],
+    border: '#94a3b8',
+    fruit: '#f0e442',
+    hazards: {
+      static: ['#d55e00', '#1f0a00'],
+      timed: ['#e69f00', '#2a1d00'],
+      patrol: ['#e69f00', '#2a1d00'],
+      pulse: ['#cc79a7', '#3b1630', '#f0c4dc']
+    },
+    crash: '#ffffff',
+    snake: { head: '#56b4e9', body: '#0072b2', headOver: '#8fd0f5', bodyOver: '#4a9fd6', ghost: ['#c6e6f9', '#e0f2fc'] },
+    shapes: true
+  },
+  // Reds read as dark to protans, so hazards go purple and white instead
+  protanopia: {
+    backdrop: ['#0b1020', '#0a0d16'],
+    dots: '#94a3b8',
+    wall: ['#334155', '#475569'],
+    border: '#94a3b8',
+    fruit: '#f0e442',
+    hazards: {
+      static: ['#cc79a7', '#ffffff'],
+      timed: ['#e0e0e0', '#1f2937'],
+      patrol: ['#e0e0e0', '#1f2937'],
+      pulse: ['#a78bfa', '#2e1065', '#ddd6fe']
+    },
+    crash: '#ffffff',
+    snake: { head: '#56b4e9', body: '#0072b2', headOver: '#8fd0f5', bodyOver: '#4a9fd6', ghost: ['#c6e6f9', '#e0f2fc'] },
+    shapes: true
+  }
+};
+export const getPalette = (id) => PALETTES[id] ?? PALETTES[DEFAULT_PALETTE];
+
+// Crash causes from multi.js, as overlay text
+export const CAUSE_TEXT = {
+  wall: 'hit a wall',
+  hazard: 'hit a hazard',
+  self: 'bit itself',
+  other: 'ran into the other snake',
+  head: 'met head-on'
+};
+
+// Sizes the backing store for the device pixel ratio and centres a cols x rows board.
+export function fitCanvas(c, ctx, cols, rows) {
+  const cssW = Math.max(1, c.clientWidth);
+  const cssH = Math.max(1, c.clientHeight);
+  const dpr = Math.max(1, window.devicePixelRatio || 1);
+  const pxW = Math.floor(cssW * dpr);
+  const pxH = Math.floor(cssH * dpr);
+  if (c.width !== pxW || c.height !== pxH) {
+    c.width = pxW;
+    c.height = pxH;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.scale(dpr, dpr);
+  }
+  const CELL = Math.floor(Math.min(cssW / cols, cssH / rows));
+  const padX = Math.floor((cssW - CELL * cols) / 2);
+  const padY = Math.floor((cssH - CELL * rows) / 2);
+  return { cssW, cssH, CELL, padX, padY };
+}
+
+// Background gradient, scanlines (left out for reduced motion) and the grid dots
+export function drawBackdrop(ctx, { cssW, cssH, CELL, padX, padY }, cols, rows, opts = {}) {
+  const { palette = PALETTES.classic, scanlines = true } = opts;
+  ctx.clearRect(0, 0, cssW, cssH);
+  const bgGrad = ctx.createLinearGradient(0, 0, 0, cssH);
+  bgGrad.addColorStop(0, palette.backdrop[0]);
+  bgGrad.addColorStop(1, palette.backdrop[1]);
+  ctx.fillStyle = bgGrad;
+  ctx.fillRect(0, 0, cssW, cssH);
+
+  if (scanlines) {
+    ctx.globalAlpha = 0.07;
+    for (let y = 0; y < cssH; y += 3) {
+      ctx.fillStyle = '#000';
+      ctx.fillRect(0, y, cssW, 1);
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  ctx.globalAlpha = 0.15;
+  ctx.fillStyle = palette.dots;
+  const dotSize = Math.max(2, Math.floor(CELL * 0.08));
+  for (let gy = 0; gy < rows; gy++) {
+    for (let gx = 0; gx < cols; gx++) {
+      ctx.fillRect(
+        padX + gx * CELL + Math.floor(CELL / 2) - Math.floor(dotSize / 2),
+        padY + gy * CELL + Math.floor(CELL / 2) - Math.floor(dotSize / 2),
+        dotSize,
+        dotSize
+      );
+    }
+  }
+  ctx.globalAlpha = 1;
+}
+
+// Walls, solid borders and portals (each pair shares a colour)
+export function drawStatics(ctx, { CELL, padX, padY }, def, pulse, palette = PALETTES.classic) {
+  for (const w of def.walls) {
+    const x = padX + w.x * CELL;
+    const y = padY + w.y * CELL;
+    ctx.fillStyle = palette.wall[0];
+    ctx.fillRect(x, y, CELL, CELL);
+    ctx.fillStyle = palette.wall[1];
+    const brick = Math.max(1, Math.floor(CELL * 0.06));
+    ctx.fillRect(x, y, CELL, brick);
+    ctx.fillRect(x, y + Math.floor(CELL / 2), CELL, brick);
+    ctx.fillRect(x + Math.floor(CELL / 2), y, brick, Math.floor(CELL / 2));
+  }
+
+  ctx.strokeStyle = palette.border;
+  ctx.lineWidth = Math.max(3, CELL * 0.1);
+  const bx0 = padX;
+  const by0 = padY;
+  const bx1 = padX + CELL * def.width;
+  const by1 = padY + CELL * def.height;
+  [
+    ['top', bx0, by0, bx1, by0],
+    ['bottom', bx0, by1, bx1, by1],
+    ['left', bx0, by0, bx0, by1],
+    ['right', bx1, by0, bx1, by1]
+  ].forEach(([edge, x0, y0, x1, y1]) => {
+    if (def.wrap[edge]) return;
+    ctx.beginPath();
+    ctx.moveTo(x0, y0);
+    ctx.lineTo(x1, y1);
+    ctx.stroke();
+  });
+
+  def.portals.forEach((pair, pi) => {
+    const color = PORTAL_COLORS[pi % PORTAL_COLORS.length];
+    for (const p of pair) {
+      const cx = padX + p.x * CELL + CELL / 2;
+      const cy = padY + p.y * CELL + CELL / 2;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = Math.max(2, CELL * 0.08);
+      ctx.globalAlpha = 0.6 + 0.4 * pulse;
+      ctx.beginPath();
+      ctx.arc(cx, cy, Math.floor(CELL * 0.38), 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.globalAlpha = 0.35;
+      ctx.beginPath();
+      ctx.arc(cx, cy, Math.floor(CELL * 0.2), 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+    }
+  });
+}
+
+export function drawFruit(ctx, { CELL, padX, padY }, f, palette = PALETTES.classic) {
+  const cx = padX + f.x * CELL + CELL / 2;
+  const cy = padY + f.y * CELL + CELL / 2;
+  const r = Math.floor(CELL * 0.35);
+  ctx.fillStyle = palette.fruit;
+  ctx.beginPath();
+  if (palette.shapes) {
+    // Ring with a centre dot, unlike any hazard
+    ctx.strokeStyle = palette.fruit;
+    ctx.lineWidth = Math.max(2, CELL * 0.1);
+    ctx.arc(cx, cy, r - ctx.lineWidth / 2, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(cx, cy, Math.max(1, Math.floor(CELL * 0.12)), 0, Math.PI * 2);
+  } else {
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+  }
+  ctx.fill();
+}
+
+export function drawPowerUp(ctx, { CELL, padX, padY }, pu, pulse) {
+  const x = padX + pu.x * CELL;
+  const y = padY + pu.y * CELL;
+  const style = POWERUP_STYLES[pu.kind] ?? POWERUP_STYLES.reveal;
+  const inset = Math.max(1, Math.floor(CELL * 0.24));
+  ctx.lineWidth = Math.max(2, CELL * 0.08);
+  ctx.strokeStyle = pulse > 0.5 ? style.fill : style.stroke;
+  ctx.strokeRect(x + inset + 0.5, y + inset + 0.5, CELL - inset * 2 - 1, CELL - inset * 2 - 1);
+  ctx.globalAlpha = 0.45 + 0.35 * pulse;
+  ctx.fillStyle = style.fill;
+  ctx.fillRect(
+    x + inset + Math.max(2, Math.floor(CELL * 0.08)),
+    y + inset + Math.max(2, Math.floor(CELL * 0.08)),
+    Math.max(2, CELL - inset * 2 - Math.max(4, Math.floor(CELL * 0.16))),
+    Math.max(2, CELL - inset * 2 - Math.max(4, Math.floor(CELL * 0.16)))
+  );
+  ctx.globalAlpha = 1;
+  ctx.fillStyle = '#0b1020';
+  ctx.font = `${Math.max(10, Math.floor(CELL * 0.36))}px ui-monospace, SFMono-Regular, Menlo, monospace`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(style.glyph, x + CELL / 2, y + CELL / 2);
+  // Turns left before it vanishes, small in the corner
+  ctx.fillStyle = style.stroke;
+  ctx.font = `${Math.max(8, Math.floor(CELL * 0.22))}px ui-monospace, SFMono-Regular, Menlo, monospace`;
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'bottom';
+  ctx.fillText(String(pu.ttl), x + CELL - 2, y + CELL - 1);
+}
+
+// Fading snake, `fade` from resolveFade() (fade.js). `over` shows the whole body (crash view),
+// `reveal` draws the hidden part as pulsing ghosts, `replay` keeps faint segments at a
+// readable strength. `turn` is needed for fades by turns.
+export function drawSnake(ctx, { CELL, padX, padY }, snake, fade, opts) {
+  const { over = false, reveal = false, replay = false, pulse = 0, turn = 0, colors = SNAKE_COLORS, eye = false } = opts;
+  const alphas = snakeAlphas(snake, fade, turn);
+  for (let i = 0; i < snake.length; i++) {
+    const p = snake[i];
+    const normA = alphas[i];
+    let a = over ? 1 : normA;
+    let ghost = false;
+    if (!over && reveal && normA <= 0) {
+      a = 0.22 + 0.38 * pulse;
+      ghost = true;
+    } else if (!over && replay && normA < 0.45) {
+      a = 0.45;
+      ghost = true;
+    }
+    if (a <= 0) continue;
+    ctx.globalAlpha = a;
+    ctx.fillStyle = i === 0 ? (over ? colors.headOver : colors.head) : over ? colors.bodyOver : colors.body;
+    const x = padX + p.x * CELL;
+    const y = padY + p.y * CELL;
+    const inset = Math.max(1, Math.floor(CELL * 0.1));
+    ctx.fillRect(x + inset, y + inset, CELL - inset * 2, CELL - inset * 2);
+    if (over || ghost) {
+      ctx.strokeStyle = ghost ? (pulse > 0.5 ? colors.ghost[0] : colors.ghost[1]) : '#e5e7eb';
+      ctx.lineWidth = Math.max(2, CELL * 0.08);
+      ctx.strokeRect(x + inset + 0.5, y + inset + 0.5, CELL - inset * 2 - 1, CELL - inset * 2 - 1);
+    }
+    if (eye && i === 0) {
+      // Marks the head by shape as well as shade
+      ctx.fillStyle = '#0b1020';
+      const e = Math.max(2, Math.floor(CELL * 0.2));
+      ctx.fillRect(x + Math.floor((CELL - e) / 2), y + Math.floor((CELL - e) / 2), e, e);
+    }
+  }
+  ctx.globalAlpha = 1;
+}
+
+// Adds a burst of particles centred on a board cell, sized to the canvas as it is laid out
+// now. `rand` is the screen's cosmetic rng, so bursts never shift the game's spawns.
+export function spawnBurst(ps, canvas, { cols, rows }, cellPos, color, intensity, rand) {
+  const cssW = canvas.clientWidth;
+  const cssH = canvas.clientHeight;
+  const cell = Math.min(cssW / cols, cssH / rows);
+  const cx = Math.floor((cssW - cell * cols) / 2) + cellPos.x * cell + cell / 2;
+  const cy = Math.floor((cssH - cell * rows) / 2) + cellPos.y * cell + cell / 2;
+  const baseCount = Math.max(10, Math.floor(cell * 0.6));
+  const count = Math.min(64, Math.floor(baseCount * intensity));
+  const speed = cell * (0.08 + 0.04 * rand()) * intensity;
+  for (let i = 0; i < count; i++) {
+    const a = rand() * Math.PI * 2;
+    const v = speed * (0.6 + rand() * 0.8);
+    ps.push({
+      x: cx,
+      y: cy,
+      vx: Math.cos(a) * v,
+      vy: Math.sin(a) * v,
+      life: 1,
+      color,
+      size: Math.max(2, Math.floor(cell * 0.14))
+    });
+  }
+}
+
+// Steps and draws particles in place; dead ones are removed from the array.
+export function drawParticles(ctx, ps) {
+  for (let i = ps.length - 1; i >= 0; i--) {
+    const p = ps[i];
+    p.x += p.vx;
+    p.y += p.vy;
+    p.vx *= 0.98;
+    p.vy *= 0.98;
+    p.life -= 0.03;
+    if (p.life <= 0) {
+      ps.splice(i, 1);
+      continue;
+    }
+    ctx.globalAlpha = Math.max(0, p.life);
+    ctx.fillStyle = p.color;
+    ctx.fillRect(p.x - p.size / 2, p.y - p.size / 2, p.size, p.size);
+  }
+  ctx.globalAlpha = 1;
+}
+
+export function drawCrashRing(ctx, { CELL, padX, padY }, crash, palette = PALETTES.classic) {
+  const cx = padX + crash.x * CELL + CELL / 2;
+  const cy = padY + crash.y * CELL + CELL / 2;
+  const r = Math.floor(CELL * 0.45);
+  ctx.lineWidth = Math.max(3, CELL * 0.12);
+  ctx.strokeStyle = palette.crash;
+  ctx.beginPath();
+  ctx.arc(cx, cy, r, 0, Math.PI * 2);
+  if (palette.shapes) {
+    const d = r * 0.6;
+    ctx.moveTo(cx - d, cy - d);
+    ctx.lineTo(cx + d, cy + d);
+    ctx.moveTo(cx + d, cy - d);
+    ctx.lineTo(cx - d, cy + d);
+  }
+  ctx.stroke();
+}
+
+// Hazards
+// Warning diamond with a glyph in the middle; static hazards show "!", timed ones their TTL.
+function drawDiamond(ctx, x, y, CELL, fill, stroke, glyph) {
+  const inset = Math.max(1, Math.floor(CELL * 0.15));
+  const w = CELL - inset * 2;
+  ctx.save();
+  ctx.translate(x + CELL / 2, y + CELL / 2);
+  ctx.rotate(Math.PI / 4);
+  ctx.fillStyle = fill;
+  ctx.strokeStyle = stroke;
+  ctx.lineWidth = Math.max(2, CELL * 0.08);
+  ctx.beginPath();
+  ctx.rect(-w / 2, -w / 2, w, w);
+  ctx.fill();
+  ctx.stroke();
+  ctx.restore();
+  ctx.fillStyle = '#111827';
+  ctx.font = `bold ${Math.max(9, Math.floor(CELL * 0.4))}px ui-monospace, SFMono-Regular, Menlo, monospace`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(glyph, x + CELL / 2, y + CELL / 2 + 1);
+}
+
+export function drawHazard(ctx, { CELL, padX, padY }, h, pulse, palette = PALETTES.classic) {
+  const x = padX + h.x * CELL;
+  const y = padY + h.y * CELL;
+  const cx = x + CELL / 2;
+  const cy = y + CELL / 2;
+  const colors = palette.hazards;
+  if (h.kind === 'patrol' && palette.shapes) {
+    // Arrowhead pointing where it heads next, so it never reads as a round fruit
+    const a = Math.atan2(h.dir.y, h.dir.x);
+    const r = CELL * 0.4;
+    ctx.fillStyle = colors.patrol[0];
+    ctx.strokeStyle = colors.patrol[1];
+    ctx.lineWidth = Math.max(2, CELL * 0.08);
+    ctx.beginPath();
+    ctx.moveTo(cx + Math.cos(a) * r, cy + Math.sin(a) * r);
+    ctx.lineTo(cx + Math.cos(a + 2.5) * r, cy + Math.sin(a + 2.5) * r);
+    ctx.lineTo(cx + Math.cos(a + Math.PI) * r * 0.35, cy + Math.sin(a + Math.PI) * r * 0.35);
+    ctx.lineTo(cx + Math.cos(a - 2.5) * r, cy + Math.sin(a - 2.5) * r);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+  } else if (h.kind === 'patrol') {
+    // Orange disc with an arrow showing where it heads next
+    const r = Math.floor(CELL * 0.36);
+    ctx.fillStyle = colors.patrol[0];
+    ctx.strokeStyle = colors.patrol[1];
+    ctx.lineWidth = Math.max(2, CELL * 0.08);
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    const a = Math.atan2(h.dir.y, h.dir.x);
+    const tip = r * 0.75;
+    ctx.fillStyle = '#111827';
+    ctx.beginPath();
+    ctx.moveTo(cx + Math.cos(a) * tip, cy + Math.sin(a) * tip);
+    ctx.lineTo(cx + Math.cos(a + 2.4) * tip * 0.7, cy + Math.sin(a + 2.4) * tip * 0.7);
+    ctx.lineTo(cx + Math.cos(a - 2.4) * tip * 0.7, cy + Math.sin(a - 2.4) * tip * 0.7);
+    ctx.closePath();
+    ctx.fill();
+  } else if (h.kind === 'pulse') {
+    // Magenta block when on, a flashing outline on the telegraph turn, a faint ghost when off
+    const phase = hazardPhase(h);
+    const inset = Math.max(1, Math.floor(CELL * 0.14));
+    const size = CELL - inset * 2;
+    ctx.lineWidth = Math.max(2, CELL * 0.08);
+    if (phase === 'on') {
+      ctx.fillStyle = colors.pulse[0];
+      ctx.strokeStyle = colors.pulse[1];
+      ctx.fillRect(x + inset, y + inset, size, size);
+      ctx.strokeRect(x + inset + 0.5, y + inset + 0.5, size - 1, size - 1);
+      if (palette.shapes) {
+        ctx.beginPath();
+        ctx.moveTo(x + inset, y + inset);
+        ctx.lineTo(x + inset + size, y + inset + size);
+        ctx.moveTo(x + inset + size, y + inset);
+        ctx.lineTo(x + inset, y + inset + size);
+        ctx.stroke();
+      }
+    } else if (phase === 'warn') {
+      ctx.globalAlpha = 0.5 + 0.5 * pulse;
+      ctx.strokeStyle = colors.pulse[2];
+      ctx.strokeRect(x + inset + 0.5, y + inset + 0.5, size - 1, size - 1);
+      ctx.globalAlpha = 1;
+    } else {
+      ctx.globalAlpha = 0.25;
+      ctx.setLineDash([Math.max(2, CELL * 0.1), Math.max(2, CELL * 0.1)]);
+      ctx.strokeStyle = colors.pulse[0];
+      ctx.strokeRect(x + inset + 0.5, y + inset + 0.5, size - 1, size - 1);
+      ctx.setLineDash([]);
+      ctx.globalAlpha = 1;
+    }
+  } else if (h.kind === 'timed') {
+    // Fades over its last few turns
+    ctx.globalAlpha = h.ttl <= 3 ? 0.4 + 0.2 * h.ttl * pulse : 1;
+    drawDiamond(ctx, x, y, CELL, colors.timed[0], colors.timed[1], String(h.ttl));
+    ctx.globalAlpha = 1;
+  } else {
+    drawDiamond(ctx, x, y, CELL, colors.static[0], colors.static[1], '!');
+  }
+}
@@ -0,0 +1,34 @@
+import { useEffect, useState } from 'react';
+import { loadJSON, saveJSON } from '../lib/storage.js';
+import { DEFAULT_PALETTE } from './boardCanvas.js';
+
+// Accessibility settings shared by every board: the palette (PALETTE_IDS in boardCanvas.js)
+// and reduced motion (no scanlines, flash or particles). Changed from the pause menu's
+// Settings and saved in this browser; every screen using the hook redraws straight away.
+
+const A11Y_KEY = 'invisisnake.a11y';
+const listeners = new Set();
+let current = null;
+
+// Reduced motion follows the OS setting until the player picks one
+const prefersReducedMotion = () =>
+  typeof window !== 'undefined' && !!window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+
+export const getA11y = () =>
+  current ?? (current = { palette: DEFAULT_PALETTE, reducedMotion: prefersReducedMotion(), ...loadJSON(A11Y_KEY, {}) });
+
+export function updateA11y(patch) {
+  current = { ...getA11y(), ...patch };
+  saveJSON(A11Y_KEY, current);
+  listeners.forEach((fn) => fn(current));
+}
+
+// The settings, re-rendering when they change
+export function useA11y() {
+  const [a11y, setA11y] = useState(getA11y);
+  useEffect(() => {
+    listeners.add(setA11y);
+    return () => listeners.delete(setA11y);
+  }, []);
+  return a11y;
+}
@@ -0,0 +1,21 @@
+import { getAudio } from '../lib/audio.js';
+import { PICKUP_SOUNDS, getSoundPack, playSound } from '../lib/sfx.js';
+
+// Chiptune SFX for the game screens. The sounds themselves are data in the active sound pack
+// (../lib/sfx.js) and play on the shared audio engine's SFX bus, so they follow the volume
+// and mute settings and any pack loaded in the sound designer.
+export default function useChiptune() {
+  const play = (id) => playSound(getAudio(), getSoundPack().sounds[id]);
+
+  const playMove = () => play('move');
+  const playFruit = () => play('fruit');
+  const playWin = () => play('win');
+  const playLifeLost = () => play('lifeLost');
+  const playGameOver = () => play('gameOver');
+  // Pickup sound per power-up kind; unknown kinds get the reveal sweep
+  const playPowerUp = (kind) => play(PICKUP_SOUNDS[kind] ?? 'pickupReveal');
+  // Head slipping through the body on a phase charge
+  const playPhase = () => play('phaseThrough');
+
+  return { playMove, playFruit, playWin, playLifeLost, playGameOver, playPowerUp, playPhase };
+}
@@ -0,0 +1,48 @@
+import { useEffect, useRef, useState } from 'react';
+import { createGamepadPoller, getControls, subscribeControls, swipeDir } from '../lib/input.js';
+
+// Input hooks for the game screens; bindings and thresholds come from ../lib/input.js.
+
+// The saved controls, re-rendering when they change (for hints and the settings screen)
+export function useControlSettings() {
+  const [controls, setControls] = useState(getControls);
+  useEffect(() => subscribeControls(setControls), []);
+  return controls;
+}
+
+// Gamepad actions while the screen is active: onAction(action, padIndex)
+export function useGamepad(active, onAction) {
+  const actionRef = useRef(onAction);
+  actionRef.current = onAction;
+  useEffect(() => {
+    if (!active) return undefined;
+    return createGamepadPoller({ getControls, onAction: (action, pad) => actionRef.current(action, pad) });
+  }, [active]);
+}
+
+// Pointer handlers for swipe steering, to spread onto the board's wrapper. A swipe fires as
+// soon as it passes the threshold and the drag starts over from there, so one long drag can
+// chain several turns. The wrapper needs `touch-action: none` so the page does not scroll.
+export function useSwipe(onDir) {
+  const startRef = useRef(null);
+  const dirRef = useRef(onDir);
+  dirRef.current = onDir;
+  const end = () => {
+    startRef.current = null;
+  };
+  return {
+    onPointerDown: (e) => {
+      startRef.current = { id: e.pointerId, x: e.clientX, y: e.clientY };
+    },
+    onPointerMove: (e) => {
+      const s = startRef.current;
+      if (!s || s.id !== e.pointerId) return;
+      const dir = swipeDir(e.clientX - s.x, e.clientY - s.y, getControls().swipe);
+      if (!dir) return;
+      startRef.current = { ...s, x: e.clientX, y: e.clientY };
+      dirRef.current(dir);
+    },
+    onPointerUp: end,
+    onPointerCancel: end
+  };
+}
@@ -0,0 +1,63 @@
+import { posEq, wrapCoord } from './grid.js';
+
+// Static board tiles: walls, per-edge wrapping and portals.
+// A level can list them directly (walls: [{x,y}], portals: [[{x,y},{x,y}]]) or draw them
+// as an ASCII layout, one string per row:
+//   #   wall
+//   .   floor (a space works too)
+//   S   snake start cell
+//   a-z portal ends; each letter must appear exactly twice and links those two cells
+
+export const EDGES = ['top', 'bottom', 'left', 'right'];
+export const WRAP_ALL = { top: true, bottom: true, left: true, right: true };
+
+export function parseLayout(rows) {
+  const walls = [];
+  const ends = {};
+  let start = null;
+  rows.forEach((row, y) => {
+    [...row].forEach((ch, x) => {
+      if (ch === '#') walls.push({ x, y });
+      else if (ch === 'S') start = { x, y };
+      else if (/[a-z]/.test(ch)) (ends[ch] = ends[ch] || []).push({ x, y });
+      else if (ch !== '.' && ch !== ' ') throw new Error(`Unknown layout tile "${ch}" at ${x},${y}`);
+    });
+  });
+  const portals = Object.entries(ends).map(([ch, cells]) => {
+    if (cells.length !== 2) throw new Error(`Portal "${ch}" needs exactly two ends, found ${cells.length}`);
+    return cells;
+  });
+  return {
+    width: Math.max(...rows.map((r) => r.length)),
+    height: rows.length,
+    walls,
+    portals,
+    start
+  };
+}
+
+export const isWall = (def, p) => def.walls.some((w) => posEq(w, p));
+
+export const portalCells = (def) => def.portals.flat();
+
+// The other end of the portal at p, or null.
+export function portalExit(def, p) {
+  for (const [a, b] of def.portals) {
+    if (posEq(a, p)) return b;
+    if (posEq(b, p)) return a;
+  }
+  return null;
+}
+
+// Where the head ends up moving from `head` in `dir`: wraps through open edges,
+// stops at solid ones ({ edge: 'top' | ... }) and jumps through portals ({ via }).
+export function moveHead(def, head, dir) {
+  const x = head.x + dir.x;
+  const y = head.y + dir.y;
+  const edge = y < 0 ? 'top' : y >= def.height ? 'bottom' : x < 0 ? 'left' : x >= def.width ? 'right' : null;
+  if (edge && !def.wrap[edge]) return { pos: head, edge };
+  const pos = { x: wrapCoord(x, def.width), y: wrapCoord(y, def.height) };
+  const exit = portalExit(def, pos);
+  if (exit) return { pos: exit, via: pos };
+  return { pos };
+}
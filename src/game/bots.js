@@ -0,0 +1,157 @@
+import { DIRS, cellKey, isOpposite, posEq } from './grid.js';
+import { moveHead } from './board.js';
+import { resolveFade, snakeAlphas } from './fade.js';
+
+// Bot players. A bot is a function (view) => direction (one of DIRS), where the view comes
+// from visibleState() and holds only what a player can see: faded-out tail segments are
+// left out, everything else on the board (fruit, hazards, power-up, length) is shown.
+// Bots are created per run with createBot(kind) because some keep memory between turns;
+// the same bot must not be shared by two games.
+//   greedy  shortest path to the fruit (or a closer power-up) around whatever it can see
+//   memory  the same planner, but it remembers where its head has been, so it also
+//           avoids the invisible part of its tail
+
+export const BOT_KINDS = ['greedy', 'memory'];
+export const BOT_LABELS = { greedy: 'Greedy', memory: 'Memory' };
+
+const MOVES = [DIRS.UP, DIRS.RIGHT, DIRS.DOWN, DIRS.LEFT];
+
+// The state as the player sees it. Segment alpha follows the run's fade (fade.js) and the
+// reveal effect; segments are head first, so the visible ones are always a prefix.
+export function visibleState(state) {
+  const { def, snake, effects } = state;
+  const reveal = effects.reveal > 0;
+  const alphas = snakeAlphas(snake, resolveFade(def, state.fadePreset), state.turn);
+  const shown = snake.map((p, i) => ({ x: p.x, y: p.y, alpha: reveal ? 1 : alphas[i] }));
+  // Cut at the first hidden segment: a cell the body covers twice can be drawn further down
+  // (fading by turns), but it is the same cell as a visible segment nearer the head
+  const hidden = shown.findIndex((s) => s.alpha <= 0);
+  return {
+    cols: state.cols,
+    rows: state.rows,
+    def,
+    level: state.level,
+    turn: state.turn,
+    status: state.status,
+    lives: state.lives,
+    dir: state.dir,
+    head: snake[0],
+    length: snake.length,
+    snake: shown.slice(0, hidden < 0 ? shown.length : hidden),
+    fruit: state.fruit,
+    powerUp: state.powerUp,
+    hazards: state.hazards,
+    effects
+  };
+}
+
+// ===== Planning =====
+// Cells to stay out of: walls, the known body and every hazard (pulses included, they may
+// be on by the time the head arrives), plus the cell each patrol is heading for.
+function blockedCells(view, body) {
+  const blocked = new Set(view.def.walls.map(cellKey));
+  body.forEach((p) => blocked.add(cellKey(p)));
+  view.hazards.forEach((h) => {
+    blocked.add(cellKey(h));
+    if (h.kind === 'patrol') blocked.add(cellKey({ x: h.x + h.dir.x, y: h.y + h.dir.y }));
+  });
+  return blocked;
+}
+
+// Cells reachable in one move from `pos`, through wrapping edges and portals
+function neighbours(def, pos, blocked) {
+  return MOVES.map((dir) => ({ dir, move: moveHead(def, pos, dir) }))
+    .filter(({ move }) => !move.edge && !blocked.has(cellKey(move.pos)))
+    .map(({ dir, move }) => ({ dir, pos: move.pos }));
+}
+
+// Number of free cells reachable from `start` (a rough measure of room to move)
+function floodSize(def, start, blocked) {
+  const seen = new Set([cellKey(start)]);
+  const queue = [start];
+  while (queue.length) {
+    const pos = queue.shift();
+    neighbours(def, pos, blocked).forEach((n) => {
+      const key = cellKey(n.pos);
+      if (seen.has(key)) return;
+      seen.add(key);
+      queue.push(n.pos);
+    });
+  }
+  return seen.size;
+}
+
+// Safe moves from the head; reversing into the neck is never allowed
+function firstMoves(view, blocked) {
+  return neighbours(view.def, view.head, blocked).filter((n) => !(view.length > 1 && isOpposite(n.dir, view.dir)));
+}
+
+// Breadth-first search from the head; returns the first move of the shortest path to any
+// target, or null when none is reachable.
+function firstStepTo(view, blocked, targets) {
+  const seen = new Set([cellKey(view.head)]);
+  const queue = [];
+  firstMoves(view, blocked).forEach((n) => {
+    seen.add(cellKey(n.pos));
+    queue.push({ pos: n.pos, first: n.dir });
+  });
+  while (queue.length) {
+    const { pos, first } = queue.shift();
+    if (targets.some((t) => posEq(t, pos))) return first;
+    neighbours(view.def, pos, blocked).forEach((n) => {
+      const key = cellKey(n.pos);
+      if (seen.has(key)) return;
+      seen.add(key);
+      queue.push({ pos: n.pos, first });
+    });
+  }
+  return null;
+}
+
+// Heads for the fruit or power-up along the shortest path, unless that move leaves less
+// room than the snake is long; then (or with no path) takes the move with the most room.
+// With no safe move at all it keeps going straight.
+function planMove(view, body) {
+  const blocked = blockedCells(view, body);
+  const moves = firstMoves(view, blocked);
+  if (!moves.length) return view.dir;
+  const room = new Map(moves.map((n) => [n.dir, floodSize(view.def, n.pos, blocked)]));
+  const targets = [view.fruit, view.powerUp].filter(Boolean);
+  const toTarget = firstStepTo(view, blocked, targets);
+  if (toTarget && room.get(toTarget) >= view.length) return toTarget;
+  return moves.reduce((best, n) => (room.get(n.dir) > room.get(best.dir) ? n : best)).dir;
+}
+
+// ===== Bots =====
+// Avoids only the segments it can currently see
+const greedyBot = (view) => planMove(view, view.snake);
+
+// Keeps the trail of head positions since it last saw the whole board state line up. Each
+// step shifts every segment one place down the body, so the trail is the body exactly; it
+// is rebuilt from what is visible whenever turns are skipped or go back (new board, retry,
+// rewind).
+function createMemoryBot() {
+  let trail = [];
+  let lastTurn = null;
+  return (view) => {
+    if (lastTurn !== null && view.turn === lastTurn + 1) trail = [view.head, ...trail];
+    else if (view.turn !== lastTurn) trail = [];
+    lastTurn = view.turn;
+    // What is visible right now is always right
+    trail = [...view.snake.map(({ x, y }) => ({ x, y })), ...trail.slice(view.snake.length)].slice(0, view.length);
+    return planMove(view, trail);
+  };
+}
+
+export function createBot(kind) {
+  if (kind === 'memory') return createMemoryBot();
+  return greedyBot;
+}
+
+// Whether the fruit can still be reached from the head, knowing the whole body. Used by the
+// balancing simulator (simulate.js) to spot boards that box the fruit in.
+export function fruitReachable(state) {
+  if (!state.fruit) return false;
+  const view = visibleState(state);
+  return firstStepTo(view, blockedCells(view, state.snake), [state.fruit]) !== null;
+}
@@ -0,0 +1,70 @@
+import { createRng, parseSeed } from './rng.js';
+import { CLASSIC_CAMPAIGN } from './levels.js';
+
+// Daily challenge: the date picks the seed and the level, so everyone playing on the same
+// day gets the same board and the same spawn sequence. Results are plain data keyed by
+// date ('YYYY-MM-DD', local time); the component keeps them in localStorage.
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const dailyKey = (date = new Date()) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const dailySeed = (key) => parseSeed(`invisisnake-daily:${key}`);
+
+// One-level campaign for the day: a classic board from level 4 to 9, with a date-picked
+// fade length and power-up rate on top. `scored` is false once the day's attempt is used;
+// `seed` pins the run seed and `fadePreset` the tail fade, so everyone sees the same tail.
+export function dailyCampaign(key, scored = true) {
+  const rng = createRng(dailySeed(key));
+  const base = CLASSIC_CAMPAIGN.levels[3 + Math.floor(rng() * 6)];
+  const level = {
+    ...base,
+    fadeLength: 5 + Math.floor(rng() * 4),
+    powerUpChance: 0.15 + Math.round(rng() * 20) / 100
+  };
+  return {
+    id: 'daily',
+    name: `Daily ${key}`,
+    date: key,
+    scored,
+    seed: dailySeed(key),
+    fadePreset: 'normal',
+    defaults: { powerUpMinLevel: 1, hazardMinLevel: 1 },
+    levels: [level]
+  };
+}
+
+export const emptyDaily = () => ({ results: {} });
+
+// status: 'playing' while the scored attempt is under way, then 'cleared' or 'failed'
+export const recordDaily = (daily, key, result) => ({
+  ...daily,
+  results: { ...daily.results, [key]: { date: key, ...result } }
+});
+
+const previousDay = (key) => {
+  const [y, m, d] = key.split('-').map(Number);
+  return dailyKey(new Date(y, m - 1, d - 1));
+};
+
+// Consecutive days with an attempt, counting back from today (or yesterday if today
+// has not been played yet).
+export function dailyStreak(daily, today = dailyKey()) {
+  let key = daily.results[today] ? today : previousDay(today);
+  let streak = 0;
+  while (daily.results[key]) {
+    streak += 1;
+    key = previousDay(key);
+  }
+  return streak;
+}
+
+export function dailySummary(result, streak) {
+  const outcome = result.status === 'cleared' ? '✅ Cleared' : result.status === 'failed' ? '❌ Failed' : '⏳ In progress';
+  return [
+    `Invisisnake Daily ${result.date} ${outcome}`,
+    `Turns ${result.turns} • Score ${result.score} • Lives ${result.lives}`,
+    `Streak ${streak} 🔥`
+  ].join('\n');
+}
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { dailyCampaign, dailyKey, dailySeed, dailyStreak, dailySummary, emptyDaily, recordDaily } from './daily.js';
+import { CLASSIC_CAMPAIGN } from './levels.js';
+
+// Results played on each of the given days
+const played = (...keys) =>
+  keys.reduce((daily, key) => recordDaily(daily, key, { status: 'cleared', turns: 1, score: 1, lives: 1 }), emptyDaily());
+
+describe('daily challenge', () => {
+  it('keys days by local date', () => {
+    expect(dailyKey(new Date(2024, 0, 5))).toBe('2024-01-05');
+    expect(dailyKey(new Date(2024, 11, 31, 23, 59))).toBe('2024-12-31');
+  });
+
+  it('gives everyone the same board on the same day', () => {
+    expect(dailyCampaign('2024-03-01')).toEqual(dailyCampaign('2024-03-01'));
+    expect(dailySeed('2024-03-01')).not.toBe(dailySeed('2024-03-02'));
+  });
+
+  it('builds the day from a classic board from level 4 to 9', () => {
+    const boards = CLASSIC_CAMPAIGN.levels.slice(3, 9).map((lvl) => lvl.layout ?? lvl.width);
+    for (let day = 1; day <= 10; day++) {
+      const campaign = dailyCampaign(`2024-05-${String(day).padStart(2, '0')}`);
+      const [level] = campaign.levels;
+      expect(campaign.seed).toBe(dailySeed(campaign.date));
+      expect(boards).toContainEqual(level.layout ?? level.width);
+      expect(level.fadeLength).toBeGreaterThanOrEqual(5);
+      expect(level.fadeLength).toBeLessThanOrEqual(8);
+      expect(level.powerUpChance).toBeGreaterThanOrEqual(0.15);
+      expect(level.powerUpChance).toBeLessThanOrEqual(0.35);
+    }
+  });
+
+  it('counts the streak back from today, or from yesterday before today is played', () => {
+    expect(dailyStreak(emptyDaily(), '2024-03-01')).toBe(0);
+    expect(dailyStreak(played('2024-02-28', '2024-02-29', '2024-03-01'), '2024-03-01')).toBe(3);
+    expect(dailyStreak(played('2024-02-28', '2024-02-29'), '2024-03-01')).toBe(2);
+    expect(dailyStreak(played('2024-02-27', '2024-03-01'), '2024-03-01')).toBe(1);
+    expect(dailyStreak(played('2024-02-28'), '2024-03-01')).toBe(0);
+  });
+
+  it('writes a summary to share', () => {
+    const { results } = recordDaily(emptyDaily(), '2024-03-01', { status: 'failed', turns: 40, score: 6, lives: 0 });
+    expect(dailySummary(results['2024-03-01'], 2)).toBe(
+      'Invisisnake Daily 2024-03-01 ❌ Failed\nTurns 40 • Score 6 • Lives 0\nStreak 2 🔥'
+    );
+  });
+});
@@ -0,0 +1,235 @@
+import { DIRS, centerCell, isOpposite, occupiedSet, placeFreeCell, posEq, wrapCoord } from './grid.js';
+import { isWall, moveHead, portalCells } from './board.js';
+import { createRng, randomSeed } from './rng.js';
+import { DEFAULT_CAMPAIGN, clampLevel, resolveLevel } from './levels.js';
+import { anyEffectActive, applyPowerUp, noEffects, pickPowerUpKind, tickEffects } from './powerups.js';
+import { createHazard, isHazardActive, pickHazardKind, tickHazards } from './hazards.js';
+import { DEFAULT_FADE_PRESET } from './fade.js';
+
+// Invisisnake engine — the game rules, free of React, canvas and audio.
+// Every function takes a state and returns a new one; nothing is mutated in place.
+// All randomness comes from the seeded generator carried in state.rng, so the same seed
+// and the same inputs always produce the same game.
+// step() also returns the events it produced so front-ends can play sounds and FX:
+//   moved, portalUsed, phased, fruitEaten, powerUpPicked, powerUpSpawned, powerUpExpired,
+//   hazardSpawned, hazardExpired, lifeLost, levelCleared
+// lifeLost carries the cause (wall | hazard | self); a bite also names the segment bitten,
+// counted from the head = 1 as tailAlpha() in fade.js counts. powerUpPicked and
+// powerUpExpired carry the power-up's kind.
+
+// Per-level tuning (board size, spawn chances, win threshold, fade) comes from the level
+// definitions in levels.js; the board's resolved definition is kept in state.def.
+
+// ===== Constants =====
+// Bump whenever a rule change would make old replays play out differently.
+export const RULES_VERSION = 3;
+export const START_LIVES = 3;
+
+// Occupied cells including the board's walls and portal ends, which nothing spawns on.
+// Exported with startBody() for the two-player rules in multi.js.
+export const occupied = (def, ...groups) => occupiedSet(def.walls, portalCells(def), ...groups);
+
+// ===== Setup =====
+// Body laid out behind the start cell, opposite the starting direction.
+export function startBody(start, dir, length, cols, rows) {
+  return Array.from({ length }, (_, i) => ({
+    x: wrapCoord(start.x - dir.x * i, cols),
+    y: wrapCoord(start.y - dir.y * i, rows)
+  }));
+}
+
+// `run` carries what survives across boards: campaign, lives, run score and turns, seed,
+// rng stream, the practice flag, the mode and the fade preset.
+function freshBoard(level, run) {
+  const def = resolveLevel(run.campaign, level);
+  const cols = def.width;
+  const rows = def.height;
+  const dir = DIRS[def.startDir] ?? DIRS.RIGHT;
+  const snake = startBody(def.start ?? centerCell(cols, rows), dir, def.startLength, cols, rows);
+  const rng = createRng(run.rng);
+  const fruit = placeFreeCell(occupied(def, snake), cols, rows, rng);
+  return {
+    campaign: run.campaign,
+    level,
+    def,
+    cols,
+    rows,
+    lives: run.lives,
+    snake,
+    dir,
+    fruit,
+    score: 0, // this board
+    runScore: run.runScore ?? 0, // whole run, kept across retries and levels
+    runTurns: run.runTurns ?? 0,
+    status: 'playing', // 'playing' | 'lost' | 'won'
+    crashPos: null,
+    powerUp: null, // {x,y,ttl,kind}
+    effects: noEffects(), // timed power-up effects, turns remaining (see powerups.js)
+    hazards: [], // {x,y,kind,...} (see hazards.js)
+    turn: 0,
+    seed: run.seed, // seed the run started from
+    rng: rng.state(), // current generator state
+    practice: run.practice, // practice runs allow rewinds and never count for records
+    mode: run.mode, // 'turns' | 'realtime' (see realtime.js); rules are the same in both
+    fadePreset: run.fadePreset // tail fade picked for the run (see fade.js); drawing only
+  };
+}
+
+export function createGame({
+  campaign = DEFAULT_CAMPAIGN,
+  level = 1,
+  lives = START_LIVES,
+  seed = randomSeed(),
+  practice = false,
+  mode = 'turns',
+  fadePreset = DEFAULT_FADE_PRESET
+} = {}) {
+  const run = { campaign, lives, seed: seed >>> 0, rng: seed >>> 0, practice, mode, fadePreset };
+  return freshBoard(clampLevel(level, campaign), run);
+}
+
+// Same level again after a lost life; lives and the rng stream carry over.
+export const retryLevel = (state) => freshBoard(state.level, state);
+
+// Advance after a clear; the last level repeats.
+export const nextLevel = (state) => freshBoard(clampLevel(state.level + 1, state.campaign), state);
+
+// ===== Spawns =====
+function maybeSpawnPowerUp(s, head, rng) {
+  const { def } = s;
+  if (s.level < def.powerUpMinLevel) return null;
+  if (s.powerUp) return null;
+  if (anyEffectActive(s.effects)) return null;
+  if (s.snake.length < def.powerUpMinLength) return null;
+  if (rng() > def.powerUpChance) return null;
+  const kind = pickPowerUpKind(def.powerUpWeights, rng);
+  if (!kind) return null;
+  const pos = placeFreeCell(occupied(def, s.snake, s.fruit, s.hazards), s.cols, s.rows, rng);
+  if (!pos) return null;
+  const ttl = Math.max(1, Math.ceil(Math.hypot(pos.x - head.x, pos.y - head.y)) + 3);
+  return { x: pos.x, y: pos.y, ttl, kind };
+}
+
+function maybeSpawnHazard(s, rng) {
+  const { def } = s;
+  if (s.level < def.hazardMinLevel) return null;
+  if (s.effects.freeze > 0) return null;
+  if (s.hazards.length >= def.maxHazards) return null;
+  if (rng() > def.hazardChance) return null;
+  const kind = pickHazardKind(def.hazardWeights, rng);
+  if (!kind) return null;
+  const pos = placeFreeCell(occupied(def, s.snake, s.fruit, s.powerUp, s.hazards), s.cols, s.rows, rng);
+  return pos && createHazard(kind, pos, rng);
+}
+
+// ===== Turn resolution =====
+function loseLife(state, pos, cause, extra = {}) {
+  const lives = Math.max(0, state.lives - 1);
+  return {
+    state: { ...state, status: 'lost', crashPos: pos, lives },
+    events: [{ type: 'lifeLost', pos, cause, livesLeft: lives, ...extra }]
+  };
+}
+
+export function step(state, nextDir) {
+  if (state.status !== 'playing') return { state, events: [] };
+  if (state.snake.length > 1 && isOpposite(nextDir, state.dir)) return { state, events: [] };
+
+  const { def, cols, rows, snake, hazards } = state;
+  const move = moveHead(def, snake[0], nextDir);
+  const newHead = move.pos;
+
+  // Solid borders and walls
+  if (move.edge || isWall(def, newHead)) return loseLife(state, newHead, 'wall');
+  // Hazard (pulsing ones only while switched on)
+  if (hazards.some((h) => posEq(h, newHead) && isHazardActive(h))) return loseLife(state, newHead, 'hazard');
+  // Self, unless a phase charge lets the head pass through once
+  let { effects } = state;
+  const bitten = snake.findIndex((p) => posEq(p, newHead));
+  const phased = bitten !== -1;
+  if (phased && !(effects.phase > 0)) return loseLife(state, newHead, 'self', { segment: bitten + 1 });
+
+  const rng = createRng(state.rng);
+  const events = move.via ? [{ type: 'portalUsed', from: move.via, to: newHead }] : [];
+  if (phased) {
+    effects = { ...effects, phase: 0 };
+    events.push({ type: 'phased', pos: newHead });
+  }
+  let { fruit, score, runScore, powerUp, lives, status } = state;
+
+  // Always move head into the cell first
+  let newSnake = [newHead, ...snake];
+
+  // Fruit
+  if (fruit && posEq(newHead, fruit)) {
+    const value = effects.double > 0 ? 2 : 1;
+    score += value;
+    runScore += value;
+    fruit = placeFreeCell(occupied(def, newSnake, powerUp, hazards), cols, rows, rng);
+    events.push({ type: 'fruitEaten', pos: newHead });
+    if (!fruit) status = 'won';
+  } else {
+    newSnake.pop();
+    events.push({ type: 'moved' });
+  }
+
+  // Power-up pickup, otherwise countdown. Timed effects tick down every turn except the
+  // one they were granted on. A power-up never respawns on its pickup turn.
+  const pickedUp = powerUp && posEq(newHead, powerUp) ? powerUp : null;
+  effects = tickEffects(effects);
+  if (pickedUp) {
+    powerUp = null;
+    ({ snake: newSnake, lives, effects } = applyPowerUp(pickedUp.kind, { snake: newSnake, lives, effects }));
+    events.push({ type: 'powerUpPicked', pos: newHead, kind: pickedUp.kind });
+  } else if (powerUp) {
+    const { kind } = powerUp;
+    powerUp = powerUp.ttl > 1 ? { ...powerUp, ttl: powerUp.ttl - 1 } : null;
+    if (!powerUp) events.push({ type: 'powerUpExpired', kind });
+  }
+
+  // Win check (empties < ceil(winThreshold) of the open cells, 15% by default)
+  if (status === 'playing') {
+    const open = cols * rows - occupied(def).size;
+    const empties = cols * rows - occupied(def, newSnake, hazards, fruit, powerUp).size;
+    if (empties < Math.ceil(open * def.winThreshold)) status = 'won';
+  }
+
+  let next = {
+    ...state,
+    snake: newSnake,
+    dir: nextDir,
+    fruit,
+    score,
+    runScore,
+    powerUp,
+    effects,
+    lives,
+    status,
+    turn: state.turn + 1,
+    runTurns: (state.runTurns ?? 0) + 1
+  };
+
+  if (status === 'won') {
+    events.push({ type: 'levelCleared', level: state.level });
+    return { state: { ...next, rng: rng.state() }, events };
+  }
+
+  // Hazards act after the snake (not while frozen), then spawns
+  if (!(effects.freeze > 0) && next.hazards.length) {
+    const moved = tickHazards(def, next.hazards, occupied(def, newSnake, fruit, powerUp));
+    next = { ...next, hazards: moved.hazards };
+    moved.expired.forEach((pos) => events.push({ type: 'hazardExpired', pos }));
+  }
+  const spawnedPowerUp = pickedUp ? null : maybeSpawnPowerUp(next, newHead, rng);
+  if (spawnedPowerUp) {
+    next = { ...next, powerUp: spawnedPowerUp };
+    events.push({ type: 'powerUpSpawned', powerUp: spawnedPowerUp });
+  }
+  const spawnedHazard = maybeSpawnHazard(next, rng);
+  if (spawnedHazard) {
+    next = { ...next, hazards: [...next.hazards, spawnedHazard] };
+    events.push({ type: 'hazardSpawned', pos: { x: spawnedHazard.x, y: spawnedHazard.y }, hazard: spawnedHazard });
+  }
+
+  return { state: { ...next, rng: rng.state() }, events };
+}
@@ -0,0 +1,205 @@
+import { describe, expect, it } from 'vitest';
+import { DIRS, posEq } from './grid.js';
+import { createGame, nextLevel, retryLevel, step } from './engine.js';
+import { PULSE_ON } from './hazards.js';
+
+// A quiet 5x5 test board: nothing spawns unless a test asks for it
+const board = (level = {}) => ({
+  id: 'test',
+  name: 'Test',
+  levels: [{ width: 5, height: 5, powerUpChance: 0, hazardChance: 0, ...level }]
+});
+
+// Fresh game on that board with some fields replaced
+const game = (level, patch = {}) => ({ ...createGame({ campaign: board(level), seed: 1 }), ...patch });
+
+const types = (events) => events.map((ev) => ev.type);
+
+// Head at (2,2) heading left, body curling round below it
+const curled = [
+  { x: 2, y: 2 },
+  { x: 3, y: 2 },
+  { x: 3, y: 3 },
+  { x: 2, y: 3 },
+  { x: 1, y: 3 }
+];
+
+describe('movement', () => {
+  it('wraps through open edges', () => {
+    const s = game({}, { snake: [{ x: 4, y: 2 }], dir: DIRS.RIGHT, fruit: { x: 0, y: 0 } });
+    const { state } = step(s, DIRS.RIGHT);
+    expect(state.snake[0]).toEqual({ x: 0, y: 2 });
+    expect(state.status).toBe('playing');
+  });
+
+  it('crashes into a solid edge', () => {
+    const s = game({ wrap: { right: false } }, { snake: [{ x: 4, y: 2 }], dir: DIRS.RIGHT, fruit: { x: 0, y: 0 } });
+    const { state, events } = step(s, DIRS.RIGHT);
+    expect(state.status).toBe('lost');
+    expect(events).toContainEqual(expect.objectContaining({ type: 'lifeLost', cause: 'wall' }));
+  });
+
+  it('ignores a reverse into the neck', () => {
+    const s = game({}, { snake: curled, dir: DIRS.LEFT, fruit: { x: 0, y: 0 } });
+    const res = step(s, DIRS.RIGHT);
+    expect(res.state).toBe(s);
+    expect(res.events).toEqual([]);
+  });
+
+  it('lets a one-cell snake reverse', () => {
+    const s = game({}, { snake: [{ x: 2, y: 2 }], dir: DIRS.LEFT, fruit: { x: 0, y: 0 } });
+    expect(step(s, DIRS.RIGHT).state.snake[0]).toEqual({ x: 3, y: 2 });
+  });
+
+  it('does nothing once the board is over', () => {
+    const s = game({}, { status: 'lost' });
+    expect(step(s, DIRS.UP).state).toBe(s);
+  });
+});
+
+describe('collisions', () => {
+  it('loses a life biting its own body', () => {
+    const s = game({}, { snake: curled, dir: DIRS.LEFT, fruit: { x: 0, y: 0 } });
+    const { state, events } = step(s, DIRS.DOWN);
+    expect(state.status).toBe('lost');
+    expect(state.lives).toBe(s.lives - 1);
+    expect(state.crashPos).toEqual({ x: 2, y: 3 });
+    expect(events).toContainEqual(expect.objectContaining({ type: 'lifeLost', cause: 'self', livesLeft: s.lives - 1 }));
+    // The fourth segment from the head, counted as the fade counts
+    expect(events.find((e) => e.type === 'lifeLost').segment).toBe(4);
+  });
+
+  it('passes through its body once with a phase charge', () => {
+    const s = game({}, { snake: curled, dir: DIRS.LEFT, fruit: { x: 0, y: 0 }, effects: { ...createGame().effects, phase: 5 } });
+    const { state, events } = step(s, DIRS.DOWN);
+    expect(state.status).toBe('playing');
+    expect(state.effects.phase).toBe(0);
+    expect(types(events)).toContain('phased');
+  });
+
+  it('loses a life on a hazard', () => {
+    const s = game({}, { snake: [{ x: 2, y: 2 }], dir: DIRS.RIGHT, fruit: { x: 0, y: 0 }, hazards: [{ x: 3, y: 2, kind: 'static' }] });
+    const { state, events } = step(s, DIRS.RIGHT);
+    expect(state.status).toBe('lost');
+    expect(events).toContainEqual(expect.objectContaining({ type: 'lifeLost', cause: 'hazard' }));
+  });
+
+  it('walks over a pulsing hazard while it is off', () => {
+    const off = { x: 3, y: 2, kind: 'pulse', t: PULSE_ON };
+    const s = game({}, { snake: [{ x: 2, y: 2 }], dir: DIRS.RIGHT, fruit: { x: 0, y: 0 }, hazards: [off] });
+    expect(step(s, DIRS.RIGHT).state.status).toBe('playing');
+  });
+});
+
+describe('fruit', () => {
+  it('grows the snake, scores and respawns off the body', () => {
+    const s = game({}, { snake: [{ x: 2, y: 2 }, { x: 1, y: 2 }], dir: DIRS.RIGHT, fruit: { x: 3, y: 2 } });
+    const { state, events } = step(s, DIRS.RIGHT);
+    expect(state.snake).toEqual([{ x: 3, y: 2 }, { x: 2, y: 2 }, { x: 1, y: 2 }]);
+    expect(state.score).toBe(1);
+    expect(state.runScore).toBe(1);
+    expect(types(events)).toContain('fruitEaten');
+    expect(state.snake.some((p) => posEq(p, state.fruit))).toBe(false);
+  });
+
+  it('keeps the length when moving into an empty cell', () => {
+    const s = game({}, { snake: [{ x: 2, y: 2 }, { x: 1, y: 2 }], dir: DIRS.RIGHT, fruit: { x: 0, y: 0 } });
+    const { state, events } = step(s, DIRS.RIGHT);
+    expect(state.snake).toEqual([{ x: 3, y: 2 }, { x: 2, y: 2 }]);
+    expect(types(events)).toContain('moved');
+  });
+});
+
+describe('power-ups', () => {
+  const spawning = { powerUpChance: 1, powerUpMinLevel: 1, powerUpMinLength: 1 };
+
+  it('counts down its ttl and expires', () => {
+    const s = game({}, { snake: [{ x: 2, y: 2 }], dir: DIRS.RIGHT, fruit: { x: 0, y: 0 }, powerUp: { x: 0, y: 4, ttl: 2, kind: 'reveal' } });
+    const first = step(s, DIRS.RIGHT);
+    expect(first.state.powerUp.ttl).toBe(1);
+    const second = step(first.state, DIRS.RIGHT);
+    expect(second.state.powerUp).toBeNull();
+    expect(second.events).toContainEqual({ type: 'powerUpExpired', kind: 'reveal' });
+  });
+
+  it('moves the head into the power-up cell when picked up', () => {
+    const s = game({}, { snake: [{ x: 2, y: 2 }, { x: 1, y: 2 }], dir: DIRS.RIGHT, fruit: { x: 0, y: 0 }, powerUp: { x: 3, y: 2, ttl: 5, kind: 'double' } });
+    const { state, events } = step(s, DIRS.RIGHT);
+    expect(state.snake[0]).toEqual({ x: 3, y: 2 });
+    expect(state.effects.double).toBeGreaterThan(0);
+    expect(events).toContainEqual({ type: 'powerUpPicked', pos: { x: 3, y: 2 }, kind: 'double' });
+  });
+
+  it('never respawns on the turn it is picked up', () => {
+    const s = game(spawning, { snake: [{ x: 2, y: 2 }], dir: DIRS.RIGHT, fruit: { x: 0, y: 0 }, powerUp: { x: 3, y: 2, ttl: 5, kind: 'shrink' } });
+    const picked = step(s, DIRS.RIGHT);
+    expect(picked.state.powerUp).toBeNull();
+    expect(types(picked.events)).not.toContain('powerUpSpawned');
+    // ...but may on the next one
+    const after = step(picked.state, DIRS.RIGHT);
+    expect(types(after.events)).toContain('powerUpSpawned');
+  });
+
+  it('does not spawn while a timed effect is running', () => {
+    const s = game(spawning, { snake: [{ x: 2, y: 2 }], dir: DIRS.RIGHT, fruit: { x: 0, y: 0 }, powerUp: { x: 3, y: 2, ttl: 5, kind: 'double' } });
+    let state = step(s, DIRS.RIGHT).state;
+    expect(state.effects.double).toBeGreaterThan(1);
+    while (state.effects.double > 0) {
+      expect(state.powerUp).toBeNull();
+      state = step(state, DIRS.DOWN).state;
+    }
+    expect(state.powerUp).not.toBeNull();
+  });
+});
+
+describe('win threshold', () => {
+  // 25 cells at 0.9: cleared once fewer than ceil(22.5) = 23 cells are empty
+  const level = { winThreshold: 0.9 };
+
+  it('keeps playing while enough cells are empty', () => {
+    const s = game(level, { snake: [{ x: 2, y: 2 }], dir: DIRS.RIGHT, fruit: { x: 0, y: 0 } });
+    expect(step(s, DIRS.RIGHT).state.status).toBe('playing');
+  });
+
+  it('clears the board once the snake fills past it', () => {
+    const s = game(level, { snake: [{ x: 2, y: 2 }], dir: DIRS.RIGHT, fruit: { x: 3, y: 2 } });
+    const { state, events } = step(s, DIRS.RIGHT);
+    expect(state.status).toBe('won');
+    expect(events).toContainEqual({ type: 'levelCleared', level: 1 });
+  });
+});
+
+describe('lives and boards', () => {
+  it('retries the same level with the remaining lives', () => {
+    const s = game({}, { snake: curled, dir: DIRS.LEFT, fruit: { x: 0, y: 0 } });
+    const lost = step(s, DIRS.DOWN).state;
+    const again = retryLevel(lost);
+    expect(again.status).toBe('playing');
+    expect(again.lives).toBe(lost.lives);
+    expect(again.level).toBe(1);
+    expect(again.turn).toBe(0);
+  });
+
+  it('runs out of lives', () => {
+    const s = game({}, { snake: curled, dir: DIRS.LEFT, fruit: { x: 0, y: 0 }, lives: 1 });
+    const { state, events } = step(s, DIRS.DOWN);
+    expect(state.lives).toBe(0);
+    expect(events).toContainEqual(expect.objectContaining({ type: 'lifeLost', livesLeft: 0 }));
+  });
+
+  it('carries the run score on to the next level', () => {
+    const s = createGame({ seed: 3 });
+    const next = nextLevel({ ...s, status: 'won', runScore: 7 });
+    expect(next.level).toBe(2);
+    expect(next.runScore).toBe(7);
+    expect(next.score).toBe(0);
+  });
+});
+
+describe('determinism', () => {
+  it('plays out the same from the same seed and inputs', () => {
+    const moves = [DIRS.UP, DIRS.UP, DIRS.LEFT, DIRS.DOWN, DIRS.DOWN, DIRS.RIGHT, DIRS.RIGHT, DIRS.UP];
+    const play = () => moves.reduce((s, dir) => step(s, dir).state, createGame({ level: 4, seed: 99 }));
+    expect(play()).toEqual(play());
+  });
+});
@@ -0,0 +1,63 @@
+// Tail visibility. A fade is { visible, length, curve, by }: the first `visible` steps of
+// age are fully drawn, the next `length` fade out along `curve`, the rest are invisible.
+//   curve  linear | ease (holds on longer, then drops off) | step (FADE_STEPS hard steps)
+//   by     segments: a segment's age is its position along the body (1 = head)
+//          turns: its age is how many turns ago the head was on its cell (1 = this turn).
+//          The starting body was never entered by the head, so it counts as entered when
+//          the board began and fades out over the first turns. Where the body covers a cell
+//          twice (after a Phase pass-through) the newer visit counts for both segments.
+// Presets bundle these for the player to pick before a run. A null `visible` or `length`
+// takes the level's own fadeVisible / fadeLength, so Normal plays every level as designed.
+// The fade only changes what is drawn (and what bots see); the rules ignore it.
+
+export const FADE_CURVES = ['linear', 'ease', 'step'];
+export const FADE_STEPS = 4;
+
+export const FADE_PRESET_IDS = ['easy', 'normal', 'hard', 'blind'];
+export const FADE_PRESET_LABELS = { easy: 'Easy', normal: 'Normal', hard: 'Hard', blind: 'Blind' };
+export const DEFAULT_FADE_PRESET = 'normal';
+
+export const FADE_PRESETS = {
+  easy: { visible: 6, length: 10, curve: 'ease', by: 'turns' },
+  normal: { visible: null, length: null, curve: 'linear', by: 'segments' },
+  hard: { visible: 2, length: 4, curve: 'linear', by: 'segments' },
+  blind: { visible: 1, length: 0, curve: 'step', by: 'segments' } // head only
+};
+
+// The fade a board is drawn with: the preset filled in from the level definition
+export function resolveFade(def, preset = DEFAULT_FADE_PRESET) {
+  const p = FADE_PRESETS[preset] ?? FADE_PRESETS[DEFAULT_FADE_PRESET];
+  return { visible: p.visible ?? def.fadeVisible, length: p.length ?? def.fadeLength, curve: p.curve, by: p.by };
+}
+
+// Alpha across the fading stretch, t running from 0 (just past `visible`) towards 1
+const CURVES = {
+  linear: (t) => 1 - t,
+  ease: (t) => 1 - t * t * (3 - 2 * t),
+  step: (t) => 1 - Math.ceil(t * FADE_STEPS) / FADE_STEPS
+};
+
+export function tailAlpha(age, fade) {
+  if (age <= fade.visible) return 1;
+  if (age >= fade.visible + fade.length) return 0;
+  return CURVES[fade.curve]((age - fade.visible) / fade.length);
+}
+
+// Turns since the head was on each segment's cell, head first (1 = this turn). Segment i
+// was the head i turns ago unless the same cell shows up nearer the head, or i is past the
+// board's `turn` counter (the starting body).
+export function segmentAges(snake, turn) {
+  const newest = new Map(); // cell -> index nearest the head
+  return snake.map((p, i) => {
+    const key = `${p.x},${p.y}`;
+    if (!newest.has(key)) newest.set(key, i);
+    return Math.min(newest.get(key), turn) + 1;
+  });
+}
+
+// Alpha of every segment, head first. `turn` is the board's turn counter; only fades by
+// turns need it.
+export function snakeAlphas(snake, fade, turn = 0) {
+  const ages = fade.by === 'turns' ? segmentAges(snake, turn) : snake.map((_, i) => i + 1);
+  return ages.map((age) => tailAlpha(age, fade));
+}
@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import { FADE_PRESET_IDS, resolveFade, segmentAges, snakeAlphas, tailAlpha } from './fade.js';
+import { LEVEL_DEFAULTS } from './levels.js';
+
+const fade = (patch) => ({ visible: 2, length: 4, curve: 'linear', by: 'segments', ...patch });
+
+// A snake `length` cells long on one row, head at x = 0
+const line = (length) => Array.from({ length }, (_, x) => ({ x, y: 0 }));
+
+describe('tailAlpha', () => {
+  it('draws the first segments fully and hides everything past the fade', () => {
+    expect(tailAlpha(1, fade())).toBe(1);
+    expect(tailAlpha(2, fade())).toBe(1);
+    expect(tailAlpha(6, fade())).toBe(0);
+    expect(tailAlpha(40, fade())).toBe(0);
+  });
+
+  it('fades linearly in between', () => {
+    expect(tailAlpha(3, fade())).toBeCloseTo(0.75);
+    expect(tailAlpha(4, fade())).toBeCloseTo(0.5);
+    expect(tailAlpha(5, fade())).toBeCloseTo(0.25);
+  });
+
+  it('holds on longer with the ease curve', () => {
+    const ease = fade({ curve: 'ease', length: 8 });
+    expect(tailAlpha(3, ease)).toBeGreaterThan(tailAlpha(3, fade({ length: 8 })));
+    expect(tailAlpha(9, ease)).toBeLessThan(tailAlpha(9, fade({ length: 8 })));
+  });
+
+  it('drops in hard steps with the step curve', () => {
+    const step = fade({ curve: 'step', length: 8 });
+    const alphas = [3, 4, 5, 6, 7, 8, 9].map((i) => tailAlpha(i, step));
+    expect(alphas).toEqual([0.75, 0.75, 0.5, 0.5, 0.25, 0.25, 0]);
+  });
+
+  it('shows only the head with no visible run and no fade', () => {
+    const blind = fade({ visible: 1, length: 0 });
+    expect(tailAlpha(1, blind)).toBe(1);
+    expect(tailAlpha(2, blind)).toBe(0);
+  });
+});
+
+describe('fading by turns', () => {
+  it('ages each segment by the turns since the head was on its cell', () => {
+    expect(segmentAges(line(5), 10)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('counts the starting body as entered when the board began', () => {
+    // Turn 0: no cell has been entered yet, so the whole body is as new as the head
+    expect(segmentAges(line(5), 0)).toEqual([1, 1, 1, 1, 1]);
+    // Two turns in, the two cells entered since then are younger than the rest
+    expect(segmentAges(line(7), 2)).toEqual([1, 2, 3, 3, 3, 3, 3]);
+    const byTurns = fade({ by: 'turns' });
+    expect(snakeAlphas(line(8), byTurns, 0)).toEqual(Array(8).fill(1));
+    expect(snakeAlphas(line(8), byTurns, 3).at(-1)).toBe(tailAlpha(4, byTurns));
+  });
+
+  it('keeps a cell the body covers twice as new as its latest visit', () => {
+    // After a Phase pass-through the head is back on the cell segment 5 still holds
+    const crossed = [{ x: 1, y: 1 }, { x: 1, y: 0 }, { x: 0, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 }];
+    expect(segmentAges(crossed, 20)).toEqual([1, 2, 3, 4, 1, 6]);
+    const alphas = snakeAlphas(crossed, fade({ by: 'turns', visible: 1, length: 1 }), 20);
+    expect(alphas).toEqual([1, 0, 0, 0, 1, 0]);
+    expect(snakeAlphas(crossed, fade({ visible: 1, length: 1 }), 20)[4]).toBe(0);
+  });
+
+  it('fades by position along the body otherwise', () => {
+    expect(snakeAlphas(line(8), fade(), 0)).toEqual(line(8).map((_, i) => tailAlpha(i + 1, fade())));
+  });
+});
+
+describe('resolveFade', () => {
+  const def = { ...LEVEL_DEFAULTS, fadeVisible: 4, fadeLength: 9 };
+
+  it('plays the level as designed on Normal', () => {
+    expect(resolveFade(def, 'normal')).toEqual({ visible: 4, length: 9, curve: 'linear', by: 'segments' });
+  });
+
+  it('fades Easy by turns', () => {
+    expect(resolveFade(def, 'easy').by).toBe('turns');
+  });
+
+  it('falls back to Normal for an unknown preset', () => {
+    expect(resolveFade(def, 'nope')).toEqual(resolveFade(def, 'normal'));
+  });
+
+  it('shows less of the tail on each harder preset', () => {
+    const shown = FADE_PRESET_IDS.map((id) => {
+      const f = resolveFade(def, id);
+      return f.visible + f.length;
+    });
+    expect([...shown].sort((a, b) => b - a)).toEqual(shown);
+  });
+});
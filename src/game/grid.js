@@ -0,0 +1,43 @@
+// Grid helpers shared by the engine and its front-ends.
+
+export const DIRS = {
+  UP: { x: 0, y: -1, key: 'ArrowUp' },
+  DOWN: { x: 0, y: 1, key: 'ArrowDown' },
+  LEFT: { x: -1, y: 0, key: 'ArrowLeft' },
+  RIGHT: { x: 1, y: 0, key: 'ArrowRight' }
+};
+
+export const isOpposite = (a, b) => a.x + b.x === 0 && a.y + b.y === 0;
+export const posEq = (a, b) => a.x === b.x && a.y === b.y;
+export const cellKey = (p) => `${p.x},${p.y}`;
+export const wrapCoord = (v, max) => (v < 0 ? max - 1 : v >= max ? 0 : v);
+export const centerCell = (c, r) => ({ x: Math.floor(c / 2), y: Math.floor(r / 2) });
+
+// Builds the occupied-cell set used by spawns and the win check. Null entries are skipped.
+export function occupiedSet(...groups) {
+  const occ = new Set();
+  groups.forEach((g) => {
+    if (!g) return;
+    if (Array.isArray(g)) g.forEach((p) => occ.add(cellKey(p)));
+    else occ.add(cellKey(g));
+  });
+  return occ;
+}
+
+// Random free cell, falling back to a scan once random probing gives up.
+// Pass the engine's seeded rng as `random` so spawns stay reproducible.
+export function placeFreeCell(excludedSet, cols, rows, random = Math.random) {
+  const total = cols * rows;
+  if (excludedSet.size >= total) return null;
+  for (let i = 0; i < 128; i++) {
+    const x = Math.floor(random() * cols);
+    const y = Math.floor(random() * rows);
+    if (!excludedSet.has(`${x},${y}`)) return { x, y };
+  }
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      if (!excludedSet.has(`${x},${y}`)) return { x, y };
+    }
+  }
+  return null;
+}
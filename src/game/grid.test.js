@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { DIRS, isOpposite, occupiedSet, placeFreeCell, wrapCoord } from './grid.js';
+import { createRng } from './rng.js';
+
+describe('wrapCoord', () => {
+  it('wraps past either end', () => {
+    expect(wrapCoord(-1, 5)).toBe(4);
+    expect(wrapCoord(5, 5)).toBe(0);
+    expect(wrapCoord(2, 5)).toBe(2);
+  });
+});
+
+describe('isOpposite', () => {
+  it('pairs each direction with its reverse only', () => {
+    expect(isOpposite(DIRS.UP, DIRS.DOWN)).toBe(true);
+    expect(isOpposite(DIRS.LEFT, DIRS.RIGHT)).toBe(true);
+    expect(isOpposite(DIRS.UP, DIRS.LEFT)).toBe(false);
+    expect(isOpposite(DIRS.UP, DIRS.UP)).toBe(false);
+  });
+});
+
+describe('placeFreeCell', () => {
+  it('never picks an excluded cell', () => {
+    const excluded = occupiedSet([
+      { x: 0, y: 0 },
+      { x: 1, y: 0 },
+      { x: 2, y: 0 }
+    ]);
+    const rng = createRng(1);
+    for (let i = 0; i < 200; i++) {
+      const cell = placeFreeCell(excluded, 3, 2, rng);
+      expect(cell.y).toBe(1);
+    }
+  });
+
+  it('returns null when the board is full', () => {
+    const all = [];
+    for (let y = 0; y < 2; y++) for (let x = 0; x < 2; x++) all.push({ x, y });
+    expect(placeFreeCell(occupiedSet(all), 2, 2)).toBeNull();
+  });
+
+  it('finds the last free cell by scanning once random probing gives up', () => {
+    const all = [];
+    for (let y = 0; y < 4; y++) for (let x = 0; x < 4; x++) if (x !== 3 || y !== 2) all.push({ x, y });
+    expect(placeFreeCell(occupiedSet(all), 4, 4, () => 0)).toEqual({ x: 3, y: 2 });
+  });
+
+  it('is reproducible with the same seed', () => {
+    const pick = (seed) => {
+      const rng = createRng(seed);
+      return Array.from({ length: 5 }, () => placeFreeCell(new Set(), 10, 10, rng));
+    };
+    expect(pick(42)).toEqual(pick(42));
+  });
+});
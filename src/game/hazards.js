@@ -0,0 +1,94 @@
+import { DIRS, cellKey, wrapCoord } from './grid.js';
+import { pickWeighted } from './rng.js';
+
+// Hazard kinds. A hazard is { x, y, kind } plus whatever its kind tracks:
+//   static  { }          sits where it spawned for the rest of the board
+//   patrol  { dir }      moves one cell per turn and turns back when the way is blocked
+//                        (walls, solid borders, portals, the snake, fruit, power-ups, hazards)
+//   pulse   { t }        cycles on for PULSE_ON turns, off for PULSE_OFF; the last off turn
+//                        is a telegraph so it never switches on unannounced. Harmless while off.
+//   timed   { ttl }      disappears after ttl turns
+// Every hazard cell is kept out of spawns whether or not it is currently dangerous.
+// Which kinds spawn, and how often, is set per level with `hazardWeights`.
+
+export const HAZARD_KINDS = ['static', 'patrol', 'pulse', 'timed'];
+
+export const PULSE_ON = 3;
+export const PULSE_OFF = 3;
+export const TIMED_TTL_MIN = 8;
+export const TIMED_TTL_SPREAD = 8;
+
+const PULSE_PERIOD = PULSE_ON + PULSE_OFF;
+
+// 'on' | 'off' | 'warn' (about to switch on)
+export function hazardPhase(h) {
+  if (h.kind !== 'pulse') return 'on';
+  const t = h.t % PULSE_PERIOD;
+  if (t < PULSE_ON) return 'on';
+  return t === PULSE_PERIOD - 1 ? 'warn' : 'off';
+}
+
+export const isHazardActive = (h) => hazardPhase(h) === 'on';
+
+// Same weighting as power-ups. Returns null if no kind can spawn.
+export const pickHazardKind = (weights, rng) => pickWeighted(HAZARD_KINDS, weights, rng);
+
+const PATROL_DIRS = [DIRS.UP, DIRS.DOWN, DIRS.LEFT, DIRS.RIGHT];
+
+export function createHazard(kind, pos, rng) {
+  switch (kind) {
+    case 'patrol': {
+      const { x, y } = PATROL_DIRS[Math.floor(rng() * PATROL_DIRS.length)];
+      return { ...pos, kind, dir: { x, y } };
+    }
+    case 'pulse':
+      return { ...pos, kind, t: PULSE_PERIOD - 1 }; // spawns telegraphing
+    case 'timed':
+      return { ...pos, kind, ttl: TIMED_TTL_MIN + Math.floor(rng() * TIMED_TTL_SPREAD) };
+    default:
+      return { ...pos, kind: 'static' };
+  }
+}
+
+// Next cell in `dir`, or null past a solid border.
+function patrolTarget(def, h, dir) {
+  const x = h.x + dir.x;
+  const y = h.y + dir.y;
+  const edge = y < 0 ? 'top' : y >= def.height ? 'bottom' : x < 0 ? 'left' : x >= def.width ? 'right' : null;
+  if (edge && !def.wrap[edge]) return null;
+  return { x: wrapCoord(x, def.width), y: wrapCoord(y, def.height) };
+}
+
+// One turn of hazard behaviour. `blocked` is the occupied-cell set for everything except
+// the hazards themselves; patrols also avoid each other's updated cells.
+// Returns { hazards, expired } where expired lists the cells that went away.
+export function tickHazards(def, hazards, blocked) {
+  const taken = new Set(blocked);
+  hazards.forEach((h) => taken.add(cellKey(h)));
+  const expired = [];
+  const next = [];
+  hazards.forEach((h) => {
+    if (h.kind === 'timed') {
+      if (h.ttl <= 1) {
+        taken.delete(cellKey(h));
+        expired.push({ x: h.x, y: h.y });
+      } else {
+        next.push({ ...h, ttl: h.ttl - 1 });
+      }
+    } else if (h.kind === 'pulse') {
+      next.push({ ...h, t: h.t + 1 });
+    } else if (h.kind === 'patrol') {
+      const back = { x: -h.dir.x, y: -h.dir.y };
+      const free = (p) => p && !taken.has(cellKey(p));
+      const ahead = patrolTarget(def, h, h.dir);
+      const behind = patrolTarget(def, h, back);
+      const moved = free(ahead) ? { ...h, ...ahead } : free(behind) ? { ...h, ...behind, dir: back } : h;
+      taken.delete(cellKey(h));
+      taken.add(cellKey(moved));
+      next.push(moved);
+    } else {
+      next.push(h);
+    }
+  });
+  return { hazards: next, expired };
+}
@@ -0,0 +1,29 @@
+// Fixed-size ring buffer of past snapshots for Practice mode rewinds.
+// Engine states are immutable, so a snapshot is just a reference; once the buffer
+// is full the oldest entry is overwritten.
+
+export function createHistory(capacity) {
+  return { items: new Array(capacity).fill(null), start: 0, size: 0 };
+}
+
+export function pushHistory(h, entry) {
+  const capacity = h.items.length;
+  const items = h.items.slice();
+  if (h.size < capacity) {
+    items[(h.start + h.size) % capacity] = entry;
+    return { items, start: h.start, size: h.size + 1 };
+  }
+  items[h.start] = entry;
+  return { items, start: (h.start + 1) % capacity, size: h.size };
+}
+
+// Returns { history, entry }; entry is null when there is nothing left to rewind.
+export function popHistory(h) {
+  if (h.size === 0) return { history: h, entry: null };
+  const capacity = h.items.length;
+  const idx = (h.start + h.size - 1) % capacity;
+  const items = h.items.slice();
+  const entry = items[idx];
+  items[idx] = null;
+  return { history: { items, start: h.start, size: h.size - 1 }, entry };
+}
@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { createHistory, popHistory, pushHistory } from './history.js';
+
+// Pops everything left, newest first
+const drain = (h) => {
+  const out = [];
+  let { history, entry } = popHistory(h);
+  while (entry !== null) {
+    out.push(entry);
+    ({ history, entry } = popHistory(history));
+  }
+  return out;
+};
+
+describe('history', () => {
+  it('pops entries newest first', () => {
+    const h = [1, 2, 3].reduce(pushHistory, createHistory(5));
+    expect(drain(h)).toEqual([3, 2, 1]);
+  });
+
+  it('returns no entry once empty', () => {
+    const h = createHistory(3);
+    expect(popHistory(h)).toEqual({ history: h, entry: null });
+  });
+
+  it('overwrites the oldest entry once full', () => {
+    const h = [1, 2, 3, 4, 5].reduce(pushHistory, createHistory(3));
+    expect(h.size).toBe(3);
+    expect(drain(h)).toEqual([5, 4, 3]);
+  });
+
+  it('keeps pushing after a pop on a wrapped buffer', () => {
+    const full = [1, 2, 3, 4].reduce(pushHistory, createHistory(3));
+    const { history } = popHistory(full);
+    expect(drain(pushHistory(history, 'x'))).toEqual(['x', 3, 2]);
+  });
+
+  it('leaves the buffer it was given alone', () => {
+    const h = pushHistory(createHistory(2), 'a');
+    pushHistory(h, 'b');
+    popHistory(h);
+    expect(drain(h)).toEqual(['a']);
+  });
+});
@@ -0,0 +1,100 @@
+import { parseLayout } from './board.js';
+import { DIRS } from './grid.js';
+import { POWERUP_KINDS } from './powerups.js';
+import { HAZARD_KINDS } from './hazards.js';
+
+// Import/export for single hand-made levels (the level editor's file format).
+// A level file is a level definition as in levels.js plus a display name; the board is
+// always stored as an ASCII `layout`. The same JSON, base64url-encoded, is the share code
+// used in ?level= links.
+
+export const LEVEL_FILE_FORMAT = 1;
+
+const NUMERIC_FIELDS = {
+  startLength: [1, 50],
+  winThreshold: [0, 0.9],
+  powerUpChance: [0, 1],
+  hazardChance: [0, 1],
+  maxHazards: [0, 100],
+  tickMs: [40, 2000]
+};
+
+function validateWeights(level, key, kinds, label) {
+  if (level[key] === undefined) return;
+  const weights = level[key];
+  if (!weights || typeof weights !== 'object') throw new Error(`${key} must be an object`);
+  Object.entries(weights).forEach(([kind, w]) => {
+    if (!kinds.includes(kind)) throw new Error(`Unknown ${label} kind "${kind}"`);
+    if (typeof w !== 'number' || w < 0) throw new Error(`Weight for ${kind} must be a number of at least 0`);
+  });
+}
+
+export function validateLevel(level) {
+  if (!level || typeof level !== 'object') throw new Error('Level must be an object');
+  const { layout } = level;
+  if (!Array.isArray(layout) || !layout.length || !layout.every((r) => typeof r === 'string')) {
+    throw new Error('Level needs a layout (array of rows)');
+  }
+  const board = parseLayout(layout);
+  if (board.width < 3 || board.height < 3) throw new Error('Board must be at least 3x3');
+  if (layout.some((r) => r.length !== board.width)) throw new Error('Layout rows must all be the same width');
+  if (!board.start) throw new Error('Layout needs a start cell (S)');
+  // Own keys only: 'constructor' and the like are not directions
+  if (level.startDir && !Object.hasOwn(DIRS, level.startDir)) {
+    throw new Error(`Unknown start direction "${level.startDir}"`);
+  }
+  Object.entries(NUMERIC_FIELDS).forEach(([key, [min, max]]) => {
+    if (level[key] === undefined) return;
+    if (typeof level[key] !== 'number' || level[key] < min || level[key] > max) {
+      throw new Error(`${key} must be a number from ${min} to ${max}`);
+    }
+  });
+  validateWeights(level, 'powerUpWeights', POWERUP_KINDS, 'power-up');
+  validateWeights(level, 'hazardWeights', HAZARD_KINDS, 'hazard');
+  return level;
+}
+
+// Single-level campaign for play-testing. Power-ups and hazards are allowed from level 1
+// so the level's own chances apply.
+export const playtestCampaign = (level) => ({
+  id: 'playtest',
+  name: level.name ? `Custom: ${level.name}` : 'Custom level',
+  defaults: { powerUpMinLevel: 1, hazardMinLevel: 1 },
+  levels: [level]
+});
+
+export const exportLevel = (level) => JSON.stringify({ format: LEVEL_FILE_FORMAT, level }, null, 2);
+
+export function importLevel(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Level file is not valid JSON');
+  }
+  if (!data || data.format !== LEVEL_FILE_FORMAT) throw new Error('Unsupported level file format');
+  return validateLevel(data.level);
+}
+
+const toBase64Url = (text) =>
+  btoa(String.fromCharCode(...new TextEncoder().encode(text)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+const fromBase64Url = (code) => {
+  const b64 = code.replace(/-/g, '+').replace(/_/g, '/');
+  return new TextDecoder().decode(Uint8Array.from(atob(b64), (c) => c.charCodeAt(0)));
+};
+
+export const encodeLevel = (level) => toBase64Url(JSON.stringify({ format: LEVEL_FILE_FORMAT, level }));
+
+export function decodeLevel(code) {
+  let text;
+  try {
+    text = fromBase64Url(String(code).trim());
+  } catch {
+    throw new Error('Share code is not valid');
+  }
+  return importLevel(text);
+}
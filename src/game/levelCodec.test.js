@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { decodeLevel, encodeLevel, exportLevel, importLevel, playtestCampaign, validateLevel } from './levelCodec.js';
+
+const level = (patch = {}) => ({
+  name: 'Corridor ✨',
+  layout: ['#####', '#S.a#', '#.a.#', '#####'],
+  startDir: 'RIGHT',
+  powerUpWeights: { reveal: 2, life: 0 },
+  ...patch
+});
+
+describe('validateLevel', () => {
+  it('accepts a well-formed level as it is', () => {
+    const lvl = level();
+    expect(validateLevel(lvl)).toBe(lvl);
+  });
+
+  it.each([
+    [null, 'Level must be an object'],
+    [{ layout: [] }, 'Level needs a layout'],
+    [level({ layout: ['S.', '..'] }), 'at least 3x3'],
+    [level({ layout: ['S..', '...', '..'] }), 'same width'],
+    [level({ layout: ['...', '...', '...'] }), 'start cell'],
+    [level({ layout: ['S.?', '...', '...'] }), 'Unknown layout tile'],
+    [level({ layout: ['Sa.', '...', '...'] }), 'exactly two ends'],
+    [level({ startDir: 'SIDEWAYS' }), 'Unknown start direction'],
+    [level({ startDir: 'constructor' }), 'Unknown start direction "constructor"'],
+    [level({ startDir: 'toString' }), 'Unknown start direction'],
+    [level({ tickMs: 10 }), 'tickMs must be a number from 40 to 2000'],
+    [level({ winThreshold: '0.2' }), 'winThreshold must be a number'],
+    [level({ powerUpWeights: { teleport: 1 } }), 'Unknown power-up kind "teleport"'],
+    [level({ hazardWeights: { patrol: -1 } }), 'at least 0']
+  ])('rejects a bad level (%#)', (lvl, message) => {
+    expect(() => validateLevel(lvl)).toThrow(message);
+  });
+});
+
+describe('level files and share codes', () => {
+  it('round-trips through a level file', () => {
+    expect(importLevel(exportLevel(level()))).toEqual(level());
+  });
+
+  it('round-trips through a URL-safe share code', () => {
+    const code = encodeLevel(level());
+    expect(code).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeLevel(` ${code} `)).toEqual(level());
+  });
+
+  it('rejects a share code whose start direction is an inherited key', () => {
+    const code = encodeLevel(level({ startDir: 'constructor' }));
+    expect(() => decodeLevel(code)).toThrow('Unknown start direction');
+  });
+
+  it('explains what is wrong with a bad file or code', () => {
+    expect(() => importLevel('{')).toThrow('not valid JSON');
+    expect(() => importLevel(JSON.stringify({ format: 99, level: level() }))).toThrow('Unsupported level file format');
+    expect(() => decodeLevel('%%%')).toThrow('Share code is not valid');
+  });
+
+  it('play-tests a level as a one-board campaign', () => {
+    const campaign = playtestCampaign(level());
+    expect(campaign.name).toBe('Custom: Corridor ✨');
+    expect(campaign.levels).toEqual([level()]);
+    expect(playtestCampaign(level({ name: '' })).name).toBe('Custom level');
+  });
+});
@@ -0,0 +1,193 @@
+import { WRAP_ALL, parseLayout } from './board.js';
+
+// Level definitions. A campaign is { id, name, defaults?, levels: [...] }; each level only
+// states what differs from LEVEL_DEFAULTS (and the campaign's own defaults) and is resolved
+// into a full definition by resolveLevel(). Campaigns are plain JSON-compatible data.
+
+// Level fields:
+//   width, height      board size in cells (taken from `layout` when one is given)
+//   layout             optional ASCII board, see board.js; supplies walls, portals and start
+//   walls              [{x,y}] fixed wall cells
+//   portals            [[{x,y},{x,y}]] linked cell pairs
+//   wrap               { top, bottom, left, right }: false makes that border solid
+//   start, startDir    head cell (board centre when null) and 'UP' | 'DOWN' | 'LEFT' | 'RIGHT'
+//   startLength        snake length at the start of the board
+//   winThreshold       board is cleared once fewer than ceil(cells * winThreshold) cells are empty
+//   powerUpChance      chance per turn to spawn a power-up once allowed
+//   powerUpMinLevel    first level (1-based, within the campaign) that spawns power-ups
+//   powerUpMinLength   snake length needed before power-ups spawn
+//   powerUpWeights     relative spawn weight per power-up kind (see powerups.js); 0 or
+//                      missing means that kind never spawns on the level
+//   hazardChance       chance per turn to spawn a hazard once allowed
+//   hazardMinLevel     first level that spawns hazards
+//   maxHazards         hazard cap for the board
+//   hazardWeights      relative spawn weight per hazard kind (see hazards.js), like powerUpWeights
+//   tickMs             real-time mode step interval; null speeds up with the level number
+//                      (see realtime.js)
+//   fadeVisible        tail segments drawn at full strength
+//   fadeLength         segments over which the tail then fades out
+
+export const POWERUP_CHANCE_PER_TURN = 0.25;
+export const HAZARD_CHANCE_PER_TURN = 0.12;
+export const POWERUP_WEIGHTS = { reveal: 4, shrink: 2, phase: 2, freeze: 1, double: 2, life: 1 };
+export const HAZARD_WEIGHTS = { static: 4, timed: 3, pulse: 2, patrol: 1 };
+
+export const LEVEL_DEFAULTS = {
+  width: 5,
+  height: 5,
+  layout: null,
+  walls: [],
+  portals: [],
+  wrap: WRAP_ALL,
+  start: null,
+  startDir: 'RIGHT',
+  startLength: 1,
+  winThreshold: 0.15,
+  powerUpChance: POWERUP_CHANCE_PER_TURN,
+  powerUpMinLevel: 2,
+  powerUpMinLength: 10,
+  powerUpWeights: POWERUP_WEIGHTS,
+  hazardChance: HAZARD_CHANCE_PER_TURN,
+  hazardMinLevel: 3,
+  maxHazards: 0,
+  hazardWeights: HAZARD_WEIGHTS,
+  tickMs: null,
+  fadeVisible: 3,
+  fadeLength: 7
+};
+
+// The original ten: square boards growing by one per level, one more hazard allowed each level.
+const classicLevel = (lvl) => {
+  const size = Math.max(3, 2 + lvl);
+  return { width: size, height: size, maxHazards: Math.max(0, lvl - 2) };
+};
+
+export const CLASSIC_CAMPAIGN = {
+  id: 'classic',
+  name: 'Classic',
+  levels: Array.from({ length: 10 }, (_, i) => classicLevel(i + 1))
+};
+
+export const EXTENDED_CAMPAIGN = {
+  id: 'extended',
+  name: 'Extended',
+  levels: [
+    ...CLASSIC_CAMPAIGN.levels,
+    { width: 14, height: 10, maxHazards: 9, startLength: 3 },
+    { width: 16, height: 10, maxHazards: 10, startLength: 3, fadeLength: 6 },
+    { width: 16, height: 12, maxHazards: 11, startLength: 4, hazardChance: 0.15, fadeLength: 6 },
+    { width: 18, height: 12, maxHazards: 12, startLength: 4, hazardChance: 0.15, fadeVisible: 2, fadeLength: 6 },
+    {
+      width: 20,
+      height: 14,
+      maxHazards: 14,
+      startLength: 5,
+      hazardChance: 0.18,
+      hazardWeights: { static: 2, timed: 3, pulse: 3, patrol: 3 },
+      fadeVisible: 2,
+      fadeLength: 5
+    }
+  ]
+};
+
+// Hand-authored boards: walls, solid borders and portals.
+export const MAZES_CAMPAIGN = {
+  id: 'mazes',
+  name: 'Mazes',
+  defaults: { powerUpMinLevel: 1, hazardMinLevel: 3 },
+  levels: [
+    {
+      layout: [
+        '#########',
+        '#.......#',
+        '#.......#',
+        '#...S...#',
+        '#.......#',
+        '#.......#',
+        '#########'
+      ]
+    },
+    {
+      layout: [
+        '..........',
+        '.##....##.',
+        '.#......#.',
+        '....S.....',
+        '.#......#.',
+        '.##....##.',
+        '..........'
+      ],
+      wrap: { top: false, bottom: false }
+    },
+    {
+      layout: [
+        '###########',
+        '#a...#....#',
+        '#....#....#',
+        '#..S.#....#',
+        '#....#....#',
+        '#....#...a#',
+        '###########'
+      ],
+      maxHazards: 1,
+      hazardWeights: { patrol: 1 }
+    },
+    {
+      layout: [
+        '............',
+        '.a..####..b.',
+        '....#..#....',
+        '.....S......',
+        '....#..#....',
+        '.b..####..a.',
+        '............'
+      ],
+      wrap: { left: false, right: false },
+      maxHazards: 2,
+      startLength: 3,
+      powerUpWeights: { reveal: 2, shrink: 2, phase: 4, freeze: 2, life: 1 }
+    }
+  ]
+};
+
+// ===== Registry =====
+const campaigns = new Map();
+
+export function registerCampaign(campaign) {
+  if (!campaign || typeof campaign.id !== 'string' || !Array.isArray(campaign.levels) || !campaign.levels.length) {
+    throw new Error('A campaign needs an id and at least one level');
+  }
+  campaigns.set(campaign.id, campaign);
+  return campaign;
+}
+
+export const getCampaign = (id) => campaigns.get(id) ?? null;
+export const listCampaigns = () => [...campaigns.values()];
+
+registerCampaign(CLASSIC_CAMPAIGN);
+registerCampaign(EXTENDED_CAMPAIGN);
+registerCampaign(MAZES_CAMPAIGN);
+
+export const DEFAULT_CAMPAIGN = CLASSIC_CAMPAIGN;
+
+export const levelCount = (campaign) => campaign.levels.length;
+
+export const clampLevel = (lvl, campaign = DEFAULT_CAMPAIGN) =>
+  Math.max(1, Math.min(levelCount(campaign), Math.floor(Number(lvl) || 1)));
+
+// Full definition for a 1-based level number, with the snake guaranteed to fit its row.
+export function resolveLevel(campaign, lvl) {
+  const def = { ...LEVEL_DEFAULTS, ...campaign.defaults, ...campaign.levels[clampLevel(lvl, campaign) - 1] };
+  if (def.layout) {
+    const parsed = parseLayout(def.layout);
+    def.width = parsed.width;
+    def.height = parsed.height;
+    def.walls = [...def.walls, ...parsed.walls];
+    def.portals = [...def.portals, ...parsed.portals];
+    def.start = def.start ?? parsed.start;
+  }
+  def.wrap = { ...WRAP_ALL, ...def.wrap };
+  const span = def.startDir === 'UP' || def.startDir === 'DOWN' ? def.height : def.width;
+  def.startLength = Math.max(1, Math.min(def.startLength, span - 1));
+  return def;
+}
@@ -0,0 +1,268 @@
+import { DIRS, isOpposite, placeFreeCell, posEq } from './grid.js';
+import { isWall, moveHead } from './board.js';
+import { createRng, randomSeed } from './rng.js';
+import { DEFAULT_CAMPAIGN, clampLevel, resolveLevel } from './levels.js';
+import { START_LIVES, occupied, startBody } from './engine.js';
+import { anyEffectActive, applyPowerUp, noEffects, pickPowerUpKind, tickEffects } from './powerups.js';
+import { createHazard, isHazardActive, pickHazardKind, tickHazards } from './hazards.js';
+
+// Local two-player rules: two snakes on one board, both moving in the same step.
+// Same conventions as engine.js (immutable states, seeded rng, step events), with a
+// `player` index on every per-snake event:
+//   moved, portalUsed, phased, fruitEaten, powerUpPicked, powerUpSpawned, powerUpExpired,
+//   hazardSpawned, hazardExpired, lifeLost, roundOver, levelCleared
+// Variants:
+//   versus  snakes crash into each other's bodies; a crash ends the round and costs a life,
+//           and the match goes to whoever still has lives when the other runs out
+//   coop    one shared fruit goal: the board clears on the combined length, like a single
+//           player board; a crash costs that player a life and restarts the board
+// Both snakes are solid in both variants, and head-on meetings crash both.
+
+export const VARIANTS = ['versus', 'coop'];
+export const VARIANT_LABELS = { versus: 'Competitive', coop: 'Co-op' };
+export const PLAYERS = 2;
+
+// ===== Setup =====
+const mirror = (p, cols, rows) => ({ x: cols - 1 - p.x, y: rows - 1 - p.y });
+
+// Player 1 starts on the level's start cell (or a quarter in from the top left), player 2
+// on the point-mirrored cell heading the other way.
+function startCells(def, cols, rows, rng) {
+  const quarter = { x: Math.floor(cols / 4), y: Math.floor(rows / 4) };
+  let first = def.start ?? quarter;
+  if (posEq(first, mirror(first, cols, rows))) first = quarter;
+  let second = mirror(first, cols, rows);
+  const blocked = occupied(def);
+  if (blocked.has(`${second.x},${second.y}`)) second = placeFreeCell(blocked, cols, rows, rng);
+  return [first, second];
+}
+
+// `run` carries what survives across rounds: campaign, variant, mode, seed, rng stream and
+// each player's lives and run score.
+function freshRound(level, run) {
+  const def = resolveLevel(run.campaign, level);
+  const cols = def.width;
+  const rows = def.height;
+  const rng = createRng(run.rng);
+  const dir = DIRS[def.startDir] ?? DIRS.RIGHT;
+  const dirs = [dir, { x: -dir.x, y: -dir.y }];
+  const starts = startCells(def, cols, rows, rng);
+  const players = starts.map((start, i) => ({
+    snake: startBody(start, dirs[i], def.startLength, cols, rows),
+    dir: dirs[i],
+    lives: run.players[i].lives,
+    score: 0,
+    runScore: run.players[i].runScore ?? 0,
+    effects: noEffects()
+  }));
+  const fruit = placeFreeCell(occupied(def, ...players.map((p) => p.snake)), cols, rows, rng);
+  return {
+    campaign: run.campaign,
+    variant: run.variant,
+    mode: run.mode,
+    level,
+    def,
+    cols,
+    rows,
+    players,
+    fruit,
+    powerUp: null,
+    hazards: [],
+    status: 'playing', // 'playing' | 'lost' (a crash ended the round) | 'won' (co-op board cleared)
+    crashes: [], // [{ player, pos, cause }] for the round that just ended
+    turn: 0,
+    seed: run.seed,
+    rng: rng.state()
+  };
+}
+
+export function createMultiGame({
+  campaign = DEFAULT_CAMPAIGN,
+  level = 1,
+  variant = 'versus',
+  mode = 'turns',
+  lives = START_LIVES,
+  seed = randomSeed()
+} = {}) {
+  const players = Array.from({ length: PLAYERS }, () => ({ lives, runScore: 0 }));
+  return freshRound(clampLevel(level, campaign), {
+    campaign,
+    variant,
+    mode,
+    seed: seed >>> 0,
+    rng: seed >>> 0,
+    players
+  });
+}
+
+export const retryRound = (state) => freshRound(state.level, state);
+
+export const nextMultiLevel = (state) => freshRound(clampLevel(state.level + 1, state.campaign), state);
+
+// Null while the match goes on. Versus: { winner } (player index, or null for a draw when
+// both run out together). Co-op: { winner: null } once either player is out of lives.
+export function matchResult(state) {
+  const out = state.players.map((p) => p.lives === 0);
+  if (!out.some(Boolean)) return null;
+  if (state.variant === 'coop') return { winner: null };
+  const alive = out.map((o, i) => (o ? null : i)).filter((i) => i !== null);
+  return { winner: alive.length === 1 ? alive[0] : null };
+}
+
+// ===== Spawns =====
+const bodies = (players) => players.map((p) => p.snake);
+
+function maybeSpawnPowerUp(s, rng) {
+  const { def } = s;
+  if (s.level < def.powerUpMinLevel) return null;
+  if (s.powerUp) return null;
+  if (s.players.some((p) => anyEffectActive(p.effects))) return null;
+  if (Math.max(...s.players.map((p) => p.snake.length)) < def.powerUpMinLength) return null;
+  if (rng() > def.powerUpChance) return null;
+  const kind = pickPowerUpKind(def.powerUpWeights, rng);
+  if (!kind) return null;
+  const pos = placeFreeCell(occupied(def, ...bodies(s.players), s.fruit, s.hazards), s.cols, s.rows, rng);
+  if (!pos) return null;
+  const near = Math.min(...s.players.map((p) => Math.hypot(pos.x - p.snake[0].x, pos.y - p.snake[0].y)));
+  return { x: pos.x, y: pos.y, ttl: Math.max(1, Math.ceil(near) + 3), kind };
+}
+
+function maybeSpawnHazard(s, rng) {
+  const { def } = s;
+  if (s.level < def.hazardMinLevel) return null;
+  if (s.players.some((p) => p.effects.freeze > 0)) return null;
+  if (s.hazards.length >= def.maxHazards) return null;
+  if (rng() > def.hazardChance) return null;
+  const kind = pickHazardKind(def.hazardWeights, rng);
+  if (!kind) return null;
+  const pos = placeFreeCell(occupied(def, ...bodies(s.players), s.fruit, s.powerUp, s.hazards), s.cols, s.rows, rng);
+  return pos && createHazard(kind, pos, rng);
+}
+
+// ===== Turn resolution =====
+// What the head of player i runs into, or null. Bodies are checked as they were before the
+// move, the same as in the single-player rules.
+function crashCause(state, i, head, move) {
+  const { def, players } = state;
+  if (move.edge || isWall(def, head)) return 'wall';
+  if (state.hazards.some((h) => posEq(h, head) && isHazardActive(h))) return 'hazard';
+  if (players.some((p, j) => j !== i && p.snake.some((c) => posEq(c, head)))) return 'other';
+  if (players[i].snake.some((c) => posEq(c, head)) && !(players[i].effects.phase > 0)) return 'self';
+  return null;
+}
+
+const isDir = (d) => Object.values(DIRS).some((D) => posEq(D, d));
+
+// `dirs` holds one direction per player; a missing, unknown or reversing direction keeps
+// the current heading, so both snakes always move together.
+export function stepMulti(state, dirs) {
+  if (state.status !== 'playing') return { state, events: [] };
+  const { def, cols, rows } = state;
+
+  const headings = state.players.map((p, i) => {
+    const d = dirs[i];
+    if (!d || !isDir(d) || (p.snake.length > 1 && isOpposite(d, p.dir))) return p.dir;
+    return d;
+  });
+  const moves = state.players.map((p, i) => moveHead(def, p.snake[0], headings[i]));
+  const heads = moves.map((m) => m.pos);
+
+  // Crashes: anything solid, or both heads in one cell
+  const crashes = [];
+  heads.forEach((head, i) => {
+    const headOn = heads.some((h, j) => j !== i && posEq(h, head));
+    const cause = headOn ? 'head' : crashCause(state, i, head, moves[i]);
+    if (cause) crashes.push({ player: i, pos: head, cause });
+  });
+  if (crashes.length) {
+    const players = state.players.map((p, i) =>
+      crashes.some((c) => c.player === i) ? { ...p, lives: Math.max(0, p.lives - 1) } : p
+    );
+    const events = crashes.map((c) => ({ type: 'lifeLost', ...c, livesLeft: players[c.player].lives }));
+    const next = { ...state, players, status: 'lost', crashes };
+    events.push({ type: 'roundOver', result: matchResult(next) });
+    return { state: next, events };
+  }
+
+  const rng = createRng(state.rng);
+  const events = [];
+  let { fruit, powerUp, status } = state;
+
+  const players = state.players.map((p, i) => {
+    const head = heads[i];
+    let { score, runScore, effects } = p;
+    if (moves[i].via) events.push({ type: 'portalUsed', player: i, from: moves[i].via, to: head });
+    if (p.snake.some((c) => posEq(c, head))) {
+      effects = { ...effects, phase: 0 };
+      events.push({ type: 'phased', player: i, pos: head });
+    }
+    const snake = [head, ...p.snake];
+    if (fruit && posEq(head, fruit)) {
+      const value = effects.double > 0 ? 2 : 1;
+      score += value;
+      runScore += value;
+      fruit = null;
+      events.push({ type: 'fruitEaten', player: i, pos: head });
+    } else {
+      snake.pop();
+      events.push({ type: 'moved', player: i });
+    }
+    return { ...p, snake, dir: headings[i], score, runScore, effects: tickEffects(effects) };
+  });
+
+  // Refill the fruit once both snakes are in place
+  if (!fruit && state.fruit) {
+    fruit = placeFreeCell(occupied(def, ...bodies(players), powerUp, state.hazards), cols, rows, rng);
+    if (!fruit) status = state.variant === 'coop' ? 'won' : 'lost';
+  }
+
+  // Power-up pickup, otherwise countdown
+  const picker = powerUp ? players.findIndex((p) => posEq(p.snake[0], powerUp)) : -1;
+  if (picker !== -1) {
+    const p = players[picker];
+    const applied = applyPowerUp(powerUp.kind, { snake: p.snake, lives: p.lives, effects: p.effects });
+    players[picker] = { ...p, ...applied };
+    events.push({ type: 'powerUpPicked', player: picker, pos: p.snake[0], kind: powerUp.kind });
+    powerUp = null;
+  } else if (powerUp) {
+    powerUp = powerUp.ttl > 1 ? { ...powerUp, ttl: powerUp.ttl - 1 } : null;
+    if (!powerUp) events.push({ type: 'powerUpExpired' });
+  }
+
+  // Co-op clears the board on the snakes' combined length
+  if (status === 'playing' && state.variant === 'coop') {
+    const open = cols * rows - occupied(def).size;
+    const empties = cols * rows - occupied(def, ...bodies(players), state.hazards, fruit, powerUp).size;
+    if (empties < Math.ceil(open * def.winThreshold)) status = 'won';
+  }
+
+  let next = { ...state, players, fruit, powerUp, status, turn: state.turn + 1 };
+
+  if (status === 'won') {
+    events.push({ type: 'levelCleared', level: state.level });
+    return { state: { ...next, rng: rng.state() }, events };
+  }
+  if (status === 'lost') {
+    // The board filled up in versus: nobody crashed, so the round is a draw
+    events.push({ type: 'roundOver', result: null });
+    return { state: { ...next, rng: rng.state() }, events };
+  }
+
+  if (!players.some((p) => p.effects.freeze > 0) && next.hazards.length) {
+    const moved = tickHazards(def, next.hazards, occupied(def, ...bodies(players), fruit, powerUp));
+    next = { ...next, hazards: moved.hazards };
+    moved.expired.forEach((pos) => events.push({ type: 'hazardExpired', pos }));
+  }
+  const spawnedPowerUp = picker !== -1 ? null : maybeSpawnPowerUp(next, rng);
+  if (spawnedPowerUp) {
+    next = { ...next, powerUp: spawnedPowerUp };
+    events.push({ type: 'powerUpSpawned', powerUp: spawnedPowerUp });
+  }
+  const spawnedHazard = maybeSpawnHazard(next, rng);
+  if (spawnedHazard) {
+    next = { ...next, hazards: [...next.hazards, spawnedHazard] };
+    events.push({ type: 'hazardSpawned', pos: { x: spawnedHazard.x, y: spawnedHazard.y }, hazard: spawnedHazard });
+  }
+
+  return { state: { ...next, rng: rng.state() }, events };
+}
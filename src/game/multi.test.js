@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest';
+import { DIRS } from './grid.js';
+import { createMultiGame, matchResult, retryRound, stepMulti } from './multi.js';
+
+// A quiet 7x5 board: nothing spawns, so only the snakes move
+const board = () => ({
+  id: 'test',
+  name: 'Test',
+  levels: [{ width: 7, height: 5, powerUpChance: 0, hazardChance: 0 }]
+});
+
+// Two one-cell snakes at the given heads and headings, fruit out of the way
+const duel = (pair) => {
+  const s = createMultiGame({ campaign: board(), seed: 1 });
+  return {
+    ...s,
+    fruit: { x: 0, y: 0 },
+    players: s.players.map((p, i) => ({ ...p, snake: [pair[i].head], dir: pair[i].dir }))
+  };
+};
+
+// Far apart on different rows, heading towards each other
+const apart = () =>
+  duel([
+    { head: { x: 1, y: 1 }, dir: DIRS.RIGHT },
+    { head: { x: 5, y: 3 }, dir: DIRS.LEFT }
+  ]);
+
+const types = (events) => events.map((ev) => ev.type);
+
+describe('stepMulti', () => {
+  it('moves both snakes in the same step', () => {
+    const s = apart();
+    const { state, events } = stepMulti(s, [DIRS.DOWN, DIRS.UP]);
+    expect(state.players[0].snake[0]).toEqual({ x: 1, y: 2 });
+    expect(state.players[1].snake[0]).toEqual({ x: 5, y: 2 });
+    expect(state.turn).toBe(1);
+    expect(events).toEqual([
+      { type: 'moved', player: 0 },
+      { type: 'moved', player: 1 }
+    ]);
+  });
+
+  it('crashes both snakes when their heads meet', () => {
+    const s = duel([
+      { head: { x: 2, y: 2 }, dir: DIRS.RIGHT },
+      { head: { x: 4, y: 2 }, dir: DIRS.LEFT }
+    ]);
+    const { state, events } = stepMulti(s, [DIRS.RIGHT, DIRS.LEFT]);
+    expect(state.status).toBe('lost');
+    expect(state.crashes).toEqual([
+      { player: 0, pos: { x: 3, y: 2 }, cause: 'head' },
+      { player: 1, pos: { x: 3, y: 2 }, cause: 'head' }
+    ]);
+    expect(state.players.map((p) => p.lives)).toEqual([2, 2]);
+    expect(events.at(-1)).toEqual({ type: 'roundOver', result: null });
+  });
+
+  it('costs a life for running into the other snake', () => {
+    const s = duel([
+      { head: { x: 2, y: 2 }, dir: DIRS.RIGHT },
+      { head: { x: 3, y: 1 }, dir: DIRS.UP }
+    ]);
+    const withBody = {
+      ...s,
+      players: [s.players[0], { ...s.players[1], snake: [{ x: 3, y: 1 }, { x: 3, y: 2 }, { x: 3, y: 3 }] }]
+    };
+    const { state, events } = stepMulti(withBody, [DIRS.RIGHT, DIRS.UP]);
+    expect(state.crashes).toEqual([{ player: 0, pos: { x: 3, y: 2 }, cause: 'other' }]);
+    expect(state.players.map((p) => p.lives)).toEqual([2, 3]);
+    expect(types(events)).toEqual(['lifeLost', 'roundOver']);
+  });
+
+  it('keeps the heading for missing, reversing or unknown directions', () => {
+    const s = apart();
+    const long = {
+      ...s,
+      players: s.players.map((p, i) => ({ ...p, snake: [p.snake[0], { x: p.snake[0].x + (i ? 1 : -1), y: p.snake[0].y }] }))
+    };
+    const { state } = stepMulti(long, [DIRS.LEFT, { x: Number.NaN, y: 0 }]);
+    expect(state.players[0].snake[0]).toEqual({ x: 2, y: 1 });
+    expect(state.players[1].snake[0]).toEqual({ x: 4, y: 3 });
+    expect(stepMulti(s, []).state.players.map((p) => p.dir)).toEqual([DIRS.RIGHT, DIRS.LEFT]);
+  });
+
+  it('does nothing once the round is over', () => {
+    const s = { ...apart(), status: 'lost' };
+    expect(stepMulti(s, [DIRS.UP, DIRS.UP])).toEqual({ state: s, events: [] });
+  });
+});
+
+describe('matches', () => {
+  it('goes to the player with lives left in versus', () => {
+    const s = apart();
+    const out = (lives) => ({ ...s, players: s.players.map((p, i) => ({ ...p, lives: lives[i] })) });
+    expect(matchResult(out([2, 1]))).toBeNull();
+    expect(matchResult(out([0, 1]))).toEqual({ winner: 1 });
+    expect(matchResult(out([0, 0]))).toEqual({ winner: null });
+    expect(matchResult({ ...out([1, 0]), variant: 'coop' })).toEqual({ winner: null });
+  });
+
+  it('starts the next round with the lives carried over', () => {
+    const s = duel([
+      { head: { x: 2, y: 2 }, dir: DIRS.RIGHT },
+      { head: { x: 4, y: 2 }, dir: DIRS.LEFT }
+    ]);
+    const round = retryRound(stepMulti(s, [DIRS.RIGHT, DIRS.LEFT]).state);
+    expect(round.status).toBe('playing');
+    expect(round.turn).toBe(0);
+    expect(round.players.map((p) => p.lives)).toEqual([2, 2]);
+  });
+});
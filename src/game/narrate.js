@@ -0,0 +1,78 @@
+import { hazardPhase } from './hazards.js';
+import { POWERUP_LABELS } from './powerups.js';
+
+// Screen-reader narration: one short sentence block per turn for the game screen's ARIA
+// live region. Only what a sighted player can see is spoken, so the hidden tail stays
+// hidden. Positions are 1-based columns and rows; offsets are straight-line, not through
+// wrapping edges.
+
+export const HAZARD_NEAR = 2; // hazards this many steps away or closer are announced
+
+const LIFE_LOST_TEXT = {
+  wall: 'Hit a wall',
+  hazard: 'Hit a hazard',
+  self: 'Bit your own tail'
+};
+
+const plural = (n, one, many = `${one}s`) => `${n} ${n === 1 ? one : many}`;
+
+const dirWord = (d) => (d.x > 0 ? 'right' : d.x < 0 ? 'left' : d.y > 0 ? 'down' : 'up');
+
+// "2 up, 3 left", "1 right", or "here" for the same cell
+export function describeOffset(from, to) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const parts = [];
+  if (dy) parts.push(`${Math.abs(dy)} ${dy < 0 ? 'up' : 'down'}`);
+  if (dx) parts.push(`${Math.abs(dx)} ${dx < 0 ? 'left' : 'right'}`);
+  return parts.length ? parts.join(', ') : 'here';
+}
+
+// Hazards that are (or are about to be) dangerous close to the head, nearest first
+function nearbyHazards(state) {
+  const head = state.snake[0];
+  return state.hazards
+    .filter((h) => hazardPhase(h) !== 'off')
+    .map((h) => ({ h, dist: Math.abs(h.x - head.x) + Math.abs(h.y - head.y) }))
+    .filter(({ dist }) => dist <= HAZARD_NEAR)
+    .sort((a, b) => a.dist - b.dist)
+    .map(({ h }) => `${hazardPhase(h) === 'warn' ? 'Hazard switching on' : 'Hazard'} ${describeOffset(head, h)}.`);
+}
+
+// What just happened, from the step events
+function describeEvents(state, events) {
+  const out = [];
+  events.forEach((ev) => {
+    switch (ev.type) {
+      case 'fruitEaten':
+        out.push(`Fruit eaten, length ${state.snake.length}.`);
+        break;
+      case 'powerUpPicked':
+        out.push(`Picked up ${POWERUP_LABELS[ev.kind] ?? ev.kind}.`);
+        break;
+      case 'lifeLost':
+        out.push(`${LIFE_LOST_TEXT[ev.cause] ?? 'Crashed'}. ${ev.livesLeft > 0 ? `${plural(ev.livesLeft, 'life', 'lives')} left.` : 'Game over.'}`);
+        break;
+      case 'levelCleared':
+        out.push(`Level ${ev.level} cleared.`);
+        break;
+      default:
+        break;
+    }
+  });
+  return out;
+}
+
+export function narrateTurn(state, events = []) {
+  const lines = describeEvents(state, events);
+  if (state.status !== 'playing') return lines.join(' ');
+  const head = state.snake[0];
+  lines.push(`Turn ${state.turn}. Head at column ${head.x + 1}, row ${head.y + 1}, heading ${dirWord(state.dir)}.`);
+  if (state.fruit) lines.push(`Fruit ${describeOffset(head, state.fruit)}.`);
+  if (state.powerUp) {
+    lines.push(`${POWERUP_LABELS[state.powerUp.kind]} power-up ${describeOffset(head, state.powerUp)}, ${plural(state.powerUp.ttl, 'turn')} left.`);
+  }
+  lines.push(...nearbyHazards(state));
+  lines.push(`${plural(state.lives, 'life', 'lives')}.`);
+  return lines.join(' ');
+}
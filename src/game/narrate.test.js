@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { DIRS } from './grid.js';
+import { createGame, step } from './engine.js';
+import { PULSE_ON } from './hazards.js';
+import { describeOffset, narrateTurn } from './narrate.js';
+
+const board = (level = {}) => ({
+  id: 'test',
+  name: 'Test',
+  levels: [{ width: 5, height: 5, powerUpChance: 0, hazardChance: 0, ...level }]
+});
+
+const game = (level, patch = {}) => ({ ...createGame({ campaign: board(level), seed: 1 }), ...patch });
+
+describe('describeOffset', () => {
+  it('names rows before columns', () => {
+    expect(describeOffset({ x: 2, y: 2 }, { x: 0, y: 0 })).toBe('2 up, 2 left');
+    expect(describeOffset({ x: 2, y: 2 }, { x: 3, y: 2 })).toBe('1 right');
+    expect(describeOffset({ x: 2, y: 2 }, { x: 2, y: 2 })).toBe('here');
+  });
+});
+
+describe('narrateTurn', () => {
+  it('gives the head, the fruit and the lives', () => {
+    const s = game({}, { snake: [{ x: 2, y: 2 }], dir: DIRS.RIGHT, fruit: { x: 4, y: 0 } });
+    expect(narrateTurn(s)).toBe('Turn 0. Head at column 3, row 3, heading right. Fruit 2 up, 2 right. 3 lives.');
+  });
+
+  it('warns about hazards close to the head only', () => {
+    const hazards = [
+      { x: 3, y: 2, kind: 'static' },
+      { x: 0, y: 0, kind: 'static' }
+    ];
+    const s = game({}, { snake: [{ x: 2, y: 2 }], dir: DIRS.UP, fruit: { x: 2, y: 4 }, hazards });
+    const text = narrateTurn(s);
+    expect(text).toContain('Hazard 1 right.');
+    expect(text).not.toContain('2 up, 2 left');
+  });
+
+  it('skips a pulsing hazard while it is off', () => {
+    const s = game({}, { snake: [{ x: 2, y: 2 }], dir: DIRS.UP, fruit: { x: 2, y: 4 }, hazards: [{ x: 3, y: 2, kind: 'pulse', t: PULSE_ON }] });
+    expect(narrateTurn(s)).not.toContain('Hazard');
+  });
+
+  it('announces fruit, crashes and cleared boards from the step events', () => {
+    const eat = step(game({}, { snake: [{ x: 2, y: 2 }], dir: DIRS.RIGHT, fruit: { x: 3, y: 2 } }), DIRS.RIGHT);
+    expect(narrateTurn(eat.state, eat.events)).toMatch(/^Fruit eaten, length 2\. Turn 1\./);
+
+    const crash = step(game({ wrap: { right: false } }, { snake: [{ x: 4, y: 2 }], dir: DIRS.RIGHT, fruit: { x: 0, y: 0 } }), DIRS.RIGHT);
+    expect(narrateTurn(crash.state, crash.events)).toBe('Hit a wall. 2 lives left.');
+
+    const win = step(game({ winThreshold: 0.9 }, { snake: [{ x: 2, y: 2 }], dir: DIRS.RIGHT, fruit: { x: 3, y: 2 } }), DIRS.RIGHT);
+    expect(narrateTurn(win.state, win.events)).toContain('Level 1 cleared.');
+  });
+});
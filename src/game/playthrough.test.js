@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { createGame, nextLevel, retryLevel, step } from './engine.js';
+import { getCampaign } from './levels.js';
+import { createBot, visibleState } from './bots.js';
+import { buildFrames, createRecording, recordContinue, recordMove } from './replay.js';
+
+// Scripted playthroughs: the memory bot plays whole levels from a fixed seed while every
+// input is recorded, the way the game screen records a run. The replay of that recording
+// has to end on exactly the same state.
+
+const MAX_TURNS = 2000;
+
+function playthrough({ campaign, level, seed, boards }) {
+  const bot = createBot('memory');
+  let state = createGame({ campaign, level, seed });
+  let rec = createRecording({ seed, campaign, level, lives: state.lives });
+  const cleared = [];
+  for (let turns = 0; turns < MAX_TURNS && cleared.length < boards && state.lives > 0; turns++) {
+    if (state.status === 'won') {
+      cleared.push(state.level);
+      if (cleared.length === boards) break;
+      rec = recordContinue(rec);
+      state = nextLevel(state);
+    } else if (state.status === 'lost') {
+      rec = recordContinue(rec);
+      state = retryLevel(state);
+    } else {
+      const dir = bot(visibleState(state));
+      rec = recordMove(rec, dir);
+      state = step(state, dir).state;
+    }
+  }
+  return { state, rec, cleared };
+}
+
+describe('scripted playthroughs', () => {
+  it('clears the first classic levels from a fixed seed', () => {
+    const { state, cleared } = playthrough({ campaign: getCampaign('classic'), level: 1, seed: 7, boards: 3 });
+    expect(cleared).toEqual([1, 2, 3]);
+    expect(state.status).toBe('won');
+    expect(state.runScore).toBeGreaterThan(0);
+  });
+
+  it('plays a level the same way every time', () => {
+    const run = () => playthrough({ campaign: getCampaign('classic'), level: 4, seed: 2024, boards: 1 });
+    const a = run();
+    const b = run();
+    expect(a.rec.moves).toBe(b.rec.moves);
+    expect(a.state).toEqual(b.state);
+  });
+
+  it.each(['classic', 'extended', 'mazes'])('replays a recorded %s run to the same final state', (id) => {
+    const { state, rec } = playthrough({ campaign: getCampaign(id), level: 2, seed: 11, boards: 2 });
+    const frames = buildFrames(rec);
+    expect(frames).toHaveLength(rec.moves.length + 1);
+    expect(frames[frames.length - 1].state).toEqual(state);
+  });
+});
@@ -0,0 +1,59 @@
+import { pickWeighted } from './rng.js';
+
+// Power-up kinds. Each kind either applies once on pickup or grants a timed effect that
+// lives in state.effects (turns remaining, 0 = inactive):
+//   reveal  ghost tail is drawn for as many turns as the snake is long
+//   shrink  drops the last SHRINK_AMOUNT tail segments (never below length 1)
+//   phase   the next move into your own body passes through instead of costing a life
+//   freeze  hazards stop spawning, moving, pulsing and counting down for a while
+//   double  fruit is worth 2 points
+//   life    one extra life, up to MAX_LIVES
+// Which kinds spawn, and how often, is set per level with `powerUpWeights`.
+
+export const SHRINK_AMOUNT = 3;
+export const PHASE_TURNS = 30;
+export const FREEZE_TURNS = 15;
+export const DOUBLE_TURNS = 20;
+export const MAX_LIVES = 9;
+
+export const POWERUP_KINDS = ['reveal', 'shrink', 'phase', 'freeze', 'double', 'life'];
+export const EFFECT_KINDS = ['reveal', 'phase', 'freeze', 'double'];
+
+export const POWERUP_LABELS = {
+  reveal: 'Reveal',
+  shrink: 'Shrink',
+  phase: 'Phase',
+  freeze: 'Freeze',
+  double: 'Double',
+  life: 'Extra life'
+};
+
+export const noEffects = () => ({ reveal: 0, phase: 0, freeze: 0, double: 0 });
+
+export const anyEffectActive = (effects) => EFFECT_KINDS.some((k) => effects[k] > 0);
+
+// Kinds with no (or zero) weight never spawn. Returns null if none can.
+export const pickPowerUpKind = (weights, rng) => pickWeighted(POWERUP_KINDS, weights, rng);
+
+// Pickup result for { snake, lives, effects }; only the fields a kind touches change.
+export function applyPowerUp(kind, { snake, lives, effects }) {
+  switch (kind) {
+    case 'reveal':
+      return { snake, lives, effects: { ...effects, reveal: snake.length } };
+    case 'shrink':
+      return { snake: snake.slice(0, Math.max(1, snake.length - SHRINK_AMOUNT)), lives, effects };
+    case 'phase':
+      return { snake, lives, effects: { ...effects, phase: PHASE_TURNS } };
+    case 'freeze':
+      return { snake, lives, effects: { ...effects, freeze: FREEZE_TURNS } };
+    case 'double':
+      return { snake, lives, effects: { ...effects, double: DOUBLE_TURNS } };
+    case 'life':
+      return { snake, lives: Math.min(MAX_LIVES, lives + 1), effects };
+    default:
+      return { snake, lives, effects };
+  }
+}
+
+export const tickEffects = (effects) =>
+  Object.fromEntries(Object.entries(effects).map(([k, v]) => [k, Math.max(0, v - 1)]));
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DOUBLE_TURNS,
+  FREEZE_TURNS,
+  MAX_LIVES,
+  PHASE_TURNS,
+  SHRINK_AMOUNT,
+  applyPowerUp,
+  noEffects,
+  pickPowerUpKind,
+  tickEffects
+} from './powerups.js';
+
+// A snake `length` cells long on one row
+const line = (length) => Array.from({ length }, (_, x) => ({ x, y: 0 }));
+
+const pickup = (patch = {}) => ({ snake: line(5), lives: 3, effects: noEffects(), ...patch });
+
+// Hands out the given rolls in turn
+const rolls = (...values) => () => values.shift();
+
+describe('pickPowerUpKind', () => {
+  it('splits the roll by weight', () => {
+    const weights = { reveal: 1, life: 3 };
+    expect(pickPowerUpKind(weights, rolls(0))).toBe('reveal');
+    expect(pickPowerUpKind(weights, rolls(0.24))).toBe('reveal');
+    expect(pickPowerUpKind(weights, rolls(0.25))).toBe('life');
+    expect(pickPowerUpKind(weights, rolls(0.999))).toBe('life');
+  });
+
+  it('never picks a kind without weight', () => {
+    const weights = { reveal: 0, shrink: 1, phase: -2, teleport: 5 };
+    [0, 0.5, 0.99].forEach((roll) => expect(pickPowerUpKind(weights, rolls(roll))).toBe('shrink'));
+    expect(pickPowerUpKind({ reveal: 0 }, rolls(0.5))).toBeNull();
+    expect(pickPowerUpKind({}, rolls(0.5))).toBeNull();
+  });
+});
+
+describe('applyPowerUp', () => {
+  it('starts timed effects', () => {
+    expect(applyPowerUp('reveal', pickup()).effects.reveal).toBe(5);
+    expect(applyPowerUp('phase', pickup()).effects.phase).toBe(PHASE_TURNS);
+    expect(applyPowerUp('freeze', pickup()).effects.freeze).toBe(FREEZE_TURNS);
+    expect(applyPowerUp('double', pickup()).effects).toEqual({ ...noEffects(), double: DOUBLE_TURNS });
+  });
+
+  it('shrinks the tail but never below one segment', () => {
+    expect(applyPowerUp('shrink', pickup()).snake).toEqual(line(5 - SHRINK_AMOUNT));
+    expect(applyPowerUp('shrink', pickup({ snake: line(2) })).snake).toEqual(line(1));
+  });
+
+  it('adds a life up to the cap', () => {
+    expect(applyPowerUp('life', pickup()).lives).toBe(4);
+    expect(applyPowerUp('life', pickup({ lives: MAX_LIVES })).lives).toBe(MAX_LIVES);
+  });
+
+  it('leaves everything else alone', () => {
+    const before = pickup({ effects: { ...noEffects(), freeze: 4 } });
+    const after = applyPowerUp('double', before);
+    expect(after.snake).toBe(before.snake);
+    expect(after.lives).toBe(3);
+    expect(after.effects.freeze).toBe(4);
+    expect(applyPowerUp('teleport', before)).toEqual(before);
+  });
+});
+
+describe('tickEffects', () => {
+  it('counts every effect down to zero', () => {
+    expect(tickEffects({ reveal: 2, phase: 1, freeze: 0, double: 5 })).toEqual({ reveal: 1, phase: 0, freeze: 0, double: 4 });
+  });
+});
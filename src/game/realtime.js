@@ -0,0 +1,32 @@
+import { isOpposite, posEq } from './grid.js';
+
+// Real-time mode: the snake steps on a fixed tick instead of on every key press. The engine
+// rules are the same; the front-end calls step() once per tick with the next queued
+// direction (or the current one), so replays and records work the same way in both modes.
+
+export const MODES = ['turns', 'realtime'];
+export const MODE_LABELS = { turns: 'Turn-based', realtime: 'Real-time' };
+
+export const BASE_TICK_MS = 240;
+export const TICK_STEP_MS = 12; // faster by this much each level
+export const MIN_TICK_MS = 90;
+export const INPUT_QUEUE_MAX = 3;
+
+// A level's own `tickMs` wins; otherwise the tick speeds up with the level number.
+export const tickMs = (def, level) =>
+  def.tickMs ?? Math.max(MIN_TICK_MS, BASE_TICK_MS - (level - 1) * TICK_STEP_MS);
+
+// Buffers a turn pressed between ticks. Each entry is checked against the one before it
+// (or the current heading), so two quick turns in one tick both land and can never add up
+// to a reverse into the neck. Repeats and overflow are dropped.
+export function queueDir(queue, dir, heading, canReverse = false) {
+  const last = queue.length ? queue[queue.length - 1] : heading;
+  if (queue.length >= INPUT_QUEUE_MAX) return queue;
+  if (posEq(dir, last)) return queue;
+  if (!canReverse && isOpposite(dir, last)) return queue;
+  return [...queue, dir];
+}
+
+// Direction for this tick and the queue that is left.
+export const takeDir = (queue, heading) =>
+  queue.length ? { dir: queue[0], queue: queue.slice(1) } : { dir: heading, queue };
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { DIRS } from './grid.js';
+import { INPUT_QUEUE_MAX, MIN_TICK_MS, queueDir, takeDir, tickMs } from './realtime.js';
+
+// Queues the presses in order against a fixed heading
+const press = (heading, ...dirs) => dirs.reduce((queue, dir) => queueDir(queue, dir, heading), []);
+
+describe('input queue', () => {
+  it('keeps two quick turns in one tick', () => {
+    const queue = press(DIRS.RIGHT, DIRS.UP, DIRS.LEFT);
+    expect(queue).toEqual([DIRS.UP, DIRS.LEFT]);
+
+    const first = takeDir(queue, DIRS.RIGHT);
+    expect(first.dir).toBe(DIRS.UP);
+    const second = takeDir(first.queue, first.dir);
+    expect(second.dir).toBe(DIRS.LEFT);
+    expect(takeDir(second.queue, second.dir)).toEqual({ dir: DIRS.LEFT, queue: [] });
+  });
+
+  it('never queues a reverse into the neck', () => {
+    expect(press(DIRS.RIGHT, DIRS.LEFT)).toEqual([]);
+    expect(press(DIRS.RIGHT, DIRS.UP, DIRS.DOWN)).toEqual([DIRS.UP]);
+  });
+
+  it('lets a one-cell snake turn straight round', () => {
+    expect(queueDir([], DIRS.LEFT, DIRS.RIGHT, true)).toEqual([DIRS.LEFT]);
+  });
+
+  it('drops repeats and presses past the limit', () => {
+    expect(press(DIRS.RIGHT, DIRS.RIGHT, DIRS.UP, DIRS.UP)).toEqual([DIRS.UP]);
+    const full = press(DIRS.RIGHT, DIRS.UP, DIRS.LEFT, DIRS.DOWN, DIRS.RIGHT);
+    expect(full).toHaveLength(INPUT_QUEUE_MAX);
+    expect(full).toEqual([DIRS.UP, DIRS.LEFT, DIRS.DOWN]);
+  });
+
+  it('keeps the heading when nothing was pressed', () => {
+    const queue = [];
+    expect(takeDir(queue, DIRS.DOWN)).toEqual({ dir: DIRS.DOWN, queue });
+  });
+});
+
+describe('tickMs', () => {
+  it('speeds up each level down to the floor unless the level sets its own', () => {
+    expect(tickMs({}, 2)).toBeLessThan(tickMs({}, 1));
+    expect(tickMs({}, 100)).toBe(MIN_TICK_MS);
+    expect(tickMs({ tickMs: 500 }, 100)).toBe(500);
+  });
+});
@@ -0,0 +1,65 @@
+// Leaderboard rules: per-level bests (grouped by campaign) and the top campaign runs.
+// Pure functions over a plain object so the same data works in the browser
+// (persisted via localStorage) and in Node.
+// Turn-based and real-time play are ranked apart: real-time level bests live under
+// "<campaign>:realtime" and every run carries its mode. Runs also note the fade preset
+// they were played with (shown next to the score, not ranked apart).
+
+export const TOP_RUNS = 10;
+
+export const emptyRecords = () => ({ levels: {}, runs: [] });
+
+// Records written before campaigns existed keyed levels by number only; those were all
+// classic-campaign levels.
+export function normalizeRecords(data) {
+  if (!data || typeof data !== 'object') return emptyRecords();
+  const levels = {};
+  Object.entries(data.levels ?? {}).forEach(([key, value]) => {
+    if (/^\d+$/.test(key)) levels.classic = { ...levels.classic, [key]: value };
+    else levels[key] = { ...levels[key], ...value };
+  });
+  const runs = (Array.isArray(data.runs) ? data.runs : []).map((r) => ({ campaign: 'classic', mode: 'turns', fade: 'normal', ...r }));
+  return { levels, runs };
+}
+
+const groupKey = (campaignId, mode = 'turns') => (mode === 'realtime' ? `${campaignId}:realtime` : campaignId);
+
+export const levelRecord = (records, campaignId, level, mode = 'turns') =>
+  records.levels[groupKey(campaignId, mode)]?.[level] ?? null;
+
+export const runsForMode = (records, mode = 'turns') => records.runs.filter((r) => r.mode === mode);
+
+// Each stat is tracked on its own: a clear can set a new fewest-turns record
+// without beating the best score. Returns the list of stats that improved.
+export function recordLevelClear(records, { campaign, level, score, turns, lives, mode = 'turns' }) {
+  const prev = levelRecord(records, campaign, level, mode);
+  const improved = [];
+  const best = prev ? { ...prev } : { bestScore: score, fewestTurns: turns, mostLives: lives };
+  if (!prev || score > prev.bestScore) {
+    best.bestScore = score;
+    improved.push('score');
+  }
+  if (!prev || turns < prev.fewestTurns) {
+    best.fewestTurns = turns;
+    improved.push('turns');
+  }
+  if (!prev || lives > prev.mostLives) {
+    best.mostLives = lives;
+    improved.push('lives');
+  }
+  const key = groupKey(campaign, mode);
+  const campaignLevels = { ...records.levels[key], [level]: best };
+  return { records: { ...records, levels: { ...records.levels, [key]: campaignLevels } }, improved };
+}
+
+const runOrder = (a, b) => b.score - a.score || b.level - a.level || a.date.localeCompare(b.date);
+
+// run: { date, seed, campaign, level, score, mode, fade }. Each mode keeps its own top list.
+// Returns the 1-based rank, or null if it missed the top list.
+export function recordRun(records, run) {
+  const entry = { mode: 'turns', ...run };
+  const ranked = [...runsForMode(records, entry.mode), entry].sort(runOrder).slice(0, TOP_RUNS);
+  const idx = ranked.indexOf(entry);
+  const runs = [...records.runs.filter((r) => r.mode !== entry.mode), ...ranked];
+  return { records: { ...records, runs }, rank: idx === -1 ? null : idx + 1 };
+}
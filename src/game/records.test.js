@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import { TOP_RUNS, emptyRecords, levelRecord, normalizeRecords, recordLevelClear, recordRun, runsForMode } from './records.js';
+
+const clear = (records, patch) =>
+  recordLevelClear(records, { campaign: 'classic', level: 1, score: 10, turns: 50, lives: 2, ...patch });
+
+// A run on a date that sorts with its score, so ties only come from the patch
+const run = (score, patch = {}) => ({
+  date: `2024-01-${String(score).padStart(2, '0')}`,
+  seed: score,
+  campaign: 'classic',
+  level: 1,
+  score,
+  ...patch
+});
+
+describe('recordLevelClear', () => {
+  it('sets every stat on the first clear', () => {
+    const { records, improved } = clear(emptyRecords());
+    expect(improved).toEqual(['score', 'turns', 'lives']);
+    expect(levelRecord(records, 'classic', 1)).toEqual({ bestScore: 10, fewestTurns: 50, mostLives: 2 });
+  });
+
+  it('tracks each stat on its own', () => {
+    const { records } = clear(emptyRecords());
+    const next = clear(records, { score: 8, turns: 40, lives: 1 });
+    expect(next.improved).toEqual(['turns']);
+    expect(levelRecord(next.records, 'classic', 1)).toEqual({ bestScore: 10, fewestTurns: 40, mostLives: 2 });
+  });
+
+  it('ranks real-time clears apart from turn-based ones', () => {
+    const { records } = clear(emptyRecords(), { mode: 'realtime', score: 3 });
+    expect(levelRecord(records, 'classic', 1)).toBeNull();
+    expect(levelRecord(records, 'classic', 1, 'realtime').bestScore).toBe(3);
+    expect(clear(records).improved).toEqual(['score', 'turns', 'lives']);
+  });
+});
+
+describe('recordRun', () => {
+  it('ranks runs by score and keeps the top list', () => {
+    let records = emptyRecords();
+    for (let score = 1; score <= TOP_RUNS; score++) records = recordRun(records, run(score)).records;
+    const best = recordRun(records, run(20));
+    expect(best.rank).toBe(1);
+    expect(runsForMode(best.records)).toHaveLength(TOP_RUNS);
+    expect(runsForMode(best.records).at(-1).score).toBe(2);
+    expect(recordRun(best.records, run(0)).rank).toBeNull();
+  });
+
+  it('breaks score ties on the level reached, then the earlier date', () => {
+    let records = recordRun(emptyRecords(), run(5, { level: 2 })).records;
+    records = recordRun(records, run(5, { level: 3 })).records;
+    expect(recordRun(records, run(5, { level: 3, date: '2030-01-01' })).rank).toBe(2);
+  });
+
+  it('keeps a top list per mode', () => {
+    const { records } = recordRun(emptyRecords(), run(1));
+    const realtime = recordRun(records, run(1, { mode: 'realtime' }));
+    expect(realtime.rank).toBe(1);
+    expect(runsForMode(realtime.records, 'turns')).toHaveLength(1);
+    expect(runsForMode(realtime.records, 'realtime')).toHaveLength(1);
+  });
+});
+
+describe('normalizeRecords', () => {
+  it('moves records from before campaigns under classic', () => {
+    const records = normalizeRecords({ levels: { 3: { bestScore: 4 } }, runs: [{ score: 4 }] });
+    expect(levelRecord(records, 'classic', 3)).toEqual({ bestScore: 4 });
+    expect(records.runs).toEqual([{ campaign: 'classic', mode: 'turns', fade: 'normal', score: 4 }]);
+  });
+
+  it('starts empty from anything unreadable', () => {
+    expect(normalizeRecords(null)).toEqual(emptyRecords());
+    expect(normalizeRecords('nope')).toEqual(emptyRecords());
+    expect(normalizeRecords({ runs: 'nope' })).toEqual(emptyRecords());
+  });
+});
@@ -0,0 +1,98 @@
+import { DIRS, posEq } from './grid.js';
+import { RULES_VERSION, START_LIVES, createGame, nextLevel, retryLevel, step } from './engine.js';
+import { DEFAULT_CAMPAIGN, getCampaign } from './levels.js';
+import { DEFAULT_FADE_PRESET } from './fade.js';
+
+// Replays: the seed, campaign, starting level and every input of a run. Because the engine is
+// deterministic, that is enough to rebuild every turn exactly.
+// Inputs are one character each: U D L R for directions and | for "continue"
+// (retry after a lost life, or move on after a clear). Turns undone in Practice mode
+// are cut from the recording, so a replay shows the timeline that was kept.
+
+export const REPLAY_FORMAT = 1;
+export const CONTINUE = '|';
+
+const CODES = { U: DIRS.UP, D: DIRS.DOWN, L: DIRS.LEFT, R: DIRS.RIGHT };
+
+export const dirCode = (dir) => Object.keys(CODES).find((c) => posEq(CODES[c], dir));
+// Only the four letters themselves: inherited keys like 'constructor' are not directions
+export const codeDir = (code) => (typeof code === 'string' && Object.hasOwn(CODES, code) ? CODES[code] : null);
+
+// Campaigns that are not registered (e.g. an editor play-test) travel inside the replay.
+// In real-time mode every tick is an input, so the same format covers both modes.
+export function createRecording({
+  seed,
+  campaign = DEFAULT_CAMPAIGN,
+  level,
+  lives = START_LIVES,
+  practice = false,
+  mode = 'turns',
+  fadePreset = DEFAULT_FADE_PRESET
+}) {
+  const rec = {
+    format: REPLAY_FORMAT,
+    rules: RULES_VERSION,
+    seed,
+    campaign: campaign.id,
+    level,
+    lives,
+    practice,
+    mode,
+    fadePreset,
+    moves: ''
+  };
+  return getCampaign(campaign.id) ? rec : { ...rec, customCampaign: campaign };
+}
+
+// Replays from before campaigns existed were all classic.
+const replayCampaign = (rec) => rec.customCampaign ?? getCampaign(rec.campaign ?? DEFAULT_CAMPAIGN.id);
+
+export const recordMove = (rec, dir) => ({ ...rec, moves: rec.moves + dirCode(dir) });
+export const recordContinue = (rec) => ({ ...rec, moves: rec.moves + CONTINUE });
+
+export const serializeReplay = (rec) => JSON.stringify({ ...rec, recordedAt: rec.recordedAt ?? new Date().toISOString() });
+
+// Throws with a readable message when the file is not a replay this build can play.
+export function parseReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Replay file is not valid JSON');
+  }
+  if (!data || data.format !== REPLAY_FORMAT) throw new Error('Unsupported replay format');
+  if (data.rules !== RULES_VERSION) {
+    throw new Error(`Replay was recorded with rules v${data.rules}; this build plays v${RULES_VERSION}`);
+  }
+  if (!Number.isInteger(data.seed) || !Number.isInteger(data.level) || typeof data.moves !== 'string') {
+    throw new Error('Replay is missing its seed, level or moves');
+  }
+  if (/[^UDLR|]/.test(data.moves)) throw new Error('Replay contains unknown inputs');
+  if (!replayCampaign(data)) throw new Error(`Replay uses unknown campaign "${data.campaign}"`);
+  return data;
+}
+
+// Every state of the run, one frame per input. Frame 0 is the starting board.
+export function buildFrames(rec) {
+  let state = createGame({
+    campaign: replayCampaign(rec),
+    seed: rec.seed,
+    level: rec.level,
+    lives: rec.lives,
+    practice: !!rec.practice,
+    mode: rec.mode ?? 'turns',
+    fadePreset: rec.fadePreset ?? DEFAULT_FADE_PRESET
+  });
+  const frames = [{ state, events: [], input: null }];
+  for (const input of rec.moves) {
+    let events = [];
+    if (input === CONTINUE) {
+      if (state.status === 'won') state = nextLevel(state);
+      else if (state.status === 'lost' && state.lives > 0) state = retryLevel(state);
+    } else {
+      ({ state, events } = step(state, CODES[input]));
+    }
+    frames.push({ state, events, input });
+  }
+  return frames;
+}
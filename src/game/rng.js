@@ -0,0 +1,53 @@
+// Seedable PRNG (mulberry32). The whole generator state is one uint32, so it can live
+// inside immutable engine snapshots and a run can be replayed from its seed alone.
+
+export const MAX_SEED = 0xffffffff;
+
+// Returns [value in [0, 1), next state]
+export function nextRandom(rngState) {
+  const t = (rngState + 0x6d2b79f5) >>> 0;
+  let r = Math.imul(t ^ (t >>> 15), 1 | t);
+  r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+  return [((r ^ (r >>> 14)) >>> 0) / 4294967296, t];
+}
+
+// Stateful wrapper for code that draws several numbers in a row; read rng.state() when done.
+export function createRng(rngState) {
+  let s = rngState >>> 0;
+  const rng = () => {
+    const [value, next] = nextRandom(s);
+    s = next;
+    return value;
+  };
+  rng.state = () => s;
+  return rng;
+}
+
+// Weighted pick among `kinds` using { kind: weight }; missing or zero weights never win.
+// Returns null when nothing has weight.
+export function pickWeighted(kinds, weights, rng) {
+  const entries = kinds.map((k) => [k, weights[k] ?? 0]).filter(([, w]) => w > 0);
+  const total = entries.reduce((sum, [, w]) => sum + w, 0);
+  if (!total) return null;
+  let roll = rng() * total;
+  for (const [kind, w] of entries) {
+    roll -= w;
+    if (roll < 0) return kind;
+  }
+  return entries[entries.length - 1][0];
+}
+
+export const randomSeed = () => Math.floor(Math.random() * MAX_SEED) >>> 0;
+
+// Accepts a decimal seed or any other text (hashed with FNV-1a). Blank input -> null.
+export function parseSeed(input) {
+  const text = String(input ?? '').trim();
+  if (!text) return null;
+  if (/^\d+$/.test(text) && Number(text) <= MAX_SEED) return Number(text);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
@@ -0,0 +1,133 @@
+import { DEFAULT_CAMPAIGN, LEVEL_DEFAULTS, resolveLevel } from './levels.js';
+import { noEffects } from './powerups.js';
+import { RULES_VERSION } from './engine.js';
+import { MODES } from './realtime.js';
+import { FADE_PRESET_IDS } from './fade.js';
+import { EDGES } from './board.js';
+import { HAZARD_KINDS } from './hazards.js';
+
+// Saved runs: the engine state plus the replay recording, stamped with a schema version.
+// Older saves are stepped forward through MIGRATIONS; anything unknown or malformed is
+// rejected (null) so the game starts fresh instead of crashing on a bad board.
+
+export const SAVE_VERSION = 6;
+
+const hasGame = (save) => !!save.game && typeof save.game === 'object';
+
+// MIGRATIONS[n] upgrades a version-n save to version n + 1, or returns null when the save
+// is missing what that step reads.
+const MIGRATIONS = {
+  // v2: boards come from level definitions; v1 runs were all on the classic campaign
+  1: (save) => {
+    if (!hasGame(save) || !Number.isInteger(save.game.level)) return null;
+    return {
+      ...save,
+      game: { ...save.game, campaign: DEFAULT_CAMPAIGN, def: resolveLevel(DEFAULT_CAMPAIGN, save.game.level) },
+      recording: save.recording && { ...save.recording, campaign: DEFAULT_CAMPAIGN.id }
+    };
+  },
+  // v3: typed power-ups. The old reveal buff becomes the reveal effect.
+  2: (save) => {
+    if (!hasGame(save)) return null;
+    const { revealTurns = 0, ...game } = save.game;
+    return {
+      ...save,
+      game: {
+        ...game,
+        def: { ...game.def, powerUpWeights: LEVEL_DEFAULTS.powerUpWeights },
+        powerUp: game.powerUp && { ...game.powerUp, kind: 'reveal' },
+        effects: { ...noEffects(), reveal: revealTurns }
+      }
+    };
+  },
+  // v4: hazard kinds; every earlier hazard was static
+  3: (save) => {
+    if (!hasGame(save) || !Array.isArray(save.game.hazards)) return null;
+    return {
+      ...save,
+      game: {
+        ...save.game,
+        def: { ...save.game.def, hazardWeights: LEVEL_DEFAULTS.hazardWeights },
+        hazards: save.game.hazards.map((h) => ({ x: h.x, y: h.y, kind: 'static' }))
+      }
+    };
+  },
+  // v5: real-time mode; earlier runs were all turn-based
+  4: (save) => ({ ...save, game: { ...save.game, mode: 'turns' } }),
+  // v6: fade presets; the level's own fade is what Normal draws
+  5: (save) => ({ ...save, game: { ...save.game, fadePreset: 'normal' } })
+};
+
+export function createSave(game, recording) {
+  return { version: SAVE_VERSION, savedAt: new Date().toISOString(), game, recording };
+}
+
+const isCell = (p) => p && Number.isInteger(p.x) && Number.isInteger(p.y);
+
+// What tickHazards() reads from each kind (hazards.js)
+const HAZARD_FIELDS = {
+  static: () => true,
+  patrol: (h) => isCell(h.dir) && Math.abs(h.dir.x) + Math.abs(h.dir.y) === 1,
+  pulse: (h) => Number.isInteger(h.t) && h.t >= 0,
+  timed: (h) => Number.isInteger(h.ttl) && h.ttl > 0
+};
+
+const isValidHazard = (h) => isCell(h) && HAZARD_KINDS.includes(h.kind) && HAZARD_FIELDS[h.kind](h);
+
+// The parts of a level definition step() reads without checking
+function isValidDef(def) {
+  return (
+    def &&
+    Number.isInteger(def.width) &&
+    Number.isInteger(def.height) &&
+    Array.isArray(def.walls) &&
+    def.walls.every(isCell) &&
+    Array.isArray(def.portals) &&
+    def.portals.every((p) => Array.isArray(p) && p.length === 2 && p.every(isCell)) &&
+    def.wrap &&
+    EDGES.every((e) => typeof def.wrap[e] === 'boolean')
+  );
+}
+
+function isValidGame(g) {
+  return (
+    g &&
+    Number.isInteger(g.level) &&
+    Number.isInteger(g.cols) &&
+    Number.isInteger(g.rows) &&
+    Number.isInteger(g.lives) &&
+    Array.isArray(g.snake) &&
+    g.snake.length > 0 &&
+    g.snake.every(isCell) &&
+    isCell(g.dir) &&
+    (g.fruit === null || isCell(g.fruit)) &&
+    Array.isArray(g.hazards) &&
+    g.hazards.every(isValidHazard) &&
+    g.effects &&
+    MODES.includes(g.mode) &&
+    FADE_PRESET_IDS.includes(g.fadePreset) &&
+    g.campaign &&
+    Array.isArray(g.campaign.levels) &&
+    isValidDef(g.def) &&
+    ['playing', 'lost', 'won'].includes(g.status)
+  );
+}
+
+// Never throws: whatever is stored, the answer is a playable save or null
+export function migrateSave(data) {
+  if (!data || !Number.isInteger(data.version) || data.version > SAVE_VERSION) return null;
+  try {
+    let save = data;
+    while (save.version < SAVE_VERSION) {
+      const migrate = MIGRATIONS[save.version];
+      const next = migrate && migrate(save);
+      if (!next) return null;
+      save = { ...next, version: save.version + 1 };
+    }
+    if (!isValidGame(save.game)) return null;
+    // A recording made under older rules would replay differently, so it is dropped
+    return save.recording && save.recording.rules !== RULES_VERSION ? { ...save, recording: null } : save;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import { SAVE_VERSION, createSave, migrateSave } from './save.js';
+import { createGame } from './engine.js';
+import { createRecording } from './replay.js';
+
+describe('migrateSave', () => {
+  it('keeps a current save as it is', () => {
+    const game = createGame({ seed: 5, fadePreset: 'hard' });
+    const save = createSave(game, createRecording({ seed: 5, level: 1, fadePreset: 'hard' }));
+    expect(migrateSave(JSON.parse(JSON.stringify(save)))).toEqual(JSON.parse(JSON.stringify(save)));
+  });
+
+  it('gives saves from before fade presets the Normal fade', () => {
+    const { fadePreset, ...game } = createGame({ seed: 5 });
+    const migrated = migrateSave({ version: 5, savedAt: '', game, recording: null });
+    expect(migrated.version).toBe(SAVE_VERSION);
+    expect(migrated.game.fadePreset).toBe('normal');
+  });
+
+  it('rejects an unknown fade preset', () => {
+    const save = createSave({ ...createGame({ seed: 5 }), fadePreset: 'impossible' }, null);
+    expect(migrateSave(save)).toBeNull();
+  });
+
+  it('rejects malformed older saves instead of throwing', () => {
+    [
+      { version: 1 },
+      { version: 1, game: null },
+      { version: 1, game: { level: 'two' } },
+      { version: 2, game: 7 },
+      { version: 3, game: { level: 1 } },
+      { version: 3, game: { level: 1, hazards: [null] } },
+      { version: 4, game: { def: null } }
+    ].forEach((save) => {
+      expect(migrateSave(save)).toBeNull();
+    });
+  });
+
+  it('rejects a board without walls, portals or wrapping', () => {
+    const game = createGame({ seed: 5 });
+    expect(migrateSave(createSave({ ...game, def: {} }, null))).toBeNull();
+    expect(migrateSave(createSave({ ...game, def: { ...game.def, portals: [[{ x: 1, y: 1 }]] } }, null))).toBeNull();
+    expect(migrateSave(createSave({ ...game, def: { ...game.def, wrap: { top: true } } }, null))).toBeNull();
+  });
+
+  it('rejects hazards of unknown kinds or without what their kind tracks', () => {
+    const game = createGame({ seed: 5 });
+    const withHazard = (h) => createSave({ ...game, hazards: [{ x: 1, y: 1, ...h }] }, null);
+    [
+      { kind: 'static' },
+      { kind: 'patrol', dir: { x: 0, y: -1 } },
+      { kind: 'pulse', t: 0 },
+      { kind: 'timed', ttl: 3 }
+    ].forEach((h) => {
+      expect(migrateSave(withHazard(h))).not.toBeNull();
+    });
+    [
+      {},
+      { kind: 'lava' },
+      { kind: 'constructor' },
+      { kind: 'patrol' },
+      { kind: 'patrol', dir: { x: 1, y: 1 } },
+      { kind: 'pulse', t: 'on' },
+      { kind: 'timed' },
+      { kind: 'timed', ttl: 0 }
+    ].forEach((h) => {
+      expect(migrateSave(withHazard(h))).toBeNull();
+    });
+  });
+
+  it('rejects saves from a newer build', () => {
+    expect(migrateSave({ version: SAVE_VERSION + 1, game: createGame() })).toBeNull();
+  });
+});
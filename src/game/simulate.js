@@ -0,0 +1,111 @@
+import { createGame, step } from './engine.js';
+import { DEFAULT_CAMPAIGN } from './levels.js';
+import { createBot, fruitReachable, visibleState } from './bots.js';
+import { DEFAULT_FADE_PRESET } from './fade.js';
+
+// Headless balancing runs: a bot plays one board of a level many times over and the
+// outcomes are tallied. Run i uses seed `seed + i`, so a report can be reproduced exactly.
+// Nothing here touches React or the canvas; scripts/simulate.js is the command-line front.
+
+// Level fields that can be overridden for a whole campaign while tuning
+export const TUNABLE_FIELDS = ['powerUpChance', 'hazardChance', 'winThreshold'];
+
+const DEFAULT_MAX_TURNS = 5000; // a bot going round in circles ends the run as a timeout
+// The fruit out of reach for this many turns in a row ends the run as stuck. That is far
+// longer than the body takes to move out of the way, so it means hazards have boxed it in.
+export const STUCK_TURNS = 200;
+
+// Same campaign with `overrides` applied on top of every level
+export function tuneCampaign(campaign, overrides) {
+  const patch = Object.fromEntries(TUNABLE_FIELDS.filter((k) => overrides[k] != null).map((k) => [k, overrides[k]]));
+  if (!Object.keys(patch).length) return campaign;
+  return { ...campaign, levels: campaign.levels.map((lvl) => ({ ...lvl, ...patch })) };
+}
+
+// One board from a fresh start with a single life. Returns the outcome
+// ('cleared' | 'wall' | 'self' | 'hazard' | 'stuck' | 'timeout') and what happened on the way.
+// The fade preset decides how much of the tail the bot gets to see.
+export function simulateRun({
+  campaign = DEFAULT_CAMPAIGN,
+  level = 1,
+  bot = 'greedy',
+  fadePreset = DEFAULT_FADE_PRESET,
+  seed = 1,
+  maxTurns = DEFAULT_MAX_TURNS
+}) {
+  const play = createBot(bot);
+  let state = createGame({ campaign, level, lives: 1, seed, fadePreset });
+  const run = { outcome: 'timeout', turns: 0, score: 0, powerUpsSpawned: 0, powerUpsPicked: 0, unreachableTurns: 0 };
+  let outOfReach = 0;
+  while (state.status === 'playing' && state.turn < maxTurns) {
+    if (fruitReachable(state)) {
+      outOfReach = 0;
+    } else {
+      run.unreachableTurns += 1;
+      outOfReach += 1;
+      if (outOfReach >= STUCK_TURNS) {
+        run.outcome = 'stuck';
+        break;
+      }
+    }
+    const { state: next, events } = step(state, play(visibleState(state)));
+    events.forEach((ev) => {
+      if (ev.type === 'powerUpSpawned') run.powerUpsSpawned += 1;
+      else if (ev.type === 'powerUpPicked') run.powerUpsPicked += 1;
+      else if (ev.type === 'lifeLost') run.outcome = ev.cause;
+      else if (ev.type === 'levelCleared') run.outcome = 'cleared';
+    });
+    state = next;
+  }
+  return { ...run, turns: state.turn, score: state.score };
+}
+
+const average = (total, count) => (count ? total / count : 0);
+
+// Totals and rates over `runs` runs of one level
+export function simulateLevel({
+  campaign = DEFAULT_CAMPAIGN,
+  level = 1,
+  bot = 'greedy',
+  fadePreset = DEFAULT_FADE_PRESET,
+  runs = 100,
+  seed = 1,
+  maxTurns
+}) {
+  const outcomes = { cleared: 0, wall: 0, self: 0, hazard: 0, stuck: 0, timeout: 0 };
+  let turns = 0;
+  let clearTurns = 0;
+  let score = 0;
+  let spawned = 0;
+  let picked = 0;
+  let unreachableTurns = 0;
+  let unreachableRuns = 0;
+  for (let i = 0; i < runs; i++) {
+    const run = simulateRun({ campaign, level, bot, fadePreset, seed: (seed + i) >>> 0, maxTurns });
+    outcomes[run.outcome] += 1;
+    turns += run.turns;
+    if (run.outcome === 'cleared') clearTurns += run.turns;
+    score += run.score;
+    spawned += run.powerUpsSpawned;
+    picked += run.powerUpsPicked;
+    unreachableTurns += run.unreachableTurns;
+    if (run.unreachableTurns) unreachableRuns += 1;
+  }
+  return {
+    campaign: campaign.id,
+    level,
+    bot,
+    fadePreset,
+    runs,
+    seed,
+    clearRate: average(outcomes.cleared, runs),
+    avgTurns: average(turns, runs),
+    avgTurnsToClear: average(clearTurns, outcomes.cleared),
+    avgScore: average(score, runs),
+    deaths: { wall: outcomes.wall, self: outcomes.self, hazard: outcomes.hazard },
+    stuck: outcomes.stuck,
+    timeouts: outcomes.timeout,
+    powerUps: { spawned, picked, pickupRate: average(picked, spawned) },
+    fruitUnreachable: { turns: unreachableTurns, runs: unreachableRuns }
+  };
+}
@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { simulateLevel, simulateRun, tuneCampaign } from './simulate.js';
+
+// A small open board the greedy bot clears quickly
+const board = (level = {}) => ({
+  id: 'test',
+  name: 'Test',
+  levels: [{ width: 5, height: 5, powerUpChance: 0, hazardChance: 0, ...level }]
+});
+
+describe('tuneCampaign', () => {
+  it('applies tunable overrides to every level and ignores the rest', () => {
+    const campaign = { id: 'c', levels: [{ winThreshold: 0.2 }, { winThreshold: 0.3, tickMs: 100 }] };
+    const tuned = tuneCampaign(campaign, { powerUpChance: 0.5, tickMs: 50, hazardChance: null });
+    expect(tuned.levels).toEqual([
+      { winThreshold: 0.2, powerUpChance: 0.5 },
+      { winThreshold: 0.3, tickMs: 100, powerUpChance: 0.5 }
+    ]);
+    expect(tuneCampaign(campaign, {})).toBe(campaign);
+  });
+});
+
+describe('simulateRun', () => {
+  it('gives the same result for the same seed', () => {
+    const run = simulateRun({ campaign: board(), seed: 7 });
+    expect(simulateRun({ campaign: board(), seed: 7 })).toEqual(run);
+    expect(run.turns).toBeGreaterThan(0);
+  });
+
+  it('clears an easy board', () => {
+    const run = simulateRun({ campaign: board({ winThreshold: 0.9 }), seed: 1 });
+    expect(run.outcome).toBe('cleared');
+    expect(run.score).toBeGreaterThan(0);
+  });
+
+  it('ends a run that goes on too long as a timeout', () => {
+    const run = simulateRun({ campaign: board(), seed: 1, maxTurns: 3 });
+    expect(run).toMatchObject({ outcome: 'timeout', turns: 3 });
+  });
+});
+
+describe('simulateLevel', () => {
+  it('tallies every run into the report', () => {
+    const report = simulateLevel({ campaign: board({ winThreshold: 0.9 }), runs: 4, seed: 3 });
+    expect(report).toMatchObject({ campaign: 'test', level: 1, bot: 'greedy', runs: 4, seed: 3, clearRate: 1 });
+    expect(report.avgTurnsToClear).toBe(report.avgTurns);
+    expect(report.powerUps).toEqual({ spawned: 0, picked: 0, pickupRate: 0 });
+  });
+});
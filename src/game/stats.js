@@ -0,0 +1,139 @@
+import { POWERUP_KINDS } from './powerups.js';
+import { resolveFade, snakeAlphas } from './fade.js';
+
+// Lifetime statistics across every single-player board, for the Stats screen. Pure
+// functions over a plain object, like records.js; the game screen keeps it in localStorage
+// under STATS_KEY and folds each step's events in with recordStep().
+//   turns, fruit      totals
+//   deaths            cause -> count (self | hazard | wall)
+//   bites             segment bitten (1 = head, as tailAlpha() counts) -> { seen, hidden }:
+//                     whether the fade still drew that segment when it was bitten
+//   powerUps          kind -> { picked, expired }
+//   longest           longest snake
+//   levels            "<campaign>:<level>" -> { attempts, clears }; an attempt is a board
+//                     that ended, cleared or with a life lost
+// The bites answer the fade-tuning question directly: how many deaths come from segments
+// the player could not see.
+
+export const STATS_KEY = 'invisisnake.stats';
+
+export const DEATH_CAUSES = ['self', 'hazard', 'wall'];
+export const DEATH_LABELS = { self: 'Bit itself', hazard: 'Hit a hazard', wall: 'Hit a wall' };
+
+const tally = (keys) => Object.fromEntries(keys.map((k) => [k, 0]));
+const count = (v) => (Number.isInteger(v) && v > 0 ? v : 0);
+
+export const emptyStats = () => ({
+  turns: 0,
+  fruit: 0,
+  deaths: tally(DEATH_CAUSES),
+  bites: {},
+  powerUps: Object.fromEntries(POWERUP_KINDS.map((k) => [k, { picked: 0, expired: 0 }])),
+  longest: 0,
+  levels: {}
+});
+
+// Stored stats with anything missing or broken replaced by zeroes
+export function normalizeStats(data) {
+  const s = emptyStats();
+  if (!data || typeof data !== 'object') return s;
+  s.turns = count(data.turns);
+  s.fruit = count(data.fruit);
+  s.longest = count(data.longest);
+  DEATH_CAUSES.forEach((c) => {
+    s.deaths[c] = count(data.deaths?.[c]);
+  });
+  Object.entries(data.bites ?? {}).forEach(([seg, b]) => {
+    if (/^\d+$/.test(seg)) s.bites[seg] = { seen: count(b?.seen), hidden: count(b?.hidden) };
+  });
+  POWERUP_KINDS.forEach((k) => {
+    s.powerUps[k] = { picked: count(data.powerUps?.[k]?.picked), expired: count(data.powerUps?.[k]?.expired) };
+  });
+  Object.entries(data.levels ?? {}).forEach(([key, l]) => {
+    s.levels[key] = { attempts: count(l?.attempts), clears: count(l?.clears) };
+  });
+  return s;
+}
+
+export const levelKey = (campaignId, level) => `${campaignId}:${level}`;
+
+// Adds one to obj[key][field], starting the entry from `blank`
+const bump = (obj, key, field, blank) => ({
+  ...obj,
+  [key]: { ...blank, ...obj[key], [field]: (obj[key]?.[field] ?? 0) + 1 }
+});
+const NO_BITES = { seen: 0, hidden: 0 };
+const NO_ATTEMPTS = { attempts: 0, clears: 0 };
+const NO_PICKUPS = { picked: 0, expired: 0 };
+
+// Folds one step into the stats: `prev` and `next` are the states either side of it and
+// `events` what step() reported. Every step is a turn played, the crashing one included.
+// Level attempts are only counted with `levels` set, so boards from outside the built-in
+// campaigns (editor play-tests) leave no trace there.
+export function recordStep(stats, { prev, next, events, levels = true }) {
+  let s = { ...stats, turns: stats.turns + 1, longest: Math.max(stats.longest, next.snake.length) };
+  const key = levelKey(prev.campaign.id, prev.level);
+  const attempt = (cleared) => {
+    if (!levels) return;
+    s = { ...s, levels: bump(s.levels, key, 'attempts', NO_ATTEMPTS) };
+    if (cleared) s = { ...s, levels: bump(s.levels, key, 'clears', NO_ATTEMPTS) };
+  };
+  events.forEach((ev) => {
+    if (ev.type === 'fruitEaten') s = { ...s, fruit: s.fruit + 1 };
+    else if (ev.type === 'powerUpPicked') s = { ...s, powerUps: bump(s.powerUps, ev.kind, 'picked', NO_PICKUPS) };
+    else if (ev.type === 'powerUpExpired') s = { ...s, powerUps: bump(s.powerUps, ev.kind, 'expired', NO_PICKUPS) };
+    else if (ev.type === 'levelCleared') attempt(true);
+    else if (ev.type === 'lifeLost') {
+      s = { ...s, deaths: { ...s.deaths, [ev.cause]: (s.deaths[ev.cause] ?? 0) + 1 } };
+      if (ev.cause === 'self' && ev.segment) {
+        const alphas = snakeAlphas(prev.snake, resolveFade(prev.def, prev.fadePreset), prev.turn);
+        const hidden = alphas[ev.segment - 1] <= 0;
+        s = { ...s, bites: bump(s.bites, ev.segment, hidden ? 'hidden' : 'seen', NO_BITES) };
+      }
+      attempt(false);
+    }
+  });
+  return s;
+}
+
+// Sums each field of the { field: count } entries in `b` into those in `a`
+function addEntries(a, b) {
+  const out = { ...a };
+  Object.entries(b).forEach(([key, entry]) => {
+    const sum = { ...out[key] };
+    Object.entries(entry).forEach(([field, n]) => {
+      sum[field] = (sum[field] ?? 0) + n;
+    });
+    out[key] = sum;
+  });
+  return out;
+}
+
+// Two sets of stats added together, e.g. the stored ones and a board's worth kept in memory
+export const mergeStats = (a, b) => ({
+  turns: a.turns + b.turns,
+  fruit: a.fruit + b.fruit,
+  deaths: Object.fromEntries(DEATH_CAUSES.map((c) => [c, a.deaths[c] + b.deaths[c]])),
+  bites: addEntries(a.bites, b.bites),
+  powerUps: addEntries(a.powerUps, b.powerUps),
+  longest: Math.max(a.longest, b.longest),
+  levels: addEntries(a.levels, b.levels)
+});
+
+// ===== Summaries for the Stats screen =====
+export const totalDeaths = (stats) => DEATH_CAUSES.reduce((n, c) => n + stats.deaths[c], 0);
+
+// Self-inflicted deaths on segments the fade had hidden, out of all bites
+export function hiddenBiteShare(stats) {
+  const bites = Object.values(stats.bites);
+  const all = bites.reduce((n, b) => n + b.seen + b.hidden, 0);
+  return all ? bites.reduce((n, b) => n + b.hidden, 0) / all : null;
+}
+
+// Bitten segments 1..the deepest one bitten, with gaps filled by zeroes
+export function biteHistogram(stats) {
+  const deepest = Math.max(0, ...Object.keys(stats.bites).map(Number));
+  return Array.from({ length: deepest }, (_, i) => ({ segment: i + 1, ...(stats.bites[i + 1] ?? NO_BITES) }));
+}
+
+export const clearRate = (entry) => (entry?.attempts ? entry.clears / entry.attempts : null);
@@ -0,0 +1,120 @@
+import { describe, expect, it } from 'vitest';
+import { DIRS } from './grid.js';
+import { createGame, step } from './engine.js';
+import {
+  biteHistogram,
+  clearRate,
+  emptyStats,
+  hiddenBiteShare,
+  mergeStats,
+  normalizeStats,
+  recordStep,
+  totalDeaths
+} from './stats.js';
+
+// A quiet 5x5 board with a short fade: segments 1-2 drawn, 3 fading, 4 and on hidden
+const board = {
+  id: 'test',
+  name: 'Test',
+  levels: [{ width: 5, height: 5, powerUpChance: 0, hazardChance: 0, fadeVisible: 2, fadeLength: 2 }]
+};
+const game = (patch = {}) => ({ ...createGame({ campaign: board, seed: 1 }), ...patch });
+
+// Head at (2,2) heading left, body curling round below it; DOWN bites segment 4
+const curled = [
+  { x: 2, y: 2 },
+  { x: 3, y: 2 },
+  { x: 3, y: 3 },
+  { x: 2, y: 3 },
+  { x: 1, y: 3 }
+];
+
+const play = (stats, prev, dir, opts) => {
+  const { state: next, events } = step(prev, dir);
+  return { stats: recordStep(stats, { prev, next, events, ...opts }), next };
+};
+
+describe('recordStep', () => {
+  it('counts turns, fruit and the longest snake', () => {
+    const prev = game({ snake: [{ x: 2, y: 2 }, { x: 1, y: 2 }], dir: DIRS.RIGHT, fruit: { x: 3, y: 2 } });
+    const { stats } = play(emptyStats(), prev, DIRS.RIGHT);
+    expect(stats).toMatchObject({ turns: 1, fruit: 1, longest: 3 });
+  });
+
+  it('sorts bites into segments the fade drew and ones it hid', () => {
+    const { stats } = play(emptyStats(), game({ snake: curled, dir: DIRS.LEFT, fruit: { x: 0, y: 0 } }), DIRS.DOWN);
+    expect(stats.deaths.self).toBe(1);
+    expect(stats.bites).toEqual({ 4: { seen: 0, hidden: 1 } });
+    expect(stats.turns).toBe(1);
+
+    const easy = game({ snake: curled, dir: DIRS.LEFT, fruit: { x: 0, y: 0 }, fadePreset: 'easy' });
+    expect(play(stats, easy, DIRS.DOWN).stats.bites[4]).toEqual({ hidden: 1, seen: 1 });
+  });
+
+  it('tallies power-ups and level attempts', () => {
+    let stats = emptyStats();
+    const lone = { snake: [{ x: 2, y: 2 }], dir: DIRS.RIGHT, fruit: { x: 0, y: 0 } };
+    ({ stats } = play(stats, game({ ...lone, powerUp: { x: 3, y: 2, ttl: 5, kind: 'double' } }), DIRS.RIGHT));
+    ({ stats } = play(stats, game({ ...lone, powerUp: { x: 0, y: 4, ttl: 1, kind: 'shrink' } }), DIRS.RIGHT));
+    expect(stats.powerUps.double).toEqual({ picked: 1, expired: 0 });
+    expect(stats.powerUps.shrink).toEqual({ picked: 0, expired: 1 });
+
+    const wall = game(lone);
+    const walled = { ...wall, def: { ...wall.def, walls: [{ x: 3, y: 2 }] } };
+    ({ stats } = play(stats, walled, DIRS.RIGHT));
+    expect(stats.deaths.wall).toBe(1);
+    expect(stats.levels['test:1']).toEqual({ attempts: 1, clears: 0 });
+    const untracked = play(stats, walled, DIRS.RIGHT, { levels: false }).stats;
+    expect(untracked.levels['test:1']).toEqual({ attempts: 1, clears: 0 });
+  });
+});
+
+describe('summaries', () => {
+  const stats = normalizeStats({
+    deaths: { self: 3, wall: 1 },
+    bites: { 2: { seen: 1 }, 5: { hidden: 3 }, junk: {} },
+    levels: { 'classic:1': { attempts: 4, clears: 1 } }
+  });
+
+  it('repairs stored stats', () => {
+    expect(stats.deaths).toEqual({ self: 3, hazard: 0, wall: 1 });
+    expect(Object.keys(stats.bites)).toEqual(['2', '5']);
+    expect(normalizeStats('nope')).toEqual(emptyStats());
+  });
+
+  it('totals deaths, the hidden share and clear rates', () => {
+    expect(totalDeaths(stats)).toBe(4);
+    expect(hiddenBiteShare(stats)).toBe(0.75);
+    expect(hiddenBiteShare(emptyStats())).toBeNull();
+    expect(clearRate(stats.levels['classic:1'])).toBe(0.25);
+    expect(clearRate(undefined)).toBeNull();
+  });
+
+  it('fills the bite histogram from the head to the deepest bite', () => {
+    expect(biteHistogram(stats).map((b) => [b.segment, b.seen, b.hidden])).toEqual([
+      [1, 0, 0],
+      [2, 1, 0],
+      [3, 0, 0],
+      [4, 0, 0],
+      [5, 0, 3]
+    ]);
+  });
+
+  it('adds two sets of stats together', () => {
+    const a = normalizeStats({ turns: 4, deaths: { self: 1 }, bites: { 3: { hidden: 1 } }, longest: 6 });
+    const b = normalizeStats({
+      turns: 2,
+      deaths: { self: 1, wall: 1 },
+      bites: { 3: { seen: 1 }, 9: { hidden: 2 } },
+      powerUps: { reveal: { picked: 1 } },
+      longest: 4,
+      levels: { 'classic:1': { attempts: 2, clears: 1 } }
+    });
+    const sum = mergeStats(a, b);
+    expect(sum).toMatchObject({ turns: 6, deaths: { self: 2, wall: 1, hazard: 0 }, longest: 6 });
+    expect(sum.bites).toEqual({ 3: { seen: 1, hidden: 1 }, 9: { seen: 0, hidden: 2 } });
+    expect(sum.powerUps.reveal).toEqual({ picked: 1, expired: 0 });
+    expect(sum.levels).toEqual({ 'classic:1': { attempts: 2, clears: 1 } });
+    expect(mergeStats(sum, emptyStats())).toEqual(sum);
+  });
+});
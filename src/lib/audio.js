@@ -0,0 +1,192 @@
+import { loadJSON, saveJSON } from './storage.js';
+
+// Audio engine: one AudioContext for the whole app, created on first use, with every sound
+// routed through a bus so it can be turned down, muted or cut off.
+//   sfx   ─┐
+//   music ─┴─ master ── destination
+// Volumes and mute are kept in localStorage. Browsers hold a new context suspended until the
+// page gets a user gesture, so the engine listens for gestures and resumes it; sounds asked
+// for while it is suspended are dropped rather than queued up for later.
+
+export const AUDIO_BUSES = ['sfx', 'music'];
+export const VOLUME_CHANNELS = ['master', 'sfx', 'music'];
+export const VOLUME_LABELS = { master: 'Master', sfx: 'Effects', music: 'Music' };
+export const DEFAULT_AUDIO_SETTINGS = { volume: { master: 0.8, sfx: 1, music: 0.5 }, muted: false };
+
+const AUDIO_KEY = 'invisisnake.audio';
+const RAMP_S = 0.015; // volume changes glide this long to avoid clicks
+const GESTURES = ['pointerdown', 'keydown', 'touchend'];
+
+const clamp01 = (v, fallback) => (typeof v === 'number' && Number.isFinite(v) ? Math.min(1, Math.max(0, v)) : fallback);
+
+// Anything missing or out of range in stored settings falls back to the defaults
+export function normalizeAudioSettings(raw) {
+  const volume = {};
+  VOLUME_CHANNELS.forEach((ch) => {
+    volume[ch] = clamp01(raw?.volume?.[ch], DEFAULT_AUDIO_SETTINGS.volume[ch]);
+  });
+  return { volume, muted: raw?.muted === true };
+}
+
+export function createAudioEngine() {
+  let ctx = null;
+  let nodes = null; // { master, sfx, music } gain nodes
+  let settings = normalizeAudioSettings(loadJSON(AUDIO_KEY, null));
+  const listeners = new Set();
+  const voices = new Set(); // { osc, bus } still sounding, for stopAll()
+
+  const level = (ch) => (ch === 'master' ? (settings.muted ? 0 : settings.volume.master) : settings.volume[ch]);
+
+  const context = () => {
+    if (ctx) return ctx;
+    const Ctor = typeof window === 'undefined' ? null : window.AudioContext || window.webkitAudioContext;
+    if (!Ctor) return null;
+    ctx = new Ctor();
+    nodes = {};
+    VOLUME_CHANNELS.forEach((ch) => {
+      nodes[ch] = ctx.createGain();
+      nodes[ch].gain.value = level(ch);
+    });
+    nodes.master.connect(ctx.destination);
+    AUDIO_BUSES.forEach((bus) => nodes[bus].connect(nodes.master));
+    return ctx;
+  };
+
+  const running = () => !!ctx && ctx.state === 'running';
+
+  // Creates the context inside the gesture when it does not exist yet, and resumes it if the
+  // browser (or the OS, e.g. an incoming call) has suspended it
+  const unlock = () => {
+    const c = context();
+    if (c && c.state !== 'running') c.resume().catch(() => {});
+  };
+
+  let attached = false;
+  const attach = () => {
+    if (attached || typeof window === 'undefined') return;
+    attached = true;
+    GESTURES.forEach((type) => window.addEventListener(type, unlock, true));
+  };
+  const detach = () => {
+    if (!attached) return;
+    attached = false;
+    GESTURES.forEach((type) => window.removeEventListener(type, unlock, true));
+  };
+
+  const applyLevels = () => {
+    if (!nodes) return;
+    VOLUME_CHANNELS.forEach((ch) => nodes[ch].gain.setTargetAtTime(level(ch), ctx.currentTime, RAMP_S));
+  };
+
+  const update = (next) => {
+    settings = next;
+    saveJSON(AUDIO_KEY, settings);
+    applyLevels();
+    listeners.forEach((fn) => fn(settings));
+  };
+
+  // Envelope shared by tones and noise: rise over `attack`, stay for `hold`, then die away
+  // by the end of `dur`
+  const envelope = (start, dur, gain, attack, hold) => {
+    const g = ctx.createGain();
+    const peak = start + Math.max(0.001, attack);
+    g.gain.setValueAtTime(0.0001, start);
+    g.gain.linearRampToValueAtTime(gain, peak);
+    if (hold > 0) g.gain.setValueAtTime(gain, peak + hold);
+    g.gain.exponentialRampToValueAtTime(0.0001, start + dur);
+    return g;
+  };
+
+  const track = (src, bus, start, dur) => {
+    const v = { osc: src, bus };
+    voices.add(v);
+    src.onended = () => voices.delete(v);
+    src.start(start);
+    src.stop(start + dur + 0.02);
+  };
+
+  // One enveloped oscillator note on a bus, at an absolute context time. With `arp` the pitch
+  // steps through those semitone offsets every `arpRate` seconds while the note sounds.
+  const voice = (bus, { freq, dur, type = 'square', gain = 0.24, start, attack = 0.01, hold = 0, arp = [], arpRate = 0.03 }) => {
+    if (!running()) return;
+    const osc = ctx.createOscillator();
+    osc.type = type;
+    osc.frequency.setValueAtTime(freq, start);
+    if (arp.length) {
+      for (let k = 0, t = start; t < start + dur; k++, t += arpRate) {
+        osc.frequency.setValueAtTime(freq * Math.pow(2, arp[k % arp.length] / 12), t);
+      }
+    }
+    osc.connect(envelope(start, dur, gain, attack, hold)).connect(nodes[bus]);
+    track(osc, bus, start, dur);
+  };
+
+  // A burst of white noise through a low-pass filter: the noise channel for hits and crunches
+  let noiseBuffer = null;
+  const noise = (bus, { dur, gain = 0.2, start, cutoff = 4000, attack = 0.002 }) => {
+    if (!running()) return;
+    if (!noiseBuffer) {
+      noiseBuffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+      const data = noiseBuffer.getChannelData(0);
+      for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    }
+    const src = ctx.createBufferSource();
+    src.buffer = noiseBuffer;
+    src.loop = true;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(cutoff, start);
+    src.connect(filter).connect(envelope(start, dur, gain, attack, 0)).connect(nodes[bus]);
+    track(src, bus, start, dur);
+  };
+
+  attach();
+
+  return {
+    context,
+    running,
+    unlock,
+    voice,
+    noise,
+    // Sound effect `when` seconds from now
+    tone: (freq = 440, dur = 0.08, type = 'square', gain = 0.24, when = 0) => {
+      context();
+      if (running()) voice('sfx', { freq, dur, type, gain, start: ctx.currentTime + when });
+    },
+    // Cuts off everything on one bus (or all of them), including notes scheduled ahead
+    stopAll: (bus = null) => {
+      voices.forEach((v) => {
+        if (bus && v.bus !== bus) return;
+        try {
+          v.osc.stop();
+        } catch {
+          // already stopped
+        }
+        voices.delete(v);
+      });
+    },
+    getSettings: () => settings,
+    setVolume: (ch, value) => update({ ...settings, volume: { ...settings.volume, [ch]: clamp01(value, settings.volume[ch]) } }),
+    setMuted: (muted) => update({ ...settings, muted: !!muted }),
+    toggleMute: () => update({ ...settings, muted: !settings.muted }),
+    subscribe: (fn) => {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    dispose: () => {
+      detach();
+      listeners.clear();
+      voices.clear();
+      if (ctx) ctx.close().catch(() => {});
+      ctx = null;
+      nodes = null;
+      noiseBuffer = null;
+    },
+    // The gain param behind a channel; null until the context exists
+    gainOf: (ch) => (nodes ? nodes[ch].gain : null)
+  };
+}
+
+// The app-wide engine, shared by every screen
+let shared = null;
+export const getAudio = () => shared ?? (shared = createAudioEngine());
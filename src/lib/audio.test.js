@@ -0,0 +1,100 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { fireEvent } from '@testing-library/react';
+import { DEFAULT_AUDIO_SETTINGS, createAudioEngine, normalizeAudioSettings } from './audio.js';
+
+// The Web Audio stub from src/test/setup.js, held suspended until resume() like a browser
+// before the first user gesture
+const RunningContext = window.AudioContext;
+function SuspendedContext() {
+  const ctx = new RunningContext();
+  ctx.state = 'suspended';
+  ctx.resume = vi.fn(() => {
+    ctx.state = 'running';
+    return Promise.resolve();
+  });
+  ctx.createOscillator = vi.fn(ctx.createOscillator);
+  return ctx;
+}
+
+let engines = [];
+const engine = () => {
+  const e = createAudioEngine();
+  engines.push(e);
+  return e;
+};
+
+afterEach(() => {
+  engines.forEach((e) => e.dispose());
+  engines = [];
+  window.AudioContext = RunningContext;
+});
+
+describe('normalizeAudioSettings', () => {
+  it('fills in and clamps stored settings', () => {
+    expect(normalizeAudioSettings(null)).toEqual(DEFAULT_AUDIO_SETTINGS);
+    expect(normalizeAudioSettings({ volume: { music: 3, sfx: 'loud' }, muted: true })).toEqual({
+      volume: { master: DEFAULT_AUDIO_SETTINGS.volume.master, sfx: DEFAULT_AUDIO_SETTINGS.volume.sfx, music: 1 },
+      muted: true
+    });
+  });
+});
+
+describe('createAudioEngine', () => {
+  it('keeps volume and mute across sessions', () => {
+    const a = engine();
+    a.setVolume('music', 0.25);
+    a.setMuted(true);
+    expect(engine().getSettings()).toEqual({ volume: { ...DEFAULT_AUDIO_SETTINGS.volume, music: 0.25 }, muted: true });
+  });
+
+  it('silences the master bus while muted and restores it after', () => {
+    const a = engine();
+    a.context();
+    a.setMuted(true);
+    expect(a.gainOf('master').setTargetAtTime).toHaveBeenLastCalledWith(0, 0, expect.any(Number));
+    a.toggleMute();
+    expect(a.gainOf('master').setTargetAtTime).toHaveBeenLastCalledWith(DEFAULT_AUDIO_SETTINGS.volume.master, 0, expect.any(Number));
+  });
+
+  it('tells subscribers about changes', () => {
+    const a = engine();
+    const seen = vi.fn();
+    const off = a.subscribe(seen);
+    a.setVolume('sfx', 0.5);
+    off();
+    a.setVolume('sfx', 0.6);
+    expect(seen).toHaveBeenCalledTimes(1);
+    expect(seen.mock.calls[0][0].volume.sfx).toBe(0.5);
+  });
+
+  it('drops sounds until the first gesture resumes the context', () => {
+    window.AudioContext = SuspendedContext;
+    const a = engine();
+    a.tone(440);
+    const ctx = a.context();
+    expect(ctx.createOscillator).not.toHaveBeenCalled();
+    fireEvent.keyDown(window, { key: 'ArrowUp' });
+    expect(ctx.resume).toHaveBeenCalled();
+    a.tone(440);
+    expect(ctx.createOscillator).toHaveBeenCalledTimes(1);
+  });
+
+  it('cuts off one bus without touching the other', () => {
+    const a = engine();
+    const ctx = a.context();
+    const oscs = [];
+    const create = ctx.createOscillator;
+    ctx.createOscillator = () => {
+      const osc = create();
+      oscs.push(osc);
+      return osc;
+    };
+    a.tone(440);
+    a.voice('music', { freq: 220, dur: 0.2, start: 0 });
+    const [sfx, music] = oscs;
+    // Both were scheduled to stop when their note ends; only the music one is stopped again now
+    a.stopAll('music');
+    expect(music.stop).toHaveBeenCalledTimes(2);
+    expect(sfx.stop).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,236 @@
+import { loadJSON, saveJSON } from './storage.js';
+
+// Input mapping shared by the game screens. Keys, gamepad buttons and swipes all turn into
+// actions, and each screen handles actions in one place, so every source steers the same
+// way. Bindings are player settings, kept in localStorage:
+//   keys     action -> key names (KeyboardEvent.key; letters match either case)
+//   versus   the same per player for the local two-player screen
+//   pad      action -> gamepad buttons (standard mapping names from PAD_BUTTONS)
+//   swipe    { threshold, deadZone } in CSS pixels; see swipeDir()
+//   stick    { on, off } left-stick hysteresis; see stickDir()
+
+export const ACTIONS = ['up', 'down', 'left', 'right', 'confirm', 'pause', 'rewind'];
+export const DIR_ACTIONS = ['up', 'down', 'left', 'right'];
+export const ACTION_LABELS = {
+  up: 'Up',
+  down: 'Down',
+  left: 'Left',
+  right: 'Right',
+  confirm: 'Confirm',
+  pause: 'Pause',
+  rewind: 'Rewind'
+};
+// Direction actions -> DIRS keys in ../game/grid.js
+export const ACTION_DIRS = { up: 'UP', down: 'DOWN', left: 'LEFT', right: 'RIGHT' };
+
+// Standard gamepad mapping (https://w3c.github.io/gamepad/#remapping)
+export const PAD_BUTTONS = {
+  a: 0,
+  b: 1,
+  x: 2,
+  y: 3,
+  lb: 4,
+  rb: 5,
+  lt: 6,
+  rt: 7,
+  back: 8,
+  start: 9,
+  l3: 10,
+  r3: 11,
+  dpadUp: 12,
+  dpadDown: 13,
+  dpadLeft: 14,
+  dpadRight: 15
+};
+export const PAD_BUTTON_LABELS = {
+  a: 'A',
+  b: 'B',
+  x: 'X',
+  y: 'Y',
+  lb: 'LB',
+  rb: 'RB',
+  lt: 'LT',
+  rt: 'RT',
+  back: 'Back',
+  start: 'Start',
+  l3: 'L3',
+  r3: 'R3',
+  dpadUp: 'D-pad ↑',
+  dpadDown: 'D-pad ↓',
+  dpadLeft: 'D-pad ←',
+  dpadRight: 'D-pad →'
+};
+
+export const SWIPE_LIMITS = { threshold: [10, 200], deadZone: [0, 100] };
+export const STICK_LIMITS = { on: [0.2, 0.95], off: [0.05, 0.9] };
+
+export const DEFAULT_CONTROLS = {
+  keys: {
+    up: ['ArrowUp', 'w'],
+    down: ['ArrowDown', 's'],
+    left: ['ArrowLeft', 'a'],
+    right: ['ArrowRight', 'd'],
+    confirm: ['Enter', ' '],
+    pause: ['p', 'Escape'],
+    rewind: ['Backspace']
+  },
+  versus: [
+    { up: ['w'], down: ['s'], left: ['a'], right: ['d'] },
+    { up: ['ArrowUp'], down: ['ArrowDown'], left: ['ArrowLeft'], right: ['ArrowRight'] }
+  ],
+  pad: {
+    up: ['dpadUp'],
+    down: ['dpadDown'],
+    left: ['dpadLeft'],
+    right: ['dpadRight'],
+    confirm: ['a'],
+    pause: ['start'],
+    rewind: ['b']
+  },
+  swipe: { threshold: 30, deadZone: 12 },
+  stick: { on: 0.6, off: 0.35 }
+};
+
+// Letters are stored lower-case so W and w are the same binding
+export const normalizeKey = (key) => (key.length === 1 ? key.toLowerCase() : key);
+
+const ARROW_LABELS = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+export const keyLabel = (key) => (key === ' ' ? 'Space' : ARROW_LABELS[key] ?? (key.length === 1 ? key.toUpperCase() : key));
+
+const clampTo = (v, [min, max], fallback) => (typeof v === 'number' && Number.isFinite(v) ? Math.min(max, Math.max(min, v)) : fallback);
+
+const cleanMap = (raw, defaults, allowed) => {
+  const out = {};
+  Object.keys(defaults).forEach((action) => {
+    const list = raw?.[action];
+    out[action] = Array.isArray(list) ? list.filter(allowed).map((k) => (typeof k === 'string' ? normalizeKey(k) : k)) : [...defaults[action]];
+  });
+  return out;
+};
+
+const isKey = (k) => typeof k === 'string' && k.length > 0;
+const isPadButton = (b) => Object.prototype.hasOwnProperty.call(PAD_BUTTONS, b);
+
+// Stored settings with anything missing or broken replaced by the defaults
+export function normalizeControls(raw) {
+  const d = DEFAULT_CONTROLS;
+  const swipe = {};
+  Object.entries(SWIPE_LIMITS).forEach(([k, range]) => {
+    swipe[k] = clampTo(raw?.swipe?.[k], range, d.swipe[k]);
+  });
+  const stick = {};
+  Object.entries(STICK_LIMITS).forEach(([k, range]) => {
+    stick[k] = clampTo(raw?.stick?.[k], range, d.stick[k]);
+  });
+  // Release has to sit below press or the stick would chatter
+  if (stick.off >= stick.on) stick.off = Math.max(STICK_LIMITS.off[0], stick.on - 0.1);
+  return {
+    keys: cleanMap(raw?.keys, d.keys, isKey),
+    versus: d.versus.map((p, i) => cleanMap(raw?.versus?.[i], p, isKey)),
+    pad: cleanMap(raw?.pad, d.pad, isPadButton),
+    swipe,
+    stick
+  };
+}
+
+export function actionForKey(map, key) {
+  const k = normalizeKey(key);
+  return Object.keys(map).find((action) => map[action].includes(k)) ?? null;
+}
+
+// Binds `key` to `action` in one key map (slot 0 or 1), taking it off any other action there
+export function bindKey(map, action, slot, key) {
+  const k = normalizeKey(key);
+  const next = {};
+  Object.keys(map).forEach((a) => {
+    next[a] = map[a].filter((x) => x !== k);
+  });
+  const list = [...next[action]];
+  list[Math.min(slot, list.length)] = k;
+  next[action] = list.filter((x) => x != null);
+  return next;
+}
+
+// Drag from the touch start -> direction action or null. Nothing fires until the finger has
+// travelled `threshold` px along one axis, and a drag within `deadZone` px of a perfect
+// diagonal is left undecided until it leans clearly one way.
+export function swipeDir(dx, dy, { threshold, deadZone }) {
+  const ax = Math.abs(dx);
+  const ay = Math.abs(dy);
+  if (Math.max(ax, ay) < threshold) return null;
+  if (Math.abs(ax - ay) < deadZone) return null;
+  if (ax > ay) return dx > 0 ? 'right' : 'left';
+  return dy > 0 ? 'down' : 'up';
+}
+
+// Left stick with hysteresis: a direction is taken once its axis passes `on`, and held until
+// it drops under `off`, so a stick resting near the threshold does not flicker.
+export function stickDir(held, x, y, { on, off }) {
+  if (held) {
+    const along = { up: -y, down: y, left: -x, right: x }[held];
+    if (along >= off) return held;
+  }
+  const ax = Math.abs(x);
+  const ay = Math.abs(y);
+  if (Math.max(ax, ay) < on) return null;
+  if (ax > ay) return x > 0 ? 'right' : 'left';
+  return y > 0 ? 'down' : 'up';
+}
+
+// Polls the Gamepad API once per frame while a pad is connected and reports newly pressed
+// buttons and stick moves as actions: onAction(action, padIndex). Nothing repeats while a
+// button is held. Returns stop().
+export function createGamepadPoller({ getControls, onAction }) {
+  if (typeof navigator === 'undefined' || !navigator.getGamepads) return () => {};
+  const last = new Map(); // pad index -> { buttons: Set of names, stick: action | null }
+  let raf = 0;
+
+  const poll = () => {
+    const controls = getControls();
+    const pads = [...navigator.getGamepads()].filter(Boolean);
+    pads.forEach((pad) => {
+      const prev = last.get(pad.index) ?? { buttons: new Set(), stick: null };
+      const buttons = new Set(Object.keys(PAD_BUTTONS).filter((name) => pad.buttons[PAD_BUTTONS[name]]?.pressed));
+      buttons.forEach((name) => {
+        if (prev.buttons.has(name)) return;
+        const action = Object.keys(controls.pad).find((a) => controls.pad[a].includes(name));
+        if (action) onAction(action, pad.index);
+      });
+      const stick = stickDir(prev.stick, pad.axes[0] ?? 0, pad.axes[1] ?? 0, controls.stick);
+      if (stick && stick !== prev.stick) onAction(stick, pad.index);
+      last.set(pad.index, { buttons, stick });
+    });
+    raf = pads.length ? requestAnimationFrame(poll) : 0;
+  };
+
+  const start = () => {
+    if (!raf) raf = requestAnimationFrame(poll);
+  };
+  window.addEventListener('gamepadconnected', start);
+  // A pad that was connected before the page loaded
+  if ([...navigator.getGamepads()].some(Boolean)) start();
+
+  return () => {
+    window.removeEventListener('gamepadconnected', start);
+    cancelAnimationFrame(raf);
+    raf = 0;
+  };
+}
+
+// ===== Saved controls =====
+const CONTROLS_KEY = 'invisisnake.controls';
+const listeners = new Set();
+let current = null;
+
+export const getControls = () => current ?? (current = normalizeControls(loadJSON(CONTROLS_KEY, null)));
+
+export function setControls(next) {
+  current = normalizeControls(next);
+  saveJSON(CONTROLS_KEY, current);
+  listeners.forEach((fn) => fn(current));
+}
+
+export function subscribeControls(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
@@ -0,0 +1,124 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  DEFAULT_CONTROLS,
+  actionForKey,
+  bindKey,
+  createGamepadPoller,
+  getControls,
+  normalizeControls,
+  setControls,
+  stickDir,
+  swipeDir
+} from './input.js';
+
+const STICK = DEFAULT_CONTROLS.stick;
+const SWIPE = DEFAULT_CONTROLS.swipe;
+
+describe('swipeDir', () => {
+  it('waits for the threshold and picks the longer axis', () => {
+    expect(swipeDir(20, 0, SWIPE)).toBeNull();
+    expect(swipeDir(40, 5, SWIPE)).toBe('right');
+    expect(swipeDir(-40, 5, SWIPE)).toBe('left');
+    expect(swipeDir(3, -35, SWIPE)).toBe('up');
+    expect(swipeDir(3, 35, SWIPE)).toBe('down');
+  });
+
+  it('leaves near-diagonal drags undecided', () => {
+    expect(swipeDir(40, 35, SWIPE)).toBeNull();
+    expect(swipeDir(40, 35, { threshold: 30, deadZone: 0 })).toBe('right');
+  });
+});
+
+describe('stickDir', () => {
+  it('presses past `on` and holds until under `off`', () => {
+    expect(stickDir(null, 0.5, 0, STICK)).toBeNull();
+    expect(stickDir(null, 0.7, 0, STICK)).toBe('right');
+    expect(stickDir('right', 0.4, 0, STICK)).toBe('right');
+    expect(stickDir('right', 0.3, 0, STICK)).toBeNull();
+  });
+
+  it('switches when another direction is pushed past `on`', () => {
+    expect(stickDir('right', 0.4, -0.8, STICK)).toBe('right');
+    expect(stickDir('right', 0.1, -0.8, STICK)).toBe('up');
+  });
+});
+
+describe('key maps', () => {
+  it('matches letters in either case', () => {
+    expect(actionForKey(DEFAULT_CONTROLS.keys, 'W')).toBe('up');
+    expect(actionForKey(DEFAULT_CONTROLS.keys, 'ArrowLeft')).toBe('left');
+    expect(actionForKey(DEFAULT_CONTROLS.keys, 'q')).toBeNull();
+  });
+
+  it('moves a key off its old action when it is bound to a new one', () => {
+    const keys = bindKey(DEFAULT_CONTROLS.keys, 'pause', 1, 'W');
+    expect(keys.pause).toEqual(['p', 'w']);
+    expect(keys.up).toEqual(['ArrowUp']);
+    expect(bindKey(keys, 'rewind', 1, 'z').rewind).toEqual(['Backspace', 'z']);
+  });
+
+  it('repairs saved settings', () => {
+    const c = normalizeControls({ keys: { up: ['I', 7] }, pad: { confirm: ['x', 'kazoo'] }, swipe: { threshold: 999 }, stick: { on: 0.5, off: 0.7 } });
+    expect(c.keys.up).toEqual(['i']);
+    expect(c.keys.down).toEqual(DEFAULT_CONTROLS.keys.down);
+    expect(c.pad.confirm).toEqual(['x']);
+    expect(c.swipe).toEqual({ threshold: 200, deadZone: SWIPE.deadZone });
+    expect(c.stick.off).toBeLessThan(c.stick.on);
+    expect(normalizeControls(null)).toEqual(DEFAULT_CONTROLS);
+  });
+});
+
+describe('saved controls', () => {
+  afterEach(() => {
+    setControls(DEFAULT_CONTROLS);
+  });
+
+  it('saves bindings to localStorage', () => {
+    setControls({ ...DEFAULT_CONTROLS, swipe: { threshold: 50, deadZone: 5 } });
+    expect(getControls().swipe.threshold).toBe(50);
+    expect(JSON.parse(localStorage.getItem('invisisnake.controls')).swipe.threshold).toBe(50);
+  });
+});
+
+describe('createGamepadPoller', () => {
+  const pad = (pressed = [], axes = [0, 0]) => ({
+    index: 0,
+    buttons: Array.from({ length: 16 }, (_, i) => ({ pressed: pressed.includes(i) })),
+    axes
+  });
+
+  afterEach(() => {
+    delete navigator.getGamepads;
+    vi.unstubAllGlobals();
+  });
+
+  it('reports new presses and stick moves once each', () => {
+    let frame = null;
+    vi.stubGlobal('requestAnimationFrame', (fn) => {
+      frame = fn;
+      return 1;
+    });
+    vi.stubGlobal('cancelAnimationFrame', () => {});
+    let state = pad();
+    navigator.getGamepads = () => [state];
+    const onAction = vi.fn();
+    const stop = createGamepadPoller({ getControls: () => DEFAULT_CONTROLS, onAction });
+
+    state = pad([0, 12]);
+    frame();
+    state = pad([0, 12]);
+    frame();
+    expect(onAction.mock.calls).toEqual([
+      ['confirm', 0],
+      ['up', 0]
+    ]);
+
+    onAction.mockClear();
+    state = pad([], [0.8, 0]);
+    frame();
+    state = pad([], [0.5, 0]);
+    frame();
+    expect(onAction.mock.calls).toEqual([['right', 0]]);
+    stop();
+  });
+});
@@ -0,0 +1,118 @@
+// Chiptune music on the audio engine's music bus (./audio.js). Tracks are 16-step loops of
+// semitone offsets from the track's root (null = rest): a square lead over a triangle bass.
+// A lookahead scheduler queues the next few notes on the AudioContext clock from a short
+// timer, so timer jitter never reaches the beat. The mood (tempo and key) can change while
+// a track plays; it takes effect from the next step.
+
+export const MUSIC_TRACKS = [
+  {
+    name: 'Grass',
+    bpm: 112,
+    root: 261.63, // C4
+    lead: [0, null, 4, null, 7, null, 4, null, 9, null, 7, null, 4, null, 2, null],
+    bass: [-12, null, null, null, -5, null, null, null, -15, null, null, null, -7, null, null, null]
+  },
+  {
+    name: 'Cellar',
+    bpm: 100,
+    root: 220, // A3
+    lead: [0, 3, 7, null, 3, 7, 10, null, 12, 10, 7, null, 3, null, 5, null],
+    bass: [-12, null, -12, null, -9, null, -9, null, -7, null, -7, null, -5, null, -5, null]
+  },
+  {
+    name: 'Circuit',
+    bpm: 128,
+    root: 293.66, // D4
+    lead: [0, null, 0, 7, null, 7, 5, null, 3, null, 3, 5, null, 7, 10, null],
+    bass: [-24, null, -12, null, -24, null, -12, null, -19, null, -7, null, -17, null, -5, null]
+  },
+  {
+    name: 'Vault',
+    bpm: 92,
+    root: 196, // G3
+    lead: [12, null, 11, null, 7, null, null, 4, 5, null, 7, null, 2, null, null, null],
+    bass: [-12, null, null, -12, -8, null, null, -8, -7, null, null, -7, -5, null, -5, null]
+  }
+];
+
+// Levels cycle through the tracks
+export const trackForLevel = (level) => MUSIC_TRACKS[(Math.max(1, level) - 1) % MUSIC_TRACKS.length];
+
+export const GROWTH_STEP = 4; // segments grown per tempo step
+export const TEMPO_STEP = 0.04;
+export const MAX_TEMPO = 1.4;
+export const REVEAL_TRANSPOSE = 5; // up a fourth while a reveal is running
+
+// The board's mood: the track speeds up as the snake grows and shifts key during a reveal
+export function musicMood({ grown = 0, reveal = false } = {}) {
+  const tempo = Math.min(MAX_TEMPO, 1 + Math.floor(Math.max(0, grown) / GROWTH_STEP) * TEMPO_STEP);
+  return { tempo, transpose: reveal ? REVEAL_TRANSPOSE : 0 };
+}
+
+export const LOOKAHEAD_MS = 25; // how often the scheduler wakes up
+export const SCHEDULE_AHEAD_S = 0.12; // how far ahead it queues notes
+const STALL_S = 0.25; // further behind than this (suspended context, sleeping tab) restarts the beat
+const START_DELAY_S = 0.05;
+
+const LEAD = { type: 'square', gain: 0.12 };
+const BASS = { type: 'triangle', gain: 0.18 };
+
+export function createSequencer(audio) {
+  let track = null;
+  let timer = null;
+  let step = 0;
+  let nextTime = null;
+  let mood = musicMood();
+
+  // Sixteenth notes
+  const stepSeconds = () => 60 / (track.bpm * mood.tempo) / 4;
+
+  const playStep = (i, at) => {
+    const dur = stepSeconds() * 0.9;
+    [
+      [track.lead[i], LEAD],
+      [track.bass[i], BASS]
+    ].forEach(([st, voice]) => {
+      if (st == null) return;
+      const freq = track.root * Math.pow(2, (st + mood.transpose) / 12);
+      audio.voice('music', { freq, dur, type: voice.type, gain: voice.gain, start: at });
+    });
+  };
+
+  const schedule = () => {
+    const ctx = audio.context();
+    if (!track || !audio.running()) return;
+    // First run, or after a stall: pick up from now instead of catching up
+    if (nextTime === null || nextTime < ctx.currentTime - STALL_S) nextTime = ctx.currentTime + START_DELAY_S;
+    while (nextTime < ctx.currentTime + SCHEDULE_AHEAD_S) {
+      playStep(step, nextTime);
+      nextTime += stepSeconds();
+      step = (step + 1) % track.lead.length;
+    }
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+    track = null;
+    audio.stopAll('music');
+  };
+
+  return {
+    // Starting the track that is already playing keeps its place
+    play: (next) => {
+      if (track === next && timer) return;
+      stop();
+      track = next;
+      step = 0;
+      nextTime = null;
+      timer = setInterval(schedule, LOOKAHEAD_MS);
+      schedule();
+    },
+    stop,
+    setMood: (next) => {
+      mood = next;
+    },
+    playing: () => (timer ? track : null)
+  };
+}
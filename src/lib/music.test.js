@@ -0,0 +1,114 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  LOOKAHEAD_MS,
+  MAX_TEMPO,
+  MUSIC_TRACKS,
+  REVEAL_TRANSPOSE,
+  createSequencer,
+  musicMood,
+  trackForLevel
+} from './music.js';
+
+// A stand-in for the audio engine with a clock the test moves by hand
+const fakeAudio = () => {
+  const clock = { currentTime: 0 };
+  return {
+    clock,
+    context: () => clock,
+    running: () => true,
+    voice: vi.fn(),
+    stopAll: vi.fn()
+  };
+};
+
+const track = { name: 'Test', bpm: 120, root: 440, lead: [0, null, 12, null], bass: [-12, null, null, null] };
+
+describe('musicMood', () => {
+  it('speeds up in steps as the snake grows, up to a cap', () => {
+    expect(musicMood({ grown: 0 }).tempo).toBe(1);
+    expect(musicMood({ grown: 3 }).tempo).toBe(1);
+    expect(musicMood({ grown: 4 }).tempo).toBeGreaterThan(1);
+    expect(musicMood({ grown: 500 }).tempo).toBe(MAX_TEMPO);
+    expect(musicMood({ grown: -2 }).tempo).toBe(1);
+  });
+
+  it('changes key during a reveal', () => {
+    expect(musicMood().transpose).toBe(0);
+    expect(musicMood({ reveal: true }).transpose).toBe(REVEAL_TRANSPOSE);
+  });
+});
+
+describe('trackForLevel', () => {
+  it('cycles through the tracks', () => {
+    expect(trackForLevel(1)).toBe(MUSIC_TRACKS[0]);
+    expect(trackForLevel(MUSIC_TRACKS.length + 1)).toBe(MUSIC_TRACKS[0]);
+    expect(trackForLevel(2)).toBe(MUSIC_TRACKS[1]);
+  });
+
+  it('has 16-step lead and bass lines on every track', () => {
+    MUSIC_TRACKS.forEach((t) => {
+      expect(t.lead).toHaveLength(16);
+      expect(t.bass).toHaveLength(16);
+    });
+  });
+});
+
+describe('createSequencer', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('queues only the notes inside the lookahead window', () => {
+    const audio = fakeAudio();
+    const seq = createSequencer(audio);
+    seq.play(track);
+    // 120 bpm sixteenths are 0.125 s apart: only the first step fits
+    expect(audio.voice).toHaveBeenCalledTimes(2);
+    expect(audio.voice).toHaveBeenCalledWith('music', expect.objectContaining({ freq: 440 }));
+    expect(audio.voice).toHaveBeenCalledWith('music', expect.objectContaining({ freq: 220 }));
+    audio.clock.currentTime = 0.2;
+    vi.advanceTimersByTime(LOOKAHEAD_MS);
+    // Step 2 is a rest, step 3 plays the lead an octave up
+    expect(audio.voice).toHaveBeenLastCalledWith('music', expect.objectContaining({ freq: 880 }));
+    seq.stop();
+  });
+
+  it('picks up from now after a stall instead of catching up', () => {
+    const audio = fakeAudio();
+    const seq = createSequencer(audio);
+    seq.play(track);
+    audio.voice.mockClear();
+    audio.clock.currentTime = 10;
+    vi.advanceTimersByTime(LOOKAHEAD_MS);
+    expect(audio.voice.mock.calls.length).toBeLessThanOrEqual(2);
+    seq.stop();
+  });
+
+  it('applies the mood from the next step', () => {
+    const audio = fakeAudio();
+    const seq = createSequencer(audio);
+    seq.setMood(musicMood({ reveal: true }));
+    seq.play(track);
+    expect(audio.voice).toHaveBeenCalledWith('music', expect.objectContaining({ freq: 440 * Math.pow(2, REVEAL_TRANSPOSE / 12) }));
+    seq.stop();
+  });
+
+  it('keeps its place when asked for the same track, and cuts the bus on stop', () => {
+    const audio = fakeAudio();
+    const seq = createSequencer(audio);
+    seq.play(track);
+    seq.play(track);
+    expect(audio.voice).toHaveBeenCalledTimes(2);
+    expect(seq.playing()).toBe(track);
+    seq.stop();
+    expect(seq.playing()).toBeNull();
+    expect(audio.stopAll).toHaveBeenCalledWith('music');
+    audio.voice.mockClear();
+    vi.advanceTimersByTime(LOOKAHEAD_MS * 10);
+    expect(audio.voice).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,89 @@
+// Browser side of the relay server (server/index.js): one WebSocket that reconnects on its
+// own and rejoins its seat. The seat token lives in sessionStorage per room, so every tab
+// is its own player and a reload takes the same seat back.
+
+export const RELAY_PORT = 8787;
+
+export const defaultRelayUrl = () =>
+  typeof window === 'undefined' ? '' : `ws://${window.location.hostname || 'localhost'}:${RELAY_PORT}`;
+
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_MS = 5000;
+
+const tokenKey = (room) => `invisisnake.relay.${room}`;
+
+const readToken = (room) => {
+  try {
+    return window.sessionStorage.getItem(tokenKey(room));
+  } catch {
+    return null;
+  }
+};
+
+const writeToken = (room, token) => {
+  try {
+    window.sessionStorage.setItem(tokenKey(room), token);
+  } catch {
+    // the seat is simply not kept across reloads
+  }
+};
+
+// Handlers: onStatus('connecting' | 'online' | 'reconnecting'), onJoined({ player }),
+// onState(snapshot), onError(message). `settings` ({ campaign, level, variant }) only
+// matter for the player who creates the room.
+export function connectRelay({ url, room, settings = {}, onStatus, onJoined, onState, onError }) {
+  let ws = null;
+  let closed = false;
+  let attempts = 0;
+  let retryTimer = null;
+
+  const open = () => {
+    onStatus(attempts ? 'reconnecting' : 'connecting');
+    try {
+      ws = new WebSocket(url);
+    } catch (err) {
+      onError(err.message);
+      return;
+    }
+    ws.onopen = () => {
+      attempts = 0;
+      onStatus('online');
+      ws.send(JSON.stringify({ type: 'join', room, token: readToken(room), ...settings }));
+    };
+    ws.onmessage = (e) => {
+      let msg;
+      try {
+        msg = JSON.parse(e.data);
+      } catch {
+        return;
+      }
+      if (msg.type === 'joined') {
+        writeToken(room, msg.token);
+        onJoined(msg);
+      } else if (msg.type === 'state') {
+        onState(msg);
+      } else if (msg.type === 'error') {
+        onError(msg.message);
+      }
+    };
+    ws.onclose = () => {
+      if (closed) return;
+      attempts += 1;
+      onStatus('reconnecting');
+      retryTimer = setTimeout(open, Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempts));
+    };
+  };
+
+  open();
+
+  return {
+    send: (msg) => {
+      if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg));
+    },
+    close: () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (ws) ws.close();
+    }
+  };
+}
@@ -0,0 +1,59 @@
+// Screen stack for the game view. The top screen is the one showing and taking input, and
+// anything on the stack holds the board underneath still. A screen is { id, ...params }:
+//   resume       { save }    autosaved run found on load: Continue or New game
+//   levelEnd     { kind }    after a board ends: win | retry | reset (see levelEndKind)
+//   pause        { index }   the pause menu; index is the highlighted PAUSE_ITEMS entry
+//   settings     { }         audio, controls, palette, fade preset, reduced motion
+//   controls     { }         key and gamepad bindings, opened from settings
+//   help         { page }    How to Play; page indexes HELP_PAGES
+//   levelSelect  { index }   after Quit: pick a level to start; index is the highlighted level
+// The stack is plain data; the functions below return new stacks and never mutate.
+
+export const SCREEN_IDS = ['resume', 'levelEnd', 'pause', 'settings', 'controls', 'help', 'levelSelect'];
+
+// Screens opened from the pause menu (and the pause menu itself)
+export const MENU_SCREENS = ['pause', 'settings', 'controls', 'help', 'levelSelect'];
+
+export const PAUSE_ITEMS = ['resume', 'settings', 'help', 'quit'];
+export const PAUSE_LABELS = {
+  resume: 'Resume',
+  settings: 'Settings',
+  help: 'How to Play',
+  quit: 'Quit to Level Select'
+};
+
+export const HELP_PAGES = ['tail', 'reveal', 'powerups', 'hazards'];
+export const HELP_LABELS = {
+  tail: 'The fading tail',
+  reveal: 'Reveal',
+  powerups: 'Power-ups',
+  hazards: 'Hazards'
+};
+
+// Which end-of-board screen a finished state gets, or null while it is still in play
+export const levelEndKind = (state) => {
+  if (state.status === 'won') return 'win';
+  if (state.status === 'lost') return state.lives > 0 ? 'retry' : 'reset';
+  return null;
+};
+
+export const topScreen = (stack) => stack[stack.length - 1] ?? null;
+
+export const findScreen = (stack, id) => stack.find((s) => s.id === id) ?? null;
+
+export const isMenuOpen = (stack) => stack.some((s) => MENU_SCREENS.includes(s.id));
+
+export const pushScreen = (stack, screen) => [...stack, screen];
+
+export const popScreen = (stack) => stack.slice(0, -1);
+
+export const removeScreen = (stack, id) => stack.filter((s) => s.id !== id);
+
+// Puts a screen at the bottom, under any open menus, replacing one with the same id. The
+// level-end screen arrives this way so a menu opened during the overlay delay stays on top.
+export const pushUnder = (stack, screen) => [screen, ...removeScreen(stack, screen.id)];
+
+export const updateTop = (stack, patch) => (stack.length ? [...popScreen(stack), { ...topScreen(stack), ...patch }] : stack);
+
+// Highlight movement for menus, wrapping at both ends
+export const moveIndex = (index, count, delta) => (((index + delta) % count) + count) % count;
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import {
+  findScreen,
+  isMenuOpen,
+  levelEndKind,
+  moveIndex,
+  popScreen,
+  pushScreen,
+  pushUnder,
+  topScreen,
+  updateTop
+} from './screens.js';
+
+describe('screen stack', () => {
+  it('pushes and pops without touching the old stack', () => {
+    const base = [{ id: 'levelEnd', kind: 'retry' }];
+    const stack = pushScreen(base, { id: 'pause', index: 0 });
+    expect(topScreen(stack).id).toBe('pause');
+    expect(base).toHaveLength(1);
+    expect(popScreen(stack)).toEqual(base);
+    expect(topScreen([])).toBeNull();
+  });
+
+  it('slides the level-end screen under open menus', () => {
+    const stack = pushUnder([{ id: 'pause', index: 2 }, { id: 'help', page: 0 }], { id: 'levelEnd', kind: 'win' });
+    expect(stack.map((s) => s.id)).toEqual(['levelEnd', 'pause', 'help']);
+    expect(pushUnder(stack, { id: 'levelEnd', kind: 'reset' }).filter((s) => s.id === 'levelEnd')).toHaveLength(1);
+  });
+
+  it('counts only menu screens as a pause', () => {
+    expect(isMenuOpen([{ id: 'levelEnd' }])).toBe(false);
+    expect(isMenuOpen([{ id: 'resume' }])).toBe(false);
+    expect(isMenuOpen([{ id: 'levelEnd' }, { id: 'settings' }])).toBe(true);
+    expect(findScreen([{ id: 'resume', save: 1 }], 'resume').save).toBe(1);
+  });
+
+  it('updates the top screen and wraps highlights', () => {
+    expect(updateTop([{ id: 'pause', index: 0 }], { index: 3 })).toEqual([{ id: 'pause', index: 3 }]);
+    expect(updateTop([], { index: 1 })).toEqual([]);
+    expect(moveIndex(0, 4, -1)).toBe(3);
+    expect(moveIndex(3, 4, 1)).toBe(0);
+  });
+});
+
+describe('levelEndKind', () => {
+  it('follows the board status and lives left', () => {
+    expect(levelEndKind({ status: 'playing', lives: 3 })).toBeNull();
+    expect(levelEndKind({ status: 'won', lives: 3 })).toBe('win');
+    expect(levelEndKind({ status: 'lost', lives: 2 })).toBe('retry');
+    expect(levelEndKind({ status: 'lost', lives: 0 })).toBe('reset');
+  });
+});
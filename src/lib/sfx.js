@@ -0,0 +1,233 @@
+import { loadJSON, removeKey, saveJSON } from './storage.js';
+
+// Sound effects and jingles as data. A sound is a run of notes on one tone channel, with an
+// optional noise channel hitting on some of those notes:
+//   wave      square | triangle | sine | sawtooth
+//   root      Hz of semitone 0
+//   notes     semitone offsets from root, one per step; null is a rest
+//   step      seconds from one note to the next
+//   gain      peak volume, 0-1
+//   attack    seconds to rise to the peak
+//   hold      seconds held at the peak
+//   release   seconds to die away; a note lasts attack + hold + release
+//   arp       semitone offsets cycled within every note (empty for none)
+//   arpRate   seconds per arpeggio step
+//   noise     null, or { hits, gain, length, cutoff }: a low-passed noise burst (`length`
+//             seconds, `cutoff` Hz) at each note index listed in `hits`
+// A sound pack maps every SOUND_IDS entry to a sound. Packs are JSON files, so the audio can
+// be reskinned without touching component code; the sound designer edits the active pack.
+
+export const SOUND_PACK_FORMAT = 1;
+export const WAVES = ['square', 'triangle', 'sine', 'sawtooth'];
+
+export const SOUND_IDS = [
+  'move',
+  'fruit',
+  'win',
+  'lifeLost',
+  'gameOver',
+  'pickupReveal',
+  'pickupShrink',
+  'pickupPhase',
+  'pickupFreeze',
+  'pickupDouble',
+  'pickupLife',
+  'phaseThrough'
+];
+export const SOUND_LABELS = {
+  move: 'Move',
+  fruit: 'Fruit',
+  win: 'Level cleared',
+  lifeLost: 'Life lost',
+  gameOver: 'Game over',
+  pickupReveal: 'Reveal pickup',
+  pickupShrink: 'Shrink pickup',
+  pickupPhase: 'Phase pickup',
+  pickupFreeze: 'Freeze pickup',
+  pickupDouble: 'Double pickup',
+  pickupLife: 'Extra life pickup',
+  phaseThrough: 'Phasing through'
+};
+// Power-up kind -> pickup sound
+export const PICKUP_SOUNDS = {
+  reveal: 'pickupReveal',
+  shrink: 'pickupShrink',
+  phase: 'pickupPhase',
+  freeze: 'pickupFreeze',
+  double: 'pickupDouble',
+  life: 'pickupLife'
+};
+
+// Numeric fields and their allowed ranges
+export const SOUND_FIELDS = {
+  root: [20, 8000],
+  step: [0, 1],
+  gain: [0, 1],
+  attack: [0, 1],
+  hold: [0, 2],
+  release: [0.005, 2],
+  arpRate: [0.005, 0.5]
+};
+export const NOISE_FIELDS = {
+  gain: [0, 1],
+  length: [0.005, 2],
+  cutoff: [50, 20000]
+};
+const MAX_NOTES = 64;
+const MAX_ARP = 8;
+
+const sound = (wave, root, notes, step, dur, gain, extra = {}) => ({
+  wave,
+  root,
+  notes,
+  step,
+  gain,
+  attack: 0.01,
+  hold: 0,
+  release: Math.round((dur - 0.01) * 1000) / 1000,
+  arp: [],
+  arpRate: 0.03,
+  noise: null,
+  ...extra
+});
+
+export const DEFAULT_SOUNDS = {
+  move: sound('square', 220, [0], 0, 0.045, 0.2),
+  fruit: sound('square', 330, [0, 4, 7], 0.05, 0.07, 0.22),
+  win: sound('square', 523.25, [0, 4, 7, 11, 12, 16, 19, 24], 0.095, 0.095, 0.28),
+  lifeLost: sound('triangle', 440, [0, -2, -3, -5, -7, -9, -11, -12], 0.12, 0.11, 0.22),
+  gameOver: sound('triangle', 440, [0, -3, -5, -7, -8, -10, -12, -15, -17, -19], 0.14, 0.14, 0.26),
+  pickupReveal: sound('square', 330, [0, 5, 7, 12], 0.06, 0.07, 0.22),
+  pickupShrink: sound('square', 660, [0, -5, -12], 0.06, 0.07, 0.22),
+  pickupPhase: sound('sine', 392, [0, 7, 14, 19], 0.07, 0.09, 0.24),
+  pickupFreeze: sound('triangle', 1046.5, [0, -1, 0, -1, 0], 0.045, 0.05, 0.2),
+  pickupDouble: sound('square', 523.25, [0, 0, 12, 12], 0.065, 0.06, 0.22),
+  pickupLife: sound('triangle', 440, [0, 4, 7, 12, 16], 0.08, 0.08, 0.26),
+  phaseThrough: sound('sine', 880, [0], 0, 0.12, 0.2)
+};
+
+export const defaultSoundPack = () => ({ format: SOUND_PACK_FORMAT, name: 'Default', sounds: structuredClone(DEFAULT_SOUNDS) });
+
+const checkRange = (obj, key, [min, max], where) => {
+  if (typeof obj[key] !== 'number' || !Number.isFinite(obj[key]) || obj[key] < min || obj[key] > max) {
+    throw new Error(`${where}: ${key} must be a number from ${min} to ${max}`);
+  }
+};
+
+const isSemitones = (list, max, allowRests) =>
+  Array.isArray(list) &&
+  list.length <= max &&
+  list.every((n) => (allowRests && n === null) || (typeof n === 'number' && Number.isFinite(n) && Math.abs(n) <= 48));
+
+// Throws with the sound's name and the bad field
+export function validateSound(s, id = 'sound') {
+  const where = SOUND_LABELS[id] ?? id;
+  if (!s || typeof s !== 'object') throw new Error(`${where}: must be an object`);
+  if (!WAVES.includes(s.wave)) throw new Error(`${where}: unknown wave "${s.wave}"`);
+  if (!isSemitones(s.notes, MAX_NOTES, true) || !s.notes.length) {
+    throw new Error(`${where}: notes must be 1-${MAX_NOTES} semitone offsets or null rests`);
+  }
+  Object.entries(SOUND_FIELDS).forEach(([key, range]) => checkRange(s, key, range, where));
+  if (!isSemitones(s.arp, MAX_ARP, false)) throw new Error(`${where}: arp must be up to ${MAX_ARP} semitone offsets`);
+  if (s.noise !== null) {
+    if (!s.noise || typeof s.noise !== 'object') throw new Error(`${where}: noise must be null or an object`);
+    Object.entries(NOISE_FIELDS).forEach(([key, range]) => checkRange(s.noise, key, range, `${where} noise`));
+    if (!Array.isArray(s.noise.hits) || !s.noise.hits.every((i) => Number.isInteger(i) && i >= 0 && i < s.notes.length)) {
+      throw new Error(`${where}: noise hits must be note indexes`);
+    }
+  }
+  return s;
+}
+
+// Sounds missing from a pack keep the default, so packs made before a sound was added load.
+// Fields missing from a sound also take the default's, which keeps hand-written packs short.
+export function parseSoundPack(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Sound pack is not valid JSON');
+  }
+  if (!data || data.format !== SOUND_PACK_FORMAT) throw new Error('Unsupported sound pack format');
+  if (!data.sounds || typeof data.sounds !== 'object') throw new Error('Sound pack has no sounds');
+  const unknown = Object.keys(data.sounds).find((id) => !SOUND_IDS.includes(id));
+  if (unknown) throw new Error(`Sound pack has unknown sound "${unknown}"`);
+  const sounds = {};
+  SOUND_IDS.forEach((id) => {
+    sounds[id] = validateSound({ ...DEFAULT_SOUNDS[id], ...data.sounds[id] }, id);
+  });
+  return { format: SOUND_PACK_FORMAT, name: typeof data.name === 'string' && data.name ? data.name : 'Imported', sounds };
+}
+
+export const serializeSoundPack = (pack) => JSON.stringify(pack, null, 2);
+
+// "0 4 7 - 12" <-> [0, 4, 7, null, 12], for editing notes as text
+export const formatNotes = (notes) => notes.map((n) => (n === null ? '-' : String(n))).join(' ');
+export function parseNotes(text, allowRests = true) {
+  const words = text.trim().split(/[\s,]+/).filter(Boolean);
+  return words.map((w) => {
+    if (w === '-' && allowRests) return null;
+    const n = Number(w);
+    if (!Number.isFinite(n)) throw new Error(`"${w}" is not a semitone`);
+    return n;
+  });
+}
+
+export const noteHz = (root, semitones) => root * Math.pow(2, semitones / 12);
+export const soundLength = (s) => s.attack + s.hold + s.release;
+
+// Schedules a sound on the audio engine's SFX bus (./audio.js), starting now
+export function playSound(audio, s, bus = 'sfx') {
+  const ctx = audio.context();
+  if (!s || !audio.running()) return;
+  const t0 = ctx.currentTime;
+  const dur = soundLength(s);
+  s.notes.forEach((st, i) => {
+    const start = t0 + i * s.step;
+    if (st !== null) {
+      audio.voice(bus, {
+        freq: noteHz(s.root, st),
+        dur,
+        type: s.wave,
+        gain: s.gain,
+        start,
+        attack: s.attack,
+        hold: s.hold,
+        arp: s.arp,
+        arpRate: s.arpRate
+      });
+    }
+    if (s.noise && s.noise.hits.includes(i)) {
+      audio.noise(bus, { dur: s.noise.length, gain: s.noise.gain, cutoff: s.noise.cutoff, start });
+    }
+  });
+}
+
+// ===== Active pack =====
+// The pack the game plays from, kept in localStorage. Reads go through getSoundPack() at
+// play time, so designer edits are heard straight away.
+const PACK_KEY = 'invisisnake.soundpack';
+
+const loadPack = () => {
+  const raw = loadJSON(PACK_KEY, null);
+  if (!raw) return defaultSoundPack();
+  try {
+    return parseSoundPack(JSON.stringify(raw));
+  } catch {
+    return defaultSoundPack();
+  }
+};
+
+let active = null;
+export const getSoundPack = () => active ?? (active = loadPack());
+
+export function setSoundPack(pack) {
+  active = pack;
+  saveJSON(PACK_KEY, pack);
+}
+
+export function resetSoundPack() {
+  active = defaultSoundPack();
+  removeKey(PACK_KEY);
+  return active;
+}
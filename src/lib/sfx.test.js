@@ -0,0 +1,91 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  DEFAULT_SOUNDS,
+  SOUND_IDS,
+  defaultSoundPack,
+  formatNotes,
+  noteHz,
+  parseNotes,
+  parseSoundPack,
+  playSound,
+  serializeSoundPack,
+  validateSound
+} from './sfx.js';
+
+const fakeAudio = () => ({
+  context: () => ({ currentTime: 1 }),
+  running: () => true,
+  voice: vi.fn(),
+  noise: vi.fn()
+});
+
+const packText = (sounds, extra = {}) => JSON.stringify({ format: 1, name: 'Test', sounds, ...extra });
+
+describe('default sounds', () => {
+  it('has a valid sound for every id', () => {
+    SOUND_IDS.forEach((id) => expect(() => validateSound(DEFAULT_SOUNDS[id], id)).not.toThrow());
+  });
+
+  it('round-trips the default pack through a file', () => {
+    const pack = defaultSoundPack();
+    expect(parseSoundPack(serializeSoundPack(pack))).toEqual(pack);
+  });
+});
+
+describe('validateSound', () => {
+  it('names the sound and the field that is wrong', () => {
+    expect(() => validateSound({ ...DEFAULT_SOUNDS.fruit, gain: 2 }, 'fruit')).toThrow('Fruit: gain must be a number from 0 to 1');
+    expect(() => validateSound({ ...DEFAULT_SOUNDS.fruit, wave: 'kazoo' }, 'fruit')).toThrow('unknown wave');
+    expect(() => validateSound({ ...DEFAULT_SOUNDS.fruit, notes: [] }, 'fruit')).toThrow('notes');
+  });
+
+  it('checks the noise channel against the notes it hits', () => {
+    const noisy = { ...DEFAULT_SOUNDS.fruit, noise: { hits: [0, 2], gain: 0.2, length: 0.05, cutoff: 3000 } };
+    expect(() => validateSound(noisy)).not.toThrow();
+    expect(() => validateSound({ ...noisy, noise: { ...noisy.noise, hits: [3] } })).toThrow('noise hits');
+  });
+});
+
+describe('parseSoundPack', () => {
+  it('fills in missing sounds and fields from the defaults', () => {
+    const pack = parseSoundPack(packText({ fruit: { wave: 'sine', notes: [0, 12] } }));
+    expect(pack.sounds.fruit).toEqual({ ...DEFAULT_SOUNDS.fruit, wave: 'sine', notes: [0, 12] });
+    expect(pack.sounds.win).toEqual(DEFAULT_SOUNDS.win);
+  });
+
+  it('rejects files it cannot use', () => {
+    expect(() => parseSoundPack('nope')).toThrow('not valid JSON');
+    expect(() => parseSoundPack(packText({}, { format: 99 }))).toThrow('Unsupported sound pack format');
+    expect(() => parseSoundPack(packText({ kazoo: {} }))).toThrow('unknown sound "kazoo"');
+    expect(() => parseSoundPack(packText({ move: { root: 0 } }))).toThrow('Move: root');
+  });
+});
+
+describe('notes as text', () => {
+  it('reads rests as dashes', () => {
+    expect(parseNotes('0 4, 7 - 12')).toEqual([0, 4, 7, null, 12]);
+    expect(formatNotes([0, null, -5])).toBe('0 - -5');
+    expect(() => parseNotes('0 x')).toThrow('"x" is not a semitone');
+    expect(() => parseNotes('-', false)).toThrow();
+  });
+});
+
+describe('playSound', () => {
+  it('schedules one voice per note a step apart, skipping rests', () => {
+    const audio = fakeAudio();
+    playSound(audio, { ...DEFAULT_SOUNDS.fruit, notes: [0, null, 12] });
+    expect(audio.voice).toHaveBeenCalledTimes(2);
+    const [[, first], [, second]] = audio.voice.mock.calls;
+    expect(first).toMatchObject({ freq: 330, start: 1, type: 'square' });
+    expect(second.freq).toBeCloseTo(noteHz(330, 12));
+    expect(second.start).toBeCloseTo(1 + 2 * DEFAULT_SOUNDS.fruit.step);
+  });
+
+  it('plays the noise channel on its hits', () => {
+    const audio = fakeAudio();
+    const noise = { hits: [1], gain: 0.3, length: 0.05, cutoff: 2000 };
+    playSound(audio, { ...DEFAULT_SOUNDS.fruit, noise });
+    expect(audio.noise).toHaveBeenCalledTimes(1);
+    expect(audio.noise.mock.calls[0][1]).toMatchObject({ gain: 0.3, cutoff: 2000, dur: 0.05 });
+  });
+});
@@ -0,0 +1,77 @@
+import { afterEach, vi } from 'vitest';
+import { cleanup } from '@testing-library/react';
+
+// Test environment: jsdom has neither a 2D canvas nor Web Audio, so both are stubbed with
+// objects that accept every call. Components render and run their loops as usual; nothing
+// is drawn or heard.
+
+// Any method call on the 2D context succeeds; gradients accept their colour stops
+function mockContext2d(canvas) {
+  const ctx = { canvas };
+  return new Proxy(ctx, {
+    get(target, key) {
+      if (!(key in target)) target[key] = vi.fn(() => ({ addColorStop: vi.fn(), width: 0 }));
+      return target[key];
+    },
+    set(target, key, value) {
+      target[key] = value;
+      return true;
+    }
+  });
+}
+
+HTMLCanvasElement.prototype.getContext = function getContext(type) {
+  if (type !== '2d') return null;
+  if (!this.mockContext) this.mockContext = mockContext2d(this);
+  return this.mockContext;
+};
+
+// Audio nodes and params: every method is a no-op, connect() chains like the real one
+const mockParam = () => ({
+  value: 0,
+  setValueAtTime: vi.fn(),
+  linearRampToValueAtTime: vi.fn(),
+  exponentialRampToValueAtTime: vi.fn(),
+  setTargetAtTime: vi.fn(),
+  cancelScheduledValues: vi.fn()
+});
+
+const mockNode = () => ({
+  type: '',
+  buffer: null,
+  loop: false,
+  frequency: mockParam(),
+  detune: mockParam(),
+  gain: mockParam(),
+  Q: mockParam(),
+  connect: vi.fn((next) => next),
+  disconnect: vi.fn(),
+  start: vi.fn(),
+  stop: vi.fn()
+});
+
+// Called with `new`, which hands back the returned object
+function MockAudioContext() {
+  return {
+    currentTime: 0,
+    sampleRate: 44100,
+    state: 'running',
+    destination: mockNode(),
+    createOscillator: mockNode,
+    createGain: mockNode,
+    createBiquadFilter: mockNode,
+    createBufferSource: mockNode,
+    createBuffer: (channels, length) => ({ getChannelData: () => new Float32Array(length) }),
+    resume: () => Promise.resolve(),
+    suspend: () => Promise.resolve(),
+    close: () => Promise.resolve()
+  };
+}
+
+window.AudioContext = MockAudioContext;
+window.webkitAudioContext = MockAudioContext;
+
+afterEach(() => {
+  cleanup();
+  window.localStorage.clear();
+});
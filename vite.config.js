@@ -23,4 +23,9 @@ if (proxyHost) {
 export default defineConfig({
   plugins: [react()],
   server: serverConfig,
+  test: {
+    environment: "jsdom",
+    setupFiles: ["./src/test/setup.js"],
+    include: ["src/**/*.test.{js,jsx}", "server/**/*.test.js"],
+  },
 });